@@ -0,0 +1,172 @@
+// ─── abilities.js ───────────────────────────────────────────────────────────
+// Player movement and the active abilities — dash, Time Slow (Q) and Area
+// Burst (E) — as pure rules on a plain { x, z } position, shared by the game
+// (player.js / loop.js) and the headless sim. Input only raises requests
+// (state.dashRequested / slowRequested / burstRequested, from the keyboard,
+// gamepad, touch, a replay or a sim bot); they are applied here on a sim step.
+// No scene or DOM access.
+
+import { state } from './state.js';
+import {
+  PLAYER_SPEED, DASH_SPEED, DASH_DURATION, DASH_COOLDOWN, DASH_SLOW_SCALE,
+  SLOW_SNAP_RATE, SLOW_RECOVER_RATE, ISO_FWD_XZ, ISO_RIGHT_XZ,
+} from './constants.js';
+import { playSound } from './audio.js';
+import { rand } from './rng.js';
+import { getActiveWorldScale } from './activeEffects.js';
+import { applyEnemyDamage, DamageType } from './damage.js';
+import { KillSource } from './events.js';
+
+// ── Movement ─────────────────────────────────────────────────────────────────
+// Unit world direction from the held keys, else the analog stick (gamepad /
+// touch; a partial tilt gives mag < 1): { x, z, mag }, or null when idle.
+export function getMoveInput() {
+  let x = 0, z = 0, mag = 1;
+  if (state.keys.w) { x += ISO_FWD_XZ.x; z += ISO_FWD_XZ.z; }
+  if (state.keys.s) { x -= ISO_FWD_XZ.x; z -= ISO_FWD_XZ.z; }
+  if (state.keys.a) { x -= ISO_RIGHT_XZ.x; z -= ISO_RIGHT_XZ.z; }
+  if (state.keys.d) { x += ISO_RIGHT_XZ.x; z += ISO_RIGHT_XZ.z; }
+  const ax = state.moveAxis;
+  if (x === 0 && z === 0 && ax && (ax.x || ax.y)) {
+    x = ISO_RIGHT_XZ.x * ax.x + ISO_FWD_XZ.x * ax.y;
+    z = ISO_RIGHT_XZ.z * ax.x + ISO_FWD_XZ.z * ax.y;
+    mag = Math.min(1, Math.hypot(ax.x, ax.y));
+  }
+  const len = Math.hypot(x, z);
+  if (len <= 0) return null;
+  return { x: x / len, z: z / len, mag };
+}
+
+// Eases state.worldScale toward Time Slow / Clock (and the dash's own slow):
+// snaps in quickly, recovers more gently.
+export function updateWorldScale(delta) {
+  const slowTarget = getActiveWorldScale();
+  const target = state.dashTimer > 0 ? Math.min(DASH_SLOW_SCALE, slowTarget) : slowTarget;
+  const rate = target < state.worldScale ? SLOW_SNAP_RATE : SLOW_RECOVER_RATE;
+  state.worldScale += (target - state.worldScale) * Math.min(1, rate * delta);
+}
+
+// One step of player motion on `pos` (moved in place): walking at full speed
+// (the world slows around the player, not the player), then the dash, then
+// the dash cooldown. Returns the walk input (getMoveInput) or null.
+export function updatePlayerMotion(pos, delta) {
+  updateWorldScale(delta);
+
+  const move = getMoveInput();
+  if (move) {
+    state.lastMoveX = move.x; state.lastMoveZ = move.z;
+    const msTier = Math.max(0, state.upg?.moveSpeed || 0);
+    const speed = PLAYER_SPEED * (1 + 0.08 * msTier) * (state.auraSlowMult ?? 1) * move.mag;
+    pos.x += move.x * speed * delta;
+    pos.z += move.z * speed * delta;
+    state.playerVel = { x: move.x, z: move.z };
+  } else {
+    state.playerVel = state.playerVel || { x: 0, z: 0 };
+    state.playerVel.x = 0; state.playerVel.z = 0;
+  }
+
+  if (state.dashTimer > 0) {
+    state.dashTimer -= delta;
+    const dashSpeed = Math.max(0, state.dashSpeed || (DASH_SPEED * 0.5));
+    pos.x += state.dashVX * dashSpeed * delta;
+    pos.z += state.dashVZ * dashSpeed * delta;
+    state.playerVel = { x: state.dashVX, z: state.dashVZ };
+  }
+  if (state.dashCooldown > 0) {
+    state.dashCooldown -= delta;
+    if (state.dashCooldown < 0) state.dashCooldown = 0;
+  }
+  return move;
+}
+
+// ── Dash ─────────────────────────────────────────────────────────────────────
+function getDashStats(tier){
+  const t = Math.max(0, Math.min(5, tier | 0));
+  const speedMult = [0, 0.50, 0.625, 0.75, 0.875, 1.00][t] || 0.50;
+  const cooldown = [0, 2.80, 2.40, 2.00, 1.64, 1.36][t] || (DASH_COOLDOWN * 2);
+  return { speedMult, cooldown };
+}
+
+// Applies a pending dash request: dashes along the current input, else the
+// last direction moved. Returns true if a dash started.
+export function consumeDashRequest() {
+  if (!state.dashRequested) return false;
+  state.dashRequested = false;
+  if (state.gameOver || !state.hasDash) return false;
+  if (state.dashCooldown > 0 || state.dashTimer > 0) return false;
+  const move = getMoveInput();
+  if (move) { state.lastMoveX = move.x; state.lastMoveZ = move.z; }
+  state.dashVX        = state.lastMoveX;
+  state.dashVZ        = state.lastMoveZ;
+  state.dashTimer     = DASH_DURATION;
+  const dashStats = getDashStats(state.upg?.dash || 0);
+  state.dashSpeed = DASH_SPEED * dashStats.speedMult;
+  state.dashCooldownMax = dashStats.cooldown;
+  state.dashCooldown = state.dashCooldownMax;
+  state.dashGhostTimer = 0;
+  playSound('dash', 0.55, 0.95 + rand('cosmetic') * 0.1);
+  return true;
+}
+
+// ── Time Slow / Area Burst ───────────────────────────────────────────────────
+// Ability cooldowns, dash i-frames (dash tier 3+), then pending Time Slow and
+// Area Burst requests. The burst hits every enemy within its radius of
+// (px, pz); kill(e, index) is called for each one it finishes.
+export function updateAbilities(delta, px, pz, kill) {
+  state.dashInvincible = (state.dashTimer > 0) && ((state.upg?.dash || 0) >= 3);
+
+  if ((state.burstCooldown || 0) > 0) state.burstCooldown = Math.max(0, state.burstCooldown - delta);
+  if ((state.slowCooldown || 0) > 0) state.slowCooldown = Math.max(0, state.slowCooldown - delta);
+  if ((state.slowTimer || 0) > 0) state.slowTimer = Math.max(0, state.slowTimer - delta);
+
+  if (state.slowRequested) {
+    state.slowRequested = false;
+    const tier = Math.max(0, state.upg?.timeSlow || 0);
+    if (tier > 0 && state.slowCooldown <= 0 && state.slowTimer <= 0) {
+      const duration = tier >= 2 ? 5.0 : 3.0;
+      const cdBase = 15.0;
+      const cd = tier >= 4 ? cdBase * 0.50 : (tier >= 2 ? cdBase * 0.70 : cdBase);
+      state.slowTimer = duration;
+      state.slowCooldown = cd;
+      state.slowCooldownMax = cd;
+      state.slowScale = tier >= 5 ? 0.15 : (tier >= 3 ? 0.25 : 0.5);
+      playSound('slowmo', 0.6, 1.0);
+    }
+  }
+
+  if (state.burstRequested) {
+    state.burstRequested = false;
+    const tier = Math.max(0, state.upg?.burst || 0);
+    if (tier > 0 && state.burstCooldown <= 0) {
+      const radius = getBurstRadius(tier);
+      const dmg = tier >= 5 ? 220 : (tier >= 4 ? 180 : (70 + tier * 30));
+      for (let j = state.enemies.length - 1; j >= 0; j--) {
+        const e = state.enemies[j];
+        if (!e || e.dead) continue;
+        const dx = e.grp.position.x - px;
+        const dz = e.grp.position.z - pz;
+        if (dx * dx + dz * dz > radius * radius) continue;
+        applyEnemyDamage(e, dmg, KillSource.BURST, DamageType.ENERGY, false);
+        if (e.hp <= 0) kill(e, j);
+      }
+      state.burstCooldown = tier >= 3 ? 5.6 : 8.0;
+      state.burstCooldownMax = state.burstCooldown;
+      playSound('burst', 0.7, 1.0);
+    }
+  }
+}
+
+export function getBurstRadius(tier = state.upg?.burst || 0) {
+  const baseRadius = 5.5;
+  return tier >= 5 ? baseRadius * 2.4 : (tier >= 4 ? baseRadius * 2.0 : (tier >= 2 ? baseRadius * 1.25 : baseRadius));
+}
+
+// True when the ability could fire right now (owned and off cooldown).
+export function isAbilityReady(name) {
+  switch (name) {
+    case 'dash':  return !!state.hasDash && !(state.dashCooldown > 0) && !(state.dashTimer > 0);
+    case 'burst': return (state.upg?.burst || 0) > 0 && !(state.burstCooldown > 0);
+    case 'slow':  return (state.upg?.timeSlow || 0) > 0 && !(state.slowCooldown > 0) && !(state.slowTimer > 0);
+    default: return false;
+  }
+}
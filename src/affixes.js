@@ -0,0 +1,185 @@
+// ─── affixes.js ──────────────────────────────────────────────────────────────
+// Elite and boss modifiers ("affixes"): what each one does, who rolls them and
+// how many, and how strong they get with player level and state.curseTier.
+// enemies.js rolls them in spawnEnemy and draws the tells (aura ring, name
+// plate); it and sim/headless.js call the hooks below from the places the
+// effects land. No scene or DOM access (the headless sim imports it).
+//
+// Each rolled affix lives on the enemy as e.affixes[i] = { id, power, ... }
+// (plus per-affix timers), so run saves can store it as plain data.
+//
+// Def fields:
+//   name   shown on the elite bar's name plate
+//   color  aura ring + name plate colour
+//   aura   ring radius in world units (default: hugs the enemy)
+// The rest is per-affix tuning at power 1; getAffixPower() scales it.
+
+import { state } from './state.js';
+import { ENEMY_TYPE, PLAYER_MAX_HP } from './constants.js';
+import { rand } from './rng.js';
+
+export const AffixId = Object.freeze({
+  HASTED:     'hasted',
+  VAMPIRIC:   'vampiric',
+  EXPLOSIVE:  'explosive',
+  FROST_AURA: 'frostAura',
+  REFLECTIVE: 'reflective',
+  SUMMONER:   'summoner',
+});
+
+export const AFFIX_DEFS = Object.freeze({
+  // Moves and fires faster.
+  [AffixId.HASTED]:     { name: 'Hasted',     color: 0xffe14d, speed: 0.25, fireRate: 0.25 },
+  // Heals `lifesteal` × the damage it deals the player.
+  [AffixId.VAMPIRIC]:   { name: 'Vampiric',   color: 0xd4143c, lifesteal: 3.0 },
+  // Leaves a blast that detonates `fuse` s after death for `dmgPct` of max HP.
+  [AffixId.EXPLOSIVE]:  { name: 'Explosive',  color: 0xff7a1a, radius: 3.2, fuse: 0.9, dmgPct: 0.12 },
+  // Slows the player while inside the ring.
+  [AffixId.FROST_AURA]: { name: 'Frost Aura', color: 0x7fd8ff, aura: 4.5, slow: 0.18, maxSlow: 0.45 },
+  // Returns `reflect` of the damage it takes, once per `interval`, capped at
+  // `capPct` of the player's max HP per return.
+  [AffixId.REFLECTIVE]: { name: 'Reflective', color: 0xe8e8ff, reflect: 0.06, interval: 1.0, capPct: 0.02 },
+  // Calls in `count` rushers every `interval` s.
+  [AffixId.SUMMONER]:   { name: 'Summoner',   color: 0x9b5cff, interval: 7.0, count: 2 },
+});
+
+export const AFFIX_IDS = Object.freeze(Object.keys(AFFIX_DEFS));
+
+// Level-driven types that count as elites (spawner.js' reinforcement pool).
+const ELITE_ENEMY_TYPES = new Set([
+  ENEMY_TYPE.ORBITER, ENEMY_TYPE.TANKER, ENEMY_TYPE.SNIPER,
+  ENEMY_TYPE.TELEPORTER, ENEMY_TYPE.SHIELDED, ENEMY_TYPE.SPLITTER,
+  ENEMY_TYPE.CHARGER, ENEMY_TYPE.BOMBER, ENEMY_TYPE.HEALER,
+]);
+
+// Strength multiplier: +1% per level past 1, +15% per curse tier.
+export function getAffixPower(level = state.playerLevel || 1, curseTier = state.curseTier || 0) {
+  return 1 + 0.01 * Math.max(0, level - 1) + 0.15 * Math.max(0, curseTier);
+}
+
+// How many affixes `e` gets. Bosses and legacy ELITE_TYPES spawns always roll;
+// level-driven elites (not rushers or nests) roll on a chance that grows with
+// level and curse.
+function getAffixCount(e, level, curseTier) {
+  if (e.isBoss) return Math.min(3, 1 + (level >= 30 ? 1 : 0) + (curseTier >= 1 ? 1 : 0));
+  if (e.eliteType) return 1;
+  if (!ELITE_ENEMY_TYPES.has(e.enemyType)) return 0;
+  const chance = Math.min(0.35, 0.02 * Math.max(0, level - 5) + 0.05 * curseTier);
+  if (rand('affixes') >= chance) return 0;
+  return (curseTier >= 2 && level >= 40) ? 2 : 1;
+}
+
+// Rolls affixes onto a freshly spawned enemy (needs isBoss / eliteType /
+// enemyType set) and returns e.affixes.
+export function rollAffixes(e, level = state.playerLevel || 1, curseTier = state.curseTier || 0) {
+  const count = getAffixCount(e, level, curseTier);
+  const pool = AFFIX_IDS.slice();
+  const power = getAffixPower(level, curseTier);
+  e.affixes = [];
+  for (let k = 0; k < count && pool.length; k++) {
+    const id = pool.splice(Math.floor(rand('affixes') * pool.length), 1)[0];
+    const affix = { id, power };
+    if (id === AffixId.SUMMONER) affix.timer = AFFIX_DEFS[id].interval / power;
+    if (id === AffixId.REFLECTIVE) { affix.timer = 0; affix.pool = 0; }
+    e.affixes.push(affix);
+  }
+  return e.affixes;
+}
+
+export function getAffix(e, id) {
+  const list = e.affixes;
+  if (!list) return null;
+  for (const a of list) if (a.id === id) return a;
+  return null;
+}
+
+// ── Hooks ────────────────────────────────────────────────────────────────────
+// Movement multiplier.
+export function getAffixSpeedMult(e) {
+  const a = getAffix(e, AffixId.HASTED);
+  return a ? 1 + AFFIX_DEFS[a.id].speed * a.power : 1;
+}
+
+// Multiplier on how fast the enemy's shot timer runs down.
+export function getAffixFireRateMult(e) {
+  const a = getAffix(e, AffixId.HASTED);
+  return a ? 1 + AFFIX_DEFS[a.id].fireRate * a.power : 1;
+}
+
+// Fraction of player move speed removed when the player is `dist` away.
+export function getFrostAuraSlow(e, dist) {
+  const a = getAffix(e, AffixId.FROST_AURA);
+  if (!a) return 0;
+  const def = AFFIX_DEFS[a.id];
+  return dist < def.aura ? Math.min(def.maxSlow, def.slow * a.power) : 0;
+}
+
+// Call after `e` damaged the player for `applied`; heals a vampiric enemy and
+// returns the amount healed.
+export function healFromPlayerHit(e, applied) {
+  const a = getAffix(e, AffixId.VAMPIRIC);
+  if (!a || !(applied > 0) || e.dead) return 0;
+  const heal = Math.min(Math.max(0, e.maxHp - e.hp), Math.round(applied * AFFIX_DEFS[a.id].lifesteal * a.power));
+  e.hp += heal;
+  return heal;
+}
+
+// Call after `e` took `amount` damage (damage.js does).
+export function storeReflectedDamage(e, amount) {
+  const a = getAffix(e, AffixId.REFLECTIVE);
+  if (a && amount > 0) a.pool += amount * AFFIX_DEFS[a.id].reflect * a.power;
+}
+
+// Counts the reflect timer down; returns the damage to send back to the player
+// this step (0 most steps).
+export function takeReflectedDamage(e, dt) {
+  const a = getAffix(e, AffixId.REFLECTIVE);
+  if (!a) return 0;
+  a.timer = Math.max(0, a.timer - dt);
+  if (a.timer > 0 || !(a.pool >= 1)) return 0;
+  const def = AFFIX_DEFS[a.id];
+  const cap = (state.playerMaxHP || PLAYER_MAX_HP) * def.capPct * a.power;
+  const out = Math.round(Math.min(a.pool, cap));
+  a.pool = 0;
+  a.timer = def.interval;
+  return out;
+}
+
+// Counts the summon timer down; returns how many rushers to spawn now.
+export function tickSummoner(e, dt) {
+  const a = getAffix(e, AffixId.SUMMONER);
+  if (!a) return 0;
+  a.timer -= dt;
+  if (a.timer > 0) return 0;
+  const def = AFFIX_DEFS[a.id];
+  a.timer += def.interval / a.power;
+  return def.count + Math.floor(a.power - 1);
+}
+
+// Blast an explosive enemy leaves where it died, or null:
+// { x, z, radius, fuse, maxFuse, damage, enemyType }.
+export function getDeathBlast(e, x, z) {
+  const a = getAffix(e, AffixId.EXPLOSIVE);
+  if (!a) return null;
+  const def = AFFIX_DEFS[a.id];
+  return {
+    x, z, radius: def.radius, fuse: def.fuse, maxFuse: def.fuse,
+    damage: Math.round((state.playerMaxHP || PLAYER_MAX_HP) * def.dmgPct * a.power),
+    enemyType: e.enemyType,
+  };
+}
+
+// Counts blasts down and removes the ones that go off, calling
+// onDetonate(blast, hitsPlayer) for each. Returns true if onDetonate did
+// (the caller's "player died" signal).
+export function tickDeathBlasts(blasts, dt, px, pz, onDetonate) {
+  for (let i = blasts.length - 1; i >= 0; i--) {
+    const b = blasts[i];
+    b.fuse -= dt;
+    if (b.fuse > 0) continue;
+    blasts.splice(i, 1);
+    const dx = px - b.x, dz = pz - b.z;
+    if (onDetonate(b, dx * dx + dz * dz < b.radius * b.radius)) return true;
+  }
+  return false;
+}
@@ -1,29 +1,21 @@
 // ─── arenaPickups.js ────────────────────────────────────────────────────────
-// Timed arena pickups (double damage, invincibility, coin value 2x, xp 2x,
-// armor, clock, black hole, coin magnet).
+// Meshes for the timed arena pickups (double damage, invincibility, coin value
+// 2x, xp 2x, armor, clock, black hole, coin magnet) and the black hole vortex.
+// Spawning, pickup, effects and the vortex's pull run in loot.js on plain
+// records, shared with the headless sim; this module builds and animates the
+// visuals and shows the power-up banner.
 
 import * as THREE from 'three';
 import { scene } from './renderer.js';
 import { state } from './state.js';
 import { playerGroup } from './player.js';
-import { applyEffect } from './activeEffects.js';
-import { grantArmor } from './armor.js';
-import { playSound } from './audio.js';
-import { getLuckSpawnMultiplier } from './luck.js';
+import { killEnemy } from './enemies.js';
+import { pickupHooks } from './pickups.js';
 import { notifyPowerup } from './hudEffects.js';
-import { ITEM_ATTRACT_SPEED, getMagnetAttractRangeForTier } from './constants.js';
-
-const PICKUP_WEIGHTS = [
-  ['doubleDamage', 6.25],
-  ['invincibility', 6.25],
-  ['coinValue2x', 25.0],
-  ['xp2x', 6.25],
-  ['armor', 25.0],
-  ['clock', 12.5],
-  ['blackHole', 6.25],
-  ['coinMagnet', 12.5],
-];
-const TOTAL_PICKUP_WEIGHT = PICKUP_WEIGHTS.reduce((sum, [, w]) => sum + w, 0);
+import { rand } from './rng.js';
+import {
+  initArenaSpawns, getArenaSpawnTimer, addArenaPickup, tickArenaPickups, tickBlackHole,
+} from './loot.js';
 
 const CUBE_SIZE = 0.72;
 const ORB_RADIUS = 0.42;
@@ -49,20 +41,8 @@ const mats = {
   coinMagnet: new THREE.MeshPhysicalMaterial({ color: 0xd8e5ff, emissive: 0x69b8ff, emissiveIntensity: 0.54, metalness: 1.0, roughness: 0.14, clearcoat: 1.0, clearcoatRoughness: 0.06, reflectivity: 1.0 }),
 };
 
-let _spawnTimer = 0;
-
 export function initArenaPickups(){
-  if (!Array.isArray(state.arenaPickups)) state.arenaPickups = [];
-  _spawnTimer = 8.0;
-}
-
-function randType(){
-  let roll = Math.random() * TOTAL_PICKUP_WEIGHT;
-  for (const [type, weight] of PICKUP_WEIGHTS) {
-    roll -= weight;
-    if (roll <= 0) return type;
-  }
-  return PICKUP_WEIGHTS[PICKUP_WEIGHTS.length - 1][0];
+  initArenaSpawns();
 }
 
 function addBloom(mesh){
@@ -149,14 +129,14 @@ function makeInvincibilityPickup(){
   for (let i = 0; i < 14; i++) {
     const spark = addBloom(new THREE.Mesh(sparkGeo, sparkMat.clone()));
     spark.position.set(
-      cornerToCenter.x + (Math.random() - 0.5) * 0.34,
-      cornerToCenter.y + (Math.random() - 0.5) * 0.34,
-      cornerToCenter.z + (Math.random() - 0.5) * 0.34,
+      cornerToCenter.x + (rand('cosmetic') - 0.5) * 0.34,
+      cornerToCenter.y + (rand('cosmetic') - 0.5) * 0.34,
+      cornerToCenter.z + (rand('cosmetic') - 0.5) * 0.34,
     );
     spark.userData.base = spark.position.clone();
-    spark.userData.phase = Math.random() * Math.PI * 2;
-    spark.userData.speed = 1.8 + Math.random() * 1.6;
-    spark.userData.radius = 0.02 + Math.random() * 0.03;
+    spark.userData.phase = rand('cosmetic') * Math.PI * 2;
+    spark.userData.speed = 1.8 + rand('cosmetic') * 1.6;
+    spark.userData.radius = 0.02 + rand('cosmetic') * 0.03;
     sparks.push(spark);
     balance.add(spark);
   }
@@ -259,61 +239,64 @@ function createPickupVisual(type){
   return makeCubePickup(type);
 }
 
-function spawnAtRandom(type){
-  const { root, mat, extraMats = [] } = createPickupVisual(type);
-  const ang = Math.random() * Math.PI * 2;
-  const r = 10 + Math.random() * 14;
-  root.position.set(playerGroup.position.x + Math.cos(ang) * r, PICKUP_BASE_Y, playerGroup.position.z + Math.sin(ang) * r);
+function addPickupMesh(p){
+  const { root, mat, extraMats = [] } = createPickupVisual(p.type);
+  root.position.set(p.x, PICKUP_BASE_Y, p.z);
   scene.add(root);
-  state.arenaPickups.push({
-    type,
-    mesh: root,
-    mat,
-    extraMats,
-    life: 18.0,
-    spin: Math.random() * Math.PI * 2,
-  });
+  p.mesh = root;
+  p.mat = mat;
+  p.extraMats = extraMats;
 }
 
-function triggerCoinMagnetInstant(){
-  // Instantly collect every coin currently on the ground.
-  const coinCountEl = document.getElementById('coin-count');
-  let sum = 0;
-  if (Array.isArray(state.coinPickups)) {
-    for (const cp of state.coinPickups) {
-      sum += (cp.value || 0);
-      try { scene.remove(cp.mesh); } catch {}
-      try { cp.mat?.dispose?.(); } catch {}
-    }
-    state.coinPickups.length = 0;
-  }
-  if (sum > 0) {
-    state.coins += sum;
-    if (coinCountEl) coinCountEl.textContent = state.coins;
-  }
+const POWERUP_LABELS = {
+  doubleDamage: 'Double Damage',
+  invincibility: 'Invincibility',
+  coinValue2x: '2× Coin Value',
+  xp2x: '2× XP',
+  clock: 'Time Slow',
+  blackHole: 'Black Hole',
+};
+
+// Coin records share pickups.js' meshes; a swallowed enemy dies without the
+// explosion flash.
+const _arenaHooks = {
+  added: (kind, it) => {
+    if (kind === 'arena') addPickupMesh(it);
+    else pickupHooks.added(kind, it);
+  },
+  removed: (kind, it) => {
+    if (kind !== 'arena') { pickupHooks.removed(kind, it); return; }
+    scene.remove(it.mesh);
+    it.mat.dispose();
+    for (const m of (it.extraMats || [])) m.dispose?.();
+  },
+  collected: (kind, it, dur) => {
+    if (kind !== 'arena') { pickupHooks.collected(kind, it, dur); return; }
+    if (it.type === 'armor') notifyPowerup('Armor', null);
+    else if (it.type === 'coinMagnet') notifyPowerup('Coin Magnet — Collected!', null);
+    else notifyPowerup(POWERUP_LABELS[it.type] || it.type, dur, it.type);
+  },
+  kill: (e, source) => killEnemy(state.enemies.indexOf(e), source, { explode: false }),
+};
+
+// ── Mid-run save (runSave.js) ──
+export function getArenaPickupSnapshot(){
+  return {
+    spawnTimer: getArenaSpawnTimer(),
+    pickups: (state.arenaPickups || []).map(p => ({ type: p.type, x: p.x, z: p.z, life: p.life })),
+  };
+}
+
+export function restoreArenaPickups(snap){
+  initArenaSpawns(Number.isFinite(snap?.spawnTimer) ? snap.spawnTimer : undefined);
+  for (const p of (snap?.pickups || [])) addArenaPickup(p.type, p.x, p.z, p.life, _arenaHooks);
 }
 
 export function updateArenaPickups(worldDelta){
-  const attractDelta = Math.max(0, worldDelta) / Math.max(0.0001, state.worldScale || 1.0);
-  if (!Array.isArray(state.arenaPickups)) state.arenaPickups = [];
-
-  const mult = getLuckSpawnMultiplier();
-  _spawnTimer -= worldDelta;
-  if (_spawnTimer <= 0) {
-    spawnAtRandom(randType());
-    _spawnTimer = (45.0 * mult) * (0.75 + Math.random() * 0.5);
-  }
+  tickArenaPickups(worldDelta, playerGroup.position, _arenaHooks);
 
   for (let i = state.arenaPickups.length - 1; i >= 0; i--) {
     const p = state.arenaPickups[i];
-    p.life -= worldDelta;
-    if (p.life <= 0) {
-      scene.remove(p.mesh);
-      p.mat.dispose();
-      for (const m of (p.extraMats || [])) m.dispose?.();
-      state.arenaPickups.splice(i, 1);
-      continue;
-    }
     if (p.life < 2.0) {
       const alpha = Math.max(0, p.life / 2.0);
       p.mat.transparent = true;
@@ -325,9 +308,8 @@ export function updateArenaPickups(worldDelta){
       }
     }
 
-    p.spin += worldDelta * (p.type === 'doubleDamage' || p.type === 'coinValue2x' ? 1.55 : 1.8);
     p.mesh.rotation.y = p.spin;
-    p.mesh.position.y = PICKUP_BASE_Y + Math.sin(p.spin * 2.0 + i) * 0.03;
+    p.mesh.position.set(p.x, PICKUP_BASE_Y + Math.sin(p.spin * 2.0 + i) * 0.03, p.z);
 
     if (p.mesh.userData.aura) {
       p.mesh.userData.aura.scale.setScalar(1.0 + Math.sin(p.spin * 2.8) * 0.08);
@@ -344,46 +326,29 @@ export function updateArenaPickups(worldDelta){
         spark.scale.setScalar(0.85 + Math.sin(ph * 2.0) * 0.22);
       }
     }
+  }
+}
 
-    const dx = playerGroup.position.x - p.mesh.position.x;
-    const dz = playerGroup.position.z - p.mesh.position.z;
-    const dist2 = dx*dx + dz*dz;
-
-    const dist = Math.sqrt(dist2);
-    const attractDist = getMagnetAttractRangeForTier(state.upg?.magnet || 0, false);
-    if (dist < attractDist && dist > 0.001) {
-      const spd = ITEM_ATTRACT_SPEED * attractDelta;
-      p.mesh.position.x += (dx / dist) * Math.min(spd, dist);
-      p.mesh.position.z += (dz / dist) * Math.min(spd, dist);
-    }
+// ── Black hole vortex ──
+let _bhMesh = null;
 
-    if (dist2 < 0.85*0.85) {
-      scene.remove(p.mesh);
-      p.mat.dispose();
-      for (const m of (p.extraMats || [])) m.dispose?.();
-      state.arenaPickups.splice(i, 1);
-
-      if (p.type === 'armor') {
-        grantArmor(3);
-        notifyPowerup('Armor', null);
-      } else if (p.type === 'coinMagnet') {
-        triggerCoinMagnetInstant();
-        notifyPowerup('Coin Magnet — Collected!', null);
-      } else {
-        const dur = (p.type === 'clock') ? 8 : (p.type === 'blackHole' ? 3 : 10);
-        applyEffect(p.type, dur);
-
-        switch (p.type) {
-          case 'doubleDamage':   notifyPowerup('Double Damage', dur, 'doubleDamage'); break;
-          case 'invincibility':  notifyPowerup('Invincibility', dur, 'invincibility'); break;
-          case 'coinValue2x':    notifyPowerup('2× Coin Value', dur, 'coinValue2x'); break;
-          case 'xp2x':           notifyPowerup('2× XP', dur, 'xp2x'); break;
-          case 'clock':          notifyPowerup('Time Slow', dur, 'clock'); break;
-          case 'blackHole':      notifyPowerup('Black Hole', dur, 'blackHole'); break;
-          default:               notifyPowerup(p.type, dur, p.type); break;
-        }
-      }
-      playSound('coin', 0.25, 1.2);
-    }
+export function updateBlackHole(worldDelta){
+  tickBlackHole(worldDelta, playerGroup.position, _arenaHooks);
+  const bh = state.blackHole;
+  if (bh && !_bhMesh) {
+    _bhMesh = new THREE.Mesh(
+      new THREE.SphereGeometry(1.2, 16, 16),
+      new THREE.MeshStandardMaterial({ color: 0x000000, emissive: 0x000000, metalness: 0.0, roughness: 1.0 }),
+    );
+    scene.add(_bhMesh);
+  } else if (!bh && _bhMesh) {
+    scene.remove(_bhMesh);
+    _bhMesh.geometry.dispose();
+    _bhMesh.material.dispose();
+    _bhMesh = null;
   }
+  if (!_bhMesh) return;
+  _bhMesh.position.set(bh.x, 1.2, bh.z);
+  _bhMesh.rotation.y += worldDelta * 2.5;
+  _bhMesh.scale.setScalar(1.0 + Math.sin(state.elapsed * 8) * 0.035);
 }
@@ -1,12 +1,23 @@
 // ─── armor.js ───────────────────────────────────────────────────────────────
-// Armor (3-hit) + extra-life revive logic.
+// Armor (3-hit) + extra-life revive logic, and the shared enemy-hit path.
 
 import { state } from './state.js';
 import { PLAYER_MAX_HP } from './constants.js';
 import { playSound } from './audio.js';
-import { updateHealthBar } from './player.js';
+import { rand } from './rng.js';
+import { emit, GameEvent } from './events.js';
+import { getShieldRechargeTime } from './progression.js';
+import { healFromPlayerHit } from './affixes.js';
+import { isInvincible } from './activeEffects.js';
 
 export const ARMOR_MAX_PIPS = 3;
+const SHIELD_CONTACT_CD = 0.6;  // contact breaks at most one shield charge per this long
+
+// Health bar refresh is injected from main.js so this module stays free of
+// scene/DOM imports (the headless sim applies damage through it too).
+let _onHealthChanged = null;
+export function setHealthChangedCallback(fn) { _onHealthChanged = fn; }
+function updateHealthBar() { if (_onHealthChanged) _onHealthChanged(); }
 
 export function grantArmor(hits = 3){
   state.armorHits = Math.max(state.armorHits || 0, hits);
@@ -24,14 +35,13 @@ export function getArmorHits(){
   return state.armorHits || 0;
 }
 
-export function applyPlayerDamage(amount, source = 'generic'){
+// enemyType (optional) is who dealt the hit; the last damaging hit is kept in
+// state.lastHit so run history can report the cause of death.
+export function applyPlayerDamage(amount, source = 'generic', enemyType = null){
   const dmg = Math.max(0, Number(amount) || 0);
   if (dmg <= 0) return { applied: 0, died: false, revived: false };
 
-  // Invincibility
-  if (state.invincible || state.dashInvincible || (state.effects?.invincibility || 0) > 0 || (state.reviveIFrames || 0) > 0) {
-    return { applied: 0, died: false, revived: false };
-  }
+  if (isInvincible()) return { applied: 0, died: false, revived: false };
 
   // Armor absorbs hits
   if ((state.armorHits || 0) > 0) {
@@ -45,8 +55,8 @@ export function applyPlayerDamage(amount, source = 'generic'){
   updateHealthBar();
 
   if (state.playerHP > 0) {
-    playSound('player_hit', 0.6, 0.95 + Math.random() * 0.1);
-    return { applied: dmg, died: false, revived: false };
+    playSound('player_hit', 0.6, 0.95 + rand('cosmetic') * 0.1);
+    return damaged(dmg, source, enemyType, false, false);
   }
 
   // Extra life revive
@@ -57,10 +67,45 @@ export function applyPlayerDamage(amount, source = 'generic'){
     state.reviveIFrames = 2.0;
     updateHealthBar();
     playSound('extra_life_revive', 0.9, 1.0);
-    return { applied: dmg, died: false, revived: true };
+    return damaged(dmg, source, enemyType, false, true);
+  }
+
+  return damaged(dmg, source, enemyType, true, false);
+}
+
+// An enemy hit on the player (contact, bullet, slam, charge, death blast).
+// Both the game and the headless sim route every such hit through here:
+// invincibility first, then a shield charge soaks it (contact hits break at
+// most one charge per SHIELD_CONTACT_CD), then armor / HP via
+// applyPlayerDamage. attacker (optional) is the enemy that landed the hit;
+// Vampiric elites heal from it. Returns applyPlayerDamage's result plus
+// { shielded, healed }.
+export function hitPlayer(amount, source, enemyType = null, attacker = null) {
+  const res = { applied: 0, died: false, revived: false, shielded: false, healed: 0 };
+  if (isInvincible()) return res;
+  if ((state.shieldCharges || 0) > 0) {
+    if (source === 'contact') {
+      if ((state.shieldHitCD || 0) > 0) return res;
+      state.shieldHitCD = SHIELD_CONTACT_CD;
+    }
+    state.shieldCharges -= 1;
+    if (state.shieldCharges <= 0) state.shieldRecharge = getShieldRechargeTime();
+    playSound('shield_break', 0.7, 1.0);
+    res.shielded = true;
+    return res;
   }
+  Object.assign(res, applyPlayerDamage(amount, source, enemyType));
+  if (attacker && res.applied > 0) res.healed = healFromPlayerHit(attacker, res.applied);
+  return res;
+}
 
-  return { applied: dmg, died: true, revived: false };
+function damaged(applied, source, enemyType, died, revived) {
+  state.lastHit = { source, enemyType: enemyType ?? null, t: state.elapsed || 0 };
+  emit(GameEvent.PLAYER_DAMAGED, {
+    amount: applied, source, enemyType: enemyType ?? null, hp: state.playerHP,
+    maxHp: state.playerMaxHP || PLAYER_MAX_HP, died, revived,
+  });
+  return { applied, died, revived };
 }
 
 export function updateArmorTimers(delta){
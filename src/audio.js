@@ -4,7 +4,9 @@
 //   import { initAudio, playSound, resumeAudioContext,
 //            startMusic, pauseMusic, resumeMusic, stopMusic } from './audio.js';
 
-const ctx = new AudioContext();
+// No AudioContext outside the browser (headless sim under Node) — every
+// playback path below becomes a no-op.
+const ctx = typeof AudioContext === 'function' ? new AudioContext() : null;
 const sounds = {};
 
 let musicEl = null;
@@ -39,7 +41,7 @@ let _musicWanted = false; // true when music should be playing
 
 // ── Resume AudioContext after user gesture (required by browsers) ─────────────
 export function resumeAudioContext() {
-  if (ctx.state === 'suspended') ctx.resume();
+  if (ctx?.state === 'suspended') ctx.resume();
   if (_musicWanted && !muted && musicEl && musicEl.paused) {
     musicEl.play().catch(() => {});
   }
@@ -77,7 +79,7 @@ export function playSplashSound() {
 
 // Whenever the AudioContext transitions to 'running' (e.g. after any user gesture),
 // automatically start music if it was requested but blocked
-ctx.addEventListener('statechange', () => {
+ctx?.addEventListener('statechange', () => {
   if (ctx.state === 'running' && _musicWanted && !muted && musicEl && musicEl.paused) {
     musicEl.play().catch(() => {});
   }
@@ -211,7 +213,7 @@ export function setAllSoundVolumes(map){ Object.keys(map).forEach(k => setSoundV
 // pitch:  playback rate, 1.0 = normal, vary slightly for variety
 export function playSound(name, volume = 1.0, pitch = 1.0) {
   const buf = sounds[name];
-  if (!buf || ctx.state === 'suspended' || muted) return;
+  if (!buf || !ctx || ctx.state === 'suspended' || muted) return;
 
   const src  = ctx.createBufferSource();
   const gain = ctx.createGain();
@@ -0,0 +1,359 @@
+// ─── bosses.js ───────────────────────────────────────────────────────────────
+// Boss encounters: one distinct boss per boss level (isBossLevel: 10, 20, …),
+// each a script of HP-threshold phases that cycle through named attack
+// patterns. enemies.js and sim/headless.js run the script each step and do
+// the actual work through hooks (fire a bullet, spawn an enemy, land a slam),
+// so both share the same fights. No scene or DOM access.
+//
+// Boss def fields:
+//   name, level   shown on the boss bar; the boss level it appears at
+//   color, sizeMult, hpMult   look + health on top of ENEMY_DEFS.BOSS
+//   shield        shield on top of its hp, as a fraction of it (default 0)
+//   enrage        seconds until it enrages (default BOSS_ENRAGE_TIME); an
+//                 enraged boss keeps its phase but attacks ENRAGE_TEMPO faster
+//   phases        [{ at, rest, tempo?, bulletSpeed?, adds?, patterns }]
+//     at           hp ratio at or below which the phase starts (first: 1)
+//     rest         seconds between patterns (shortened by a faster fireRate)
+//     tempo        fireRate multiplier from this phase on (< 1 = faster)
+//     bulletSpeed  bulletSpeedMult multiplier from this phase on
+//     adds         [{ type, count }] spawned once when the phase starts
+//     patterns     played in order, looping
+//
+// Patterns (all open with `windup` s of shot telegraph; `dmg` / `speed`
+// scale the boss' bullet damage / speed):
+//   aimed   { count, spread }                fan at the player
+//   ring    { count, waves?, gap? }          bullets all round; extra waves
+//                                            `gap` s apart, offset half a slot
+//   spiral  { arms, shots, duration, turn }  rotating barrage, `turn` rad/s
+//   slam    { radius, dmg }                  marks the player's spot during the
+//                                            windup, charges there and slams
+//   summon  { type, count }                  calls in minions
+
+import { ENEMY_TYPE, ENEMY_CONTACT_DPS, PLAYER_BODY_RADIUS } from './constants.js';
+import { emit, GameEvent } from './events.js';
+
+export const BossPattern = Object.freeze({
+  AIMED:  'aimed',
+  RING:   'ring',
+  SPIRAL: 'spiral',
+  SLAM:   'slam',
+  SUMMON: 'summon',
+});
+
+const DEFAULT_WINDUP = 0.45;
+const FIRST_REST     = 1.5;   // after spawning (covers the spawn fade-in)
+const SLAM_SPEED     = 16;    // charge speed, world units / s
+const SLAM_MAX_TIME  = 1.2;   // a charge that can't reach its mark slams anyway
+
+export const BOSS_ENRAGE_TIME = 90;
+const ENRAGE_TEMPO = 0.6;     // fireRate multiplier once enraged
+
+const aimed  = (count, spread, o = {}) => ({ kind: BossPattern.AIMED, count, spread, dmg: 0.6, ...o });
+const ring   = (count, o = {}) => ({ kind: BossPattern.RING, count, dmg: 0.4, ...o });
+const spiral = (arms, shots, duration, turn, o = {}) => ({ kind: BossPattern.SPIRAL, arms, shots, duration, turn, dmg: 0.3, ...o });
+const slam   = (radius, o = {}) => ({ kind: BossPattern.SLAM, radius, dmg: 0.8, windup: 0.9, ...o });
+const summon = (type, count, o = {}) => ({ kind: BossPattern.SUMMON, type, count, windup: 0.6, ...o });
+
+const { RUSHER, ORBITER, TANKER, SNIPER, TELEPORTER, SHIELDED, SPLITTER } = ENEMY_TYPE;
+
+export const BOSS_DEFS = Object.freeze({
+  warden: {
+    name: 'The Warden', level: 10, color: 0x2f2f2f, sizeMult: 2.0, hpMult: 1.0,
+    phases: [
+      { at: 1.00, rest: 1.6, patterns: [aimed(3, 0.35), ring(12)] },
+      { at: 0.66, rest: 1.4, tempo: 0.85, bulletSpeed: 1.12, adds: [{ type: RUSHER, count: 3 }],
+        patterns: [ring(14, { waves: 2, gap: 0.35 }), aimed(5, 0.5), summon(RUSHER, 3)] },
+      { at: 0.33, rest: 1.2, tempo: 0.68, bulletSpeed: 1.25, adds: [{ type: TANKER, count: 2 }],
+        patterns: [slam(3.2), spiral(2, 24, 2.4, 2.2), ring(16)] },
+    ],
+  },
+  hiveMother: {
+    name: 'Hive Mother', level: 20, color: 0x6b4f12, sizeMult: 2.2, hpMult: 1.05,
+    phases: [
+      { at: 1.00, rest: 1.5, patterns: [summon(RUSHER, 4), aimed(3, 0.3), ring(10)] },
+      { at: 0.66, rest: 1.3, tempo: 0.85, bulletSpeed: 1.1, adds: [{ type: ORBITER, count: 2 }],
+        patterns: [summon(SPLITTER, 1), ring(14), aimed(5, 0.6)] },
+      { at: 0.33, rest: 1.1, tempo: 0.7, bulletSpeed: 1.2, adds: [{ type: SNIPER, count: 2 }],
+        patterns: [summon(RUSHER, 6), spiral(3, 18, 2.0, 2.6), slam(3.0)] },
+    ],
+  },
+  tempest: {
+    name: 'Tempest', level: 30, color: 0x2a6fb0, sizeMult: 1.9, hpMult: 1.0,
+    phases: [
+      { at: 1.00, rest: 1.4, patterns: [spiral(2, 20, 2.0, 2.4), aimed(3, 0.25)] },
+      { at: 0.66, rest: 1.2, tempo: 0.85, bulletSpeed: 1.12, adds: [{ type: RUSHER, count: 4 }],
+        patterns: [spiral(3, 24, 2.4, -2.8), ring(16), spiral(3, 24, 2.4, 2.8)] },
+      { at: 0.33, rest: 1.0, tempo: 0.7, bulletSpeed: 1.22, adds: [{ type: TELEPORTER, count: 2 }],
+        patterns: [spiral(4, 30, 3.0, 3.2), ring(18, { waves: 2, gap: 0.3 }), aimed(7, 0.7)] },
+    ],
+  },
+  juggernaut: {
+    name: 'Juggernaut', level: 40, color: 0x5a1a1a, sizeMult: 2.6, hpMult: 1.15,
+    shield: 0.2,
+    phases: [
+      { at: 1.00, rest: 1.6, patterns: [slam(3.4), aimed(3, 0.3)] },
+      { at: 0.66, rest: 1.4, tempo: 0.85, bulletSpeed: 1.1, adds: [{ type: TANKER, count: 2 }],
+        patterns: [slam(3.8), ring(12), slam(3.8), aimed(5, 0.4)] },
+      { at: 0.33, rest: 1.1, tempo: 0.68, bulletSpeed: 1.2, adds: [{ type: SHIELDED, count: 3 }],
+        patterns: [slam(4.2, { windup: 0.7 }), ring(16), slam(4.2, { windup: 0.7 }), summon(TANKER, 1)] },
+    ],
+  },
+  prism: {
+    name: 'Prism', level: 50, color: 0xb03cff, sizeMult: 2.0, hpMult: 1.05,
+    phases: [
+      { at: 1.00, rest: 1.4, patterns: [ring(12, { waves: 3, gap: 0.3 }), aimed(5, 0.45)] },
+      { at: 0.66, rest: 1.2, tempo: 0.82, bulletSpeed: 1.12, adds: [{ type: SNIPER, count: 2 }],
+        patterns: [ring(16, { waves: 3, gap: 0.28 }), spiral(2, 24, 2.2, 3.0), summon(ORBITER, 3)] },
+      { at: 0.33, rest: 1.0, tempo: 0.66, bulletSpeed: 1.25, adds: [{ type: SPLITTER, count: 1 }],
+        patterns: [ring(20, { waves: 4, gap: 0.25 }), slam(3.4), aimed(7, 0.8)] },
+    ],
+  },
+  harbinger: {
+    name: 'Harbinger', level: 60, color: 0x1a5a3a, sizeMult: 2.2, hpMult: 1.1,
+    phases: [
+      { at: 1.00, rest: 1.4, patterns: [aimed(5, 0.4), summon(RUSHER, 5), ring(14)] },
+      { at: 0.75, rest: 1.3, tempo: 0.9, bulletSpeed: 1.08, adds: [{ type: ORBITER, count: 3 }],
+        patterns: [spiral(3, 24, 2.4, 2.6), slam(3.6)] },
+      { at: 0.50, rest: 1.2, tempo: 0.8, bulletSpeed: 1.15, adds: [{ type: TELEPORTER, count: 2 }],
+        patterns: [ring(16, { waves: 2, gap: 0.3 }), summon(SNIPER, 2), aimed(7, 0.6)] },
+      { at: 0.25, rest: 1.0, tempo: 0.66, bulletSpeed: 1.25, adds: [{ type: TANKER, count: 2 }],
+        patterns: [spiral(4, 32, 3.0, -3.0), slam(4.0, { windup: 0.75 }), ring(20)] },
+    ],
+  },
+  colossus: {
+    name: 'Colossus', level: 70, color: 0x4a4a6a, sizeMult: 2.8, hpMult: 1.2,
+    shield: 0.25,
+    phases: [
+      { at: 1.00, rest: 1.5, patterns: [slam(4.0), ring(14), aimed(5, 0.35)] },
+      { at: 0.66, rest: 1.3, tempo: 0.84, bulletSpeed: 1.1, adds: [{ type: SHIELDED, count: 3 }],
+        patterns: [slam(4.4), spiral(3, 24, 2.4, 2.4), summon(TANKER, 2)] },
+      { at: 0.33, rest: 1.0, tempo: 0.66, bulletSpeed: 1.22, adds: [{ type: SPLITTER, count: 2 }],
+        patterns: [slam(4.8, { windup: 0.7 }), ring(18, { waves: 3, gap: 0.28 }), slam(4.8, { windup: 0.7 })] },
+    ],
+  },
+  eclipse: {
+    name: 'Eclipse', level: 80, color: 0x151515, sizeMult: 2.1, hpMult: 1.1,
+    phases: [
+      { at: 1.00, rest: 1.3, patterns: [spiral(2, 24, 2.2, 3.0), aimed(5, 0.5), ring(16)] },
+      { at: 0.75, rest: 1.2, tempo: 0.88, bulletSpeed: 1.1, adds: [{ type: TELEPORTER, count: 3 }],
+        patterns: [ring(18, { waves: 3, gap: 0.28 }), slam(3.8)] },
+      { at: 0.50, rest: 1.1, tempo: 0.78, bulletSpeed: 1.18, adds: [{ type: SNIPER, count: 3 }],
+        patterns: [spiral(4, 32, 2.8, -3.2), summon(ORBITER, 3), aimed(7, 0.7)] },
+      { at: 0.25, rest: 0.9, tempo: 0.64, bulletSpeed: 1.28, adds: [{ type: SPLITTER, count: 2 }],
+        patterns: [spiral(5, 40, 3.2, 3.4), slam(4.2, { windup: 0.65 }), ring(22, { waves: 2, gap: 0.25 })] },
+    ],
+  },
+  voidHerald: {
+    name: 'Void Herald', level: 90, color: 0x3a0a5a, sizeMult: 2.3, hpMult: 1.15,
+    shield: 0.2, enrage: 80,
+    phases: [
+      { at: 1.00, rest: 1.3, patterns: [summon(TELEPORTER, 2), ring(16, { waves: 2, gap: 0.3 }), aimed(5, 0.45)] },
+      { at: 0.75, rest: 1.2, tempo: 0.86, bulletSpeed: 1.1, adds: [{ type: SHIELDED, count: 3 }],
+        patterns: [spiral(3, 30, 2.6, 3.0), slam(4.0)] },
+      { at: 0.50, rest: 1.0, tempo: 0.76, bulletSpeed: 1.18, adds: [{ type: ORBITER, count: 4 }],
+        patterns: [ring(20, { waves: 3, gap: 0.26 }), summon(SNIPER, 2), spiral(4, 32, 2.8, -3.0)] },
+      { at: 0.25, rest: 0.85, tempo: 0.62, bulletSpeed: 1.28, adds: [{ type: TANKER, count: 3 }],
+        patterns: [slam(4.4, { windup: 0.6 }), spiral(5, 40, 3.0, 3.6), aimed(9, 0.9)] },
+    ],
+  },
+  overmind: {
+    name: 'The Overmind', level: 100, color: 0xaa1122, sizeMult: 2.6, hpMult: 1.25,
+    shield: 0.3, enrage: 75,
+    phases: [
+      { at: 1.00, rest: 1.2, patterns: [aimed(7, 0.6), ring(18), summon(RUSHER, 6)] },
+      { at: 0.75, rest: 1.1, tempo: 0.86, bulletSpeed: 1.1, adds: [{ type: SNIPER, count: 3 }],
+        patterns: [spiral(4, 32, 2.8, 3.0), slam(4.2), ring(20, { waves: 2, gap: 0.28 })] },
+      { at: 0.50, rest: 1.0, tempo: 0.74, bulletSpeed: 1.18, adds: [{ type: SPLITTER, count: 2 }],
+        patterns: [summon(TELEPORTER, 3), spiral(5, 40, 3.0, -3.4), slam(4.6, { windup: 0.7 })] },
+      { at: 0.25, rest: 0.8, tempo: 0.6, bulletSpeed: 1.3, adds: [{ type: TANKER, count: 3 }],
+        patterns: [ring(24, { waves: 4, gap: 0.24 }), spiral(6, 48, 3.2, 3.8), slam(5.0, { windup: 0.6 }), aimed(9, 1.0)] },
+    ],
+  },
+});
+
+// Boss defs in appearance order.
+const BOSS_ORDER = Object.keys(BOSS_DEFS).sort((a, b) => BOSS_DEFS[a].level - BOSS_DEFS[b].level);
+
+// Boss that appears at `level` (snapped down to its boss level; past the last
+// one the last boss repeats).
+export function getBossIdForLevel(level) {
+  const idx = Math.floor(Math.max(1, level || 1) / 10) - 1;
+  return BOSS_ORDER[Math.max(0, Math.min(BOSS_ORDER.length - 1, idx))];
+}
+
+export function getBossDef(e) {
+  return BOSS_DEFS[e?.boss?.id] || null;
+}
+
+// Script state for a freshly spawned boss (plain data, kept on e.boss).
+export function createBossState(id) {
+  const enrage = BOSS_DEFS[id]?.enrage ?? BOSS_ENRAGE_TIME;
+  return { id, step: 0, rest: FIRST_REST, active: null, enrage, enrageMax: enrage, enraged: false };
+}
+
+// HP ratios where phases 2+ begin (boss bar markers).
+export function getBossPhaseMarkers(e) {
+  const def = getBossDef(e);
+  return def ? def.phases.slice(1).map(p => p.at) : [];
+}
+
+// ── Phases ───────────────────────────────────────────────────────────────────
+// Enters every phase whose threshold the boss' hp has crossed: retunes fire
+// rate / bullet speed, spawns the phase's adds through spawn(e, type, count)
+// and emits bossPhase.
+export function advanceBossPhase(e, spawn) {
+  const def = getBossDef(e);
+  if (!def || !e.maxHp) return;
+  const ratio = e.hp / e.maxHp;
+  while ((e.phase || 1) < def.phases.length && ratio <= def.phases[e.phase || 1].at) {
+    const next = (e.phase || 1) + 1;
+    const phase = def.phases[next - 1];
+    e.phase = next;
+    e.boss.step = 0;
+    e.fireRate = Math.max(0.28, (e.baseFireRate || 1.5) * (phase.tempo ?? 1) * (e.boss.enraged ? ENRAGE_TEMPO : 1));
+    e.bulletSpeedMult = (e.baseBulletSpeedMult || 1) * (phase.bulletSpeed ?? 1);
+    for (const add of phase.adds || []) spawn(e, add.type, add.count);
+    emit(GameEvent.BOSS_PHASE, { phase: next, enemyType: e.enemyType, bossId: e.boss.id, hpRatio: ratio });
+  }
+}
+
+// ── Enrage ───────────────────────────────────────────────────────────────────
+// Counts the enrage timer down by dt. When it runs out the boss attacks
+// ENRAGE_TEMPO faster for the rest of the fight and bossEnraged is emitted.
+// Returns true on the step it enrages.
+export function tickBossEnrage(e, dt) {
+  const b = e.boss;
+  if (!b || b.enraged) return false;
+  b.enrage = Math.max(0, b.enrage - dt);
+  if (b.enrage > 0) return false;
+  b.enraged = true;
+  e.fireRate = Math.max(0.28, (e.fireRate || e.baseFireRate || 1.5) * ENRAGE_TEMPO);
+  emit(GameEvent.BOSS_ENRAGED, { enemyType: e.enemyType, bossId: b.id });
+  return true;
+}
+
+// Boss bar countdown: { remaining, total, enraged } or null.
+export function getBossEnrage(e) {
+  const b = e.boss;
+  if (!b) return null;
+  return { remaining: b.enrage, total: b.enrageMax, enraged: b.enraged };
+}
+
+// ── Script ───────────────────────────────────────────────────────────────────
+// Advances the boss' attack script by dt with the player at (px, pz).
+// hooks:
+//   fire(e, angle, speedMult, dmgMult)     one boss bullet along `angle`
+//   spawn(e, type, count)                  minions around the boss
+//   slam(e, x, z, radius, dmgMult) → died  the slam lands
+// Returns true if a hook reported the player died.
+export function updateBossScript(e, dt, px, pz, hooks) {
+  const b = e.boss;
+  const def = getBossDef(e);
+  if (!def) return false;
+  const pos = e.grp.position;
+
+  if (!b.active) {
+    const speedUp = (e.baseFireRate && e.fireRate) ? e.baseFireRate / e.fireRate : 1;
+    b.rest -= dt * speedUp;
+    if (b.rest > 0) return false;
+    const patterns = def.phases[(e.phase || 1) - 1].patterns;
+    const pat = patterns[b.step % patterns.length];
+    b.step++;
+    b.active = { pat: { ...pat }, t: -(pat.windup ?? DEFAULT_WINDUP), fired: 0, angle: 0, x: px, z: pz };
+  }
+
+  const a = b.active;
+  const pat = a.pat;
+  a.t += dt;
+  if (a.t < 0) return false;
+  if (a.fired === 0 && pat.kind !== BossPattern.SLAM) a.angle = Math.atan2(pz - pos.z, px - pos.x);
+
+  let done = true;
+  let died = false;
+  switch (pat.kind) {
+    case BossPattern.AIMED: {
+      const aim = Math.atan2(pz - pos.z, px - pos.x);
+      for (let k = 0; k < pat.count; k++) {
+        const off = pat.count > 1 ? (k / (pat.count - 1) - 0.5) * pat.spread : 0;
+        hooks.fire(e, aim + off, pat.speed ?? 1, pat.dmg ?? 1);
+      }
+      break;
+    }
+    case BossPattern.RING: {
+      const waves = pat.waves || 1;
+      const gap = pat.gap ?? 0.3;
+      while (a.fired < waves && a.t >= a.fired * gap) {
+        const base = a.angle + (a.fired % 2) * (Math.PI / pat.count);
+        for (let k = 0; k < pat.count; k++) hooks.fire(e, base + (k / pat.count) * Math.PI * 2, pat.speed ?? 1, pat.dmg ?? 1);
+        a.fired++;
+      }
+      done = a.fired >= waves;
+      break;
+    }
+    case BossPattern.SPIRAL: {
+      const interval = pat.duration / pat.shots;
+      while (a.fired < pat.shots && a.t >= a.fired * interval) {
+        const base = a.angle + pat.turn * a.fired * interval;
+        for (let k = 0; k < pat.arms; k++) hooks.fire(e, base + (k / pat.arms) * Math.PI * 2, pat.speed ?? 1, pat.dmg ?? 1);
+        a.fired++;
+      }
+      done = a.fired >= pat.shots;
+      break;
+    }
+    case BossPattern.SLAM: {
+      const dx = a.x - pos.x, dz = a.z - pos.z;
+      const d = Math.hypot(dx, dz);
+      const step = SLAM_SPEED * dt;
+      if (d > step && a.t < SLAM_MAX_TIME) {
+        pos.x += (dx / d) * step;
+        pos.z += (dz / d) * step;
+        a.fired = 1;
+        done = false;
+      } else {
+        if (d <= step) { pos.x = a.x; pos.z = a.z; }
+        died = !!hooks.slam(e, pos.x, pos.z, pat.radius, pat.dmg ?? 1);
+      }
+      break;
+    }
+    case BossPattern.SUMMON:
+      hooks.spawn(e, pat.type, pat.count);
+      break;
+  }
+
+  if (done) {
+    b.active = null;
+    b.rest = def.phases[(e.phase || 1) - 1].rest;
+  }
+  return died;
+}
+
+// True while a slam winds up or charges (the boss' normal chase is off).
+export function isBossBusy(e) {
+  return e.boss?.active?.pat.kind === BossPattern.SLAM;
+}
+
+// 0..1 progress through the current pattern's windup, or null.
+export function getBossTell(e) {
+  const a = e.boss?.active;
+  if (!a || a.t >= 0) return null;
+  const windup = a.pat.windup ?? DEFAULT_WINDUP;
+  return Math.max(0, Math.min(1, 1 + a.t / windup));
+}
+
+// Ground mark of a pending slam: { x, z, radius, progress } or null.
+export function getBossSlamMark(e) {
+  const a = e.boss?.active;
+  if (!a || a.pat.kind !== BossPattern.SLAM) return null;
+  const windup = a.pat.windup ?? DEFAULT_WINDUP;
+  return { x: a.x, z: a.z, radius: a.pat.radius, progress: Math.max(0, Math.min(1, 1 + a.t / windup)) };
+}
+
+// Damage of a slam from e landing at (x, z) on the player at (px, pz): its
+// contact hit × dmgMult, or 0 if the player is out of reach. Chaos scaling is
+// left to the caller's hit path.
+export function getSlamDamage(e, x, z, radius, dmgMult, px, pz) {
+  const dx = px - x, dz = pz - z;
+  const reach = radius + PLAYER_BODY_RADIUS;
+  if (dx * dx + dz * dz > reach * reach) return 0;
+  return Math.max(1, e.contactDmg || ENEMY_CONTACT_DPS) * dmgMult;
+}
@@ -0,0 +1,72 @@
+// ─── characters.js ───────────────────────────────────────────────────────────
+// Playable character registry. Everything character-specific — stat
+// multipliers, primary weapon, which shop lines it may roll, colours and the
+// picker text — lives here; runState.applyCharacter() copies the stats into
+// `state`, and the menu, shop, history, replays and cosmetics read the rest.
+// No scene or DOM access (the headless sim imports it).
+//
+// Adding a character: append an entry (ids are saved in run history and
+// replays, so never rename one) and give it a `.character-capsule-<id>` /
+// `.history-char.<id>` style in main.css.
+
+// Upgrade lines that only make sense for one primary weapon (BLADE_LINE: for
+// either melee-range one, slash or disc).
+const LASER_LINE = ['laserFire', 'fireRate', 'projSpeed', 'piercing', 'multishot', 'ignite'];
+const DISC_LINE  = ['disc'];
+const BLADE_LINE = ['venom'];
+
+export const CHARACTERS = Object.freeze([
+  {
+    id: 'blue',
+    name: 'Blue Capsule',
+    primary: 'laser',
+    hpMult: 1.10,
+    damageMult: 1.0,
+    lockedUpgrades: [...DISC_LINE, ...BLADE_LINE],
+    color: 0x0044cc,      // player mesh
+    uiColor: '#00aaff',   // HUD / menu accents
+    weaponLabel: 'Starts with Laser Fire I',
+    bonusLabel: '+10% base health',
+  },
+  {
+    id: 'red',
+    name: 'Red Capsule',
+    primary: 'slash',
+    hpMult: 1.0,
+    damageMult: 1.10,
+    lockedUpgrades: [...LASER_LINE, ...DISC_LINE],
+    color: 0xcc2222,
+    uiColor: '#ff3535',
+    weaponLabel: 'Starts with Slash',
+    bonusLabel: '+10% base damage',
+  },
+  {
+    id: 'green',
+    name: 'Green Capsule',
+    primary: 'disc',
+    hpMult: 1.05,
+    damageMult: 1.05,
+    lockedUpgrades: [...LASER_LINE],
+    color: 0x129a4a,
+    uiColor: '#2ee87a',
+    weaponLabel: 'Starts with Ricochet Disc',
+    bonusLabel: '+5% base health and damage',
+  },
+]);
+
+export const DEFAULT_CHARACTER = 'blue';
+
+const BY_ID = new Map(CHARACTERS.map(c => [c.id, c]));
+
+export function getCharacter(id) {
+  return BY_ID.get(id) || BY_ID.get(DEFAULT_CHARACTER);
+}
+
+// Unknown ids (old saves, hand-edited replays) fall back to the default.
+export function normalizeCharacterId(id) {
+  return BY_ID.has(id) ? id : DEFAULT_CHARACTER;
+}
+
+export function isUpgradeAllowedForCharacter(key, id) {
+  return !getCharacter(id).lockedUpgrades.includes(key);
+}
@@ -13,7 +13,8 @@ import { playerGroup } from './player.js';
 import { playSound } from './audio.js';
 import { HEALTH_PICKUP_CHANCE } from './constants.js';
 import { spawnHealthPickup } from './pickups.js';
-import { getCoinValueMultiplier } from './activeEffects.js';
+import { getLootCoinValue } from './progression.js';
+import { rand } from './rng.js';
 
 const coinGeo     = new THREE.CylinderGeometry(0.22, 0.22, 0.08, 12);
 const coinMatBase = new THREE.MeshStandardMaterial({
@@ -38,8 +39,8 @@ export function spawnCoins(pos, count, value = 1, colorHex = null) {
       mat.emissiveIntensity = 0.55;
     }
     const mesh  = new THREE.Mesh(coinGeo, mat);
-    const angle = Math.random() * Math.PI * 2;
-    const r     = 0.3 + Math.random() * 1.2;
+    const angle = rand('loot') * Math.PI * 2;
+    const r     = 0.3 + rand('loot') * 1.2;
     mesh.position.set(pos.x + Math.cos(angle)*r, 0.35, pos.z + Math.sin(angle)*r);
     mesh.rotation.x = Math.PI / 2;
     scene.add(mesh);
@@ -49,16 +50,12 @@ export function spawnCoins(pos, count, value = 1, colorHex = null) {
 
 export function dropLoot(pos, coinValue, coinMult, coinColorHex = null) {
   // Health is still a chance-based drop (doc Section 14 excludes coins/chests).
-  if (Math.random() < HEALTH_PICKUP_CHANCE) {
+  if (rand('loot') < HEALTH_PICKUP_CHANCE) {
     spawnHealthPickup(pos);
   }
 
   // Coins always drop, tiered by enemy type at the call site.
-  const coinTier = Math.max(0, state.upg?.coinBonus || 0);
-  const chaosTier = (state.chaosTimer || 0) > 0 ? Math.max(0, state.curseTier || 0) : 0;
-  const coinBonus = [0, 0.10, 0.20, 0.30, 0.40, 0.50][Math.min(coinTier, 5)] || 0;
-  const bonus = (1 + coinBonus) * (1 + 0.25 * chaosTier) * getCoinValueMultiplier();
-  const val = Math.max(1, Math.round((coinValue || 1) * (coinMult || 1) * bonus));
+  const val = getLootCoinValue(coinValue, coinMult);
   spawnCoins(pos, 1, val, coinColorHex);
 }
 
@@ -91,13 +88,13 @@ function mergeIfNeeded(attractDist){
   // Place merged coin at edge/corner away from player.
   const px = playerGroup.position.x;
   const pz = playerGroup.position.z;
-  const dx = (Math.random() < 0.5 ? -1 : 1);
-  const dz = (Math.random() < 0.5 ? -1 : 1);
+  const dx = (rand('loot') < 0.5 ? -1 : 1);
+  const dz = (rand('loot') < 0.5 ? -1 : 1);
   const far = attractDist * 3.25;
   const pos = { x: px + dx * far, z: pz + dz * far };
   spawnCoins(pos, 1, sum, 0xffffff);
   if (state.coinPickups[0]) state.coinPickups[0].merged = true;
-  playSound('coin_merge', 0.7, 0.95 + Math.random() * 0.1);
+  playSound('coin_merge', 0.7, 0.95 + rand('cosmetic') * 0.1);
 }
 
 export function updateCoins(worldDelta){
@@ -133,7 +130,7 @@ export function updateCoins(worldDelta){
       state.coinPickups.splice(i, 1);
       state.coins += cp.value;
       if (coinCountEl) coinCountEl.textContent = state.coins;
-      playSound('coin', 0.5, 0.95 + Math.random() * 0.15);
+      playSound('coin', 0.5, 0.95 + rand('cosmetic') * 0.15);
       continue;
     }
 
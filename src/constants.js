@@ -13,12 +13,30 @@ export const SLASH_DURATION    = 0.30;            // total life (s)
 export const SLASH_SWING_TIME  = 0.05;            // blade sweeps in this time (2× faster)
 export const SLASH_FADE_TIME   = 0.25;            // fades after peak
 
+// ── Simulation timestep ──────────────────────────────────────────────────────
+export const SIM_HZ             = 60;
+export const SIM_DT             = 1 / SIM_HZ;  // fixed gameplay step (s)
+export const MAX_FRAME_DELTA    = 0.25;        // longer hitches are dropped, not simulated
+export const MAX_STEPS_PER_FRAME = 8;          // catch-up cap (avoids spiral of death)
+
 // ── Movement ─────────────────────────────────────────────────────────────────
 export const PLAYER_SPEED          = 7;
 export const ENEMY_SPEED           = 3.08;
 export const BULLET_SPEED          = 14;
 export const BULLET_LIFETIME       = 2.2;
 
+// ── Camera / body geometry ───────────────────────────────────────────────────
+// Plain numbers so the headless sim uses the same values as renderer.js,
+// player.js and materials.js.
+export const CAM_D              = 12;    // ortho camera half-height (world units)
+export const CAM_DIST           = 28;    // camera offset along each axis
+export const PLAYER_BODY_RADIUS = 0.6;
+export const SHIELD_RADIUS      = 1.5;
+export const ENEMY_BODY_RADIUS  = 0.4;   // materials.js enemyGeoParams default
+// Isometric movement axes on the ground plane (W = screen-up, D = screen-right).
+export const ISO_FWD_XZ   = Object.freeze({ x: -Math.SQRT1_2, z: -Math.SQRT1_2 });
+export const ISO_RIGHT_XZ = Object.freeze({ x:  Math.SQRT1_2, z: -Math.SQRT1_2 });
+
 // ── Health / Combat ──────────────────────────────────────────────────────────
 export const PLAYER_MAX_HP         = 100;
 export const ENEMY_HP              = 30;
@@ -35,6 +53,9 @@ export const DASH_SPEED      = 28;
 export const DASH_DURATION   = 0.18;
 export const DASH_COOLDOWN   = 1.4;
 export const DASH_SLOW_SCALE  = 0.15;
+
+// ── Manual aim ───────────────────────────────────────────────────────────────
+export const AIM_STEPS             = 4096;  // aim angles are quantized to 1/4096 turn (replays store the step)
 export const SLOW_SNAP_RATE   = 22;
 export const SLOW_RECOVER_RATE = 7;
 
@@ -218,6 +239,10 @@ export const ENEMY_TYPE = Object.freeze({
   TELEPORTER: 'TELEPORTER',
   SHIELDED: 'SHIELDED',
   SPLITTER: 'SPLITTER',
+  CHARGER: 'CHARGER',
+  BOMBER: 'BOMBER',
+  HEALER: 'HEALER',
+  NEST: 'NEST',
   BOSS: 'BOSS',
 });
 
@@ -232,23 +257,39 @@ export function getActiveEnemyTypesForLevel(level){
   const types = [ENEMY_TYPE.RUSHER];
   if (L >= 6) types.push(ENEMY_TYPE.ORBITER);
   if (L >= 11) types.push(ENEMY_TYPE.TANKER);
+  if (L >= 16) types.push(ENEMY_TYPE.CHARGER);
   if (L >= 21) types.push(ENEMY_TYPE.SNIPER);
+  if (L >= 26) types.push(ENEMY_TYPE.BOMBER);
   if (L >= 31) types.push(ENEMY_TYPE.TELEPORTER);
+  if (L >= 36) types.push(ENEMY_TYPE.HEALER);
   if (L >= 41) types.push(ENEMY_TYPE.SHIELDED);
+  if (L >= 46) types.push(ENEMY_TYPE.NEST);
   if (L >= 51) types.push(ENEMY_TYPE.SPLITTER);
   return types;
 }
 
 // enemy defs: percent values are fractions of player max HP (e.g. 0.10 = 10%)
+// resist / shieldResist: fraction of a damage type ignored (damage.js)
+// BOSS: look/hp are per boss level (bosses.js); fireRate paces its attack patterns
+// CHARGER / BOMBER / HEALER / NEST: AI tuning for enemyAI.js (seconds, world units;
+//   chargePct / minePct are hits relative to contactPct)
+//   charger  chargeRange, chargeWindup, chargeSpeed, chargeTime, chargeCooldown
+//   bomber   keepDist, mineInterval, mineRange, mineFuse, mineRadius
+//   healer   keepDist, healInterval, healRadius, healPct (of the ally's max hp), bossHealMult
+//   nest     nestInterval, nestCount (rushers per wave), nestMax (its live rushers); never moves
 export const ENEMY_DEFS = Object.freeze({
   [ENEMY_TYPE.RUSHER]:     { color: 0x888888, sizeMult: 0.75, hpPct: 0.08, contactPct: 0.10, shoot: false, metallic: false },
   [ENEMY_TYPE.ORBITER]:    { color: 0x00cc44, sizeMult: 1.00, hpPct: 0.50, contactPct: 0.15, shoot: true,  bulletPct: 0.10, fireRate: 4.00, bulletSpeedMult: 1.00, metallic: true,  orbitR: 6.5 },
-  [ENEMY_TYPE.TANKER]:     { color: 0x2b2b2b, sizeMult: 1.50, hpPct: 2.00, contactPct: 0.20, shoot: true,  bulletPct: 0.20, fireRate: 4.50, bulletSpeedMult: 0.85, metallic: true },
+  [ENEMY_TYPE.TANKER]:     { color: 0x2b2b2b, sizeMult: 1.50, hpPct: 2.00, contactPct: 0.20, shoot: true,  bulletPct: 0.20, fireRate: 4.50, bulletSpeedMult: 0.85, metallic: true, resist: { kinetic: 0.30, poison: 0.50 } },
   [ENEMY_TYPE.SNIPER]:     { color: 0x9b30ff, sizeMult: 1.00, hpPct: 3.00, contactPct: 0.10, shoot: true,  bulletPct: 0.333, fireRate: 3.70, bulletSpeedMult: 1.35, metallic: false },
   [ENEMY_TYPE.TELEPORTER]: { color: 0xe0e0e0, sizeMult: 0.75, hpPct: 3.00, contactPct: 0.333, shoot: false, metallic: false, teleportWhenBelow: 0.50 },
-  [ENEMY_TYPE.SHIELDED]:   { color: 0x4aa3ff, sizeMult: 1.25, hpPct: 0.50, shieldPct: 1.50, contactPct: 0.20, shoot: false, metallic: false },
+  [ENEMY_TYPE.SHIELDED]:   { color: 0x4aa3ff, sizeMult: 1.25, hpPct: 0.50, shieldPct: 1.50, contactPct: 0.20, shoot: false, metallic: false, shieldResist: { energy: 0.60 } },
   [ENEMY_TYPE.SPLITTER]:   { color: 0x80FB37, sizeMult: 2.00, hpPct: 3.00, contactPct: 0.30, shoot: true, bulletPct: 0.25, fireRate: 4.00, bulletSpeedMult: 1.20, metallic: false, splitCountMin: 2, splitCountMax: 3 },
-  [ENEMY_TYPE.BOSS]:       { color: 0x111111, sizeMult: 2.00, hpPct: 4.00, contactPct: 0.50, shoot: true,  bulletPct: 0.33, fireRate: 1.75, bulletSpeedMult: 1.375, metallic: true },
+  [ENEMY_TYPE.CHARGER]:    { color: 0xff6a1a, sizeMult: 1.10, hpPct: 0.60, contactPct: 0.15, shoot: false, metallic: true, chargeRange: 9.0, chargeWindup: 0.85, chargeSpeed: 16.0, chargeTime: 0.60, chargeCooldown: 3.6, chargePct: 0.12 },
+  [ENEMY_TYPE.BOMBER]:     { color: 0xd6c21a, sizeMult: 1.05, hpPct: 0.80, contactPct: 0.10, shoot: false, metallic: false, keepDist: 8.0, mineInterval: 3.6, mineRange: 14.0, mineFuse: 2.2, mineRadius: 2.6, minePct: 0.18 },
+  [ENEMY_TYPE.HEALER]:     { color: 0x4dffb0, sizeMult: 0.95, hpPct: 1.20, contactPct: 0.10, shoot: false, metallic: false, keepDist: 11.0, healInterval: 2.5, healRadius: 6.5, healPct: 0.12, bossHealMult: 0.25 },
+  [ENEMY_TYPE.NEST]:       { color: 0x7a3d1f, sizeMult: 2.20, hpPct: 5.00, contactPct: 0.20, shoot: false, metallic: false, nestInterval: 5.0, nestCount: 2, nestMax: 6 },
+  [ENEMY_TYPE.BOSS]:       { color: 0x111111, sizeMult: 2.00, hpPct: 4.00, contactPct: 0.50, shoot: true,  bulletPct: 0.33, fireRate: 1.75, bulletSpeedMult: 1.375, metallic: true, resist: { electric: 0.25 } },
 });
 
 export function isBossLevel(level){
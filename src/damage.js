@@ -0,0 +1,55 @@
+// ─── damage.js ───────────────────────────────────────────────────────────────
+// Player → enemy damage pipeline: crit roll, damage-type resistance from
+// ENEMY_DEFS, enemy shields, weaponStats bookkeeping and the Reflective affix
+// (affixes.js). Every weapon hit, status tick and burst goes through
+// applyEnemyDamage(); the caller shows the returned hit (damageNumbers.js) and
+// handles the kill.
+// No scene or DOM access (the headless sim imports it).
+//
+// ENEMY_DEFS fields read here:
+//   resist        { [DamageType]: fraction } ignored always (negative = weakness)
+//   shieldResist  { [DamageType]: fraction } ignored while the shield holds
+
+import { ENEMY_DEFS } from './constants.js';
+import { rand } from './rng.js';
+import { getCritChance, getCritMultiplier } from './progression.js';
+import { recordWeaponDamage } from './weaponStats.js';
+import { storeReflectedDamage } from './affixes.js';
+
+export const DamageType = Object.freeze({
+  KINETIC:  'kinetic',    // slash, discs
+  ENERGY:   'energy',     // lasers, orbit, burn
+  ELECTRIC: 'electric',   // lightning, storm arcs
+  POISON:   'poison',     // venom
+});
+
+// Fraction of `type` damage enemy `e` ignores right now.
+export function getEnemyResist(e, type) {
+  const def = ENEMY_DEFS[e.enemyType];
+  if (!def || !type) return 0;
+  let resist = def.resist?.[type] || 0;
+  if ((e.shieldHp || 0) > 0) resist = Math.max(resist, def.shieldResist?.[type] || 0);
+  return resist;
+}
+
+// Applies a hit of `base` damage and returns { amount, crit, resisted }.
+// Crits roll on the 'weapons' stream; pass canCrit = false for ticks.
+export function applyEnemyDamage(e, base, source, type, canCrit = true) {
+  const crit = canCrit && rand('weapons') < getCritChance();
+  const resist = getEnemyResist(e, type);
+  const amount = Math.max(1, Math.round(base * (crit ? getCritMultiplier() : 1) * (1 - resist)));
+
+  recordWeaponDamage(source, Math.min(amount, Math.max(0, e.hp) + Math.max(0, e.shieldHp || 0)));
+  // Shield absorbs damage first, overflow carries into HP.
+  if (e.shieldHp && e.shieldHp > 0) {
+    e.shieldHp -= amount;
+    if (e.shieldHp < 0) {
+      e.hp += e.shieldHp;
+      e.shieldHp = 0;
+    }
+  } else {
+    e.hp -= amount;
+  }
+  storeReflectedDamage(e, amount);
+  return { amount, crit, resisted: resist > 0 };
+}
@@ -3,12 +3,13 @@ import * as THREE from 'three';
 import { scene } from './renderer.js';
 import { state } from './state.js';
 import { playerGroup } from './player.js';
+import { rand } from './rng.js';
 
 const dmgCanvasPool = [];
 const dmgTexturePool = [];
 const dmgSpritePool = [];
 
-function makeSprite(text, fillStyle) {
+function makeSprite(text, fillStyle, scale = 1) {
   const c = dmgCanvasPool.pop() ||
     Object.assign(document.createElement('canvas'), { width: 256, height: 128 });
   const ctx = c.getContext('2d');
@@ -31,7 +32,7 @@ function makeSprite(text, fillStyle) {
   spr.material.map = tex;
   spr.material.opacity = 1;
   spr.visible = true;
-  spr.scale.set(1.9, 0.95, 1);
+  spr.scale.set(1.9 * scale, 0.95 * scale, 1);
   return { spr, tex, canvas: c };
 }
 
@@ -50,29 +51,39 @@ function releaseSprite(obj) {
 export function spawnPlayerDamageNum(amount) {
   const obj = makeSprite('-' + Math.round(amount), 'rgba(255,60,60,1.0)');
   obj.spr.position.copy(playerGroup.position);
-  obj.spr.position.y += 3.5 + Math.random() * 0.5;
-  obj.spr.position.x += (Math.random() - 0.5) * 0.8;
-  obj.spr.position.z += (Math.random() - 0.5) * 0.8;
+  obj.spr.position.y += 3.5 + rand('cosmetic') * 0.5;
+  obj.spr.position.x += (rand('cosmetic') - 0.5) * 0.8;
+  obj.spr.position.z += (rand('cosmetic') - 0.5) * 0.8;
   scene.add(obj.spr);
-  state.damageNums.push({ ...obj, life: 0.8, maxLife: 0.8, vy: 2.0 + Math.random() * 0.6 });
+  state.damageNums.push({ ...obj, life: 0.8, maxLife: 0.8, vy: 2.0 + rand('cosmetic') * 0.6 });
 }
 
-export function spawnEnemyDamageNum(amount, enemy) {
-  const obj = makeSprite('-' + Math.round(amount), '#ffffff');
+// Enemy hit styles by the `hit` damage.js returns: crits big and gold,
+// resisted hits small and grey, everything else plain white.
+const HIT_STYLE = {
+  normal:   { fill: '#ffffff', scale: 1.0,  suffix: '' },
+  crit:     { fill: '#ffd23f', scale: 1.35, suffix: '!' },
+  resisted: { fill: '#9aa4b2', scale: 0.8,  suffix: '' },
+};
+
+export function spawnEnemyDamageNum(amount, enemy, hit = null) {
+  const style = hit?.crit ? HIT_STYLE.crit : (hit?.resisted ? HIT_STYLE.resisted : HIT_STYLE.normal);
+  const obj = makeSprite('-' + Math.round(amount) + style.suffix, style.fill, style.scale);
   obj.spr.position.copy(enemy.grp.position);
-  obj.spr.position.y += 3.0 + Math.random() * 0.5;
-  obj.spr.position.x += (Math.random() - 0.5) * 0.8;
-  obj.spr.position.z += (Math.random() - 0.5) * 0.8;
+  obj.spr.position.y += 3.0 + rand('cosmetic') * 0.5;
+  obj.spr.position.x += (rand('cosmetic') - 0.5) * 0.8;
+  obj.spr.position.z += (rand('cosmetic') - 0.5) * 0.8;
   scene.add(obj.spr);
-  state.damageNums.push({ ...obj, life: 0.7, maxLife: 0.7, vy: 1.8 + Math.random() * 0.5 });
+  state.damageNums.push({ ...obj, life: 0.7, maxLife: 0.7, vy: 1.8 + rand('cosmetic') * 0.5 });
 }
 
-export function spawnHealNum(amount) {
+// Over the player, or over `enemy` (healer pulses).
+export function spawnHealNum(amount, enemy = null) {
   const obj = makeSprite('+' + Math.round(amount), '#44ff66');
-  obj.spr.position.copy(playerGroup.position);
-  obj.spr.position.y += 3.5 + Math.random() * 0.5;
-  obj.spr.position.x += (Math.random() - 0.5) * 0.8;
-  obj.spr.position.z += (Math.random() - 0.5) * 0.8;
+  obj.spr.position.copy(enemy ? enemy.grp.position : playerGroup.position);
+  obj.spr.position.y += 3.5 + rand('cosmetic') * 0.5;
+  obj.spr.position.x += (rand('cosmetic') - 0.5) * 0.8;
+  obj.spr.position.z += (rand('cosmetic') - 0.5) * 0.8;
   scene.add(obj.spr);
   state.damageNums.push({ ...obj, life: 0.85, maxLife: 0.85, vy: 2.2 });
 }
@@ -4,30 +4,46 @@ import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
 import { scene, CAM_D } from './renderer.js';
 import { state } from './state.js';
 import {
-  ENEMY_SPEED, ENEMY_CONTACT_DPS, ENEMY_BULLET_SPEED, ENEMY_BULLET_LIFETIME,
-  ENEMY_BULLET_DMG,
   STAGGER_DURATION, SPAWN_FLASH_DURATION, ELITE_FIRE_RATE, ELITE_TYPES, PLAYER_MAX_HP,
-  ENEMY_DEFS, ENEMY_TYPE, getBossScaleForLevel, getEnemyHealthScaleForLevel, getEnemyDamageScaleForLevel,
+  ENEMY_DEFS, ENEMY_TYPE, getEnemyHealthScaleForLevel,
 } from './constants.js';
 import {
   enemyGeo, enemyMat, enemyGeoParams, bulletGeoParams,
   enemyBulletGeo, getEnemyBulletMat, floorY,
 } from './materials.js';
-import { playerGroup, updateHealthBar, hasShieldBubble, SHIELD_RADIUS, PLAYER_BODY_RADIUS } from './player.js';
+import { playerGroup, updateHealthBar } from './player.js';
 import { steerAroundProps, pushOutOfProps, hasLineOfSight } from './terrain.js';
-import { spawnEnemyDamageNum, spawnPlayerDamageNum } from './damageNumbers.js';
+import { spawnEnemyDamageNum, spawnPlayerDamageNum, spawnHealNum } from './damageNumbers.js';
 import { spawnExplosion } from './particles.js';
-import { dropLoot } from './pickups.js';
+import { pickupHooks } from './pickups.js';
+import { settleKill } from './loot.js';
 import { updateXP } from './xp.js';
-import { getXPRewardForEnemy, getCoinTierForEnemy } from './leveling.js';
 import { playSound } from './audio.js';
 import { STANDARD_ENEMY_SIZE_MULT } from './constants.js';
-import { applyPlayerDamage } from './armor.js';
+import { applyPlayerDamage, hitPlayer } from './armor.js';
+import { rand } from './rng.js';
+import { applyEnemyDamage } from './damage.js';
+import { tickStatuses, getStatusSpeedMult, getStatusTint } from './statusEffects.js';
+import {
+  AFFIX_DEFS, AffixId, rollAffixes, getFrostAuraSlow,
+  takeReflectedDamage, tickSummoner, getDeathBlast, tickDeathBlasts,
+} from './affixes.js';
+import {
+  createBossState, advanceBossPhase, tickBossEnrage, updateBossScript, getBossTell, getBossSlamMark, getSlamDamage,
+} from './bosses.js';
+import {
+  createArchetypeState, updateArchetype, getArchetypeTell, spawnAround, updateTeleporter, updateShooter,
+  makeEnemyBullet, canEnemyMove, moveEnemy, getContactHitDamage, resolvePlayerContact, separateEnemies,
+} from './enemyAI.js';
+import {
+  getActiveChaosTier, getChaosStatMult, getShotTellConfig, getEnemyTypeConfig, getEnemyHitDamage,
+} from './enemyStats.js';
 
 // Reused quaternion helpers for enemy laser orientation
 const _eBulletUp  = new THREE.Vector3(0, 1, 0);
 const _eBulletDir = new THREE.Vector3();
 const _eBulletQ   = new THREE.Quaternion();
+const _blastPos   = new THREE.Vector3();
 
 // Back-compat helper:
 // Some spawn paths (especially older "eliteType" spawns) expect a getEnemyHP() function.
@@ -67,15 +83,6 @@ function ensureOrbiterLane() {
   return null;
 }
 
-function getShotTellConfig(enemyType, isBoss) {
-  if (isBoss || enemyType === ENEMY_TYPE.BOSS) return { prep: 0.34, color: 0xff4444, scale: 1.6 };
-  if (enemyType === ENEMY_TYPE.SNIPER) return { prep: 0.58, color: 0xd975ff, scale: 1.45 };
-  if (enemyType === ENEMY_TYPE.TANKER) return { prep: 0.42, color: 0xffaa33, scale: 1.75 };
-  if (enemyType === ENEMY_TYPE.ORBITER) return { prep: 0.22, color: 0x66ff99, scale: 1.25 };
-  if (enemyType === ENEMY_TYPE.SPLITTER) return { prep: 0.28, color: 0x80fb37, scale: 1.5 };
-  return { prep: 0.20, color: 0xff8844, scale: 1.3 };
-}
-
 function rebuildEnemySpatialHash() {
   const map = new Map();
   for (const e of state.enemies) {
@@ -132,63 +139,112 @@ export function releaseEnemyBulletVisual(mesh) {
   _enemyBulletPool.push(mesh);
 }
 
-function _fireEnemyShot(e, dx, dz, dist) {
-  if (!(dist > 0.5)) return;
-  const RANGE = ENEMY_BULLET_SPEED * ENEMY_BULLET_LIFETIME * 0.72;
-  if (dist >= RANGE) return;
-  if (!hasLineOfSight(e.grp.position.x, e.grp.position.z, playerGroup.position.x, playerGroup.position.z)) return;
-
-  const spd = ENEMY_BULLET_SPEED * (e.bulletSpeedMult || 1);
-  const dvx = (dx / dist) * spd;
-  const dvz = (dz / dist) * spd;
+const _shooterHooks = {
+  canSee: e => hasLineOfSight(e.grp.position.x, e.grp.position.z, playerGroup.position.x, playerGroup.position.z),
+  fire: (e, dirX, dirZ) => {
+    _spawnEnemyBullet(e, dirX, dirZ);
+    playSound('elite_shoot', 0.5, 0.9 + rand('cosmetic') * 0.2);
+  },
+};
+
+// One enemy bullet from e along the unit direction (dirX, dirZ).
+function _spawnEnemyBullet(e, dirX, dirZ, speedMult = 1, dmgMult = 1) {
+  const b = makeEnemyBullet(e, dirX, dirZ, speedMult, dmgMult);
   const bMesh = acquireEnemyBulletVisual(e.enemyType === ENEMY_TYPE.SNIPER ? 0xd975ff : (e.isBoss ? 0xff3333 : 0xff4400));
-
-  _eBulletDir.set(dvx, 0, dvz).normalize();
+  _eBulletDir.set(b.vx, 0, b.vz).normalize();
   _eBulletQ.setFromUnitVectors(_eBulletUp, _eBulletDir);
   bMesh.quaternion.copy(_eBulletQ);
-  bMesh.position.copy(e.grp.position);
-  bMesh.position.y = floorY(bulletGeoParams);
+  bMesh.position.set(b.x, floorY(bulletGeoParams), b.z);
   scene.add(bMesh);
+  b.mesh = bMesh;
+  state.enemyBullets.push(b);
+}
 
-  const chaosTier = getActiveChaosTier();
-  const dmg = (Math.max(1, e.bulletDmg || ENEMY_BULLET_DMG)) * (1 + 0.20 * chaosTier) * (e.phase >= 3 ? 1.12 : 1.0);
-  state.enemyBullets.push({ mesh: bMesh, vx: dvx, vz: dvz, life: ENEMY_BULLET_LIFETIME, dmg });
-  playSound('elite_shoot', 0.5, 0.9 + Math.random() * 0.2);
+// ── Boss scripts (bosses.js) ─────────────────────────────────────────────────
+// Boss adds / summons and nest waves. → the spawned enemies
+function _spawnMinions(e, type, count) {
+  return spawnAround(e.grp.position.x, e.grp.position.z, type, count, 2.2, 1.8, 'enemies', spawnEnemyAtPosition);
 }
 
-function _maybeAdvanceBossPhase(e) {
-  if (!e?.isBoss || !e.maxHp) return;
-  const ratio = e.hp / e.maxHp;
-  if ((e.phase || 1) < 2 && ratio <= 0.66) {
-    e.phase = 2;
-    e.fireRate = Math.max(0.35, (e.baseFireRate || e.fireRate || 1.5) * 0.85);
-    e.bulletSpeedMult = (e.baseBulletSpeedMult || e.bulletSpeedMult || 1) * 1.12;
-    for (let k = 0; k < 3; k++) {
-      const a = Math.random() * Math.PI * 2;
-      spawnEnemyAtPosition(e.grp.position.x + Math.cos(a) * (2.2 + Math.random() * 1.4), e.grp.position.z + Math.sin(a) * (2.2 + Math.random() * 1.4), ENEMY_TYPE.RUSHER);
-    }
-  }
-  if ((e.phase || 1) < 3 && ratio <= 0.33) {
-    e.phase = 3;
-    e.fireRate = Math.max(0.28, (e.baseFireRate || e.fireRate || 1.25) * 0.68);
-    e.bulletSpeedMult = (e.baseBulletSpeedMult || e.bulletSpeedMult || 1) * 1.25;
-    for (let k = 0; k < 2; k++) {
-      const a = Math.random() * Math.PI * 2;
-      const type = (state.playerLevel || 1) >= 21 ? ENEMY_TYPE.SNIPER : ENEMY_TYPE.TANKER;
-      spawnEnemyAtPosition(e.grp.position.x + Math.cos(a) * (2.6 + Math.random() * 1.8), e.grp.position.z + Math.sin(a) * (2.6 + Math.random() * 1.8), type);
+// A slam or charge from `e` lands on the player; returns true if it killed
+// them.
+function _hitPlayerFrom(e, dmg, source) {
+  const res = hitPlayer(dmg * (1 + 0.20 * getActiveChaosTier()), source, e.enemyType);
+  if (res.applied > 0) spawnPlayerDamageNum(Math.round(res.applied));
+  return res.died;
+}
+
+function _bossSlam(e, x, z, radius, dmgMult) {
+  _blastPos.set(x, 0, z);
+  spawnExplosion(_blastPos, { color: e.baseColor.getHex() });
+  playSound('explodeElite', 0.9, 0.7 + rand('cosmetic') * 0.1);
+  const dmg = getSlamDamage(e, x, z, radius, dmgMult, playerGroup.position.x, playerGroup.position.z);
+  return dmg > 0 && _hitPlayerFrom(e, dmg, 'slam');
+}
+
+const _bossHooks = {
+  fire: (e, angle, speedMult, dmgMult) => _spawnEnemyBullet(e, Math.cos(angle), Math.sin(angle), speedMult, dmgMult),
+  spawn: _spawnMinions,
+  slam: _bossSlam,
+};
+
+// Shot-cue + glow telegraph for a boss pattern or charger windup (0..1), or
+// null to clear it.
+function _showWindupTell(e, windup) {
+  if (windup !== null) {
+    const tell = getShotTellConfig(e.enemyType, e.isBoss);
+    if (e.shotCue) {
+      e.shotCue.visible = true;
+      e.shotCue.material.opacity = (0.45 + 0.55 * windup) * 0.85;
+      e.shotCue.scale.setScalar(1.0 + windup * 0.22);
     }
+    e.mat.emissive.setHex(tell.color);
+    e.mat.emissiveIntensity = 1.1 + windup * 1.6;
+  } else if (e.shotCue?.visible) {
+    e.shotCue.visible = false;
+    e.shotCue.material.opacity = 0;
+    e.shotCue.scale.setScalar(1);
+    if (e.staggerTimer <= 0) _restEmissive(e);
   }
 }
 
-
-function getActiveChaosTier() {
-  return (state.chaosTimer || 0) > 0 ? Math.max(0, state.curseTier || 0) : 0;
+// ── Archetype AI (enemyAI.js) ────────────────────────────────────────────────
+const _archetypeHooks = {
+  hit: _hitPlayerFrom,
+  mine: (e, blast) => _addDeathBlast(blast),
+  heal: (e, target, amount) => {
+    spawnHealNum(amount, target);
+    updateEliteBar(target);
+  },
+  spawn: _spawnMinions,
+};
+
+// Ground mark under a pending slam, filling in over the windup.
+function _syncSlamMark(e) {
+  const mark = getBossSlamMark(e);
+  if (!mark) {
+    if (e.slamCue) e.slamCue.visible = false;
+    return;
+  }
+  if (!e.slamCue) {
+    e.slamCue = makeGroundCue(0xff3322, 1);
+    scene.add(e.slamCue);
+  }
+  e.slamCue.visible = true;
+  e.slamCue.position.set(mark.x, 0.08, mark.z);
+  e.slamCue.scale.setScalar(mark.radius * (0.85 + 0.15 * mark.progress));
+  e.slamCue.material.opacity = 0.35 + 0.55 * mark.progress;
 }
 
-function getChaosStatMult() {
-  return 1 + 0.20 * getActiveChaosTier();
+function _removeSlamMark(e) {
+  if (!e.slamCue) return;
+  scene.remove(e.slamCue);
+  e.slamCue.geometry.dispose();
+  e.slamCue.material.dispose();
+  e.slamCue = null;
 }
 
+
 function syncEnemyChaosTier(e) {
   const nextTier = getActiveChaosTier();
   const prevTier = Math.max(0, e.chaosAppliedTier || 0);
@@ -206,7 +262,72 @@ function syncEnemyChaosTier(e) {
 }
 
 // ── Spawn ─────────────────────────────────────────────────────────────────────
-export function spawnEnemy(x, z, eliteTypeOrCfg = null) {
+// CSS2D health bar over elites, bosses and affixed enemies. The bar sits in a
+// column box so an affix name plate can stack on top of it.
+function _makeEliteBar(grp, scaleMult, isBossBar) {
+  const box = document.createElement('div');
+  box.className = 'elite-bar';
+  const bWrap = document.createElement('div');
+  bWrap.className = 'elite-bar-wrap';
+  bWrap.style.width = Math.round((isBossBar ? 84 : 40) + scaleMult * (isBossBar ? 44 : 30)) + 'px';
+  const bFill = document.createElement('div');
+  bFill.className = 'elite-bar-fill';
+  bFill.style.width = '100%';
+  // Boss bars are always red; elites keep their red gradient too.
+  bFill.style.background = isBossBar
+    ? 'linear-gradient(to right,#660000,#ff0000)'
+    : 'linear-gradient(to right,#880000,#ff2222)';
+  bWrap.appendChild(bFill);
+  box.appendChild(bWrap);
+  const bObj = new CSS2DObject(box);
+  bObj.position.set(0, (enemyGeoParams.radius + enemyGeoParams.length/2) * scaleMult * 2 + 0.5, 0);
+  grp.add(bObj);
+  return { box, fill: bFill };
+}
+
+// Affix tells (affixes.js): a ground ring per affix in its colour — Frost
+// Aura's at the aura's real radius — and a name plate above the elite bar.
+function _applyAffixTells(e) {
+  for (const ring of e.affixRings || []) {
+    e.grp.remove(ring);
+    ring.geometry.dispose();
+    ring.material.dispose();
+  }
+  e.affixRings = [];
+  e.affixPlate?.remove();
+  e.affixPlate = null;
+  if (!e.affixes?.length) return;
+
+  if (!e.eliteBarBox) {
+    const bar = _makeEliteBar(e.grp, e.scaleMult || 1, e.isBoss);
+    e.eliteBarBox = bar.box;
+    e.eliteBarFill = bar.fill;
+  }
+  const bodyR = enemyGeoParams.radius * (e.scaleMult || 1);
+  const plate = document.createElement('div');
+  plate.className = 'elite-affix-plate';
+  e.affixes.forEach((a, k) => {
+    const def = AFFIX_DEFS[a.id];
+    if (!def) return;
+    const ring = makeGroundCue(def.color, def.aura ?? bodyR * (1.6 + 0.35 * k));
+    ring.visible = true;
+    ring.userData.baseOpacity = def.aura ? 0.3 : 0.55;
+    ring.material.opacity = ring.userData.baseOpacity;
+    e.grp.add(ring);
+    e.affixRings.push(ring);
+
+    const name = document.createElement('span');
+    name.textContent = def.name;
+    name.style.color = '#' + def.color.toString(16).padStart(6, '0');
+    plate.appendChild(name);
+  });
+  e.eliteBarBox.prepend(plate);
+  e.affixPlate = plate;
+}
+
+// `saved` (runSave.js) restores an enemy instead of spawning a fresh one: its
+// affixes, shot timer and spawn fade are taken as saved rather than rolled.
+export function spawnEnemy(x, z, eliteTypeOrCfg = null, saved = null) {
   const grp = new THREE.Group();
   grp.position.set(x, 0, z);
 
@@ -221,20 +342,7 @@ export function spawnEnemy(x, z, eliteTypeOrCfg = null) {
   let enemyType = null;
   if (typeof eliteTypeOrCfg === 'string' && ENEMY_DEFS[eliteTypeOrCfg]) {
     enemyType = eliteTypeOrCfg;
-    const def = ENEMY_DEFS[enemyType];
-    const hpScale = (enemyType === ENEMY_TYPE.BOSS)
-      ? (getBossScaleForLevel(state.playerLevel || 1).hpMult || 1)
-      : getEnemyHealthScaleForLevel(state.playerLevel || 1);
-    eliteTypeOrCfg = {
-      isBoss: enemyType === ENEMY_TYPE.BOSS,
-      color: def.color,
-      sizeMult: def.sizeMult,
-      health: Math.round((state.playerMaxHP ?? PLAYER_MAX_HP) * (def.hpPct ?? 1) * hpScale),
-      expMult: 1,
-      coinMult: 1,
-      fireRate: def.shoot ? def.fireRate : undefined,
-      bulletSpeedMult: def.bulletSpeedMult ?? 1,
-    };
+    eliteTypeOrCfg = getEnemyTypeConfig(enemyType);
   }
   const isCfg = !!(eliteTypeOrCfg && (
     eliteTypeOrCfg.isBoss ||
@@ -281,50 +389,31 @@ export function spawnEnemy(x, z, eliteTypeOrCfg = null) {
     ? Math.round(cfg.health * curseMult)
     : Math.round(getEnemyHP() * hpMult * curseMult);
 
+  const shieldHp = (cfg && cfg.shield > 0) ? Math.round(cfg.shield * curseMult) : 0;
+
   const fireRate = (cfg && Number.isFinite(cfg.fireRate))
     ? cfg.fireRate
     : (eliteType ? (ELITE_FIRE_RATE[eliteType.minLevel] ?? 2.0) : null);
 
   const isBossBar = !!(cfg && cfg.isBoss) || (enemyType === ENEMY_TYPE.BOSS);
+  const affixes = saved ? (saved.affixes || []) : rollAffixes({ isBoss: isBossBar, eliteType, enemyType });
 
-  let eliteBarFill = null;
-  if (eliteType || isBossBar) {
-    const bWrap = document.createElement('div');
-    bWrap.className = 'elite-bar-wrap';
-    bWrap.style.width = Math.round((isBossBar ? 84 : 40) + scaleMult * (isBossBar ? 44 : 30)) + 'px';
-    const bFill = document.createElement('div');
-    bFill.className = 'elite-bar-fill';
-    bFill.style.width = '100%';
-    // Boss bars are always red; elites keep their red gradient too.
-    bFill.style.background = isBossBar
-      ? 'linear-gradient(to right,#660000,#ff0000)'
-      : 'linear-gradient(to right,#880000,#ff2222)';
-    bWrap.appendChild(bFill);
-    const bObj = new CSS2DObject(bWrap);
-    bObj.position.set(0, (enemyGeoParams.radius + enemyGeoParams.length/2) * scaleMult * 2 + 0.5, 0);
-    grp.add(bObj);
-    eliteBarFill = bFill;
-  }
+  const bar = (eliteType || isBossBar || affixes.length) ? _makeEliteBar(grp, scaleMult, isBossBar) : null;
 
-  const playerMaxNow = Math.max(1, state.playerMaxHP ?? PLAYER_MAX_HP);
-  const def = ENEMY_DEFS[enemyType] || null;
-  const bossScale = isBossBar ? getBossScaleForLevel(state.playerLevel || 1) : { hpMult: 1, dmgMult: 1 };
-  const levelDamageScale = getEnemyDamageScaleForLevel(state.playerLevel || 1) * (bossScale.dmgMult || 1);
-  const baseContactHit = def?.contactPct ? (playerMaxNow * def.contactPct) : (ENEMY_CONTACT_DPS * 1.0);
-  const baseBulletHit = def?.bulletPct ? (playerMaxNow * def.bulletPct) : ENEMY_BULLET_DMG;
-  const contactDmg = Math.max(1, Math.round(baseContactHit * levelDamageScale));
-  const bulletDmg = Math.max(1, Math.round(baseBulletHit * levelDamageScale));
+  const { contactDmg, bulletDmg } = getEnemyHitDamage(enemyType, isBossBar);
 
   const shotCue = makeGroundCue(getShotTellConfig(enemyType, isBossBar).color, (enemyGeoParams.radius * scaleMult) * getShotTellConfig(enemyType, isBossBar).scale);
   grp.add(shotCue);
   const enemyData = {
-    grp, mesh, mat, hp, maxHp: hp, dead: false,
+    grp, mesh, mat, hp, maxHp: hp, shieldHp, dead: false,
     isBoss: isBossBar,
-    scaleMult, expMult, coinMult, eliteType, eliteBarFill,
+    scaleMult, expMult, coinMult, eliteType,
+    eliteBarBox: bar?.box ?? null, eliteBarFill: bar?.fill ?? null,
+    affixes, affixRings: [], affixPlate: null,
     fireRate, baseFireRate: fireRate,
-    shootTimer: fireRate ? Math.random() * fireRate : 0,
-    staggerTimer: 0, lightningStunTimer: 0, baseColor: new THREE.Color(color),
-    spawnFlashTimer: SPAWN_FLASH_DURATION, matDirty: true,
+    shootTimer: saved ? (saved.shootTimer || 0) : (fireRate ? rand('enemies') * fireRate : 0),
+    staggerTimer: 0, statuses: {}, baseColor: new THREE.Color(color),
+    spawnFlashTimer: saved ? (saved.spawnFlashTimer || 0) : SPAWN_FLASH_DURATION, matDirty: true,
     enemyType,
     bulletSpeedMult: (cfg && Number.isFinite(cfg.bulletSpeedMult)) ? cfg.bulletSpeedMult : 1,
     baseBulletSpeedMult: (cfg && Number.isFinite(cfg.bulletSpeedMult)) ? cfg.bulletSpeedMult : 1,
@@ -332,27 +421,34 @@ export function spawnEnemy(x, z, eliteTypeOrCfg = null) {
     shotCue,
     fireTellTimer: 0,
     phase: 1,
+    boss: cfg?.bossId ? createBossState(cfg.bossId) : null,
+    ai: createArchetypeState(enemyType),
     contactDmg,
     bulletDmg,
   };
+  _applyAffixTells(enemyData);
   state.enemies.push(enemyData);
 
-  // Spawn fade-in
-  mat.transparent = true;
-  mat.opacity = 0;
-  mesh.castShadow = false;
+  // Spawn fade-in (a restored enemy picks its fade up where it was saved)
+  if (enemyData.spawnFlashTimer > 0) {
+    mat.transparent = true;
+    mat.opacity = 1 - enemyData.spawnFlashTimer / SPAWN_FLASH_DURATION;
+    mesh.castShadow = false;
+  }
+  return enemyData;
 }
 
 
 
+// → the new enemy, or null when the regular-enemy cap is full.
 export function spawnEnemyAtPosition(x, z, enemyTypeOrCfg = null) {
   // Only enforce cap if maxEnemies is a positive finite number.
   const isBoss = (enemyTypeOrCfg === ENEMY_TYPE.BOSS) || (typeof enemyTypeOrCfg === 'object' && enemyTypeOrCfg && enemyTypeOrCfg.isBoss);
   if (!isBoss) {
     const regularCount = state.enemies.filter(x => x && !x.dead && !x.isBoss).length;
-    if (Number.isFinite(state.maxEnemies) && state.maxEnemies > 0 && regularCount >= state.maxEnemies) return;
+    if (Number.isFinite(state.maxEnemies) && state.maxEnemies > 0 && regularCount >= state.maxEnemies) return null;
   }
-  spawnEnemy(x, z, enemyTypeOrCfg);
+  return spawnEnemy(x, z, enemyTypeOrCfg);
 }
 
 export function spawnEnemyAtEdge(eliteTypeOrCfg = null) {
@@ -362,9 +458,9 @@ export function spawnEnemyAtEdge(eliteTypeOrCfg = null) {
     const regularCount = state.enemies.filter(x => x && !x.dead && !x.isBoss).length;
     if (Number.isFinite(state.maxEnemies) && state.maxEnemies > 0 && regularCount >= state.maxEnemies) return;
   }
-  const angle = Math.random() * Math.PI * 2;
+  const angle = rand('enemies') * Math.PI * 2;
   const baseR = (Number.isFinite(CAM_D) ? CAM_D : 18) * 1.55;
-  const r     = baseR + Math.random() * 4.0;
+  const r     = baseR + rand('enemies') * 4.0;
   spawnEnemyAtPosition(
     playerGroup.position.x + Math.cos(angle) * r,
     playerGroup.position.z + Math.sin(angle) * r,
@@ -378,7 +474,7 @@ export function spawnLevelElites(eliteType) {
   for (let i = 0; i < eliteType.count; i++) {
     setTimeout(() => {
       if (!state.gameOver && state.gameSession === session) spawnEnemyAtEdge(eliteType);
-    }, Math.random() * WINDOW);
+    }, rand('enemies') * WINDOW);
   }
 }
 
@@ -387,6 +483,63 @@ export function updateEliteBar(e) {
   e.eliteBarFill.style.width = Math.max(0, (e.hp / e.maxHp) * 100) + '%';
 }
 
+function _statusTick(e, amount, source, type) {
+  const hit = applyEnemyDamage(e, amount, source, type, false);
+  spawnEnemyDamageNum(hit.amount, e, hit);
+  updateEliteBar(e);
+}
+
+// Idle emissive: the strongest status tint (statusEffects.js), else none.
+function _restEmissive(e) {
+  const tint = getStatusTint(e);
+  if (tint) {
+    e.mat.emissive.setHex(tint.color);
+    e.mat.emissiveIntensity = tint.strength;
+  } else if (e.boss?.enraged) {
+    e.mat.emissive.setHex(0xaa1100);
+    e.mat.emissiveIntensity = 0.9;
+  } else {
+    e.mat.emissive.setRGB(0, 0, 0);
+    e.mat.emissiveIntensity = enemyMat.emissiveIntensity;
+  }
+}
+
+// ── Explosive affix blasts ───────────────────────────────────────────────────
+// Also bomber mines (enemyAI.js), which bring their own colour and source.
+function _addDeathBlast(blast) {
+  const cue = makeGroundCue(blast.color ?? AFFIX_DEFS[AffixId.EXPLOSIVE].color, blast.radius);
+  cue.position.set(blast.x, 0.08, blast.z);
+  cue.visible = true;
+  scene.add(cue);
+  blast.cue = cue;
+  state.enemyBlasts.push(blast);
+}
+
+function _removeBlastCue(b) {
+  if (!b.cue) return;
+  scene.remove(b.cue);
+  b.cue.geometry.dispose();
+  b.cue.material.dispose();
+  b.cue = null;
+}
+
+// Returns true if the blast killed the player.
+function _detonateBlast(b, hitsPlayer) {
+  _removeBlastCue(b);
+  _blastPos.set(b.x, 0, b.z);
+  spawnExplosion(_blastPos, { color: b.color ?? AFFIX_DEFS[AffixId.EXPLOSIVE].color });
+  playSound('explodeElite', 0.8, 0.9 + rand('cosmetic') * 0.2);
+  if (!hitsPlayer) return false;
+  const res = hitPlayer(b.damage, b.source ?? 'blast', b.enemyType);
+  if (res.applied > 0) spawnPlayerDamageNum(Math.round(res.applied));
+  return res.died;
+}
+
+export function clearEnemyBlasts() {
+  state.enemyBlasts.forEach(_removeBlastCue);
+  state.enemyBlasts.length = 0;
+}
+
 // ── Kill (imported by weapons.js too — no circular dep since it's a function call) ──
 export function removeCSS2DFromGroup(grp) {
   grp.traverse(obj => {
@@ -395,76 +548,37 @@ export function removeCSS2DFromGroup(grp) {
   });
 }
 
-// onLevelUp is injected from main.js to break the enemies↔weapons circular dep
-let _onLevelUp = null;
-export function setLevelUpCallback(fn) { _onLevelUp = fn; }
-
 let _triggerVictory = null;
 export function setVictoryCallback(fn) { _triggerVictory = fn; }
 
-const killsEl = document.getElementById('kills-value');
-
-export function killEnemy(j) {
+// Kill rewards (loot.js): splitter children spawn here, drops get meshes.
+const _lootHooks = {
+  ...pickupHooks,
+  spawnAt: spawnEnemyAtPosition,
+  xp: updateXP,
+};
+
+// Single kill pipeline: every enemy death goes through here, tagged with the
+// KillSource that landed the final blow. Clears the visuals, then settleKill()
+// (loot.js) handles boss bookkeeping + chest, splitter children, kill
+// count/stats, loot and XP. `explode: false` skips the death explosion (black
+// hole swallows enemies silently).
+export function killEnemy(j, source, { explode = true } = {}) {
   const e = state.enemies[j];
-  const wasBoss = !!(e && (e.isBoss || e.enemyType === ENEMY_TYPE.BOSS));
-  if (e?.teleportMarker) {
+  if (!e || e.dead) return;
+  if (e.teleportMarker) {
     try { scene.remove(e.teleportMarker); e.teleportMarker.geometry.dispose(); e.teleportMarker.material.dispose(); } catch {}
     e.teleportMarker = null;
   }
-  spawnExplosion(e.grp.position, e.eliteType);
+  _removeSlamMark(e);
+  if (explode) spawnExplosion(e.grp.position, e.eliteType);
+  const blast = getDeathBlast(e, e.grp.position.x, e.grp.position.z);
+  if (blast) _addDeathBlast(blast);
   removeCSS2DFromGroup(e.grp);
   scene.remove(e.grp);
   e.dead = true;
   state.enemies.splice(j, 1);
-
-  // Boss bookkeeping (boss does not count toward cap; respawns after delay)
-  if (wasBoss) {
-    state.bossAlive = false;
-    if (state.spawn && Number.isFinite(state.spawn.bossCooldown)) {
-      state.spawn.bossCooldown = 10.0;
-    } else {
-      state.bossRespawnTimer = 10.0;
-    }
-
-    // Boss chest drop (design doc Section 10)
-    // Tier by level: 1-10 standard, 11-20 rare, 21+ epic.
-    const tier = (state.playerLevel <= 10) ? 'standard' : (state.playerLevel <= 20 ? 'rare' : 'epic');
-    // Lazy import to avoid circular deps
-    import('./pickups.js').then(m => m.spawnChest?.(e.grp.position, tier)).catch(()=>{});
-
-    // Boss wave luck bonus: +5 at levels 10/20/30
-    if (state.playerLevel === 10 || state.playerLevel === 20 || state.playerLevel === 30) {
-      state.bossLuck = (state.bossLuck || 0) + 5;
-    }
-  }
-
-  // Ultra Elite split (doc Section 2)
-  if (e && e.enemyType === ENEMY_TYPE.SPLITTER) {
-    const min = (ENEMY_DEFS[ENEMY_TYPE.SPLITTER]?.splitCountMin ?? 2);
-    const max = (ENEMY_DEFS[ENEMY_TYPE.SPLITTER]?.splitCountMax ?? 3);
-    const n = min + Math.floor(Math.random() * (max - min + 1));
-    for (let k = 0; k < n; k++) {
-      const a = Math.random() * Math.PI * 2;
-      const r = 0.9 + Math.random() * 1.4;
-      spawnEnemyAtPosition(e.grp.position.x + Math.cos(a)*r, e.grp.position.z + Math.sin(a)*r, ENEMY_TYPE.RUSHER);
-    }
-  }
-
-  state.kills++;
-  if (killsEl) killsEl.textContent = state.kills;
-
-  // Coins (tiered)
-  const tier = getCoinTierForEnemy(e.enemyType);
-  dropLoot(e.grp.position, tier.value, (e.coinMult || 1), tier.color);
-
-  // XP (tiered + Growth bonus handled in getXPRewardForEnemy)
-  const xpGained  = getXPRewardForEnemy(e.enemyType, state.playerLevel);
-  const prevLevel = state.playerLevel;
-  updateXP(xpGained);
-
-  if (state.playerLevel > prevLevel) {
-    if (_onLevelUp) _onLevelUp(state.playerLevel);
-  }
+  settleKill(e, source, _lootHooks);
 }
 
 // ── Update ────────────────────────────────────────────────────────────────────
@@ -474,12 +588,27 @@ export function updateEnemies(delta, worldDelta, elapsed) {
   let orbiterAlive = false;
   const lane = ensureOrbiterLane();
   const sepCandidates = [];
+  let auraSlow = 0;
+
+  for (const b of state.enemyBlasts) {
+    if (!b.cue) continue;
+    const t = 1 - b.fuse / Math.max(0.01, b.maxFuse);
+    b.cue.material.opacity = 0.3 + 0.6 * t;
+    b.cue.scale.setScalar(0.6 + 0.4 * t);
+  }
+  if (tickDeathBlasts(state.enemyBlasts, worldDelta, playerGroup.position.x, playerGroup.position.z, _detonateBlast)) return 'DEAD';
 
   for (let i = state.enemies.length - 1; i >= 0; i--) {
     const e = state.enemies[i];
     if (!e || e.dead) continue;
     syncEnemyChaosTier(e);
-    _maybeAdvanceBossPhase(e);
+    if (e.boss) {
+      advanceBossPhase(e, _spawnMinions);
+      if (tickBossEnrage(e, worldDelta)) {
+        playSound('explodeElite', 1.0, 0.55);
+        if (!e.shotCue?.visible && e.staggerTimer <= 0) _restEmissive(e);
+      }
+    }
 
     const dx   = playerGroup.position.x - e.grp.position.x;
     const dz   = playerGroup.position.z - e.grp.position.z;
@@ -501,8 +630,25 @@ export function updateEnemies(delta, worldDelta, elapsed) {
     }
     const fullySpawned = e.spawnFlashTimer <= 0;
 
-    if ((e.lightningStunTimer || 0) > 0) {
-      e.lightningStunTimer = Math.max(0, e.lightningStunTimer - worldDelta);
+    const tickSource = tickStatuses(e, worldDelta, _statusTick);
+    if (tickSource && e.hp <= 0) {
+      playSound(e.eliteType ? 'explodeElite' : 'explode', 0.7, 0.9 + rand('cosmetic') * 0.2);
+      killEnemy(i, tickSource);
+      continue;
+    }
+
+    // Affixes: reflected damage, summons, frost aura, ring pulse.
+    const reflected = takeReflectedDamage(e, worldDelta);
+    if (reflected > 0) {
+      const res = applyPlayerDamage(reflected, 'reflect', et);
+      if (res.applied > 0) spawnPlayerDamageNum(Math.round(res.applied));
+      if (res.died) return 'DEAD';
+    }
+    const summons = tickSummoner(e, worldDelta);
+    spawnAround(e.grp.position.x, e.grp.position.z, ENEMY_TYPE.RUSHER, summons, 1.6, 1.4, 'affixes', spawnEnemyAtPosition);
+    auraSlow = Math.max(auraSlow, getFrostAuraSlow(e, dist));
+    for (const ring of e.affixRings) {
+      ring.material.opacity = ring.userData.baseOpacity * (0.75 + 0.25 * Math.sin(elapsed * 4 + i));
     }
 
     if (e.staggerTimer > 0) {
@@ -518,133 +664,73 @@ export function updateEnemies(delta, worldDelta, elapsed) {
       e.matDirty = true;
     } else if (e.matDirty) {
       e.mat.color.copy(e.baseColor);
-      e.mat.emissive.setRGB(0, 0, 0);
-      e.mat.emissiveIntensity = enemyMat.emissiveIntensity;
+      _restEmissive(e);
       e.matDirty = false;
     }
 
     const blackHoleSuppressed = !!e.blackHoleSuppressed;
 
     // Teleporter readability: mark destination first, then blink.
-    if (et === ENEMY_TYPE.TELEPORTER) {
-      const thresh = (ENEMY_DEFS[ENEMY_TYPE.TELEPORTER]?.teleportWhenBelow ?? 0.5);
-      e._tpCD = Math.max(0, e._tpCD || 0);
-      if (e.teleportPending) {
-        e.teleportPending.timer -= worldDelta;
-        if (e.teleportMarker) {
-          e.teleportMarker.visible = true;
-          e.teleportMarker.material.opacity = Math.min(0.85, e.teleportPending.timer / Math.max(0.01, e.teleportPending.maxTimer));
-          e.teleportMarker.rotation.z += worldDelta * 4.0;
-        }
-        e.mesh.visible = false;
-        if (e.teleportPending.timer <= 0) {
-          e.grp.position.set(e.teleportPending.x, 0, e.teleportPending.z);
-          e.mesh.visible = true;
-          e._tpCD = 4.0;
-          if (e.teleportMarker) { scene.remove(e.teleportMarker); e.teleportMarker.geometry.dispose(); e.teleportMarker.material.dispose(); e.teleportMarker = null; }
-          e.teleportPending = null;
-        }
-      } else {
-        e._tpCD = Math.max(0, e._tpCD - worldDelta);
-        if (e._tpCD <= 0 && e.maxHp > 0 && (e.hp / e.maxHp) <= thresh) {
-          const ang = Math.random() * Math.PI * 2;
-          const rr  = (Number.isFinite(CAM_D) ? CAM_D : 18) * 1.7 + 6;
-          const tx = playerGroup.position.x + Math.cos(ang) * rr;
-          const tz = playerGroup.position.z + Math.sin(ang) * rr;
-          const marker = makeGroundCue(0xe0e0e0, enemyGeoParams.radius * (e.scaleMult || 1) * 2.1);
-          marker.position.set(tx, 0.08, tz);
-          marker.visible = true;
-          marker.material.opacity = 0.75;
-          scene.add(marker);
-          e.teleportMarker = marker;
-          e.teleportPending = { x: tx, z: tz, timer: 0.42, maxTimer: 0.42 };
-        }
+    const tp = updateTeleporter(e, worldDelta, playerGroup.position.x, playerGroup.position.z);
+    if (tp === 'start') {
+      const marker = makeGroundCue(0xe0e0e0, enemyGeoParams.radius * (e.scaleMult || 1) * 2.1);
+      marker.position.set(e.teleportPending.x, 0.08, e.teleportPending.z);
+      marker.visible = true;
+      marker.material.opacity = 0.75;
+      scene.add(marker);
+      e.teleportMarker = marker;
+    } else if (tp === 'blink') {
+      e.mesh.visible = true;
+      if (e.teleportMarker) { scene.remove(e.teleportMarker); e.teleportMarker.geometry.dispose(); e.teleportMarker.material.dispose(); e.teleportMarker = null; }
+    } else if (e.teleportPending) {
+      if (e.teleportMarker) {
+        e.teleportMarker.visible = true;
+        e.teleportMarker.material.opacity = Math.min(0.85, e.teleportPending.timer / Math.max(0.01, e.teleportPending.maxTimer));
+        e.teleportMarker.rotation.z += worldDelta * 4.0;
       }
+      e.mesh.visible = false;
     }
 
-    // Shot telegraph / firing cadence.
-    if (fullySpawned && e.fireRate && !e.dead && !blackHoleSuppressed) {
-      const tell = getShotTellConfig(et, e.isBoss);
-      if ((e.fireTellTimer || 0) > 0) {
-        e.fireTellTimer = Math.max(0, e.fireTellTimer - worldDelta);
+    // Shot telegraph / firing cadence. Scripted bosses run their attack
+    // patterns and archetypes their AI instead, telegraphing windups with the
+    // same cue.
+    if (e.boss) {
+      if (fullySpawned && !blackHoleSuppressed && updateBossScript(e, worldDelta, playerGroup.position.x, playerGroup.position.z, _bossHooks)) return 'DEAD';
+      _showWindupTell(e, getBossTell(e));
+      _syncSlamMark(e);
+    } else if (e.ai) {
+      if (fullySpawned && !blackHoleSuppressed && updateArchetype(e, worldDelta * getStatusSpeedMult(e), playerGroup.position.x, playerGroup.position.z, _archetypeHooks)) return 'DEAD';
+      _showWindupTell(e, getArchetypeTell(e));
+    } else if (fullySpawned && e.fireRate && !e.dead && !blackHoleSuppressed) {
+      const windup = updateShooter(e, worldDelta, dx, dz, dist, _shooterHooks);
+      if (windup !== null) {
+        const tell = getShotTellConfig(et, e.isBoss);
         if (e.shotCue) {
           e.shotCue.visible = true;
-          const pulse = 0.45 + 0.55 * (1 - e.fireTellTimer / Math.max(0.01, tell.prep));
-          e.shotCue.material.opacity = pulse * 0.85;
-          e.shotCue.scale.setScalar(1.0 + (1 - e.fireTellTimer / Math.max(0.01, tell.prep)) * 0.22);
+          e.shotCue.material.opacity = (0.45 + 0.55 * windup) * 0.85;
+          e.shotCue.scale.setScalar(1.0 + windup * 0.22);
         }
         e.mat.emissive.setHex(tell.color);
-        e.mat.emissiveIntensity = 1.1 + (1 - e.fireTellTimer / Math.max(0.01, tell.prep)) * (et === ENEMY_TYPE.TANKER ? 2.2 : 1.6);
-        if (e.fireTellTimer <= 0) {
-          _fireEnemyShot(e, dx, dz, dist);
-          e.shootTimer = (e.fireRate || 1.5) * (0.8 + Math.random() * 0.4);
-          if (e.shotCue) { e.shotCue.visible = false; e.shotCue.material.opacity = 0; e.shotCue.scale.setScalar(1); }
-          if (e.staggerTimer <= 0) {
-            e.mat.emissive.setRGB(0, 0, 0);
-            e.mat.emissiveIntensity = enemyMat.emissiveIntensity;
-          }
-        }
+        e.mat.emissiveIntensity = 1.1 + windup * (et === ENEMY_TYPE.TANKER ? 2.2 : 1.6);
       } else {
         if (e.shotCue) { e.shotCue.visible = false; e.shotCue.material.opacity = 0; e.shotCue.scale.setScalar(1); }
-        if (e.staggerTimer <= 0) {
-          e.mat.emissive.setRGB(0, 0, 0);
-          e.mat.emissiveIntensity = enemyMat.emissiveIntensity;
-        }
-        e.shootTimer -= worldDelta;
-        const RANGE = ENEMY_BULLET_SPEED * ENEMY_BULLET_LIFETIME * 0.72;
-        if (e.shootTimer <= tell.prep && dist > 0.5 && dist < RANGE && hasLineOfSight(e.grp.position.x, e.grp.position.z, playerGroup.position.x, playerGroup.position.z)) {
-          e.fireTellTimer = tell.prep;
-        }
+        if (e.staggerTimer <= 0) _restEmissive(e);
       }
     } else if (e.shotCue) {
       e.shotCue.visible = false;
       e.shotCue.material.opacity = 0;
-      if (e.staggerTimer <= 0) {
-        e.mat.emissive.setRGB(0, 0, 0);
-        e.mat.emissiveIntensity = enemyMat.emissiveIntensity;
-      }
+      if (e.staggerTimer <= 0) _restEmissive(e);
     }
 
-    // Movement (per-type behavior)
-    if (!e.teleportPending && dist > 0.01 && e.staggerTimer <= 0 && (e.lightningStunTimer || 0) <= 0) {
+    // Movement (per-type behavior); statuses and affixes scale speed, a stun stops it.
+    if (canEnemyMove(e, dist)) {
       const eR = enemyGeoParams.radius * (e.scaleMult || 1);
-      let { sx, sz } = steerAroundProps(
+      const { sx, sz } = steerAroundProps(
         e.grp.position.x, e.grp.position.z,
         playerGroup.position.x, playerGroup.position.z,
         eR, state.enemies, i
       );
-
-      let spdMult = 1.0;
-      if (et === ENEMY_TYPE.TANKER) spdMult = 0.90;
-      if (et === ENEMY_TYPE.SPLITTER) spdMult = 0.80;
-      if (et === ENEMY_TYPE.BOSS || e.isBoss) spdMult = 0.90;
-
-      if (et === ENEMY_TYPE.ORBITER) {
-        const orbitR = (ENEMY_DEFS[ENEMY_TYPE.ORBITER]?.orbitR ?? 6.5);
-        const rx = dx / dist;
-        const rz = dz / dist;
-        const tx = -rz;
-        const tz = rx;
-        const radialErr = (dist - orbitR);
-        const radialBias = Math.max(-1, Math.min(1, radialErr / 2.5));
-        sx = tx * 0.9 + rx * radialBias * 0.6;
-        sz = tz * 0.9 + rz * radialBias * 0.6;
-        const len = Math.hypot(sx, sz) || 1;
-        sx /= len; sz /= len;
-        spdMult = 1.05;
-      } else if (et === ENEMY_TYPE.SNIPER) {
-        const desired = 14.0;
-        if (dist < desired) {
-          sx = -dx / dist;
-          sz = -dz / dist;
-          spdMult = 1.05;
-        } else {
-          spdMult = 0.85;
-        }
-      }
-
-      e.grp.position.x += sx * ENEMY_SPEED * spdMult * worldDelta;
-      e.grp.position.z += sz * ENEMY_SPEED * spdMult * worldDelta;
+      moveEnemy(e, worldDelta, dx, dz, dist, sx, sz);
     }
     pushOutOfProps(e.grp.position, enemyGeoParams.radius * (e.scaleMult || 1));
 
@@ -652,71 +738,21 @@ export function updateEnemies(delta, worldDelta, elapsed) {
     e.mesh.position.y  = eFloorY + Math.sin(elapsed * 3 + i) * 0.05;
     e.grp.rotation.y   = Math.atan2(dx, dz);
 
-    const pr = PLAYER_BODY_RADIUS * 1.02;
-    const shieldRadius = hasShieldBubble() ? SHIELD_RADIUS : pr;
-    const er = enemyGeoParams.radius * (e.scaleMult || 1) * 1.02;
-    const minD = shieldRadius + er;
-    if (!e.teleportPending && dist < minD && dist > 1e-6) {
-      contactThisFrame = true;
-      const nx = dx/dist, nz = dz/dist;
-      const push = (minD - dist) * 0.55;
-      e.grp.position.x -= nx * push; e.grp.position.z -= nz * push;
-      playerGroup.position.x += nx * push; playerGroup.position.z += nz * push;
-      state.contactDmgTimer = Math.max(0, (state.contactDmgTimer || 0) - worldDelta);
-      if (state.contactDmgTimer <= 0) {
-        const CONTACT_HIT_INTERVAL = 1.0;
-        state.contactDmgTimer = CONTACT_HIT_INTERVAL;
-        if (!blackHoleSuppressed && !(state.invincible || state.dashInvincible || (state.effects?.invincibility || 0) > 0)) {
-          if ((state.shieldCharges || 0) > 0) {
-            if ((state.shieldHitCD || 0) <= 0) {
-              state.shieldCharges -= 1;
-              state.shieldHitCD = 0.6;
-              if (state.shieldCharges <= 0) {
-                const tier = Math.max(0, state.upg?.shield || 0);
-                const base = 12.0;
-                const rt = tier >= 4 ? base * 0.45 : ((tier >= 2) ? base * 0.65 : base);
-                state.shieldRecharge = rt;
-              }
-              playSound('shield_break', 0.65, 1.0);
-            }
-          } else {
-            const chaosTier = getActiveChaosTier();
-            const dmg = Math.max(1, e.contactDmg || (ENEMY_CONTACT_DPS * CONTACT_HIT_INTERVAL)) * (1 + 0.20 * chaosTier);
-            const res = applyPlayerDamage(dmg, 'contact');
-            if (res.applied > 0) {
-              spawnPlayerDamageNum(Math.round(res.applied));
-              playSound('player_hit', 0.6, 0.95 + Math.random() * 0.1);
-            }
-            if (res.died) return 'DEAD';
-          }
-        }
-      }
+    const contact = resolvePlayerContact(e, playerGroup.position, dx, dz, dist, worldDelta, enemyGeoParams.radius);
+    if (contact) contactThisFrame = true;
+    if (contact === 'hit' && !blackHoleSuppressed) {
+      const res = hitPlayer(getContactHitDamage(e), 'contact', et, e);
+      if (res.applied > 0) spawnPlayerDamageNum(Math.round(res.applied));
+      if (res.healed > 0) updateEliteBar(e);
+      if (res.died) return 'DEAD';
     }
   }
 
   if (!contactThisFrame) state.contactDmgTimer = 0;
+  state.auraSlowMult = 1 - auraSlow;
 
   rebuildEnemySpatialHash();
-  for (let i = 0; i < state.enemies.length; i++) {
-    const a = state.enemies[i]; if (!a || a.dead) continue;
-    const ra = enemyGeoParams.radius * (a.scaleMult || 1) * 1.05;
-    const candidates = queryEnemiesNear(a.grp.position.x, a.grp.position.z, ra + 3.0, sepCandidates);
-    for (const b of candidates) {
-      if (!b || b.dead || b === a) continue;
-      const j = state.enemies.indexOf(b);
-      if (j <= i) continue;
-      const rb   = enemyGeoParams.radius * (b.scaleMult || 1) * 1.05;
-      const minD = ra + rb + 1.0;
-      const dx = b.grp.position.x - a.grp.position.x;
-      const dz = b.grp.position.z - a.grp.position.z;
-      const d2 = dx*dx + dz*dz;
-      if (d2 < minD*minD && d2 > 1e-8) {
-        const d = Math.sqrt(d2), push = (minD - d) * 0.35;
-        const nx = dx/d, nz = dz/d;
-        a.grp.position.x -= nx*push; a.grp.position.z -= nz*push;
-        b.grp.position.x += nx*push; b.grp.position.z += nz*push;
-      }
-    }
-  }
+  separateEnemies(state.enemies, enemyGeoParams.radius,
+    (a, r) => queryEnemiesNear(a.grp.position.x, a.grp.position.z, r, sepCandidates));
   rebuildEnemySpatialHash();
 }
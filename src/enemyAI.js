@@ -1,25 +1,36 @@
 // ─── enemyAI.js ─────────────────────────────────────────────────────────────
-// This module exists to match the design doc's separation of concerns.
-// The current codebase keeps most movement + shooting logic in enemies.js.
-// To avoid a risky full refactor, we provide the expected exports and
-// implement decollision + despawn checks here. enemies.js can optionally
-// call these helpers.
+// Enemy behaviour shared by enemies.js and sim/headless.js: the per-step
+// movement, shooting and contact rules (teleporter blinks, shot telegraphs,
+// steering, player contact, separation, enemy bullet flight) and the
+// archetype AIs (CHARGER, BOMBER, HEALER, NEST). Like the boss scripts
+// (bosses.js) they work on e.grp.position and plain-data state and do their
+// side effects through hooks; enemies.js keeps the meshes and syncs them
+// afterwards. No scene or DOM access.
+//
+// applyDecollision / checkDespawn / updateEnemyAI are the design doc's
+// original helpers (pairwise push + despawn checks).
 
-import { CAM_D, aspect } from './renderer.js';
-import { ENEMY_TYPE } from './constants.js';
+import { state } from './state.js';
+import {
+  ENEMY_TYPE, ENEMY_DEFS, ENEMY_SPEED, ENEMY_CONTACT_DPS, ENEMY_BULLET_SPEED, ENEMY_BULLET_LIFETIME,
+  ENEMY_BULLET_DMG, CAM_D, PLAYER_BODY_RADIUS, SHIELD_RADIUS,
+} from './constants.js';
+import { rand } from './rng.js';
+import {
+  ENEMY_SHOT_RANGE, CONTACT_HIT_INTERVAL, getActiveChaosTier, getShotTellConfig, getEnemySpeedMult,
+} from './enemyStats.js';
+import { getStatusSpeedMult, getStatusFireRateMult } from './statusEffects.js';
+import { getAffixSpeedMult, getAffixFireRateMult } from './affixes.js';
+import { isBossBusy } from './bosses.js';
 
-function viewportWidthWorld(){
-  return (Number.isFinite(CAM_D) ? CAM_D : 18) * 2 * (aspect || 1);
-}
-
-function despawnDistanceForEnemy(e){
+function despawnDistanceForEnemy(e, viewWidth){
   // Design doc Section 13.1
   // Never despawn: Boss, Teleporter, Ultra Elite
   if (e?.isBoss || e?.enemyType === ENEMY_TYPE.BOSS) return Infinity;
   if (e?.enemyType === ENEMY_TYPE.TELEPORTER) return Infinity;
   if (e?.enemyType === ENEMY_TYPE.SPLITTER) return Infinity;
 
-  const vw = viewportWidthWorld();
+  const vw = viewWidth;
   if (e?.enemyType === ENEMY_TYPE.ORBITER) return vw * 2.5;
   if (e?.enemyType === ENEMY_TYPE.SHIELDED) return vw * 3.0;
   if (e?.enemyType === ENEMY_TYPE.TANKER) return vw * 3.0;
@@ -56,14 +67,15 @@ export function applyDecollision(enemies){
   }
 }
 
-export function checkDespawn(enemies, playerPos){
+// viewWidth: visible world width (renderer.js CAM_D * 2 * aspect).
+export function checkDespawn(enemies, playerPos, viewWidth){
   // Remove enemies far beyond per-type threshold without awarding XP/coins.
   for (let i = enemies.length - 1; i >= 0; i--) {
     const e = enemies[i];
     if (!e || e.dead) continue;
     const dx = e.grp.position.x - playerPos.x;
     const dz = e.grp.position.z - playerPos.z;
-    const maxR = despawnDistanceForEnemy(e);
+    const maxR = despawnDistanceForEnemy(e, viewWidth);
     if (maxR !== Infinity && dx*dx + dz*dz > maxR*maxR) {
       e.dead = true;
       try { e.grp.parent?.remove?.(e.grp); } catch {}
@@ -72,8 +84,349 @@ export function checkDespawn(enemies, playerPos){
   }
 }
 
-export function updateEnemyAI(enemies, playerPos, delta){
+export function updateEnemyAI(enemies, playerPos, delta, viewWidth){
   // Movement is handled in enemies.js for now; we still apply decollision.
   applyDecollision(enemies);
-  checkDespawn(enemies, playerPos);
+  checkDespawn(enemies, playerPos, viewWidth);
+}
+
+// ── Shared per-step behaviour ────────────────────────────────────────────────
+export const TELEPORT_TELL     = 0.42;               // marker shown this long before the blink
+export const TELEPORT_COOLDOWN = 4.0;
+export const TELEPORT_RING     = CAM_D * 1.7 + 6;    // blink lands just off screen
+
+// `count` enemies of `type` scattered rMin..rMin+rSpread around (x, z), drawn
+// from the given rng stream (boss adds, nests, summoners, splitter children).
+// `spawn` returns the new enemy, or null past the enemy cap.
+// → the enemies actually spawned
+export function spawnAround(x, z, type, count, rMin, rSpread, stream, spawn) {
+  const out = [];
+  for (let k = 0; k < count; k++) {
+    const a = rand(stream) * Math.PI * 2;
+    const r = rMin + rand(stream) * rSpread;
+    const m = spawn(x + Math.cos(a) * r, z + Math.sin(a) * r, type);
+    if (m) out.push(m);
+  }
+  return out;
+}
+
+// Teleporter: below teleportWhenBelow hp it picks a spot on TELEPORT_RING
+// around the player, waits TELEPORT_TELL, then blinks there. Returns 'start'
+// when a blink is queued (e.teleportPending = { x, z, timer, maxTimer }),
+// 'blink' on the step it lands, else null.
+export function updateTeleporter(e, dt, px, pz) {
+  if (e.enemyType !== ENEMY_TYPE.TELEPORTER) return null;
+  e._tpCD = Math.max(0, e._tpCD || 0);
+  if (e.teleportPending) {
+    e.teleportPending.timer -= dt;
+    if (e.teleportPending.timer > 0) return null;
+    e.grp.position.x = e.teleportPending.x;
+    e.grp.position.z = e.teleportPending.z;
+    e._tpCD = TELEPORT_COOLDOWN;
+    e.teleportPending = null;
+    return 'blink';
+  }
+  e._tpCD = Math.max(0, e._tpCD - dt);
+  const thresh = (ENEMY_DEFS[ENEMY_TYPE.TELEPORTER]?.teleportWhenBelow ?? 0.5);
+  if (e._tpCD > 0 || !(e.maxHp > 0) || (e.hp / e.maxHp) > thresh) return null;
+  const ang = rand('enemies') * Math.PI * 2;
+  e.teleportPending = {
+    x: px + Math.cos(ang) * TELEPORT_RING,
+    z: pz + Math.sin(ang) * TELEPORT_RING,
+    timer: TELEPORT_TELL, maxTimer: TELEPORT_TELL,
+  };
+  return 'start';
+}
+
+// Firing cadence of plain shooters (enemies with a fireRate and no boss script
+// or archetype). The shot timer runs down (slowed by statuses / affixes); in
+// range and in sight the telegraph (e.fireTellTimer) starts, and when it ends
+// the shot goes off. dx/dz/dist: enemy → player.
+// hooks:
+//   canSee(e) → bool          line of sight to the player (optional)
+//   fire(e, dirX, dirZ)       shoot along the unit direction
+// Returns the telegraph progress 0..1 while it winds up, else null.
+export function updateShooter(e, dt, dx, dz, dist, hooks) {
+  const tell = getShotTellConfig(e.enemyType, e.isBoss);
+  const canShoot = () => dist > 0.5 && dist < ENEMY_SHOT_RANGE && (!hooks.canSee || hooks.canSee(e));
+  if ((e.fireTellTimer || 0) > 0) {
+    e.fireTellTimer = Math.max(0, e.fireTellTimer - dt);
+    if (e.fireTellTimer > 0) return 1 - e.fireTellTimer / Math.max(0.01, tell.prep);
+    if (canShoot()) hooks.fire(e, dx / dist, dz / dist);
+    e.shootTimer = (e.fireRate || 1.5) * (0.8 + rand('enemies') * 0.4);
+    return null;
+  }
+  e.shootTimer -= dt * getStatusFireRateMult(e) * getAffixFireRateMult(e);
+  if (e.shootTimer <= tell.prep && canShoot()) e.fireTellTimer = tell.prep;
+  return null;
+}
+
+// One enemy bullet from e along the unit direction (dirX, dirZ), as plain data
+// ({ x, z, vx, vz, life, dmg, enemyType, owner }); callers add visuals.
+export function makeEnemyBullet(e, dirX, dirZ, speedMult = 1, dmgMult = 1) {
+  const spd = ENEMY_BULLET_SPEED * (e.bulletSpeedMult || 1) * speedMult;
+  const dmg = Math.max(1, e.bulletDmg || ENEMY_BULLET_DMG) * (1 + 0.20 * getActiveChaosTier()) * (e.phase >= 3 ? 1.12 : 1.0) * dmgMult;
+  return {
+    x: e.grp.position.x, z: e.grp.position.z, vx: dirX * spd, vz: dirZ * spd,
+    life: ENEMY_BULLET_LIFETIME, dmg, enemyType: e.enemyType, owner: e,
+  };
+}
+
+// True if e walks this step (not blinking, stunned, staggered or busy with a
+// boss attack / charge).
+export function canEnemyMove(e, dist) {
+  return !e.teleportPending && !isBossBusy(e) && !isArchetypeBusy(e) && dist > 0.01
+    && !(e.staggerTimer > 0) && getStatusSpeedMult(e) > 0;
+}
+
+// Moves e one step. (sx, sz) is the unit chase direction — straight at the
+// player, or the caller's prop-avoiding steer; orbiters circle at orbitR,
+// snipers back off inside 14 units and archetypes use getArchetypeSteer.
+// dx/dz/dist: enemy → player.
+export function moveEnemy(e, dt, dx, dz, dist, sx, sz) {
+  const et = e.enemyType;
+  let spdMult = getEnemySpeedMult(et, e.isBoss);
+  if (et === ENEMY_TYPE.ORBITER) {
+    const orbitR = (ENEMY_DEFS[ENEMY_TYPE.ORBITER]?.orbitR ?? 6.5);
+    const rx = dx / dist, rz = dz / dist;
+    const radialBias = Math.max(-1, Math.min(1, (dist - orbitR) / 2.5));
+    sx = -rz * 0.9 + rx * radialBias * 0.6;
+    sz =  rx * 0.9 + rz * radialBias * 0.6;
+    const len = Math.hypot(sx, sz) || 1;
+    sx /= len; sz /= len;
+    spdMult = 1.05;
+  } else if (et === ENEMY_TYPE.SNIPER) {
+    if (dist < 14.0) { sx = -dx / dist; sz = -dz / dist; spdMult = 1.05; }
+    else spdMult = 0.85;
+  } else {
+    const steer = getArchetypeSteer(e, dx, dz, dist);
+    if (steer) ({ sx, sz, spdMult } = steer);
+  }
+  spdMult *= getStatusSpeedMult(e) * getAffixSpeedMult(e);
+  e.grp.position.x += sx * ENEMY_SPEED * spdMult * dt;
+  e.grp.position.z += sz * ENEMY_SPEED * spdMult * dt;
+}
+
+// Damage of one contact hit from e (chaos tier included).
+export function getContactHitDamage(e) {
+  return Math.max(1, e.contactDmg || (ENEMY_CONTACT_DPS * CONTACT_HIT_INTERVAL)) * (1 + 0.20 * getActiveChaosTier());
+}
+
+// Player–enemy overlap. `player` is the player's position ({ x, z }, moved in
+// place); dx/dz/dist: enemy → player at the start of the step; enemyR is the
+// enemy body radius before scaleMult. Pushes both apart and runs the shared
+// contact timer (state.contactDmgTimer) down. Returns 'hit' when a contact
+// hit is due, 'touch' while overlapping, else null; callers reset the timer
+// after a step with no contact at all.
+export function resolvePlayerContact(e, player, dx, dz, dist, dt, enemyR) {
+  const playerR = (state.shieldCharges || 0) > 0 ? SHIELD_RADIUS : PLAYER_BODY_RADIUS * 1.02;
+  const minD = playerR + enemyR * (e.scaleMult || 1) * 1.02;
+  if (e.teleportPending || !(dist < minD) || dist <= 1e-6) return null;
+  const nx = dx / dist, nz = dz / dist;
+  const push = (minD - dist) * 0.55;
+  e.grp.position.x -= nx * push; e.grp.position.z -= nz * push;
+  player.x += nx * push; player.z += nz * push;
+  state.contactDmgTimer = Math.max(0, (state.contactDmgTimer || 0) - dt);
+  if (state.contactDmgTimer > 0) return 'touch';
+  state.contactDmgTimer = CONTACT_HIT_INTERVAL;
+  return 'hit';
+}
+
+// Enemy–enemy separation. near(a, r) (optional) returns the enemies within r
+// of a, e.g. from a spatial hash; without it every pair is checked.
+export function separateEnemies(list, enemyR, near = null) {
+  for (let i = 0; i < list.length; i++) {
+    const a = list[i];
+    if (!a || a.dead) continue;
+    const ra = enemyR * (a.scaleMult || 1) * 1.05;
+    const candidates = near ? near(a, ra + 3.0) : list;
+    for (let k = near ? 0 : i + 1; k < candidates.length; k++) {
+      const b = candidates[k];
+      if (!b || b.dead || b === a) continue;
+      if (near && list.indexOf(b) <= i) continue;
+      const rb = enemyR * (b.scaleMult || 1) * 1.05;
+      const minD = ra + rb + 1.0;
+      const dx = b.grp.position.x - a.grp.position.x;
+      const dz = b.grp.position.z - a.grp.position.z;
+      const d2 = dx * dx + dz * dz;
+      if (d2 < minD * minD && d2 > 1e-8) {
+        const d = Math.sqrt(d2), push = (minD - d) * 0.35;
+        const nx = dx / d, nz = dz / d;
+        a.grp.position.x -= nx * push; a.grp.position.z -= nz * push;
+        b.grp.position.x += nx * push; b.grp.position.z += nz * push;
+      }
+    }
+  }
+}
+
+// Flies the enemy bullets in `list` (makeEnemyBullet data) one step and
+// resolves hits on the player at (px, pz).
+// hooks:
+//   hit(b) → died         the bullet reached the player (shield radius if up)
+//   blocked(b) → bool     terrain stops it (optional)
+//   remove(b)             it left the list (optional; drop its visual)
+// Returns true if a hit killed the player.
+export function updateEnemyBulletFlight(list, dt, px, pz, hooks) {
+  for (let i = list.length - 1; i >= 0; i--) {
+    const b = list[i];
+    const hitR = (state.shieldCharges || 0) > 0 ? SHIELD_RADIUS : PLAYER_BODY_RADIUS;
+    b.life -= dt;
+    b.x += b.vx * dt;
+    b.z += b.vz * dt;
+    let gone = b.life <= 0;
+    let died = false;
+    if (!gone) {
+      const dx = b.x - px, dz = b.z - pz;
+      if (dx * dx + dz * dz < hitR * hitR) { gone = true; died = hooks.hit(b); }
+      else gone = !!hooks.blocked?.(b);
+    }
+    if (!gone) continue;
+    list.splice(i, 1);
+    hooks.remove?.(b);
+    if (died) return true;
+  }
+  return false;
+}
+
+// ── Archetypes ───────────────────────────────────────────────────────────────
+// Tuning lives on the ENEMY_DEFS entries (see constants.js). Damage is given
+// relative to the enemy's contact hit, so it follows the same level scaling.
+
+const CHARGE_HIT_RADIUS = 1.1;   // × scaleMult, dash-to-player hit distance
+
+function archetypeDamage(e, pct) {
+  const def = ENEMY_DEFS[e.enemyType];
+  return Math.max(1, (e.contactDmg || 1) * pct / Math.max(0.01, def?.contactPct ?? pct));
+}
+
+// AI state for a freshly spawned enemy of an archetype type (plain data, kept
+// on e.ai), or null for types without one.
+export function createArchetypeState(enemyType) {
+  const def = ENEMY_DEFS[enemyType];
+  switch (enemyType) {
+    case ENEMY_TYPE.CHARGER: return { mode: 'chase', t: 0, cd: def.chargeCooldown * 0.5, dirX: 0, dirZ: 0, hit: false };
+    case ENEMY_TYPE.BOMBER:  return { timer: def.mineInterval * 0.5 };
+    case ENEMY_TYPE.HEALER:  return { timer: def.healInterval };
+    case ENEMY_TYPE.NEST:    return { timer: def.nestInterval * 0.5 };
+    default: return null;
+  }
+}
+
+// Advances e's archetype AI by dt (already scaled by status slows; a stun
+// passes 0) with the player at (px, pz).
+// hooks:
+//   hit(e, dmg, source) → died     the charge connects
+//   mine(e, blast)                 drop a timed mine ({ x, z, radius, fuse,
+//                                  maxFuse, damage, enemyType, color, source },
+//                                  ticked with affixes.js tickDeathBlasts)
+//   heal(e, target, amount)        after `target` got `amount` hp back
+//   spawn(e, type, count) → spawned  minions around e
+// Returns true if a hook reported the player died.
+// A nest keeps at most nestMax of its own rushers alive (m.nest === e); the
+// spawn hook goes through the global enemy cap as well.
+export function updateArchetype(e, dt, px, pz, hooks) {
+  const ai = e.ai;
+  const def = ENEMY_DEFS[e.enemyType];
+  if (!ai || !def) return false;
+  const pos = e.grp.position;
+
+  switch (e.enemyType) {
+    case ENEMY_TYPE.CHARGER: {
+      if (ai.mode === 'chase') {
+        ai.cd = Math.max(0, ai.cd - dt);
+        const dx = px - pos.x, dz = pz - pos.z;
+        const d = Math.hypot(dx, dz);
+        if (ai.cd <= 0 && d <= def.chargeRange && d > 0.01) {
+          ai.mode = 'windup';
+          ai.t = def.chargeWindup;
+          ai.dirX = dx / d; ai.dirZ = dz / d;
+        }
+      } else if (ai.mode === 'windup') {
+        ai.t -= dt;
+        if (ai.t <= 0) { ai.mode = 'dash'; ai.t = def.chargeTime; ai.hit = false; }
+      } else {
+        ai.t -= dt;
+        pos.x += ai.dirX * def.chargeSpeed * dt;
+        pos.z += ai.dirZ * def.chargeSpeed * dt;
+        const reach = CHARGE_HIT_RADIUS * (e.scaleMult || 1);
+        const hx = px - pos.x, hz = pz - pos.z;
+        if (!ai.hit && hx * hx + hz * hz < reach * reach) {
+          ai.hit = true;
+          if (hooks.hit(e, archetypeDamage(e, def.chargePct), 'charge')) return true;
+        }
+        if (ai.t <= 0) { ai.mode = 'chase'; ai.cd = def.chargeCooldown; }
+      }
+      return false;
+    }
+    case ENEMY_TYPE.BOMBER: {
+      ai.timer -= dt;
+      if (ai.timer > 0) return false;
+      ai.timer = def.mineInterval;
+      const dx = px - pos.x, dz = pz - pos.z;
+      if (dx * dx + dz * dz > def.mineRange * def.mineRange) return false;
+      hooks.mine(e, {
+        x: pos.x, z: pos.z, radius: def.mineRadius, fuse: def.mineFuse, maxFuse: def.mineFuse,
+        damage: Math.round(archetypeDamage(e, def.minePct)), enemyType: e.enemyType,
+        color: def.color, source: 'mine',
+      });
+      return false;
+    }
+    case ENEMY_TYPE.HEALER: {
+      ai.timer -= dt;
+      if (ai.timer > 0) return false;
+      ai.timer = def.healInterval;
+      const r2 = def.healRadius * def.healRadius;
+      for (const t of state.enemies) {
+        if (!t || t.dead || t === e || !(t.hp < t.maxHp)) continue;
+        const dx = t.grp.position.x - pos.x, dz = t.grp.position.z - pos.z;
+        if (dx * dx + dz * dz > r2) continue;
+        const pct = def.healPct * (t.isBoss ? def.bossHealMult : 1);
+        const amount = Math.min(t.maxHp - t.hp, Math.round(t.maxHp * pct));
+        if (amount <= 0) continue;
+        t.hp += amount;
+        hooks.heal(e, t, amount);
+      }
+      return false;
+    }
+    case ENEMY_TYPE.NEST: {
+      ai.timer -= dt;
+      if (ai.timer > 0) return false;
+      ai.timer = def.nestInterval;
+      let live = 0;
+      for (const m of state.enemies) if (m && !m.dead && m.nest === e) live++;
+      const count = Math.min(def.nestCount, def.nestMax - live);
+      if (count > 0) for (const m of hooks.spawn(e, ENEMY_TYPE.RUSHER, count)) m.nest = e;
+      return false;
+    }
+  }
+  return false;
+}
+
+// True while a charger winds up or dashes (its normal chase is off).
+export function isArchetypeBusy(e) {
+  return e.enemyType === ENEMY_TYPE.CHARGER && !!e.ai && e.ai.mode !== 'chase';
+}
+
+// 0..1 progress through a charger's windup, or null.
+export function getArchetypeTell(e) {
+  if (e.enemyType !== ENEMY_TYPE.CHARGER || e.ai?.mode !== 'windup') return null;
+  const windup = ENEMY_DEFS[e.enemyType].chargeWindup;
+  return Math.max(0, Math.min(1, 1 - e.ai.t / windup));
+}
+
+// Steering for the archetypes that keep their distance (BOMBER circles the
+// player at keepDist, HEALER hangs back at it): { sx, sz, spdMult }, or null
+// to chase normally. dx/dz/dist: enemy → player.
+export function getArchetypeSteer(e, dx, dz, dist) {
+  const def = ENEMY_DEFS[e.enemyType];
+  if (!def?.keepDist || !(dist > 0.01)) return null;
+  const rx = dx / dist, rz = dz / dist;
+  const radialBias = Math.max(-1, Math.min(1, (dist - def.keepDist) / 2.5));
+  if (e.enemyType === ENEMY_TYPE.BOMBER) {
+    let sx = -rz * 0.8 + rx * radialBias * 0.7;
+    let sz =  rx * 0.8 + rz * radialBias * 0.7;
+    const len = Math.hypot(sx, sz) || 1;
+    return { sx: sx / len, sz: sz / len, spdMult: 0.95 };
+  }
+  return { sx: rx * Math.sign(radialBias), sz: rz * Math.sign(radialBias), spdMult: Math.abs(radialBias) * 0.9 };
 }
@@ -0,0 +1,88 @@
+// ─── enemyStats.js ───────────────────────────────────────────────────────────
+// Pure stat resolution for level-driven enemy types (ENEMY_DEFS): hp, hit
+// damage, fire cadence, movement speed and the Chaos (curse) multiplier.
+// Shared by enemies.js and the headless sim so both spawn identical enemies.
+
+import { state } from './state.js';
+import {
+  ENEMY_CONTACT_DPS, ENEMY_BULLET_DMG, ENEMY_BULLET_SPEED, ENEMY_BULLET_LIFETIME, PLAYER_MAX_HP,
+  ENEMY_DEFS, ENEMY_TYPE, getBossScaleForLevel, getEnemyHealthScaleForLevel, getEnemyDamageScaleForLevel,
+} from './constants.js';
+import { BOSS_DEFS, getBossIdForLevel } from './bosses.js';
+
+// Enemies only open fire inside this distance.
+export const ENEMY_SHOT_RANGE = ENEMY_BULLET_SPEED * ENEMY_BULLET_LIFETIME * 0.72;
+export const CONTACT_HIT_INTERVAL = 1.0;
+
+// ── Chaos (curse) ────────────────────────────────────────────────────────────
+export function getActiveChaosTier() {
+  return (state.chaosTimer || 0) > 0 ? Math.max(0, state.curseTier || 0) : 0;
+}
+
+export function getChaosStatMult() {
+  return 1 + 0.20 * getActiveChaosTier();
+}
+
+// ── Spawn config ─────────────────────────────────────────────────────────────
+// Config object for an ENEMY_TYPE at the given level (hp before Chaos). Bosses
+// also get the level's boss (bosses.js): `bossId`, its look, hp multiplier and
+// shield.
+export function getEnemyTypeConfig(enemyType, level = state.playerLevel || 1) {
+  const def = ENEMY_DEFS[enemyType];
+  if (!def) return null;
+  const bossId = (enemyType === ENEMY_TYPE.BOSS) ? getBossIdForLevel(level) : null;
+  const boss = bossId ? BOSS_DEFS[bossId] : null;
+  const hpScale = boss
+    ? (getBossScaleForLevel(level).hpMult || 1) * (boss.hpMult ?? 1)
+    : getEnemyHealthScaleForLevel(level);
+  const health = Math.round((state.playerMaxHP ?? PLAYER_MAX_HP) * (def.hpPct ?? 1) * hpScale);
+  return {
+    isBoss: enemyType === ENEMY_TYPE.BOSS,
+    bossId,
+    color: boss?.color ?? def.color,
+    sizeMult: boss?.sizeMult ?? def.sizeMult,
+    health,
+    shield: boss
+      ? Math.round(health * (boss.shield ?? 0))
+      : Math.round((state.playerMaxHP ?? PLAYER_MAX_HP) * (def.shieldPct ?? 0) * hpScale),
+    expMult: 1,
+    coinMult: 1,
+    fireRate: def.shoot ? def.fireRate : undefined,
+    bulletSpeedMult: def.bulletSpeedMult ?? 1,
+  };
+}
+
+// Per-hit contact and bullet damage, scaled to the player's current max HP.
+export function getEnemyHitDamage(enemyType, isBoss, level = state.playerLevel || 1) {
+  const playerMaxNow = Math.max(1, state.playerMaxHP ?? PLAYER_MAX_HP);
+  const def = ENEMY_DEFS[enemyType] || null;
+  const bossScale = isBoss ? getBossScaleForLevel(level) : { hpMult: 1, dmgMult: 1 };
+  const levelDamageScale = getEnemyDamageScaleForLevel(level) * (bossScale.dmgMult || 1);
+  const baseContactHit = def?.contactPct ? (playerMaxNow * def.contactPct) : (ENEMY_CONTACT_DPS * 1.0);
+  const baseBulletHit = def?.bulletPct ? (playerMaxNow * def.bulletPct) : ENEMY_BULLET_DMG;
+  return {
+    contactDmg: Math.max(1, Math.round(baseContactHit * levelDamageScale)),
+    bulletDmg: Math.max(1, Math.round(baseBulletHit * levelDamageScale)),
+  };
+}
+
+// Shot telegraph: wind-up before each enemy shot (+ the ground-cue look).
+export function getShotTellConfig(enemyType, isBoss) {
+  if (isBoss || enemyType === ENEMY_TYPE.BOSS) return { prep: 0.34, color: 0xff4444, scale: 1.6 };
+  if (enemyType === ENEMY_TYPE.SNIPER) return { prep: 0.58, color: 0xd975ff, scale: 1.45 };
+  if (enemyType === ENEMY_TYPE.TANKER) return { prep: 0.42, color: 0xffaa33, scale: 1.75 };
+  if (enemyType === ENEMY_TYPE.ORBITER) return { prep: 0.22, color: 0x66ff99, scale: 1.25 };
+  if (enemyType === ENEMY_TYPE.SPLITTER) return { prep: 0.28, color: 0x80fb37, scale: 1.5 };
+  if (enemyType === ENEMY_TYPE.CHARGER) return { prep: 0.65, color: 0xff6a1a, scale: 1.5 };
+  return { prep: 0.20, color: 0xff8844, scale: 1.3 };
+}
+
+// Chase speed multiplier on ENEMY_SPEED (orbiters/snipers override per frame).
+export function getEnemySpeedMult(enemyType, isBoss) {
+  if (enemyType === ENEMY_TYPE.BOSS || isBoss) return 0.90;
+  if (enemyType === ENEMY_TYPE.TANKER) return 0.90;
+  if (enemyType === ENEMY_TYPE.SPLITTER) return 0.80;
+  if (enemyType === ENEMY_TYPE.CHARGER) return 1.05;
+  if (enemyType === ENEMY_TYPE.NEST) return 0;
+  return 1.0;
+}
@@ -0,0 +1,79 @@
+// ─── events.js ───────────────────────────────────────────────────────────────
+// Central game event bus. Combat/progression code emits; HUD, audio, stats and
+// achievements subscribe, so reactions don't need callbacks or lazy imports
+// threaded through the combat modules. No DOM / three.js — the headless sim
+// emits the same events.
+//
+// Payloads:
+//   enemyKilled     { enemyType, isBoss, eliteType, x, z, source, level }
+//                     source: a KillSource value (the hit that finished it)
+//   playerDamaged   { amount, source, enemyType, hp, maxHp, died, revived }
+//   pickupCollected { kind, value, x, z }
+//                     kind: 'coin' | 'health' | 'chest' | 'arena' (value = coins,
+//                     hp healed, chest tier or arena pickup type)
+//   levelUp         { level, bonusCoins }
+//   shopPurchase    { key, tier, cost, source }   source: 'shop' | 'chest'
+//   bossPhase       { phase, enemyType, bossId, hpRatio }
+//   bossEnraged     { enemyType, bossId }
+//   runEnded        { outcome, elapsed, level, kills, coins, seed, character,
+//                     upg, deathCause, peakDps, replay }
+//                     outcome: 'death' | 'victory' | 'timeLimit' (headless sim cap)
+//                     deathCause: { source, enemyType } of the last hit, or null
+//                     replay: true when replay.js playback reached the end
+//                     (not saved to high scores / run history)
+
+export const GameEvent = Object.freeze({
+  ENEMY_KILLED:     'enemyKilled',
+  PLAYER_DAMAGED:   'playerDamaged',
+  PICKUP_COLLECTED: 'pickupCollected',
+  LEVEL_UP:         'levelUp',
+  SHOP_PURCHASE:    'shopPurchase',
+  BOSS_PHASE:       'bossPhase',
+  BOSS_ENRAGED:     'bossEnraged',
+  RUN_ENDED:        'runEnded',
+});
+
+// What landed the killing blow (enemyKilled.source, state.killsBySource keys).
+export const KillSource = Object.freeze({
+  LASER:      'laser',
+  ORBIT:      'orbit',
+  SLASH:      'slash',
+  DISC:       'disc',
+  RAIL_LANCE: 'railLance',
+  STORM_HALO: 'stormHalo',
+  RAZOR_HALO: 'razorHalo',
+  TARGETED:   'targeted',
+  LIGHTNING:  'lightning',
+  BURST:      'burst',
+  BLACK_HOLE: 'blackHole',
+  CONTACT:    'contact',
+});
+
+const KNOWN = new Set(Object.values(GameEvent));
+const _listeners = new Map();
+
+function checkType(type) {
+  if (!KNOWN.has(type)) throw new Error(`Unknown game event "${type}"`);
+}
+
+// Subscribe; returns an unsubscribe function.
+export function on(type, fn) {
+  checkType(type);
+  if (!_listeners.has(type)) _listeners.set(type, new Set());
+  _listeners.get(type).add(fn);
+  return () => off(type, fn);
+}
+
+export function off(type, fn) {
+  _listeners.get(type)?.delete(fn);
+}
+
+// A throwing listener is logged and skipped so it can't break the sim step.
+export function emit(type, payload) {
+  checkType(type);
+  const set = _listeners.get(type);
+  if (!set || set.size === 0) return;
+  for (const fn of [...set]) {
+    try { fn(payload); } catch (err) { console.error(`[events] ${type} listener failed`, err); }
+  }
+}
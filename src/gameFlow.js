@@ -1,17 +1,20 @@
 // ─── gameFlow.js ──────────────────────────────────────────────────────────────
 import { state } from './state.js';
-import { PLAYER_MAX_HP, getPlayerBaseDamageForLevel } from './constants.js';
 import { scene, renderer, labelRenderer } from './renderer.js';
 import { playerGroup, playerMesh, hbObj, dashBarObj, updateHealthBar, updateDashBar } from './player.js';
 import { updateXP } from './xp.js';
-import { removeCSS2DFromGroup } from './enemies.js';
+import { removeCSS2DFromGroup, clearEnemyBlasts } from './enemies.js';
 import { initSpawner } from './spawner.js';
-import { destroyOrbitBullets, syncOrbitBullets } from './weapons.js';
+import { destroyOrbitBullets, syncOrbitBullets, clearDiscs } from './weapons.js';
 import { _particleMeshPool } from './particles.js';
 import { startMusic, stopMusic, pauseMusic, resumeMusic, playSound } from './audio.js';
-import { recordRun } from './ui/highScores.js';
 import { applyCosmetics } from './materials.js';
 import { resetPowerupNotifications } from './hudEffects.js';
+import { setRunSeed, parseSeed, randomSeed } from './rng.js';
+import { beginRecording, beginPlayback } from './replay.js';
+import { applyCharacter, resetRunState, getRunSummary } from './runState.js';
+import { emit, GameEvent } from './events.js';
+import { getWeaponBreakdown, formatStat } from './weaponStats.js';
 
 export { pauseMusic, resumeMusic }; // re-export so panel/index.js can use them
 
@@ -20,6 +23,8 @@ const killsEl      = document.getElementById('kills-value');
 const coinCountEl  = document.getElementById('coin-count');
 const gameOverEl   = document.getElementById('game-over');
 const finalStatsEl = document.getElementById('final-stats');
+const finalSeedEl  = document.getElementById('final-seed');
+const finalWeaponsEl = document.getElementById('final-weapons');
 const countdownEl  = document.getElementById('countdown');
 const countdownNum = document.getElementById('countdown-num');
 
@@ -117,12 +122,29 @@ export function startCountdown(onDone) {
 }
 
 // ── Game over / victory ───────────────────────────────────────────────────────
+function showRunSeed() {
+  if (finalSeedEl) finalSeedEl.textContent = `SEED ${state.runSeed}`;
+}
+
+function showWeaponBreakdown() {
+  if (!finalWeaponsEl) return;
+  const rows = getWeaponBreakdown();
+  if (!rows.length) { finalWeaponsEl.innerHTML = ''; return; }
+  finalWeaponsEl.innerHTML =
+    '<tr><th>WEAPON</th><th>DAMAGE</th><th>SHARE</th><th>KILLS</th><th>DPS</th></tr>' +
+    rows.map(r => `<tr><td>${r.label}</td><td>${formatStat(r.damage)}</td><td>${Math.round(r.share * 100)}%</td>` +
+      `<td>${r.kills}</td><td>${formatStat(r.dps)}</td></tr>`).join('');
+}
+
+
 export function triggerGameOver() {
   state.gameOver = true;
   stopMusic();
   playSound('gameover', 0.9);
   finalStatsEl.textContent = `${formatTime(state.elapsed)} — ${state.kills} destroyed — ${state.coins} coins`;
-  recordRun({ kills: state.kills, elapsed: state.elapsed, coins: state.coins, victory: false });
+  emit(GameEvent.RUN_ENDED, getRunSummary('death'));
+  showRunSeed();
+  showWeaponBreakdown();
   gameOverEl.classList.add('show');
 }
 
@@ -135,7 +157,9 @@ export function triggerVictory() {
   h1.style.color  = '#ffe066';
   h1.style.textShadow = '0 0 60px rgba(255,224,102,0.9)';
   finalStatsEl.textContent = `All 100 enemies defeated! ${formatTime(state.elapsed)} — ${state.coins} coins`;
-  recordRun({ kills: state.kills, elapsed: state.elapsed, coins: state.coins, victory: true });
+  emit(GameEvent.RUN_ENDED, getRunSummary('victory'));
+  showRunSeed();
+  showWeaponBreakdown();
   gameOverEl.classList.add('show');
 }
 
@@ -144,11 +168,26 @@ export function restartGame(opts = {}) {
   const startCountdownNow = (opts.startCountdown !== false);
   state.gameSession++;
 
-  state.enemies.forEach(e => { removeCSS2DFromGroup(e.grp); scene.remove(e.grp); });
+  // Re-seed every gameplay stream first so nothing below consumes stale rolls.
+  // opts.seed may be a number or a typed string; anything else → random run.
+  // opts.replay (from replay.js parseReplay) replays a recorded run instead.
+  if (opts.replay) {
+    applyCharacter(opts.replay.character);
+    setRunSeed(opts.replay.seed);
+    beginPlayback(opts.replay);
+  } else {
+    setRunSeed(parseSeed(opts.seed) ?? randomSeed());
+    beginRecording({ seed: state.runSeed, character: state.selectedCharacter });
+  }
+  state.simTick = 0;
+
+  state.enemies.forEach(e => { removeCSS2DFromGroup(e.grp); scene.remove(e.grp); if (e.slamCue) scene.remove(e.slamCue); });
   state.enemies.length = 0;
+  clearEnemyBlasts();
 
   state.bullets.forEach(b => { const o = b.obj ?? b.mesh; if (o) scene.remove(o); });
   state.bullets.length = 0;
+  clearDiscs();
 
   // Enemy bullets are two-mesh projectiles (core + glow). Make sure we remove BOTH,
   // otherwise orphaned cores can remain in the scene looking like "frozen" lasers.
@@ -191,74 +230,7 @@ export function restartGame(opts = {}) {
   destroyOrbitBullets();
 
   playerGroup.position.set(0, 0, 0);
-  state.playerHP    = PLAYER_MAX_HP;
-  state.playerMaxHP = PLAYER_MAX_HP;
-  state.playerBaseDMG = getPlayerBaseDamageForLevel(1);
-  state.kills       = 0;
-  state.elapsed     = 0;
-  state.shootTimer  = 0;
-  state.bulletWaveAngle = 0;
-  state.multiShotVolleyCount = 0;
-  state.dashTimer   = 0; state.dashCooldown = 0; state.dashGhostTimer = 0; state.dashSpeed = 0;
-  state.worldScale  = 1.0;
-  state.contactDmgAccum = 0; state.contactDmgTimer = 0;
-  state.spawnTickTimer  = 0;
-  state.playerXP    = 0;
-  state.playerLevel = 1;
-  initSpawner();
-  state.coins       = 0;
-  state.weaponTier  = state.characterPrimaryWeapon === 'laser' ? 1 : 0;
-  state.pickupRangeLvl = 0;
-  state.firstLevelUpShopHandled = false;
-  state.upg = {
-    laserFire: 0,
-    orbit:0,
-    dmg:0, fireRate:0, projSpeed:0, piercing:0, multishot:0,
-    moveSpeed:0, dash:0, magnet:0,
-    shield:0, burst:0, timeSlow:0,
-    targetedFire:0, targetedCooldown:0, targetedRange:0, targetedDamage:0,
-    lightning:0, lightningCooldown:0, lightningDamage:0,
-    maxHealth:0, regen:0, xpGrowth:0, coinBonus:0, curse:0, luck:0,
-  };
-  state.luck = 0;
-  state.bossLuck = 0;
-  state.curseTier = 0;
-  state.shieldCharges = 0;
-  state.shieldRecharge = 0;
-  state.shieldHitCD = 0;
-  state.burstCooldown = 0;
-  state.burstRequested = false;
-  state.slowCooldown = 0;
-  state.slowTimer = 0;
-  state.slowRequested = false;
-  state.extraLives  = 0;
-  state.armorHits   = 0;
-  state.reviveIFrames = 0;
-  state.effects = {
-    doubleDamage: 0,
-    invincibility: 0,
-    coinValue2x: 0,
-    xp2x: 0,
-    armor: 0,
-    clock: 0,
-    blackHole: 0,
-    coinMagnet: 0,
-  };
-  state.effectsDur = {};
-  state.bossLuck = 0;
-  state.arenaPickups = [];
-  state.pendingShop = 0;
-  state.bossAlive   = false;
-  state.bossRespawnTimer = 0;
-  state.spawnTimer  = 0;
-  if (state.cosmetic) state.cosmetic.playerColor = 'default';
-  state.upgradeOpen = false;
-  state.wave        = 1;
-  state.wavePhase   = null;
-  state.waveSpawnRemaining = 0;
-  state.bossSpawnRemaining = 0;
-  state.wavePendingStart   = true;
-  state.gameOver    = false;
+  resetRunState();
 
   updateHealthBar(); updateDashBar();
   updateXP(0);
@@ -272,6 +244,7 @@ export function restartGame(opts = {}) {
   resetPowerupNotifications();
 
   gameOverEl.classList.remove('show');
+  if (finalWeaponsEl) finalWeaponsEl.innerHTML = '';
   const h1 = document.querySelector('#game-over h1');
   if (h1) { h1.textContent = 'DESTROYED'; h1.style.color = ''; h1.style.textShadow = ''; }
   document.querySelectorAll('.lvl-cb').forEach(lb => lb.classList.remove('active'));
@@ -0,0 +1,313 @@
+// ─── gamepad.js ──────────────────────────────────────────────────────────────
+// Gamepad API support (standard mapping). Polled on its own animation frame
+// while at least one pad is connected, so it also drives the menus before the
+// game loop has started.
+//
+// In play: the left stick writes `state.moveAxis` (screen space, x = right,
+// y = forward, magnitude 0..1) which player.js maps through ISO_RIGHT/ISO_FWD;
+// the right stick writes `state.aimAxis`. A stick only writes while deflected
+// past the deadzone (and zeroes the axis once on release), so an idle pad
+// leaves the touch sticks (touch.js) in charge of the same axes. Buttons only set the same one-shot
+// request flags as the keyboard (dash / burst / slow), so replays record them.
+// Axes are quantized to 1/127 steps so replay.js can store them exactly.
+//
+// In menus/overlays: D-pad (or left stick) moves a focus ring between the
+// visible buttons of the topmost open screen, A clicks, B goes back, left/right
+// nudge a focused slider or select.
+
+import { state } from './state.js';
+import { notifyPowerup } from './hudEffects.js';
+
+const DEADZONE = 0.2;
+const NAV_DEADZONE = 0.6;
+const NAV_REPEAT_DELAY = 0.35; // s before a held direction starts repeating
+const NAV_REPEAT_RATE  = 0.12; // s between repeats
+
+// Standard-mapping button indices.
+const BTN = Object.freeze({
+  A: 0, B: 1, X: 2, Y: 3, LB: 4, RB: 5, LT: 6, RT: 7, BACK: 8, START: 9,
+  UP: 12, DOWN: 13, LEFT: 14, RIGHT: 15,
+});
+
+let _togglePause = null;
+let _rafId = 0;
+let _prev = [];          // button pressed state from the previous poll
+let _navDir = null;      // held navigation direction
+let _navHeld = 0;        // seconds the direction has been held
+let _navNext = 0;        // seconds until the next repeat
+let _lastT = 0;
+let _focused = null;
+let _ownsMove = false;   // the pad wrote state.moveAxis last
+let _ownsAim = false;    // the pad wrote state.aimAxis last
+
+export function initGamepad({ togglePause } = {}) {
+  _togglePause = togglePause || null;
+  if (!state.moveAxis) state.moveAxis = { x: 0, y: 0 };
+  if (!state.aimAxis) state.aimAxis = { x: 0, y: 0 };
+
+  window.addEventListener('gamepadconnected', (e) => {
+    notifyPowerup(`Controller connected: ${shortName(e.gamepad.id)}`, null);
+    startPolling();
+  });
+  window.addEventListener('gamepaddisconnected', () => {
+    notifyPowerup('Controller disconnected', null);
+    clearAxes();
+    // Losing the controller mid-run pauses instead of leaving the player idle.
+    if (state.uiMode === 'playing' && !state.paused && !state.gameOver && _togglePause) _togglePause();
+    if (!getPad()) stopPolling();
+  });
+
+  // Pads connected before the page loaded only show up after a button press;
+  // Chrome fires gamepadconnected then, so a single check here is enough.
+  if (getPad()) startPolling();
+}
+
+export function isGamepadConnected() {
+  return !!getPad();
+}
+
+function shortName(id) {
+  return String(id || 'Gamepad').replace(/\s*\(.*$/, '').slice(0, 32);
+}
+
+function getPad() {
+  let pads = [];
+  try { pads = navigator.getGamepads ? navigator.getGamepads() : []; } catch {}
+  for (const p of pads) if (p && p.connected) return p;
+  return null;
+}
+
+function startPolling() {
+  if (_rafId) return;
+  _lastT = performance.now();
+  const loop = (t) => {
+    _rafId = requestAnimationFrame(loop);
+    const dt = Math.min(0.1, Math.max(0, (t - _lastT) / 1000));
+    _lastT = t;
+    poll(dt);
+  };
+  _rafId = requestAnimationFrame(loop);
+}
+
+function stopPolling() {
+  if (_rafId) cancelAnimationFrame(_rafId);
+  _rafId = 0;
+  _prev = [];
+  setFocus(null);
+}
+
+// Zeroes only the axes the pad is driving; touch input is left as it is.
+function clearAxes() {
+  if (_ownsMove && state.moveAxis) { state.moveAxis.x = 0; state.moveAxis.y = 0; }
+  if (_ownsAim && state.aimAxis) { state.aimAxis.x = 0; state.aimAxis.y = 0; }
+  _ownsMove = _ownsAim = false;
+}
+
+// Writes a deflected stick into `axis`; an idle one zeroes it only if the pad
+// wrote it last. Returns whether the pad now drives the axis.
+function writeAxis(axis, v, owned) {
+  if (v.x || v.y) { axis.x = v.x; axis.y = v.y; return true; }
+  if (owned) { axis.x = 0; axis.y = 0; }
+  return false;
+}
+
+// Radial deadzone, rescaled so output starts at 0 just past the deadzone.
+// Returns screen-space { x: right, y: up } quantized to 1/127.
+function readStick(pad, ix, iy) {
+  const x = pad.axes[ix] || 0;
+  const y = -(pad.axes[iy] || 0);
+  const mag = Math.hypot(x, y);
+  if (mag < DEADZONE) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (mag - DEADZONE) / (1 - DEADZONE));
+  const q = (v) => Math.round(v * scaled / mag * 127) / 127;
+  return { x: q(x), y: q(y) };
+}
+
+// ── Polling ──────────────────────────────────────────────────────────────────
+function poll(dt) {
+  const pad = getPad();
+  if (!pad) { clearAxes(); return; }
+
+  const down = pad.buttons.map(b => !!(b && (b.pressed || b.value > 0.5)));
+  const pressed = (i) => down[i] && !_prev[i];
+
+  const overlayOpen = !!getNavRoot();
+  const inPlay = state.uiMode === 'playing' && !state.paused && !state.gameOver && !overlayOpen;
+
+  if (inPlay) {
+    setFocus(null);
+    const move = readStick(pad, 0, 1);
+    const aim = readStick(pad, 2, 3);
+    _ownsMove = writeAxis(state.moveAxis, move, _ownsMove);
+    _ownsAim = writeAxis(state.aimAxis, aim, _ownsAim);
+
+    if ((pressed(BTN.A) || pressed(BTN.RT)) && state.hasDash) state.dashRequested = true;
+    if ((pressed(BTN.X) || pressed(BTN.RB)) && (state.upg?.burst || 0) > 0) state.burstRequested = true;
+    if ((pressed(BTN.Y) || pressed(BTN.LB)) && (state.upg?.timeSlow || 0) > 0) state.slowRequested = true;
+    if (pressed(BTN.START) && _togglePause) _togglePause();
+  } else {
+    clearAxes();
+    // Start closes the pause menu again; everything else is menu navigation.
+    if (pressed(BTN.START) && state.uiMode === 'playing' && state.paused && !state.upgradeOpen && isVisible(document.getElementById('pause-overlay'))) {
+      if (_togglePause) _togglePause();
+    } else {
+      navigate(pad, down, pressed, dt);
+    }
+  }
+
+  _prev = down;
+}
+
+// ── Menu / overlay navigation ────────────────────────────────────────────────
+const FOCUS_SELECTOR = 'button, input[type="range"], select, .chest-item, .menu-check input';
+
+function isVisible(el) {
+  if (!el) return false;
+  const r = el.getBoundingClientRect();
+  if (r.width <= 0 || r.height <= 0) return false;
+  const cs = getComputedStyle(el);
+  return cs.visibility !== 'hidden' && cs.display !== 'none' && cs.pointerEvents !== 'none';
+}
+
+// The topmost open screen, most specific first.
+function getNavRoot() {
+  const candidates = [
+    '#chestOverlay.show',
+    '#upgradeOverlay.show',
+    '#game-over.show',
+    '#pause-overlay.show',
+    '#character-modal.show',
+    '#menu-screen.show .menu-page.active',
+    '#boot-screen',
+  ];
+  for (const sel of candidates) {
+    const el = document.querySelector(sel);
+    if (el && isVisible(el)) return el;
+  }
+  return null;
+}
+
+// B / back: the visible "back"-style control of the open screen, if any.
+function getBackTarget(root) {
+  const sel = [
+    '#character-back', '[id^="menu-back"]', '#pause-back-btn', '#pause-resume-btn', '#upgradeContinueBtn',
+  ];
+  for (const s of sel) {
+    const el = root.querySelector(s);
+    if (el && isVisible(el)) return el;
+  }
+  return null;
+}
+
+function focusables(root) {
+  return [...root.querySelectorAll(FOCUS_SELECTOR)].filter(el => !el.disabled && isVisible(el));
+}
+
+function setFocus(el) {
+  if (_focused === el) return;
+  _focused?.classList.remove('pad-focus');
+  _focused = el;
+  if (el) {
+    el.classList.add('pad-focus');
+    try { el.focus({ preventScroll: false }); } catch {}
+    try { el.scrollIntoView({ block: 'nearest' }); } catch {}
+  }
+}
+
+// Nearest element in the pressed direction, by rect centers; wraps around in
+// DOM order when nothing lies that way.
+function moveFocus(list, dir) {
+  const cur = list.includes(_focused) ? _focused : null;
+  if (!cur) { setFocus(list[0] || null); return; }
+  const c = center(cur);
+  let best = null;
+  let bestScore = Infinity;
+  for (const el of list) {
+    if (el === cur) continue;
+    const p = center(el);
+    const dx = p.x - c.x;
+    const dy = p.y - c.y;
+    const along = dir === 'left' ? -dx : dir === 'right' ? dx : dir === 'up' ? -dy : dy;
+    const across = (dir === 'left' || dir === 'right') ? Math.abs(dy) : Math.abs(dx);
+    if (along <= 1) continue;
+    const score = along + across * 2;
+    if (score < bestScore) { bestScore = score; best = el; }
+  }
+  if (!best) {
+    const i = list.indexOf(cur);
+    const step = (dir === 'up' || dir === 'left') ? -1 : 1;
+    best = list[(i + step + list.length) % list.length];
+  }
+  setFocus(best);
+}
+
+function center(el) {
+  const r = el.getBoundingClientRect();
+  return { x: r.left + r.width / 2, y: r.top + r.height / 2 };
+}
+
+// Left/right on a slider or select adjusts it instead of moving focus.
+function nudge(el, dir) {
+  const step = dir === 'right' ? 1 : -1;
+  if (el.tagName === 'INPUT' && el.type === 'range') {
+    const s = parseFloat(el.step) || 0.01;
+    const min = parseFloat(el.min) || 0;
+    const max = parseFloat(el.max) || 1;
+    el.value = String(Math.max(min, Math.min(max, (parseFloat(el.value) || 0) + s * step * 5)));
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
+  if (el.tagName === 'SELECT') {
+    const n = el.options.length;
+    if (!n) return true;
+    el.selectedIndex = Math.max(0, Math.min(n - 1, el.selectedIndex + step));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
+  return false;
+}
+
+function readNavDir(pad, down) {
+  if (down[BTN.UP]) return 'up';
+  if (down[BTN.DOWN]) return 'down';
+  if (down[BTN.LEFT]) return 'left';
+  if (down[BTN.RIGHT]) return 'right';
+  const x = pad.axes[0] || 0;
+  const y = pad.axes[1] || 0;
+  if (Math.max(Math.abs(x), Math.abs(y)) < NAV_DEADZONE) return null;
+  if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+  return y > 0 ? 'down' : 'up';
+}
+
+function navigate(pad, down, pressed, dt) {
+  const root = getNavRoot();
+  if (!root) { setFocus(null); return; }
+  const list = focusables(root);
+  if (_focused && !list.includes(_focused)) setFocus(null);
+
+  // Held directions repeat after a short delay.
+  const dir = readNavDir(pad, down);
+  let step = false;
+  if (dir !== _navDir) {
+    _navDir = dir; _navHeld = 0; _navNext = NAV_REPEAT_DELAY;
+    step = !!dir;
+  } else if (dir) {
+    _navHeld += dt;
+    _navNext -= dt;
+    if (_navNext <= 0) { _navNext = NAV_REPEAT_RATE; step = true; }
+  }
+  if (step) {
+    const horizontal = dir === 'left' || dir === 'right';
+    if (!(horizontal && _focused && nudge(_focused, dir))) moveFocus(list, dir);
+  }
+
+  if (pressed(BTN.A)) {
+    if (!_focused && list.length) setFocus(list[0]);
+    else if (_focused) _focused.click();
+  }
+  if (pressed(BTN.B)) {
+    const back = getBackTarget(root);
+    if (back) back.click();
+  }
+}
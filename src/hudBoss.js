@@ -0,0 +1,95 @@
+// ─── hudBoss.js ─────────────────────────────────────────────────────────────
+// Screen-top boss bars: one row per live boss with its name, phase, HP (shield
+// drawn over it), a marker at each phase threshold (bosses.js) and the enrage
+// countdown (off-screen bosses get an edge arrow from hudThreats.js). Hidden
+// while no boss is alive.
+
+import { state } from './state.js';
+import { getBossDef, getBossPhaseMarkers, getBossEnrage } from './bosses.js';
+
+const rootEl = document.getElementById('boss-hud');
+
+const ENRAGE_WARN = 15;   // s left when the countdown starts flashing
+const PHASE_NUMERALS = ['I', 'II', 'III', 'IV', 'V'];
+
+const _rows = new Map();   // boss enemy → { row, …elements }
+
+function formatTime(s) {
+  const t = Math.ceil(Math.max(0, s));
+  return Math.floor(t / 60) + ':' + String(t % 60).padStart(2, '0');
+}
+
+function buildRow(e) {
+  const def = getBossDef(e);
+  const row = document.createElement('div');
+  row.className = 'boss-hud-row';
+
+  const head = document.createElement('div');
+  head.className = 'boss-hud-head';
+  const name = document.createElement('span');
+  name.className = 'boss-hud-name';
+  name.textContent = def?.name || 'Boss';
+  const phase = document.createElement('span');
+  phase.className = 'boss-hud-phase';
+  const enrage = document.createElement('span');
+  enrage.className = 'boss-hud-enrage';
+  head.append(name, phase, enrage);
+
+  const track = document.createElement('div');
+  track.className = 'boss-hud-track';
+  const fill = document.createElement('div');
+  fill.className = 'boss-hud-fill';
+  const shield = document.createElement('div');
+  shield.className = 'boss-hud-shield';
+  track.append(fill, shield);
+  const markers = getBossPhaseMarkers(e).map(at => {
+    const m = document.createElement('div');
+    m.className = 'boss-hud-marker';
+    m.style.left = (at * 100) + '%';
+    m.dataset.at = String(at);
+    track.appendChild(m);
+    return m;
+  });
+  const hp = document.createElement('span');
+  hp.className = 'boss-hud-hp';
+  track.appendChild(hp);
+
+  row.append(head, track);
+  rootEl.appendChild(row);
+  return { row, phase, enrage, fill, shield, markers, hp, phaseCount: def?.phases.length || 1 };
+}
+
+function removeRow(e) {
+  _rows.get(e).row.remove();
+  _rows.delete(e);
+}
+
+export function updateHudBoss() {
+  if (!rootEl) return;
+  const bosses = state.enemies.filter(e => e && !e.dead && e.isBoss);
+  for (const e of [..._rows.keys()]) if (!bosses.includes(e)) removeRow(e);
+  rootEl.classList.toggle('show', bosses.length > 0);
+  if (!bosses.length) return;
+
+  for (const e of bosses) {
+    let r = _rows.get(e);
+    if (!r) { r = buildRow(e); _rows.set(e, r); }
+
+    const maxHp = Math.max(1, e.maxHp || 1);
+    const ratio = Math.max(0, e.hp / maxHp);
+    const shield = Math.max(0, e.shieldHp || 0);
+    r.fill.style.width = (ratio * 100) + '%';
+    r.shield.style.width = (Math.min(1, shield / maxHp) * 100) + '%';
+    r.hp.textContent = Math.ceil(Math.max(0, e.hp)).toLocaleString()
+      + (shield > 0 ? ' +' + Math.ceil(shield).toLocaleString() : '');
+    for (const m of r.markers) m.classList.toggle('passed', ratio <= Number(m.dataset.at));
+
+    r.phase.textContent = r.phaseCount > 1 ? 'Phase ' + (PHASE_NUMERALS[(e.phase || 1) - 1] || e.phase || 1) : '';
+    const enrage = getBossEnrage(e);
+    if (enrage) {
+      r.enrage.textContent = enrage.enraged ? 'ENRAGED' : 'Enrage ' + formatTime(enrage.remaining);
+      r.enrage.classList.toggle('warn', !enrage.enraged && enrage.remaining <= ENRAGE_WARN);
+      r.row.classList.toggle('enraged', enrage.enraged);
+    }
+  }
+}
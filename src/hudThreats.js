@@ -0,0 +1,93 @@
+// ─── hudThreats.js ───────────────────────────────────────────────────────────
+// Edge-of-screen arrows for threats outside the camera frustum: bosses,
+// elites (legacy eliteType or affixed), snipers winding up a shot and pending
+// teleporter destinations. Each arrow sits where the line from the screen
+// centre to the threat leaves the screen, takes its enemy type's colour and
+// shrinks / fades with distance from the player.
+
+import * as THREE from 'three';
+import { state } from './state.js';
+import { camera } from './renderer.js';
+import { playerGroup } from './player.js';
+import { ENEMY_DEFS, ENEMY_TYPE } from './constants.js';
+
+const rootEl = document.getElementById('threat-arrows');
+
+const MAX_ARROWS  = 10;
+const EDGE_MARGIN = 34;   // px from the screen edge
+const NEAR_DIST   = 14;   // world units: full size at or inside this
+const FAR_DIST    = 45;   // world units: smallest at or past this
+const MIN_SCALE   = 0.6;
+
+// ENEMY_DEFS colours too dark to read against the HUD.
+const COLOR_OVERRIDES = {
+  [ENEMY_TYPE.TANKER]: 0xffaa33,
+  [ENEMY_TYPE.BOSS]:   0xff3333,
+};
+
+const _pool = [];
+const _threats = [];
+const _v = new THREE.Vector3();
+
+function cssColor(hex) {
+  return '#' + hex.toString(16).padStart(6, '0');
+}
+
+function typeColor(enemyType) {
+  return COLOR_OVERRIDES[enemyType] ?? ENEMY_DEFS[enemyType]?.color ?? 0xff4400;
+}
+
+function getArrow(i) {
+  if (_pool[i]) return _pool[i];
+  const el = document.createElement('div');
+  el.className = 'threat-arrow';
+  rootEl.appendChild(el);
+  _pool[i] = el;
+  return el;
+}
+
+// What makes `e` worth an arrow (besides a pending teleport), or null.
+function threatKind(e) {
+  if (e.isBoss) return 'boss';
+  if (e.enemyType === ENEMY_TYPE.SNIPER && (e.fireTellTimer || 0) > 0) return 'sniper';
+  if (e.eliteType || e.affixes?.length) return 'elite';
+  return null;
+}
+
+function addThreat(kind, enemyType, x, z) {
+  _v.set(x, 0, z).project(camera);
+  if (Math.abs(_v.x) <= 1 && Math.abs(_v.y) <= 1) return;
+  const dist = Math.hypot(x - playerGroup.position.x, z - playerGroup.position.z);
+  _threats.push({ kind, enemyType, ndcX: _v.x, ndcY: _v.y, dist });
+}
+
+export function updateHudThreats() {
+  if (!rootEl) return;
+  _threats.length = 0;
+  camera.updateMatrixWorld();
+  for (const e of state.enemies) {
+    if (!e || e.dead) continue;
+    const kind = threatKind(e);
+    if (kind) addThreat(kind, e.enemyType, e.grp.position.x, e.grp.position.z);
+    if (e.teleportPending) addThreat('teleport', e.enemyType, e.teleportPending.x, e.teleportPending.z);
+  }
+  // Bosses first, then nearest.
+  _threats.sort((a, b) => ((b.kind === 'boss') - (a.kind === 'boss')) || (a.dist - b.dist));
+
+  const hw = window.innerWidth / 2, hh = window.innerHeight / 2;
+  const shown = Math.min(MAX_ARROWS, _threats.length);
+  for (let i = 0; i < shown; i++) {
+    const t = _threats[i];
+    const el = getArrow(i);
+    const dx = t.ndcX * hw, dy = -t.ndcY * hh;
+    const k = Math.min((hw - EDGE_MARGIN) / Math.max(1e-3, Math.abs(dx)), (hh - EDGE_MARGIN) / Math.max(1e-3, Math.abs(dy)));
+    const far = Math.max(0, Math.min(1, (t.dist - NEAR_DIST) / (FAR_DIST - NEAR_DIST)));
+    const scale = (1 - far * (1 - MIN_SCALE)) * (t.kind === 'boss' ? 1.3 : 1);
+    el.className = 'threat-arrow show ' + t.kind;
+    el.style.color = cssColor(typeColor(t.enemyType));
+    el.style.opacity = String(1 - far * 0.45);
+    el.style.transform =
+      `translate(${(hw + dx * k).toFixed(1)}px, ${(hh + dy * k).toFixed(1)}px) rotate(${Math.atan2(dy, dx).toFixed(3)}rad) scale(${scale.toFixed(3)})`;
+  }
+  for (let i = shown; i < _pool.length; i++) _pool[i].className = 'threat-arrow';
+}
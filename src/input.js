@@ -1,9 +1,11 @@
 // ─── input.js ─────────────────────────────────────────────────────────────────
 import { state } from './state.js';
-import { DASH_SPEED, DASH_DURATION, DASH_COOLDOWN } from './constants.js';
-import { ISO_FWD, ISO_RIGHT } from './renderer.js';
+import { AIM_STEPS } from './constants.js';
+import { ISO_FWD, ISO_RIGHT, camera, renderer } from './renderer.js';
+import { playerGroup } from './player.js';
 import * as THREE from 'three';
-import { playSound, toggleMute } from './audio.js';
+import { toggleMute } from './audio.js';
+import { getActionForCode } from './keymap.js';
 
 // Injected callbacks to avoid circular imports
 let _togglePanel   = null;
@@ -19,75 +21,60 @@ export function initInput({ togglePanel, restartGame, togglePause, onFirstKey })
   _onFirstKey   = onFirstKey || null;
 }
 
-const _dv = new THREE.Vector3();
-
-
-function getDashStats(tier){
-  const t = Math.max(0, Math.min(5, tier | 0));
-  const speedMult = [0, 0.50, 0.625, 0.75, 0.875, 1.00][t] || 0.50;
-  const cooldown = [0, 2.80, 2.40, 2.00, 1.64, 1.36][t] || (DASH_COOLDOWN * 2);
-  return { speedMult, cooldown };
-}
-
+// Movement actions → state.keys (the replay/sim-facing WASD map).
+const MOVE_KEY = Object.freeze({ moveUp: 'w', moveDown: 's', moveLeft: 'a', moveRight: 'd' });
 
 window.addEventListener('keydown', e => {
   // Resume AudioContext on first interaction (browser autoplay policy)
   if (!_firstKeyFired && _onFirstKey) { _onFirstKey(); _firstKeyFired = true; }
 
-  if (e.key === 'Tab') {
+  // Let text fields (e.g. the seed box) receive keys without triggering hotkeys.
+  const t = e.target;
+  if (t && (t.tagName === 'TEXTAREA' || (t.tagName === 'INPUT' && t.type === 'text'))) return;
+
+  // Bindings live in keymap.js (rebindable from Settings → Controls).
+  const action = getActionForCode(e.code);
+  if (!action) return;
+
+  if (action === 'panel') {
     e.preventDefault();
     const countdownShowing = document.getElementById('countdown')?.classList.contains('show');
     if (!countdownShowing && _togglePanel) _togglePanel();
     return;
   }
 
-  if (e.key === 'Escape' && !state.gameOver) {
+  if (action === 'pause') {
+    if (state.gameOver) return;
     e.preventDefault();
     // If the dev panel is open, close it first, then open pause.
     if (state.panelOpen && _togglePanel) _togglePanel();
     if (_togglePause) _togglePause();
     return;
   }
-  if (e.key.toLowerCase() === 'm') {
+  if (action === 'mute') {
     toggleMute();
     return;
   }
   if (state.paused) return;
 
   // Abilities (design doc)
-  if (e.key.toLowerCase() === 'e') {
+  if (action === 'burst') {
     if ((state.upg?.burst || 0) > 0) state.burstRequested = true;
   }
-  if (e.key.toLowerCase() === 'q') {
+  if (action === 'slow') {
     if ((state.upg?.timeSlow || 0) > 0) state.slowRequested = true;
   }
 
-  const k = e.key.toLowerCase();
-  if (k === 'w' || k === 'arrowup')    state.keys.w = true;
-  if (k === 's' || k === 'arrowdown')  state.keys.s = true;
-  if (k === 'a' || k === 'arrowleft')  state.keys.a = true;
-  if (k === 'd' || k === 'arrowright') state.keys.d = true;
+  if (MOVE_KEY[action]) {
+    e.preventDefault(); // arrows would otherwise scroll
+    state.keys[MOVE_KEY[action]] = true;
+  }
 
-  if (e.key === 'Shift' && !state.gameOver && state.hasDash) {
+  // Dash is only requested here; the tick applies it (abilities.js consumeDashRequest)
+  // so it lands on a simulation step and can be recorded/replayed.
+  if (action === 'dash' && !state.gameOver && state.hasDash) {
     e.preventDefault();
-    if (state.dashCooldown <= 0 && state.dashTimer <= 0) {
-      _dv.set(0, 0, 0);
-      if (state.keys.w) _dv.addScaledVector(ISO_FWD,    1);
-      if (state.keys.s) _dv.addScaledVector(ISO_FWD,   -1);
-      if (state.keys.a) _dv.addScaledVector(ISO_RIGHT, -1);
-      if (state.keys.d) _dv.addScaledVector(ISO_RIGHT,  1);
-      if (_dv.lengthSq() > 0) { _dv.normalize(); state.lastMoveX = _dv.x; state.lastMoveZ = _dv.z; }
-      state.dashVX        = state.lastMoveX;
-      state.dashVZ        = state.lastMoveZ;
-      state.dashTimer     = DASH_DURATION;
-      const dashTier = (state.upg?.dash || 0);
-      const dashStats = getDashStats(dashTier);
-      state.dashSpeed = DASH_SPEED * dashStats.speedMult;
-      state.dashCooldownMax = dashStats.cooldown;
-      state.dashCooldown = state.dashCooldownMax;
-      state.dashGhostTimer = 0;
-      playSound('dash', 0.55, 0.95 + Math.random() * 0.1);
-    }
+    state.dashRequested = true;
   }
 });
 
@@ -97,9 +84,48 @@ window.addEventListener('click', () => {
 }, { once: true });
 
 window.addEventListener('keyup', e => {
-  const k = e.key.toLowerCase();
-  if (k === 'w' || k === 'arrowup')    state.keys.w = false;
-  if (k === 's' || k === 'arrowdown')  state.keys.s = false;
-  if (k === 'a' || k === 'arrowleft')  state.keys.a = false;
-  if (k === 'd' || k === 'arrowright') state.keys.d = false;
+  const action = getActionForCode(e.code);
+  if (MOVE_KEY[action]) state.keys[MOVE_KEY[action]] = false;
 });
+
+// ── Manual aim (state.aimMode === 'manual') ──────────────────────────────────
+// The cursor is raycast onto the ground plane through the orthographic camera;
+// a deflected right stick (state.aimAxis, gamepad.js) takes over until the
+// mouse moves again. sampleAim() runs at the start of each simulation step so
+// the resulting state.aimAngle can be recorded by replay.js.
+const _aimNdc = new THREE.Vector2();
+const _aimRay = new THREE.Raycaster();
+const _groundPlane = new THREE.Plane(new THREE.Vector3(0, 1, 0), 0);
+const _aimHit = new THREE.Vector3();
+let _pointerAim = false;
+
+window.addEventListener('pointermove', e => {
+  if (e.pointerType === 'touch') return; // touch aims with the virtual right stick (touch.js)
+  const r = renderer.domElement.getBoundingClientRect();
+  if (r.width <= 0 || r.height <= 0) return;
+  _aimNdc.set(((e.clientX - r.left) / r.width) * 2 - 1, -((e.clientY - r.top) / r.height) * 2 + 1);
+  _pointerAim = true;
+}, { passive: true });
+
+export function quantizeAimAngle(angle) {
+  const q = ((Math.round(angle / (Math.PI * 2) * AIM_STEPS) % AIM_STEPS) + AIM_STEPS) % AIM_STEPS;
+  return (q / AIM_STEPS) * Math.PI * 2;
+}
+
+export function sampleAim() {
+  if (state.aimMode !== 'manual') return;
+  let dx = 0, dz = 0;
+  const ax = state.aimAxis;
+  if (ax && (ax.x || ax.y)) {
+    dx = ISO_RIGHT.x * ax.x + ISO_FWD.x * ax.y;
+    dz = ISO_RIGHT.z * ax.x + ISO_FWD.z * ax.y;
+    _pointerAim = false;
+  } else if (_pointerAim) {
+    _aimRay.setFromCamera(_aimNdc, camera);
+    if (!_aimRay.ray.intersectPlane(_groundPlane, _aimHit)) return;
+    dx = _aimHit.x - playerGroup.position.x;
+    dz = _aimHit.z - playerGroup.position.z;
+  }
+  if (dx * dx + dz * dz < 1e-4) return; // keep the last aim
+  state.aimAngle = quantizeAimAngle(Math.atan2(dz, dx));
+}
@@ -0,0 +1,164 @@
+// ─── keymap.js ───────────────────────────────────────────────────────────────
+// Keyboard action mapping. Every action has a primary and a secondary binding,
+// stored as KeyboardEvent.code (physical key position), so the default WASD
+// block lands on ZQSD on AZERTY without any remapping. Bindings persist in the
+// 'controls' store; input.js resolves key events through getActionForCode().
+
+import { defineStore } from './ui/storage.js';
+
+export const ACTIONS = Object.freeze([
+  { id: 'moveUp',    label: 'Move Up' },
+  { id: 'moveDown',  label: 'Move Down' },
+  { id: 'moveLeft',  label: 'Move Left' },
+  { id: 'moveRight', label: 'Move Right' },
+  { id: 'dash',      label: 'Dash' },
+  { id: 'burst',     label: 'Burst' },
+  { id: 'slow',      label: 'Time Slow' },
+  { id: 'pause',     label: 'Pause' },
+  { id: 'panel',     label: 'Settings Panel' },
+  { id: 'mute',      label: 'Mute' },
+]);
+
+const DEFAULT_BINDINGS = Object.freeze({
+  moveUp:    ['KeyW', 'ArrowUp'],
+  moveDown:  ['KeyS', 'ArrowDown'],
+  moveLeft:  ['KeyA', 'ArrowLeft'],
+  moveRight: ['KeyD', 'ArrowRight'],
+  dash:      ['ShiftLeft', 'ShiftRight'],
+  burst:     ['KeyE', null],
+  slow:      ['KeyQ', null],
+  pause:     ['Escape', null],
+  panel:     ['Tab', null],
+  mute:      ['KeyM', null],
+});
+
+function defaults() {
+  const out = {};
+  for (const a of ACTIONS) out[a.id] = [...DEFAULT_BINDINGS[a.id]];
+  return out;
+}
+
+// Unknown actions are dropped, missing ones get their defaults, anything that
+// isn't a KeyboardEvent.code-shaped string is unbound, and a key bound twice
+// keeps only its first occurrence.
+function normalizeBindings(input) {
+  if (!input || typeof input !== 'object') return null;
+  const out = defaults();
+  const seen = new Set();
+  for (const a of ACTIONS) {
+    const saved = Array.isArray(input[a.id]) ? input[a.id] : out[a.id];
+    out[a.id] = [0, 1].map(i => {
+      const code = typeof saved[i] === 'string' && /^[A-Za-z0-9]{1,32}$/.test(saved[i]) ? saved[i] : null;
+      if (!code || seen.has(code)) return null;
+      seen.add(code);
+      return code;
+    });
+  }
+  return out;
+}
+
+const store = defineStore('controls', {
+  version: 1,
+  validate: normalizeBindings,
+  fallback: defaults,
+});
+
+let _bindings = store.load();
+let _byCode = new Map();
+const _listeners = new Set();
+
+function rebuildIndex() {
+  _byCode = new Map();
+  for (const [action, codes] of Object.entries(_bindings)) {
+    for (const c of codes) if (c) _byCode.set(c, action);
+  }
+}
+rebuildIndex();
+
+function notify() {
+  for (const fn of _listeners) { try { fn(); } catch {} }
+}
+
+function commit() {
+  rebuildIndex();
+  store.save(_bindings);
+  notify();
+}
+
+// ── Queries ──────────────────────────────────────────────────────────────────
+export function getActionForCode(code) {
+  return _byCode.get(code) || null;
+}
+
+export function getBindings(action) {
+  return [...(_bindings[action] || [null, null])];
+}
+
+// fn() runs after any binding change (HUD hints, settings page).
+export function onBindingsChanged(fn) {
+  _listeners.add(fn);
+  return () => _listeners.delete(fn);
+}
+
+// ── Editing ──────────────────────────────────────────────────────────────────
+// The action/slot currently holding `code`, ignoring the slot being edited.
+export function findConflict(code, action, slot) {
+  for (const [a, codes] of Object.entries(_bindings)) {
+    const i = codes.indexOf(code);
+    if (i !== -1 && !(a === action && i === slot)) return { action: a, slot: i };
+  }
+  return null;
+}
+
+// Binds `code` to action[slot] (null clears the slot). A key already used
+// elsewhere is moved: the other binding is cleared and returned as the conflict.
+export function setBinding(action, slot, code) {
+  if (!_bindings[action] || (slot !== 0 && slot !== 1)) return null;
+  const conflict = code ? findConflict(code, action, slot) : null;
+  if (conflict) _bindings[conflict.action][conflict.slot] = null;
+  _bindings[action][slot] = code || null;
+  commit();
+  return conflict;
+}
+
+export function resetBindings() {
+  _bindings = defaults();
+  commit();
+}
+
+// Reload after a profile import replaced the stored bindings.
+export function reloadBindings() {
+  _bindings = store.load();
+  rebuildIndex();
+  notify();
+}
+
+// ── Display ──────────────────────────────────────────────────────────────────
+const CODE_LABELS = {
+  ShiftLeft: 'L-Shift', ShiftRight: 'R-Shift', ControlLeft: 'L-Ctrl', ControlRight: 'R-Ctrl',
+  AltLeft: 'L-Alt', AltRight: 'R-Alt', ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→',
+  Escape: 'Esc', Space: 'Space', Enter: 'Enter', Tab: 'Tab', Backspace: 'Backspace',
+};
+
+// Layout-aware label where the browser exposes it (KeyW → "Z" on AZERTY).
+let _layoutMap = null;
+try {
+  navigator.keyboard?.getLayoutMap?.().then(m => { _layoutMap = m; notify(); }).catch(() => {});
+} catch {}
+
+export function formatKey(code) {
+  if (!code) return '—';
+  if (CODE_LABELS[code]) return CODE_LABELS[code];
+  const mapped = _layoutMap?.get?.(code);
+  if (mapped) return mapped.toUpperCase();
+  if (code.startsWith('Key')) return code.slice(3);
+  if (code.startsWith('Digit')) return code.slice(5);
+  if (code.startsWith('Numpad')) return 'Num ' + code.slice(6);
+  return code;
+}
+
+// "W / ↑" style label of an action's bindings.
+export function formatAction(action) {
+  const codes = getBindings(action).filter(Boolean);
+  return codes.length ? codes.map(formatKey).join(' / ') : 'unbound';
+}
@@ -67,15 +67,19 @@ export function getXPRewardForEnemy(enemyType, playerLevel) {
   switch (enemyType) {
     case ENEMY_TYPE.RUSHER:
     case ENEMY_TYPE.ORBITER:
+    case ENEMY_TYPE.CHARGER:
       base = standard[idx];
       break;
     case ENEMY_TYPE.TANKER:
     case ENEMY_TYPE.SNIPER:
     case ENEMY_TYPE.TELEPORTER:
     case ENEMY_TYPE.SHIELDED:
+    case ENEMY_TYPE.BOMBER:
+    case ENEMY_TYPE.HEALER:
       base = elite[idx];
       break;
     case ENEMY_TYPE.SPLITTER:
+    case ENEMY_TYPE.NEST:
       base = ultra[idx];
       break;
     case ENEMY_TYPE.BOSS:
@@ -101,14 +105,19 @@ export function getCoinTierForEnemy(enemyType) {
     case ENEMY_TYPE.ORBITER:
       return { value: 2, color: GOLD };
     case ENEMY_TYPE.TANKER:
+    case ENEMY_TYPE.CHARGER:
       return { value: 3, color: GOLD };
     case ENEMY_TYPE.SNIPER:
+    case ENEMY_TYPE.BOMBER:
       return { value: 4, color: GOLD };
     case ENEMY_TYPE.TELEPORTER:
       return { value: 5, color: GOLD };
+    case ENEMY_TYPE.HEALER:
+      return { value: 6, color: GOLD };
     case ENEMY_TYPE.SHIELDED:
       return { value: 8, color: GOLD };
     case ENEMY_TYPE.SPLITTER:
+    case ENEMY_TYPE.NEST:
       return { value: 10, color: GOLD };
     case ENEMY_TYPE.BOSS:
       return { value: 20, color: GOLD };
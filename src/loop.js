@@ -3,26 +3,34 @@ import * as THREE from 'three';
 import { renderer, scene, camera, labelRenderer } from './renderer.js';
 import { renderBloom, consumeExplBloomDirty } from './bloom.js';
 import { state } from './state.js';
-import {PLAYER_MAX_HP, getEnemyCapForLevel, getActiveEnemyTypesForLevel, isBossLevel, ENEMY_TYPE, ENEMY_DEFS, getBossScaleForLevel, SLASH_INTERVAL} from './constants.js';
+import {PLAYER_MAX_HP, getEnemyCapForLevel, getActiveEnemyTypesForLevel, isBossLevel, ENEMY_TYPE, ENEMY_DEFS, getBossScaleForLevel,
+        SIM_DT, MAX_FRAME_DELTA, MAX_STEPS_PER_FRAME} from './constants.js';
 import { updateSunPosition, updateOrbitLights } from './lighting.js';
 import { updateChunks } from './terrain.js';
 import { updatePlayer, updateDashStreaks, updateHealthBar } from './player.js';
-import { updateEnemies, removeCSS2DFromGroup, killEnemy } from './enemies.js';
+import { updateEnemies, killEnemy } from './enemies.js';
 import { updateSpawner, initSpawner } from './spawner.js';
-import { shootBulletWave, updateBullets, updateEnemyBullets, updateOrbitBullets, updateSecondaryWeapons, performSlash, updateSlashEffects } from './weapons.js';
+import { fireWeapons, updateBullets, updateEnemyBullets, updateOrbitBullets, updateWeaponProjectiles, updateSlashEffects } from './weapons.js';
 import { updatePickups } from './pickups.js';
+import { KillSource } from './events.js';
 import { updateActiveEffects } from './activeEffects.js';
 import { updateArmorTimers } from './armor.js';
-import { initArenaPickups, updateArenaPickups } from './arenaPickups.js';
+import { initArenaPickups, updateArenaPickups, updateBlackHole } from './arenaPickups.js';
 import { updateHudEffects } from './hudEffects.js';
 import { updateHudLevel } from './hudLevel.js';
+import { updateHudBoss } from './hudBoss.js';
+import { updateHudThreats } from './hudThreats.js';
 import { updateParticles } from './particles.js';
 import { updateDamageNums } from './damageNumbers.js';
-import { getFireInterval } from './xp.js';
+import { updateShieldAndRegen } from './progression.js';
 import { triggerGameOver, formatTime } from './gameFlow.js';
-import { playSound } from './audio.js';
 import { openUpgradeShop, closeUpgradeShopIfOpen } from './ui/upgrades.js';
+import { openChestOverlay } from './ui/chestOverlay.js';
 import { playerGroup } from './player.js';
+import { sampleAim } from './input.js';
+import { consumeDashRequest, updateAbilities } from './abilities.js';
+import { replayTick, flushReplayChoice } from './replay.js';
+import { snapshotSimPositions, applyRenderInterpolation, restoreSimPositions } from './renderInterp.js';
 
 const timerEl  = document.getElementById('timer-value');
 const fpsTogEl = document.getElementById('s-fps');
@@ -36,6 +44,8 @@ let _lastMaxHP = null;
 
 export const clock = new THREE.Clock();
 let fpsEMA = 60;
+let _simAccum  = 0;     // unsimulated real time carried between frames
+let _simHalted = true;  // sim was paused last frame — drop the stale clock delta
 
 function renderSceneFrame() {
   if (state.visuals?.bloom === false) {
@@ -85,6 +95,10 @@ function hideWaveBannerIfDone(delta){
 
 
 
+// ── Frame driver ──────────────────────────────────────────────────────────────
+// Gameplay runs in fixed SIM_DT steps fed by an accumulator, so timers, regen,
+// damage-over-time and spawns behave identically at 30 Hz and 144 Hz. Rendering
+// happens once per display frame with positions interpolated between steps.
 export function tick() {
   requestAnimationFrame(tick);
 
@@ -94,14 +108,42 @@ export function tick() {
     try { initArenaPickups(); } catch {}
   }
 
+  // Replay playback: a shop/chest pick held since the last step lands now,
+  // where the player's click did (replay.js).
+  flushReplayChoice();
+
   if (state.paused || state.gameOver || state.upgradeOpen) {
+    _simHalted = true;
     renderSceneFrame();
     return;
   }
 
-  const delta = Math.min(clock.getDelta(), 0.05);
+  if (_simHalted) {
+    _simHalted = false;
+    _simAccum = 0;
+    clock.getDelta();
+  }
 
-  hideWaveBannerIfDone(delta);
+  const frameDelta = Math.min(clock.getDelta(), MAX_FRAME_DELTA);
+  _simAccum += frameDelta;
+
+  let steps = 0;
+  while (_simAccum >= SIM_DT && steps < MAX_STEPS_PER_FRAME) {
+    _simAccum -= SIM_DT;
+    steps++;
+    snapshotSimPositions();
+    stepSimulation(SIM_DT);
+    // Shop/chest/game over opened mid-frame: stop stepping until resumed.
+    if (state.paused || state.gameOver || state.upgradeOpen) break;
+  }
+  if (steps >= MAX_STEPS_PER_FRAME) _simAccum = Math.min(_simAccum, SIM_DT);
+
+  renderFrame(frameDelta, _simAccum / SIM_DT);
+}
+
+// ── Per display frame: HUD, cosmetics, camera, render ─────────────────────────
+function renderFrame(frameDelta, alpha) {
+  hideWaveBannerIfDone(frameDelta);
 
   // Lives HUD
   const livesNow = (state.extraLives || 0);
@@ -111,15 +153,57 @@ export function tick() {
     if (livesHudEl) livesHudEl.style.opacity = livesNow > 0 ? '1' : '0';
   }
 
-// FPS display
-  fpsEMA = fpsEMA * 0.9 + (1 / Math.max(delta, 1e-6)) * 0.1;
+  // FPS display
+  fpsEMA = fpsEMA * 0.9 + (1 / Math.max(frameDelta, 1e-6)) * 0.1;
   if (fpsTogEl?.checked && fpsValEl) fpsValEl.textContent = fpsEMA.toFixed(0);
 
-  state.elapsed += delta;
   if (timerEl) timerEl.textContent = formatTime(state.elapsed);
 
-  // Slow-motion worldDelta is updated inside updatePlayer
-  updatePlayer(delta, state.worldScale);
+  applyRenderInterpolation(alpha);
+
+  // ── World ──────────────────────────────────────────────────────────────────
+  updateChunks(playerGroup.position);
+  updateSunPosition(playerGroup.position);
+  updateOrbitLights(frameDelta, playerGroup.position);
+
+  // Camera follows the (interpolated) player
+  camera.position.set(
+    playerGroup.position.x + 28,
+    28,
+    playerGroup.position.z + 28
+  );
+  camera.lookAt(playerGroup.position);
+
+  // Purely visual systems advance with real frame time
+  const worldFrameDelta = frameDelta * state.worldScale;
+  updateParticles(worldFrameDelta);
+  updateDamageNums(frameDelta);
+  updateHudEffects();
+  updateHudLevel();
+  updateHudBoss();
+  updateHudThreats();
+  updateDashStreaks(frameDelta);
+  updateSlashEffects(worldFrameDelta);
+
+  consumeExplBloomDirty();
+  renderSceneFrame();
+  restoreSimPositions();
+}
+
+// ── One fixed simulation step ────────────────────────────────────────────────
+function stepSimulation(simDelta) {
+  // Manual aim is sampled first so the replay hook records (or overrides) it.
+  sampleAim();
+  // Replay hook: records this step's input, or (during playback) overwrites
+  // the input state and hands back the recorded delta.
+  const delta = replayTick(simDelta);
+  state.simTick++;
+
+  state.elapsed += delta;
+
+  // Slow-motion worldScale is eased inside updatePlayer (abilities.js)
+  consumeDashRequest();
+  updatePlayer(delta);
   const worldDelta = delta * state.worldScale;
   // Time Slow pickup now brings the world to 15% normal speed overall.
   state.enemyTimeScale = 1.0;
@@ -130,32 +214,8 @@ export function tick() {
   updateActiveEffects(delta);
 
   // ── Ability timers & passive effects (design doc) ─────────────────────────
-  // Dash i-frames (Tier 3)
-  state.dashInvincible = (state.dashTimer > 0) && ((state.upg?.dash || 0) >= 3);
-
-  // Shield recharge
-  if ((state.shieldHitCD || 0) > 0) state.shieldHitCD = Math.max(0, state.shieldHitCD - delta);
-  const shieldTier = Math.max(0, state.upg?.shield || 0);
-  const shieldMax = shieldTier >= 5 ? 3 : (shieldTier >= 3 ? 2 : (shieldTier >= 1 ? 1 : 0));
-  if (shieldMax > 0) {
-    if ((state.shieldCharges || 0) <= 0 && (state.shieldRecharge || 0) > 0) {
-      state.shieldRecharge = Math.max(0, state.shieldRecharge - delta);
-      if (state.shieldRecharge <= 0) state.shieldCharges = shieldMax;
-    } else if ((state.shieldCharges || 0) <= 0 && (state.shieldRecharge || 0) <= 0) {
-      // If shield unlocked but never initialized
-      state.shieldCharges = shieldMax;
-    }
-  } else {
-    state.shieldCharges = 0;
-    state.shieldRecharge = 0;
-  }
-
-  // Passive regen
-  const regenTier = Math.max(0, state.upg?.regen || 0);
-  if (regenTier > 0 && state.playerHP < state.playerMaxHP) {
-    state.playerHP = Math.min(state.playerMaxHP, state.playerHP + regenTier * worldDelta);
-  }
-
+  // Shield recharge + passive regen
+  updateShieldAndRegen(delta, worldDelta);
 
   // Keep the player health bar in sync (regen + pickups + upgrades)
   // without spamming layout writes.
@@ -167,59 +227,23 @@ export function tick() {
     try { updateHealthBar(); } catch {}
   }
 
-  // Cooldowns
-  if ((state.burstCooldown || 0) > 0) state.burstCooldown = Math.max(0, state.burstCooldown - delta);
-  if ((state.slowCooldown || 0) > 0) state.slowCooldown = Math.max(0, state.slowCooldown - delta);
-  if ((state.slowTimer || 0) > 0) state.slowTimer = Math.max(0, state.slowTimer - delta);
-
-  // Time Slow activation (Q)
-  if (state.slowRequested) {
-    state.slowRequested = false;
-    const tier = Math.max(0, state.upg?.timeSlow || 0);
-    if (tier > 0 && state.slowCooldown <= 0 && state.slowTimer <= 0) {
-      const duration = tier >= 2 ? 5.0 : 3.0;
-      const cdBase = 15.0;
-      const cd = tier >= 4 ? cdBase * 0.50 : (tier >= 2 ? cdBase * 0.70 : cdBase);
-      state.slowTimer = duration;
-      state.slowCooldown = cd;
-      state.slowScale = tier >= 5 ? 0.15 : (tier >= 3 ? 0.25 : 0.5);
-      playSound('slowmo', 0.6, 1.0);
-    }
-  }
-
-  // Area Burst activation (E)
-  if (state.burstRequested) {
-    state.burstRequested = false;
-    const tier = Math.max(0, state.upg?.burst || 0);
-    if (tier > 0 && state.burstCooldown <= 0) {
-      const baseRadius = 5.5;
-      const radius = tier >= 5 ? baseRadius * 2.4 : (tier >= 4 ? baseRadius * 2.0 : (tier >= 2 ? baseRadius * 1.25 : baseRadius));
-      const dmg = tier >= 5 ? 220 : (tier >= 4 ? 180 : (70 + tier * 30));
-      // Apply damage to enemies in radius.
-      for (let j = state.enemies.length - 1; j >= 0; j--) {
-        const e = state.enemies[j]; if (e.dead) continue;
-        const dx = e.grp.position.x - playerGroup.position.x;
-        const dz = e.grp.position.z - playerGroup.position.z;
-        if (dx*dx + dz*dz <= radius*radius) {
-          e.hp -= dmg;
-          if (e.hp <= 0) {
-            killEnemy(j);
-          }
-        }
-      }
-      state.burstCooldown = tier >= 3 ? 5.6 : 8.0;
-      playSound('burst', 0.7, 1.0);
-    }
-  }
+  // Ability cooldowns, Time Slow (Q) and Area Burst (E) activation
+  updateAbilities(delta, playerGroup.position.x, playerGroup.position.z,
+    (e, j) => killEnemy(j, KillSource.BURST));
 
   // ── Level-driven spawn system (Option B) ───────────────────────────────────
   // Cap is driven by player level per design doc.
   state.maxEnemies = getEnemyCapForLevel(state.playerLevel);
 
-  // Open one queued shop per level-up.
-  if ((Number(state.pendingShop) || 0) > 0 && !state.upgradeOpen) {
-    state.pendingShop = Math.max(0, (Number(state.pendingShop) || 0) - 1);
-    openUpgradeShop(state.playerLevel);
+  // Open one queued shop per level-up, else one queued chest (pickups.js).
+  // Either pauses until picked, so at most one opens per step.
+  if (!state.upgradeOpen) {
+    if ((Number(state.pendingShop) || 0) > 0) {
+      state.pendingShop = Math.max(0, (Number(state.pendingShop) || 0) - 1);
+      openUpgradeShop(state.playerLevel);
+    } else if (state.pendingChests?.length) {
+      openChestOverlay(state.pendingChests.shift());
+    }
   }
 
   // Spawning (design doc)
@@ -228,19 +252,6 @@ export function tick() {
   // Timed arena pickups
   updateArenaPickups(worldDelta);
 
-  // ── World ──────────────────────────────────────────────────────────────────
-  updateChunks(playerGroup.position);
-  updateSunPosition(playerGroup.position);
-  updateOrbitLights(delta, playerGroup.position);
-
-  // Camera follows player
-  camera.position.set(
-    playerGroup.position.x + 28,
-    28,
-    playerGroup.position.z + 28
-  );
-  camera.lookAt(playerGroup.position);
-
   // ── Wave spawns ────────────────────────────────────────────────────────────
   // Defensive init (prevents NaN from breaking spawns)
   if (!Number.isFinite(state.spawnTickTimer)) state.spawnTickTimer = 0;
@@ -254,136 +265,31 @@ export function tick() {
   const enemyUpdateResult = updateEnemies(delta, worldDelta * (state.enemyTimeScale ?? 1.0), state.elapsed);
   if (enemyUpdateResult === 'DEAD') {
     triggerGameOver();
-    renderSceneFrame();
     return;
   }
 
   // ── Black Hole ─────────────────────────────────────────────────────────────
-  // Spawned when the pickup is collected (see activeEffects.js applyEffect 'blackHole').
-  // A vortex mesh is created at a random location ~15 units from the player.
-  // Enemies pulled in are killed (coins still drop) but no explosion spawns.
-  if (!state._bhMesh && (state.effects?.blackHole || 0) > 0) {
-    // First frame of black hole — spawn the vortex
-    const ang = Math.random() * Math.PI * 2;
-    const dist = 12 + Math.random() * 6;
-    const bx = playerGroup.position.x + Math.cos(ang) * dist;
-    const bz = playerGroup.position.z + Math.sin(ang) * dist;
-    const bhGeo = new THREE.SphereGeometry(1.2, 16, 16);
-    const bhMat = new THREE.MeshStandardMaterial({
-      color: 0x000000,
-      emissive: 0x000000,
-      emissiveIntensity: 0.0,
-      transparent: false,
-      opacity: 1.0,
-      metalness: 0.0,
-      roughness: 1.0,
-    });
-    const bhMesh = new THREE.Mesh(bhGeo, bhMat);
-    bhMesh.position.set(bx, 1.2, bz);
-    scene.add(bhMesh);
-    state._bhMesh = bhMesh;
-    state._bhMat = bhMat;
-    state._bhGeo = bhGeo;
-  }
-  if (state._bhMesh) {
-    if ((state.effects?.blackHole || 0) <= 0) {
-      // Effect expired — clean up
-      scene.remove(state._bhMesh);
-      state._bhMat.dispose();
-      state._bhGeo.dispose();
-      state._bhMesh = null; state._bhMat = null; state._bhGeo = null;
-      for (const e of state.enemies) { if (e) e.blackHoleSuppressed = false; }
-    } else {
-      // Spin and pulse
-      state._bhMesh.rotation.y += worldDelta * 2.5;
-      for (const e of state.enemies) {
-        if (e) e.blackHoleSuppressed = false;
-      }
-      const bhPulse = 1.0 + Math.sin(state.elapsed * 8) * 0.035;
-      state._bhMesh.scale.setScalar(bhPulse);
-      const PULL = 22.0;
-      const KILL_R = 1.8;
-      const bhx = state._bhMesh.position.x;
-      const bhz = state._bhMesh.position.z;
-      for (let j = state.enemies.length - 1; j >= 0; j--) {
-        const e = state.enemies[j];
-        if (e.dead) continue;
-        const bdx = bhx - e.grp.position.x;
-        const bdz = bhz - e.grp.position.z;
-        const bd = Math.sqrt(bdx*bdx + bdz*bdz);
-        if (bd < KILL_R) {
-          // Silently kill enemy — drop coins but no explosion flash
-          removeCSS2DFromGroup(e.grp);
-          scene.remove(e.grp);
-          e.dead = true;
-          state.kills++;
-          const _ke = document.getElementById('kills-value'); if (_ke) _ke.textContent = state.kills;
-          // Drop loot — same coin value as a normal kill.
-          import('./leveling.js').then(lev => {
-            const tier = lev.getCoinTierForEnemy?.(e.enemyType) ?? { value: 1, color: null };
-            import('./pickups.js').then(m => {
-              if (m.dropLoot) m.dropLoot(e.grp.position, tier.value, e.coinMult || 1, tier.color ?? null);
-              // If the black hole consumes a boss, the chest drop MUST still occur.
-              // (Doc tiering: Standard <40, Rare 40–69, Epic 70+.)
-              if ((e.isBoss || e.enemyType === 'BOSS') && m.spawnChest) {
-                const lvl = state.playerLevel || 1;
-                const chestTier = (lvl < 40) ? 'standard' : (lvl < 70 ? 'rare' : 'epic');
-                m.spawnChest(e.grp.position, chestTier);
-              }
-            }).catch(()=>{});
-          }).catch(()=>{});
-          state.enemies.splice(j, 1);
-        } else if (bd < 30) {
-          e.blackHoleSuppressed = true;
-          e.grp.position.x += (bdx/bd) * Math.min(PULL * worldDelta, bd - KILL_R);
-          e.grp.position.z += (bdz/bd) * Math.min(PULL * worldDelta, bd - KILL_R);
-        }
-      }
-    }
-  }
+  // Opened by the pickup (activeEffects.js 'blackHole'); pulls in and swallows
+  // enemies (loot.js tickBlackHole).
+  updateBlackHole(worldDelta);
 
   // ── Weapons / bullets ─────────────────────────────────────────────────────
-  // Auto-shoot: only fires when weapon tier is active
-  if ((state.weaponTier || 0) >= 1) {
-    state.shootTimer = (state.shootTimer || 0) - delta;
-    if (state.shootTimer <= 0) {
-      shootBulletWave();
-      state.shootTimer = getFireInterval();
-    }
-  }
+  // Every active weapon in weaponDefs.js fires on its own cooldown. NOT scaled
+  // by worldDelta, so Time Slow / Clock do not change the player's cadence.
+  fireWeapons(delta);
   updateBullets(delta);
   const enemyBulletResult = updateEnemyBullets(worldDelta * (state.enemyTimeScale ?? 1.0));
   if (enemyBulletResult === 'DEAD') {
     triggerGameOver();
-    renderSceneFrame();
     return;
   }
   updateOrbitBullets(delta);
-  updateSecondaryWeapons(delta);
+  updateWeaponProjectiles(delta);
 
   if (!state.gameOver && state.playerHP <= 0) {
     triggerGameOver();
-    renderSceneFrame();
     return;
   }
-  // Slash: only the slash-primary character should auto-slash.
-  // NOT scaled by worldDelta so Time Slow/Clock do not affect slash cadence.
-  if (state.characterPrimaryWeapon === 'slash') {
-    state._slashTimer = (state._slashTimer || 0) - delta;
-    if (state._slashTimer <= 0) {
-      performSlash();
-      state._slashTimer = SLASH_INTERVAL;
-    }
-  }
 
   updatePickups(worldDelta, state.playerLevel, state.elapsed);
-  updateParticles(worldDelta);
-  updateDamageNums(delta);
-  updateHudEffects();
-  updateHudLevel();
-  updateDashStreaks(delta);
-  updateSlashEffects(worldDelta);
-
-  consumeExplBloomDirty();
-  renderSceneFrame();
 }
@@ -0,0 +1,422 @@
+// ─── loot.js ────────────────────────────────────────────────────────────────
+// What a kill pays out and everything the player picks up off the ground —
+// coins, health packs, boss chests and the timed arena power-ups, plus the
+// black hole one of them opens — on plain data shared by the game and the
+// headless sim. Items are { x, z, life, ... } records in state.coinPickups /
+// healthPickups / chests / arenaPickups; pickups.js and arenaPickups.js hang a
+// mesh on each and move it after the step. `pos` is the player position.
+// Side effects go through hooks:
+//   spawnAt(x, z, type)          spawn an enemy (splitter children)
+//   xp(amount)                   award kill XP (browser: updateXP, with HUD)
+//   kill(e, source)              the black hole swallowed e
+//   added?(kind, it)             an item was dropped (browser: build its mesh)
+//   removed?(kind, it)           an item expired or was picked up (dispose it)
+//   collected?(kind, it, value)  the player picked it up (HUD, banners)
+// kind is 'coin' | 'health' | 'chest' | 'arena'.
+
+import { state } from './state.js';
+import {
+  PLAYER_MAX_HP, HEALTH_PICKUP_CHANCE, HEALTH_RESTORE, ITEM_ATTRACT_SPEED,
+  ENEMY_TYPE, ENEMY_DEFS, getMagnetAttractRangeForTier,
+} from './constants.js';
+import { playSound } from './audio.js';
+import { rand } from './rng.js';
+import { emit, GameEvent, KillSource } from './events.js';
+import { getLootCoinValue } from './progression.js';
+import { getXPRewardForEnemy, getCoinTierForEnemy } from './leveling.js';
+import { getLuckSpawnMultiplier } from './luck.js';
+import { applyEffect } from './activeEffects.js';
+import { grantArmor } from './armor.js';
+import { spawnAround } from './enemyAI.js';
+
+// ── Drops ────────────────────────────────────────────────────────────────────
+const COIN_LIFE   = 20.0;
+const HEALTH_LIFE = 15.0;
+
+function _scatter(pos, rMin, rSpread) {
+  const angle = rand('loot') * Math.PI * 2;
+  const r     = rMin + rand('loot') * rSpread;
+  return { x: pos.x + Math.cos(angle) * r, z: pos.z + Math.sin(angle) * r };
+}
+
+export function dropCoin(pos, value, hooks) {
+  const { x, z } = _scatter(pos, 0.3, 1.2);
+  const cp = { x, z, value, attracting: false, life: COIN_LIFE, merged: false };
+  state.coinPickups.push(cp);
+  hooks.added?.('coin', cp);
+  return cp;
+}
+
+export function dropHealth(pos, hooks) {
+  const { x, z } = _scatter(pos, 0.3, 0.8);
+  const hp = { x, z, life: HEALTH_LIFE, attracting: false };
+  state.healthPickups.push(hp);
+  hooks.added?.('health', hp);
+  return hp;
+}
+
+// Boss chests do not despawn; `bob` only drives the browser's idle bob.
+export function dropChest(pos, tier, hooks) {
+  const c = { x: pos.x, z: pos.z, tier, bob: rand('cosmetic') * Math.PI * 2 };
+  state.chests.push(c);
+  hooks.added?.('chest', c);
+  return c;
+}
+
+// Health is a chance-based drop; a coin always drops, tiered by enemy type.
+export function dropLoot(pos, coinValue, coinMult, hooks) {
+  if (rand('loot') < HEALTH_PICKUP_CHANCE) dropHealth(pos, hooks);
+  dropCoin(pos, getLootCoinValue(coinValue, coinMult), hooks);
+}
+
+// ── Kill rewards ─────────────────────────────────────────────────────────────
+// Everything a kill pays out once the enemy has left state.enemies: boss
+// bookkeeping and its chest, splitter children, the kill counters and
+// ENEMY_KILLED, the loot drop and XP.
+export function settleKill(e, source, hooks) {
+  const pos = e.grp.position;
+  const wasBoss = !!(e.isBoss || e.enemyType === ENEMY_TYPE.BOSS);
+
+  // Boss bookkeeping (boss does not count toward cap; respawns after delay)
+  if (wasBoss) {
+    state.bossAlive = false;
+    if (state.spawn && Number.isFinite(state.spawn.bossCooldown)) {
+      state.spawn.bossCooldown = 10.0;
+    } else {
+      state.bossRespawnTimer = 10.0;
+    }
+
+    // Boss chest drop (design doc Section 10)
+    // Tier by level: 1-10 standard, 11-20 rare, 21+ epic.
+    const tier = (state.playerLevel <= 10) ? 'standard' : (state.playerLevel <= 20 ? 'rare' : 'epic');
+    dropChest(pos, tier, hooks);
+
+    // Boss wave luck bonus: +5 at levels 10/20/30
+    if (state.playerLevel === 10 || state.playerLevel === 20 || state.playerLevel === 30) {
+      state.bossLuck = (state.bossLuck || 0) + 5;
+    }
+  }
+
+  // Ultra Elite split (doc Section 2)
+  if (e.enemyType === ENEMY_TYPE.SPLITTER) {
+    const min = (ENEMY_DEFS[ENEMY_TYPE.SPLITTER]?.splitCountMin ?? 2);
+    const max = (ENEMY_DEFS[ENEMY_TYPE.SPLITTER]?.splitCountMax ?? 3);
+    const n = min + Math.floor(rand('enemies') * (max - min + 1));
+    spawnAround(pos.x, pos.z, ENEMY_TYPE.RUSHER, n, 0.9, 1.4, 'enemies', hooks.spawnAt);
+  }
+
+  const src = source || 'unknown';
+  state.kills++;
+  if (!state.killsBySource) state.killsBySource = {};
+  state.killsBySource[src] = (state.killsBySource[src] || 0) + 1;
+  emit(GameEvent.ENEMY_KILLED, {
+    enemyType: e.enemyType, isBoss: wasBoss, eliteType: e.eliteType ?? null,
+    x: pos.x, z: pos.z, source: src, level: state.playerLevel,
+  });
+
+  // Coins (tiered)
+  const tier = getCoinTierForEnemy(e.enemyType);
+  dropLoot(pos, tier.value, (e.coinMult || 1), hooks);
+
+  // XP (tiered + Growth bonus handled in getXPRewardForEnemy)
+  hooks.xp(getXPRewardForEnemy(e.enemyType, state.playerLevel));
+}
+
+// ── Ground pickups ───────────────────────────────────────────────────────────
+const COLLECT_COIN  = 0.7;
+const COLLECT_HP    = 0.8;
+const COLLECT_CHEST = 0.8;
+const COIN_TOUCH_MERGE_DIST = 1.2;
+const COIN_TOUCH_MERGE_CELL = 1.4;
+const COIN_CONSOLIDATE_AT   = 400;
+
+function _removeAt(list, i, kind, hooks) {
+  hooks.removed?.(kind, list[i]);
+  list.splice(i, 1);
+}
+
+// Coins that touch fold into one (value summed, longest life kept), bucketed
+// on a coarse grid so the pass stays linear.
+function mergeTouchingCoins(hooks) {
+  if (!Array.isArray(state.coinPickups) || state.coinPickups.length < 2) return;
+
+  const grid = new Map();
+  const removed = new Set();
+  const mergeDist2 = COIN_TOUCH_MERGE_DIST * COIN_TOUCH_MERGE_DIST;
+
+  for (let i = 0; i < state.coinPickups.length; i++) {
+    const cp = state.coinPickups[i];
+    const gx = Math.floor(cp.x / COIN_TOUCH_MERGE_CELL);
+    const gz = Math.floor(cp.z / COIN_TOUCH_MERGE_CELL);
+    let merged = false;
+
+    for (let ox = -1; ox <= 1 && !merged; ox++) {
+      for (let oz = -1; oz <= 1 && !merged; oz++) {
+        const bucket = grid.get(`${gx + ox},${gz + oz}`);
+        if (!bucket) continue;
+
+        for (const keepIndex of bucket) {
+          if (removed.has(keepIndex)) continue;
+          const keep = state.coinPickups[keepIndex];
+          const dx = cp.x - keep.x;
+          const dz = cp.z - keep.z;
+          if ((dx * dx + dz * dz) > mergeDist2) continue;
+
+          keep.value = Math.max(1, (keep.value || 0) + (cp.value || 0));
+          keep.life = Math.max(keep.life || 0, cp.life || 0);
+          keep.attracting = Boolean(keep.attracting || cp.attracting);
+          keep.merged = true;
+          hooks.removed?.('coin', cp);
+          removed.add(i);
+          merged = true;
+          break;
+        }
+      }
+    }
+
+    if (merged) continue;
+
+    const ownKey = `${gx},${gz}`;
+    if (!grid.has(ownKey)) grid.set(ownKey, []);
+    grid.get(ownKey).push(i);
+  }
+
+  if (removed.size > 0) {
+    state.coinPickups = state.coinPickups.filter((_, idx) => !removed.has(idx));
+  }
+}
+
+// Moves an attracted item toward the player; magnet pull runs on real time,
+// so Time Slow does not slow it.
+function _attract(it, dx, dz, dist, attractDelta) {
+  const spd = ITEM_ATTRACT_SPEED * attractDelta;
+  it.x += (dx / dist) * Math.min(spd, dist);
+  it.z += (dz / dist) * Math.min(spd, dist);
+}
+
+// Coins, health packs and chests: merge, expire, attract and collect. A
+// collected chest is queued on state.pendingChests and opened by the next
+// step, like a level-up shop.
+export function tickGroundPickups(worldDelta, pos, hooks) {
+  const attractDelta = Math.max(0, worldDelta) / Math.max(0.0001, state.worldScale || 1.0);
+  const magnetActive = (state.effects?.coinMagnet || 0) > 0;
+  const attractDist = getMagnetAttractRangeForTier(state.upg?.magnet || 0, magnetActive);
+
+  mergeTouchingCoins(hooks);
+
+  // Coin merge safety (performance): consolidate if too many coins are on the ground.
+  if (state.coinPickups.length > COIN_CONSOLIDATE_AT) {
+    let sum = 0;
+    for (const cp of state.coinPickups) { sum += (cp.value || 0); hooks.removed?.('coin', cp); }
+    state.coinPickups.length = 0;
+    // Place merged coin at edge/corner away from player.
+    const dx = (rand('loot') < 0.5 ? -1 : 1);
+    const dz = (rand('loot') < 0.5 ? -1 : 1);
+    const far = Math.max(4.0, attractDist || 0) * 3.25;
+    dropCoin({ x: pos.x + dx * far, z: pos.z + dz * far }, sum, hooks).merged = true;
+    playSound('coin_merge', 0.7, 0.95 + rand('cosmetic') * 0.1);
+  }
+
+  // ── Coins ──
+  for (let i = state.coinPickups.length - 1; i >= 0; i--) {
+    const cp = state.coinPickups[i];
+    cp.life -= worldDelta;
+    if (cp.life <= 0) { _removeAt(state.coinPickups, i, 'coin', hooks); continue; }
+
+    const dx = pos.x - cp.x;
+    const dz = pos.z - cp.z;
+    const dist = Math.sqrt(dx*dx + dz*dz);
+    if (dist < COLLECT_COIN) {
+      _removeAt(state.coinPickups, i, 'coin', hooks);
+      state.coins += cp.value;
+      playSound('coin', 0.5, 0.95 + rand('cosmetic') * 0.15);
+      hooks.collected?.('coin', cp, cp.value);
+      emit(GameEvent.PICKUP_COLLECTED, { kind: 'coin', value: cp.value, x: cp.x, z: cp.z });
+      continue;
+    }
+    if (attractDist > 0 && dist < attractDist) cp.attracting = true;
+    if (cp.attracting && dist > 0.001) _attract(cp, dx, dz, dist, attractDelta);
+  }
+
+  // ── Health packs ──
+  for (let i = state.healthPickups.length - 1; i >= 0; i--) {
+    const hp = state.healthPickups[i];
+    hp.life -= worldDelta;
+    if (hp.life <= 0) { _removeAt(state.healthPickups, i, 'health', hooks); continue; }
+
+    const dx = pos.x - hp.x;
+    const dz = pos.z - hp.z;
+    const dist = Math.sqrt(dx*dx + dz*dz);
+    if (dist < COLLECT_HP) {
+      _removeAt(state.healthPickups, i, 'health', hooks);
+      const maxHP = (state.playerMaxHP || PLAYER_MAX_HP);
+      const heal = Math.max(1, Math.round(maxHP * HEALTH_RESTORE));
+      const healed = Math.min(heal, maxHP - state.playerHP);
+      state.playerHP = Math.min(maxHP, state.playerHP + heal);
+      playSound('heal', 0.6, 1.0);
+      hooks.collected?.('health', hp, healed);
+      emit(GameEvent.PICKUP_COLLECTED, { kind: 'health', value: healed, x: hp.x, z: hp.z });
+      continue;
+    }
+    if (dist < attractDist) hp.attracting = true;
+    if (hp.attracting && dist > 0.001) _attract(hp, dx, dz, dist, attractDelta);
+  }
+
+  // ── Chests ──
+  for (let i = state.chests.length - 1; i >= 0; i--) {
+    const c = state.chests[i];
+    c.bob = (c.bob || 0) + worldDelta * 2.0;
+    const dx = pos.x - c.x;
+    const dz = pos.z - c.z;
+    if (dx*dx + dz*dz < COLLECT_CHEST * COLLECT_CHEST) {
+      _removeAt(state.chests, i, 'chest', hooks);
+      playSound('chest', 0.75, 1.0);
+      hooks.collected?.('chest', c, c.tier || 'standard');
+      emit(GameEvent.PICKUP_COLLECTED, { kind: 'chest', value: c.tier || 'standard', x: c.x, z: c.z });
+      state.pendingChests.push(c.tier || 'standard');
+    }
+  }
+}
+
+// ── Arena power-ups ──────────────────────────────────────────────────────────
+// Timed pickups (double damage, invincibility, coin value 2x, xp 2x, armor,
+// clock, black hole, coin magnet) that appear around the player every ~45 s,
+// sooner with Luck, and vanish after ARENA_LIFE.
+const PICKUP_WEIGHTS = [
+  ['doubleDamage', 6.25],
+  ['invincibility', 6.25],
+  ['coinValue2x', 25.0],
+  ['xp2x', 6.25],
+  ['armor', 25.0],
+  ['clock', 12.5],
+  ['blackHole', 6.25],
+  ['coinMagnet', 12.5],
+];
+const TOTAL_PICKUP_WEIGHT = PICKUP_WEIGHTS.reduce((sum, [, w]) => sum + w, 0);
+const ARENA_TYPES = new Set(PICKUP_WEIGHTS.map(([type]) => type));
+const ARENA_LIFE = 18.0;
+const COLLECT_ARENA = 0.85;
+
+let _spawnTimer = 0;
+
+export function initArenaSpawns(spawnTimer = 8.0) {
+  if (!Array.isArray(state.arenaPickups)) state.arenaPickups = [];
+  _spawnTimer = spawnTimer;
+}
+
+export function getArenaSpawnTimer() {
+  return _spawnTimer;
+}
+
+function randType() {
+  let roll = rand('arena') * TOTAL_PICKUP_WEIGHT;
+  for (const [type, weight] of PICKUP_WEIGHTS) {
+    roll -= weight;
+    if (roll <= 0) return type;
+  }
+  return PICKUP_WEIGHTS[PICKUP_WEIGHTS.length - 1][0];
+}
+
+// Places an arena pickup; null for an unknown type (e.g. an old save).
+export function addArenaPickup(type, x, z, life, hooks) {
+  if (!ARENA_TYPES.has(type)) return null;
+  const p = { type, x, z, life, spin: rand('cosmetic') * Math.PI * 2 };
+  state.arenaPickups.push(p);
+  hooks.added?.('arena', p);
+  return p;
+}
+
+// Coin magnet: every coin on the ground is banked at once.
+function collectAllCoins(hooks) {
+  for (const cp of state.coinPickups) {
+    hooks.removed?.('coin', cp);
+    state.coins += (cp.value || 0);
+    hooks.collected?.('coin', cp, cp.value || 0);
+  }
+  state.coinPickups.length = 0;
+}
+
+// Spawn timer, expiry, magnet pull and pickup. collected('arena', p, dur)
+// gets the effect duration, or null for the instant ones (armor, coin magnet).
+export function tickArenaPickups(worldDelta, pos, hooks) {
+  const attractDelta = Math.max(0, worldDelta) / Math.max(0.0001, state.worldScale || 1.0);
+  if (!Array.isArray(state.arenaPickups)) state.arenaPickups = [];
+
+  _spawnTimer -= worldDelta;
+  if (_spawnTimer <= 0) {
+    const type = randType();
+    const ang = rand('arena') * Math.PI * 2;
+    const r = 10 + rand('arena') * 14;
+    addArenaPickup(type, pos.x + Math.cos(ang) * r, pos.z + Math.sin(ang) * r, ARENA_LIFE, hooks);
+    _spawnTimer = (45.0 * getLuckSpawnMultiplier()) * (0.75 + rand('arena') * 0.5);
+  }
+
+  const attractDist = getMagnetAttractRangeForTier(state.upg?.magnet || 0, false);
+  for (let i = state.arenaPickups.length - 1; i >= 0; i--) {
+    const p = state.arenaPickups[i];
+    p.life -= worldDelta;
+    if (p.life <= 0) { _removeAt(state.arenaPickups, i, 'arena', hooks); continue; }
+    p.spin += worldDelta * (p.type === 'doubleDamage' || p.type === 'coinValue2x' ? 1.55 : 1.8);
+
+    const dx = pos.x - p.x;
+    const dz = pos.z - p.z;
+    const dist2 = dx*dx + dz*dz;
+    const dist = Math.sqrt(dist2);
+    if (dist < attractDist && dist > 0.001) _attract(p, dx, dz, dist, attractDelta);
+    if (dist2 >= COLLECT_ARENA * COLLECT_ARENA) continue;
+
+    _removeAt(state.arenaPickups, i, 'arena', hooks);
+    let dur = null;
+    if (p.type === 'armor') {
+      grantArmor(3);
+    } else if (p.type === 'coinMagnet') {
+      collectAllCoins(hooks);
+    } else {
+      dur = (p.type === 'clock') ? 8 : (p.type === 'blackHole' ? 3 : 10);
+      applyEffect(p.type, dur);
+    }
+    hooks.collected?.('arena', p, dur);
+    playSound('coin', 0.25, 1.2);
+    emit(GameEvent.PICKUP_COLLECTED, { kind: 'arena', value: p.type, x: p.x, z: p.z });
+  }
+}
+
+// ── Black hole ───────────────────────────────────────────────────────────────
+// While the blackHole effect runs, a vortex (state.blackHole, { x, z }) sits
+// 12–18 units from where the player was when it opened. Enemies within reach
+// are pulled in and stop attacking; those that reach it are swallowed — a full
+// kill (loot, XP, boss chest) with no explosion.
+const BH_PULL   = 22.0;
+const BH_KILL_R = 1.8;
+const BH_REACH  = 30;
+
+export function tickBlackHole(worldDelta, pos, hooks) {
+  if (!state.blackHole && (state.effects?.blackHole || 0) > 0) {
+    const ang = rand('arena') * Math.PI * 2;
+    const dist = 12 + rand('arena') * 6;
+    state.blackHole = { x: pos.x + Math.cos(ang) * dist, z: pos.z + Math.sin(ang) * dist };
+  }
+  if (!state.blackHole) return;
+
+  for (const e of state.enemies) { if (e) e.blackHoleSuppressed = false; }
+  if ((state.effects?.blackHole || 0) <= 0) {
+    state.blackHole = null;
+    return;
+  }
+
+  const { x: bhx, z: bhz } = state.blackHole;
+  for (let j = state.enemies.length - 1; j >= 0; j--) {
+    const e = state.enemies[j];
+    if (!e || e.dead) continue;
+    const bdx = bhx - e.grp.position.x;
+    const bdz = bhz - e.grp.position.z;
+    const bd = Math.sqrt(bdx*bdx + bdz*bdz);
+    if (bd < BH_KILL_R) {
+      hooks.kill(e, KillSource.BLACK_HOLE);
+    } else if (bd < BH_REACH) {
+      e.blackHoleSuppressed = true;
+      e.grp.position.x += (bdx/bd) * Math.min(BH_PULL * worldDelta, bd - BH_KILL_R);
+      e.grp.position.z += (bdz/bd) * Math.min(BH_PULL * worldDelta, bd - BH_KILL_R);
+    }
+  }
+}
@@ -3,27 +3,60 @@
 // then kicks off the game loop.
 
 import { state }            from './state.js';
-import { onRendererResize } from './renderer.js';
+import { onRendererResize, CAM_OFFSET } from './renderer.js';
 import { onBloomResize }    from './bloom.js';
 import { updateXP }         from './xp.js';
-import { updateHealthBar }  from './player.js';
-import { setLevelUpCallback, setVictoryCallback } from './enemies.js';
+import { updateHealthBar, playerGroup } from './player.js';
+import { setVictoryCallback, spawnEnemyAtPosition } from './enemies.js';
 import { triggerVictory, restartGame, startCountdown } from './gameFlow.js';
+import { applyCharacter }   from './runState.js';
+import { DEFAULT_CHARACTER } from './characters.js';
 import { initInput }        from './input.js';
+import { initGamepad }      from './gamepad.js';
+import { initTouchControls } from './touch.js';
+import { formatKey, getBindings, onBindingsChanged } from './keymap.js';
 import { tick }             from './loop.js';
 import { togglePanel, togglePause } from './panel/index.js';
 import { initAudio, resumeAudioContext, playSound, playSplashSound, stopMusic, startMusic } from './audio.js';
 import { initMenuUI }       from './ui/menu.js';
 import { initBootUI }       from './ui/boot.js';
 import { initHudCoin }      from './hudCoin.js';
+import { setHealthChangedCallback } from './armor.js';
+import { setSpawnerWorld }  from './spawner.js';
+import { on, GameEvent }    from './events.js';
+import { recordRun }        from './ui/highScores.js';
+import { recordRunHistory } from './ui/runHistory.js';
+import { saveRunSnapshot, getSavedRun, hasSavedRun, clearSavedRun, restoreRun } from './runSave.js';
+import { isReplaying }      from './replay.js';
 
 // ── Wire cross-module callbacks (breaks enemies ↔ weapons circular deps) ──────
 setVictoryCallback(triggerVictory);
+setHealthChangedCallback(updateHealthBar);
+
+// Spawner reads the world through an adapter so the headless sim (sim/) can
+// drive the same spawn logic. The camera is treated as sitting at its fixed
+// follow offset from the player — the real camera position is interpolated
+// per display frame and would make spawn rings frame-rate dependent.
+setSpawnerWorld({
+  getPlayerPos: () => playerGroup.position,
+  cameraOffset: { x: CAM_OFFSET.x, z: CAM_OFFSET.z },
+  spawnAt: spawnEnemyAtPosition,
+});
 
+// ── Game event subscribers (events.js) ───────────────────────────────────────
 // NOTE: Weapon upgrades are no longer level-based (they're purchased in the shop),
 // but we still keep the level-up SFX for feedback if XP/levels remain for UI.
-setLevelUpCallback(() => {
-  playSound('levelup', 0.8);
+on(GameEvent.LEVEL_UP, () => playSound('levelup', 0.8));
+
+const killsEl = document.getElementById('kills-value');
+on(GameEvent.ENEMY_KILLED, () => { if (killsEl) killsEl.textContent = state.kills; });
+
+on(GameEvent.RUN_ENDED, (summary) => {
+  // A played-back replay re-runs someone's recorded run; it is not a new one.
+  if (summary.replay) return;
+  const { outcome, kills, elapsed, coins } = summary;
+  recordRun({ kills, elapsed, coins, victory: outcome === 'victory' });
+  recordRunHistory(summary);
 });
 
 // ── Wire input callbacks ──────────────────────────────────────────────────────
@@ -37,6 +70,22 @@ initInput({
   onFirstKey: resumeAudioContext, // satisfies browser autoplay policy
 });
 
+initGamepad({ togglePause: guardedTogglePause });
+initTouchControls({ togglePause: guardedTogglePause, onFirstTouch: resumeAudioContext });
+
+// HUD control hints follow the current key bindings.
+function refreshControlHints() {
+  const primary = (a) => formatKey(getBindings(a)[0]).toUpperCase();
+  const move = ['moveUp', 'moveLeft', 'moveDown', 'moveRight'].map(primary).join('');
+  const panel = primary('panel');
+  const instructions = document.getElementById('instructions');
+  const tabHint = document.getElementById('tab-hint');
+  if (instructions) instructions.textContent = `${move} · ${primary('dash')} DASH · AUTO SHOOT · ${panel} SETTINGS`;
+  if (tabHint) tabHint.textContent = `${panel} — SETTINGS`;
+}
+onBindingsChanged(refreshControlHints);
+refreshControlHints();
+
 // Also unlock audio on the first pointer/touch gesture (many players never press a key on the menu).
 window.addEventListener('pointerdown', resumeAudioContext, { once: true, passive: true });
 
@@ -116,12 +165,18 @@ runBootSplashSequence();
 // NOTE: menuUI must be declared before wiring callbacks to avoid TDZ issues
 // if initMenuUI triggers synchronous work before the const assignment completes.
 let menuUI;
+
+function startLoopOnce() {
+  if (!state.loopStarted) {
+    state.loopStarted = true;
+    tick();
+  }
+}
+
 menuUI = initMenuUI({
-  onStart: async (character = 'blue') => {
-    state.selectedCharacter = character === 'red' ? 'red' : 'blue';
-    state.characterBaseHpMult = state.selectedCharacter === 'blue' ? 1.10 : 1.0;
-    state.characterBaseDamageMult = state.selectedCharacter === 'red' ? 1.10 : 1.0;
-    state.characterPrimaryWeapon = state.selectedCharacter === 'blue' ? 'laser' : 'slash';
+  onStart: async (character = DEFAULT_CHARACTER, seed = null) => {
+    applyCharacter(character);
+    clearSavedRun(); // one save slot: a new run replaces the suspended one
 
     // Switch screens
     menuUI.hideMenu();
@@ -129,21 +184,40 @@ menuUI = initMenuUI({
     state.uiMode = 'playing';
 
     // Fresh run
-    restartGame({ startCountdown: false, skipInitialSpawn: true });
+    restartGame({ startCountdown: false, skipInitialSpawn: true, seed });
 
     // Start the main loop once
-    if (!state.loopStarted) {
-      state.loopStarted = true;
-      tick();
-    }
+    startLoopOnce();
 
     // Start countdown on next frames so UI/layout is stable
     requestAnimationFrame(() => requestAnimationFrame(() => startCountdown()));
-  }
+  },
+
+  // Resume the run saved by "Quit to Menu": rebuild a clean scene for the saved
+  // character/seed, then lay the snapshot over it (runSave.js).
+  hasContinue: hasSavedRun,
+  onContinue: () => {
+    const snap = getSavedRun();
+    if (!snap) return;
+    applyCharacter(snap.state.selectedCharacter);
+
+    menuUI.hideMenu();
+    stopMusic();
+    state.uiMode = 'playing';
+
+    restartGame({ startCountdown: false, skipInitialSpawn: true, seed: snap.state.runSeed });
+    restoreRun(snap);
+
+    startLoopOnce();
+    requestAnimationFrame(() => requestAnimationFrame(() => startCountdown()));
+  },
 });
 
 // ── Expose showMainMenu for pause menu "Quit to Menu" ─────────────────────────
 window.showMainMenu = () => {
+  // Quitting mid-run suspends it for CONTINUE RUN; a replay being watched is
+  // someone else's run, not one to continue.
+  if (!isReplaying()) saveRunSnapshot();
   stopMusic();
   state.gameOver = false;
   state.paused   = true;
@@ -1,11 +1,12 @@
 // ─── materials.js ─────────────────────────────────────────────────────────────
 import * as THREE from 'three';
 import { state } from './state.js';
-import { ENEMY_DEFS, ENEMY_TYPE } from './constants.js';
+import { ENEMY_DEFS, ENEMY_TYPE, ENEMY_BODY_RADIUS } from './constants.js';
+import { getCharacter } from './characters.js';
 
 // ── Geometry params (mutated by control panel) ────────────────────────────────
 export const playerGeoParams = { radius: 0.4,   length: 1.2,  capSegs: 8, radial: 16 };
-export const enemyGeoParams  = { radius: 0.4,   length: 1.2,  capSegs: 8, radial: 16 };
+export const enemyGeoParams  = { radius: ENEMY_BODY_RADIUS, length: 1.2,  capSegs: 8, radial: 16 };
 export const bulletGeoParams = { radius: 0.045, length: 0.55, capSegs: 4, radial:  6 };
 
 // ── Geometries ────────────────────────────────────────────────────────────────
@@ -91,8 +92,7 @@ export function applyCosmetics() {
     c === 'magenta' ? new THREE.Color(0xff2bd6) :
     c === 'gold'    ? new THREE.Color(0xffd24a) :
     c === 'red'     ? new THREE.Color(0xcc2222) :
-    (state.selectedCharacter === 'red' && c === 'default') ? new THREE.Color(0xcc2222) :
-                      new THREE.Color(0x0044cc)
+                      new THREE.Color(getCharacter(state.selectedCharacter).color)
   );
   playerMat.color.copy(col);
   playerBaseColor.copy(col);
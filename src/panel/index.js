@@ -26,6 +26,7 @@ import { updateXP } from '../xp.js';
 import { XP_THRESHOLDS } from '../constants.js';
 import { syncOrbitBullets } from '../weapons.js';
 import { restartGame } from '../gameFlow.js';
+import { getReplaySnapshot, parseReplay, setReplayEndCallback } from '../replay.js';
 import { pauseMusic, resumeMusic } from '../gameFlow.js';
 import { setSfxVolume, setMusicVolume, setMuted, getMuted, getSfxVolume, getMusicVolume,
          setSoundVolume, getSoundVolume, getAllSoundVolumes, playSound } from '../audio.js';
@@ -388,8 +389,8 @@ g('pause-resume-btn')?.addEventListener('click', () => {
   if (state.paused) togglePause();
 });
 // Pause-menu restart
-g('pause-restart-btn')?.addEventListener('click', () => {
-  restartGame({ skipInitialSpawn: true });
+function restartFromPause(opts = {}) {
+  restartGame({ skipInitialSpawn: true, ...opts });
   // Ensure we exit the pause overlay after restarting even if the game state
   // was reset while the pause DOM was still visible.
   state.paused = false;
@@ -399,7 +400,8 @@ g('pause-restart-btn')?.addEventListener('click', () => {
   clock.getDelta();
   resumeMusic();
   updatePauseBtn();
-});
+}
+g('pause-restart-btn')?.addEventListener('click', () => restartFromPause());
 
 // Settings page
 g('pause-settings-btn')?.addEventListener('click', () => showPausePage('settings'));
@@ -481,6 +483,37 @@ g('pm-export-btn')?.addEventListener('click', () => {
 
 g('pm-export-btn-2')?.addEventListener('click', () => g('pm-export-btn')?.click());
 
+// Export / import replays (recorded by replay.js for the current run)
+g('pm-replay-export-btn')?.addEventListener('click', () => {
+  const snap = getReplaySnapshot();
+  if (!snap) { showNotif('No Replay Recorded'); return; }
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(new Blob([JSON.stringify(snap)], { type: 'application/json' }));
+  a.download = `capsule-havoc-replay-${snap.seed}.json`;
+  a.click();
+  URL.revokeObjectURL(a.href);
+  showNotif('Replay Exported!');
+});
+
+g('pm-replay-import-btn')?.addEventListener('click', () => g('pm-replay-file')?.click());
+g('pm-replay-file')?.addEventListener('change', e => {
+  const file = e.target.files[0]; if (!file) return;
+  const reader = new FileReader();
+  reader.onload = ev => {
+    try {
+      const replay = parseReplay(JSON.parse(ev.target.result));
+      restartFromPause({ replay });
+      showNotif('Replay Loaded!');
+    } catch (err) { alert('Invalid replay: ' + err.message); }
+    e.target.value = '';
+  };
+  reader.readAsText(file);
+});
+
+setReplayEndCallback(reason => {
+  showNotif(reason === 'desync' ? 'Replay Desynced — Live Control' : 'Replay Finished');
+});
+
 // ── Toast notification ────────────────────────────────────────────────────────
 let _notifTimer = null;
 export function showNotif(msg) {
@@ -3,6 +3,7 @@ import * as THREE from 'three';
 import { scene } from './renderer.js';
 import { state } from './state.js';
 import { setExplBloom, explBloom } from './bloom.js';
+import { rand } from './rng.js';
 
 const _particleGeo       = new THREE.SphereGeometry(1, 5, 5);
 const _particleMatCache  = new Map();
@@ -40,8 +41,8 @@ export function spawnExplosion(pos, eliteType = null) {
   );
 
   for (let i = 0; i < Math.round(cfg.count); i++) {
-    const baseRadius = (0.06 + Math.random() * 0.12) * cfg.size;
-    const col  = colors[Math.floor(Math.random() * colors.length)];
+    const baseRadius = (0.06 + rand('cosmetic') * 0.12) * cfg.size;
+    const col  = colors[Math.floor(rand('cosmetic') * colors.length)];
     const mat  = getParticleMat(col);
     let mesh   = _particleMeshPool.pop();
     if (mesh) { mesh.material = mat; }
@@ -49,16 +50,16 @@ export function spawnExplosion(pos, eliteType = null) {
     mesh.scale.setScalar(baseRadius);
     mesh.position.copy(pos); mesh.position.y = 1;
     mesh.visible = true;
-    const theta = Math.random() * Math.PI * 2;
-    const phi   = (Math.random() - 0.5) * Math.PI;
-    const spd   = (4 + Math.random() * 8) * cfg.speed;
+    const theta = rand('cosmetic') * Math.PI * 2;
+    const phi   = (rand('cosmetic') - 0.5) * Math.PI;
+    const spd   = (4 + rand('cosmetic') * 8) * cfg.speed;
     scene.add(mesh);
     state.particles.push({
       mesh, baseRadius,
       vx: Math.cos(theta) * Math.cos(phi) * spd,
       vy: Math.sin(phi) * spd + 2 * cfg.speed,
       vz: Math.sin(theta) * Math.cos(phi) * spd,
-      life: 1, maxLife: 0.5 + Math.random() * 0.6,
+      life: 1, maxLife: 0.5 + rand('cosmetic') * 0.6,
       glowCap: cfg.glow,
     });
   }
@@ -1,16 +1,15 @@
 // ─── pickups.js ───────────────────────────────────────────────────────────────
+// Meshes for coins, health packs and boss chests. Drops, merging, magnet pull
+// and collection run in loot.js on plain { x, z } records, shared with the
+// headless sim; this module builds a mesh for each record (pickupHooks) and
+// moves and animates it after the step.
 import * as THREE from 'three';
 import { scene } from './renderer.js';
 import { state } from './state.js';
-import {
-  PLAYER_MAX_HP, HEALTH_PICKUP_CHANCE, HEALTH_RESTORE,
-  ITEM_ATTRACT_SPEED, getMagnetAttractRangeForTier,
-} from './constants.js';
 import { playerGroup, updateHealthBar } from './player.js';
 import { spawnHealNum } from './damageNumbers.js';
-import { playSound } from './audio.js';
-import { openChestOverlay } from './ui/chestOverlay.js';
-import { getCoinValueMultiplier } from './activeEffects.js';
+import { getReadyEvolutions } from './weaponDefs.js';
+import { dropCoin, dropHealth, dropChest, tickGroundPickups } from './loot.js';
 
 // ── Coin ──────────────────────────────────────────────────────────────────────
 const coinGeo     = new THREE.CylinderGeometry(0.22, 0.22, 0.08, 12);
@@ -24,25 +23,6 @@ const coinMatBase = new THREE.MeshStandardMaterial({
 });
 const coinCountEl = document.getElementById('coin-count');
 
-export function spawnCoins(pos, count, value = 1, colorHex = null) {
-  const GOLD_COIN = 0xffe566;
-  for (let i = 0; i < count; i++) {
-    const mat   = coinMatBase.clone();
-    const finalColor = GOLD_COIN;
-    mat.color.setHex(finalColor);
-    // Match the HUD coin material exactly.
-    mat.emissive.setHex(0xf0a800);
-    mat.emissiveIntensity = 0.6;
-    const mesh  = new THREE.Mesh(coinGeo, mat);
-    const angle = Math.random() * Math.PI * 2;
-    const r     = 0.3 + Math.random() * 1.2;
-    mesh.position.set(pos.x + Math.cos(angle)*r, 0.35, pos.z + Math.sin(angle)*r);
-    mesh.rotation.x = Math.PI / 2;
-    scene.add(mesh);
-    state.coinPickups.push({ mesh, mat, value, colorHex: GOLD_COIN, attracting: false, life: 20.0, merged: false });
-  }
-}
-
 // ── Health pickup ──────────────────────────────────────────────────────────────
 const plusHorizGeo  = new THREE.BoxGeometry(0.72, 0.22, 0.18);
 const plusVertGeo   = new THREE.BoxGeometry(0.22, 0.72, 0.18);
@@ -51,7 +31,28 @@ const healthMatBase = new THREE.MeshPhysicalMaterial({
   metalness: 0.1, roughness: 0.2, clearcoat: 1.0, clearcoatRoughness: 0.1,
 });
 
-export function spawnHealthPickup(pos) {
+// ── Chest ─────────────────────────────────────────────────────────────────────
+const chestGeo = new THREE.BoxGeometry(0.85, 0.55, 0.85);
+const CHEST_MAT = {
+  standard: new THREE.MeshStandardMaterial({ color: 0x8a5a2b, emissive: 0xffcc55, emissiveIntensity: 0.7, metalness: 0.4, roughness: 0.55 }),
+  rare:     new THREE.MeshStandardMaterial({ color: 0x1f4a8a, emissive: 0x55ccff, emissiveIntensity: 0.9, metalness: 0.5, roughness: 0.35 }),
+  epic:     new THREE.MeshStandardMaterial({ color: 0x5d31b6, emissive: 0xcc55ff, emissiveIntensity: 1.1, metalness: 1.0, roughness: 0.08 }),
+};
+// A weapon evolution is ready (weaponDefs.js): the chest glows white-gold and
+// the overlay will lead with the evolved weapon.
+const EVOLUTION_CHEST_MAT = new THREE.MeshStandardMaterial({ color: 0xfff1c2, emissive: 0xffd24a, emissiveIntensity: 1.6, metalness: 0.9, roughness: 0.15 });
+
+
+function addCoinMesh(cp) {
+  const mat  = coinMatBase.clone();
+  const mesh = new THREE.Mesh(coinGeo, mat);
+  mesh.position.set(cp.x, 0.35, cp.z);
+  mesh.rotation.x = Math.PI / 2;
+  scene.add(mesh);
+  cp.mesh = mesh; cp.mat = mat;
+}
+
+function addHealthMesh(hp) {
   const mat   = healthMatBase.clone();
   const group = new THREE.Group();
   [plusHorizGeo, plusVertGeo].forEach(g => {
@@ -59,212 +60,77 @@ export function spawnHealthPickup(pos) {
     m.castShadow = true; m.layers.enable(1);
     group.add(m);
   });
-  const angle = Math.random() * Math.PI * 2;
-  const r     = 0.3 + Math.random() * 0.8;
-  group.position.set(pos.x + Math.cos(angle)*r, 0.55, pos.z + Math.sin(angle)*r);
+  group.position.set(hp.x, 0.55, hp.z);
   scene.add(group);
-  state.healthPickups.push({ mesh: group, mat, life: 15.0, attracting: false });
+  hp.mesh = group; hp.mat = mat;
 }
 
-// ── Drop helper used by killEnemy (in enemies.js) ──────────────────────────────
-const COIN_DROP_CHANCE = 0.50;  // 50% chance to drop coins on kill
-
-export function dropLoot(pos, coinValue, coinMult, coinColorHex = null) {
-  // Health is still a chance-based drop.
-  if (Math.random() < HEALTH_PICKUP_CHANCE) {
-    spawnHealthPickup(pos);
-  }
-  // Coins always drop (physical pickup), tiered by enemy type at the call site.
-  const coinTier = Math.max(0, state.upg?.coinBonus || 0);
-  const chaosTier = (state.chaosTimer || 0) > 0 ? Math.max(0, state.curseTier || 0) : 0;
-  const coinBonus = [0, 0.10, 0.20, 0.30, 0.40, 0.50][Math.min(coinTier, 5)] || 0;
-  const bonus = (1 + coinBonus) * (1 + 0.25 * chaosTier) * getCoinValueMultiplier();
-  const val = Math.max(1, Math.round((coinValue || 1) * (coinMult || 1) * bonus));
-  spawnCoins(pos, 1, val, coinColorHex);
+function addChestMesh(c) {
+  const evolution = getReadyEvolutions().length > 0;
+  const mat = (evolution ? EVOLUTION_CHEST_MAT : (CHEST_MAT[c.tier] || CHEST_MAT.standard)).clone();
+  const mesh = new THREE.Mesh(chestGeo, mat);
+  mesh.position.set(c.x, 0.35, c.z);
+  if (evolution) { mesh.scale.setScalar(1.2); mesh.layers.enable(1); }
+  scene.add(mesh);
+  c.mesh = mesh; c.mat = mat;
 }
 
-// ── Update ────────────────────────────────────────────────────────────────────
-const ATTRACT_SPD_COIN  = ITEM_ATTRACT_SPEED;
-const ATTRACT_SPD_HP    = ITEM_ATTRACT_SPEED;
-const COLLECT_COIN      = 0.7;
-const COLLECT_HP        = 0.8;
-const COIN_TOUCH_MERGE_DIST = 1.2;
-const COIN_TOUCH_MERGE_CELL = 1.4;
-
-function mergeTouchingCoins(){
-  if (!Array.isArray(state.coinPickups) || state.coinPickups.length < 2) return;
-
-  const grid = new Map();
-  const removed = new Set();
-  const mergeDist2 = COIN_TOUCH_MERGE_DIST * COIN_TOUCH_MERGE_DIST;
-
-  for (let i = 0; i < state.coinPickups.length; i++) {
-    if (removed.has(i)) continue;
-    const cp = state.coinPickups[i];
-    if (!cp?.mesh) continue;
-
-    const x = cp.mesh.position.x;
-    const z = cp.mesh.position.z;
-    const gx = Math.floor(x / COIN_TOUCH_MERGE_CELL);
-    const gz = Math.floor(z / COIN_TOUCH_MERGE_CELL);
-    let merged = false;
-
-    for (let ox = -1; ox <= 1 && !merged; ox++) {
-      for (let oz = -1; oz <= 1 && !merged; oz++) {
-        const cellKey = `${gx + ox},${gz + oz}`;
-        const bucket = grid.get(cellKey);
-        if (!bucket) continue;
-
-        for (const keepIndex of bucket) {
-          if (removed.has(keepIndex)) continue;
-          const keep = state.coinPickups[keepIndex];
-          if (!keep?.mesh) continue;
-
-          const dx = x - keep.mesh.position.x;
-          const dz = z - keep.mesh.position.z;
-          if ((dx * dx + dz * dz) > mergeDist2) continue;
-
-          keep.value = Math.max(1, (keep.value || 0) + (cp.value || 0));
-          keep.life = Math.max(keep.life || 0, cp.life || 0);
-          keep.attracting = Boolean(keep.attracting || cp.attracting);
-          keep.merged = true;
-          keep.mesh.scale.setScalar(Math.min(1.8, 1.0 + Math.log2(Math.max(1, keep.value)) * 0.03));
-          try { scene.remove(cp.mesh); } catch {}
-          try { cp.mat?.dispose?.(); } catch {}
-          removed.add(i);
-          merged = true;
-          break;
-        }
-      }
+// ── Loot hooks (loot.js) ──────────────────────────────────────────────────────
+export const pickupHooks = {
+  added: (kind, it) => {
+    if (kind === 'coin') addCoinMesh(it);
+    else if (kind === 'health') addHealthMesh(it);
+    else if (kind === 'chest') addChestMesh(it);
+  },
+  removed: (kind, it) => {
+    if (!it.mesh) return;
+    scene.remove(it.mesh);
+    it.mat?.dispose?.();
+  },
+  collected: (kind, it, value) => {
+    if (kind === 'coin') {
+      if (coinCountEl) coinCountEl.textContent = state.coins;
+    } else if (kind === 'health') {
+      updateHealthBar();
+      if (value > 0) spawnHealNum(value);
     }
+  },
+};
 
-    if (merged) continue;
+export function spawnCoins(pos, count, value = 1) {
+  for (let i = 0; i < count; i++) dropCoin(pos, value, pickupHooks);
+}
 
-    const ownKey = `${gx},${gz}`;
-    if (!grid.has(ownKey)) grid.set(ownKey, []);
-    grid.get(ownKey).push(i);
-  }
+export function spawnHealthPickup(pos) {
+  dropHealth(pos, pickupHooks);
+}
 
-  if (removed.size > 0) {
-    state.coinPickups = state.coinPickups.filter((_, idx) => !removed.has(idx));
-  }
+export function spawnChest(pos, tier = 'standard') {
+  dropChest(pos, tier, pickupHooks);
 }
 
+// ── Update ────────────────────────────────────────────────────────────────────
 export function updatePickups(worldDelta, playerLevel, elapsed) {
-  const attractDelta = Math.max(0, worldDelta) / Math.max(0.0001, state.worldScale || 1.0);
-  const magnetActive = (state.effects?.coinMagnet || 0) > 0;
-  const coinAttractDist = getMagnetAttractRangeForTier(state.upg?.magnet || 0, magnetActive);
-  const healthAttractDist = coinAttractDist;
-
-  mergeTouchingCoins();
-
-  // Coin merge safety (performance): consolidate if too many coins are on the ground.
-  if (state.coinPickups.length > 400) {
-    let sum = 0;
-    for (const cp of state.coinPickups) { sum += (cp.value || 0); scene.remove(cp.mesh); cp.mat.dispose(); }
-    state.coinPickups.length = 0;
-    // Place merged coin at edge/corner away from player.
-    const px = playerGroup.position.x;
-    const pz = playerGroup.position.z;
-    const dx = (Math.random() < 0.5 ? -1 : 1);
-    const dz = (Math.random() < 0.5 ? -1 : 1);
-    const far = Math.max(4.0, coinAttractDist || 0, healthAttractDist || 0) * 3.25;
-    const pos = { x: px + dx * far, z: pz + dz * far };
-    spawnCoins(pos, 1, sum, 0xffffff);
-    if (state.coinPickups[0]) state.coinPickups[0].merged = true;
-    playSound('coin_merge', 0.7, 0.95 + Math.random() * 0.1);
-  }
+  tickGroundPickups(worldDelta, playerGroup.position, pickupHooks);
 
-
-  // ── Coins ───────────────────────────────────────────────────────────────────
-  for (let i = state.coinPickups.length - 1; i >= 0; i--) {
-    const cp = state.coinPickups[i];
-    cp.life -= worldDelta;
-    if (cp.life <= 0) { scene.remove(cp.mesh); cp.mat.dispose(); state.coinPickups.splice(i, 1); continue; }
-    if (cp.life < 2.0) { cp.mat.opacity = cp.life / 2.0; cp.mat.transparent = true; }
-
-    const dx = playerGroup.position.x - cp.mesh.position.x;
-    const dz = playerGroup.position.z - cp.mesh.position.z;
-    const dist = Math.sqrt(dx*dx + dz*dz);
-    if (dist < COLLECT_COIN) {
-      scene.remove(cp.mesh); cp.mat.dispose();
-      state.coinPickups.splice(i, 1);
-      state.coins += cp.value;
-      if (coinCountEl) coinCountEl.textContent = state.coins;
-      playSound('coin', 0.5, 0.95 + Math.random() * 0.15);
-      continue;
-    }
-    if (coinAttractDist > 0 && dist < coinAttractDist) cp.attracting = true;
-    if (cp.attracting && dist > 0.001) {
-      const spd = ATTRACT_SPD_COIN * attractDelta;
-      cp.mesh.position.x += (dx/dist) * Math.min(spd, dist);
-      cp.mesh.position.z += (dz/dist) * Math.min(spd, dist);
-    }
+  for (const cp of state.coinPickups) {
+    cp.mesh.position.x = cp.x;
+    cp.mesh.position.z = cp.z;
     cp.mesh.rotation.z += 3.0 * worldDelta;
+    if (cp.merged) cp.mesh.scale.setScalar(Math.min(1.8, 1.0 + Math.log2(Math.max(1, cp.value)) * 0.03));
+    if (cp.life < 2.0) { cp.mat.opacity = cp.life / 2.0; cp.mat.transparent = true; }
   }
 
-  // ── Health packs ─────────────────────────────────────────────────────────────
-  for (let i = state.healthPickups.length - 1; i >= 0; i--) {
+  for (let i = 0; i < state.healthPickups.length; i++) {
     const hp = state.healthPickups[i];
-    hp.life -= worldDelta;
-    if (hp.life <= 0) { scene.remove(hp.mesh); hp.mat.dispose(); state.healthPickups.splice(i, 1); continue; }
-
-    const dx = playerGroup.position.x - hp.mesh.position.x;
-    const dz = playerGroup.position.z - hp.mesh.position.z;
-    const dist = Math.sqrt(dx*dx + dz*dz);
-    if (dist < COLLECT_HP) {
-      scene.remove(hp.mesh); hp.mat.dispose();
-      state.healthPickups.splice(i, 1);
-      const maxHP = (state.playerMaxHP || PLAYER_MAX_HP);
-      const heal = Math.max(1, Math.round(maxHP * HEALTH_RESTORE));
-      const healed = Math.min(heal, maxHP - state.playerHP);
-      state.playerHP = Math.min(maxHP, state.playerHP + heal);
-      updateHealthBar();
-      playSound('heal', 0.6, 1.0);
-      if (healed > 0) spawnHealNum(healed);
-      continue;
-    }
-    if (dist < healthAttractDist) hp.attracting = true;
-    if (hp.attracting) {
-      const spd = ATTRACT_SPD_HP * attractDelta;
-      hp.mesh.position.x += (dx/dist) * Math.min(spd, dist);
-      hp.mesh.position.z += (dz/dist) * Math.min(spd, dist);
-    }
-    hp.mesh.rotation.y   = elapsed * 1.8 + i;
-    hp.mesh.position.y   = 0.55 + Math.sin(elapsed * 3.5 + i) * 0.12;
+    hp.mesh.position.x = hp.x;
+    hp.mesh.position.z = hp.z;
+    hp.mesh.rotation.y = elapsed * 1.8 + i;
+    hp.mesh.position.y = 0.55 + Math.sin(elapsed * 3.5 + i) * 0.12;
   }
 
-  // ── Chests (boss drops; do not despawn) ───────────────────────────────────
-  if (!state.chests) state.chests = [];
-  for (let i = state.chests.length - 1; i >= 0; i--) {
-    const c = state.chests[i];
-    c.bob = (c.bob || 0) + worldDelta * 2.0;
+  for (const c of state.chests) {
     c.mesh.rotation.y += worldDelta * 0.9;
     c.mesh.position.y = 0.35 + Math.sin(c.bob) * 0.08;
-    const dx = playerGroup.position.x - c.mesh.position.x;
-    const dz = playerGroup.position.z - c.mesh.position.z;
-    if (dx*dx + dz*dz < 0.8*0.8) {
-      scene.remove(c.mesh);
-      state.chests.splice(i, 1);
-      playSound('chest', 0.75, 1.0);
-      openChestOverlay(c.tier || 'standard');
-    }
   }
 }
-
-// ── Chest spawning API ──────────────────────────────────────────────────────
-const chestGeo = new THREE.BoxGeometry(0.85, 0.55, 0.85);
-const CHEST_MAT = {
-  standard: new THREE.MeshStandardMaterial({ color: 0x8a5a2b, emissive: 0xffcc55, emissiveIntensity: 0.7, metalness: 0.4, roughness: 0.55 }),
-  rare:     new THREE.MeshStandardMaterial({ color: 0x1f4a8a, emissive: 0x55ccff, emissiveIntensity: 0.9, metalness: 0.5, roughness: 0.35 }),
-  epic:     new THREE.MeshStandardMaterial({ color: 0x5d31b6, emissive: 0xcc55ff, emissiveIntensity: 1.1, metalness: 1.0, roughness: 0.08 }),
-};
-
-export function spawnChest(pos, tier='standard') {
-  const mat = (CHEST_MAT[tier] || CHEST_MAT.standard).clone();
-  const mesh = new THREE.Mesh(chestGeo, mat);
-  mesh.position.set(pos.x, 0.35, pos.z);
-  scene.add(mesh);
-  if (!state.chests) state.chests = [];
-  state.chests.push({ mesh, tier, bob: Math.random() * Math.PI * 2 });
-}
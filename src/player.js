@@ -1,16 +1,14 @@
 // ─── player.js ────────────────────────────────────────────────────────────────
 import * as THREE from 'three';
 import { CSS2DObject } from 'three/addons/renderers/CSS2DRenderer.js';
-import { scene, ISO_FWD, ISO_RIGHT } from './renderer.js';
+import { scene } from './renderer.js';
 import { state } from './state.js';
-import {
-  PLAYER_SPEED, DASH_SPEED, DASH_DURATION, DASH_COOLDOWN,
-  DASH_SLOW_SCALE, SLOW_SNAP_RATE, SLOW_RECOVER_RATE, PLAYER_MAX_HP,
-} from './constants.js';
+import { DASH_COOLDOWN, PLAYER_MAX_HP, SHIELD_RADIUS } from './constants.js';
 import {
   playerGeo, playerMat, playerBaseColor, playerGeoParams, floorY,
 } from './materials.js';
 import { pushOutOfProps } from './terrain.js';
+import { updatePlayerMotion } from './abilities.js';
 
 // ── Scene graph ───────────────────────────────────────────────────────────────
 export const playerGroup = new THREE.Group();
@@ -21,8 +19,6 @@ playerMesh.position.y = floorY(playerGeoParams);
 playerMesh.castShadow = true;
 playerGroup.add(playerMesh);
 // ── Shield / armor indicators ──────────────────────────────────────────────
-export const PLAYER_BODY_RADIUS = 0.6;
-export const SHIELD_RADIUS = 1.5;
 
 function enableBloomRecursive(obj){
   obj.traverse(child => { child.layers?.enable?.(1); });
@@ -176,55 +172,19 @@ export function stampDashGhost() {
 }
 
 // ── Per-frame player update ───────────────────────────────────────────────────
-const _v  = new THREE.Vector3();
 let _glowTime = 0;
 
-export function updatePlayer(delta, worldScale) {
+export function updatePlayer(delta) {
   _glowTime += delta;
-  const abilitySlow = state.slowTimer > 0 ? (state.slowScale || 0.5) : 1.0;
-  const pickupSlow = (state.effects?.clock || 0) > 0 ? 0.15 : 1.0;
-  const slowTarget = Math.min(abilitySlow, pickupSlow);
-  const wsTarget = state.dashTimer > 0 ? Math.min(DASH_SLOW_SCALE, slowTarget) : slowTarget;
-  const wsRate   = wsTarget < worldScale ? SLOW_SNAP_RATE : SLOW_RECOVER_RATE;
-  state.worldScale += (wsTarget - state.worldScale) * Math.min(1, wsRate * delta);
-
-  // Regular movement (always full speed)
-  _v.set(0, 0, 0);
-  if (state.keys.w) _v.addScaledVector(ISO_FWD,   1);
-  if (state.keys.s) _v.addScaledVector(ISO_FWD,  -1);
-  if (state.keys.a) _v.addScaledVector(ISO_RIGHT, -1);
-  if (state.keys.d) _v.addScaledVector(ISO_RIGHT,  1);
-  if (_v.lengthSq() > 0) {
-    _v.normalize();
-    state.lastMoveX = _v.x; state.lastMoveZ = _v.z;
-    const dirX = _v.x;
-    const dirZ = _v.z;
-    const msTier = Math.max(0, state.upg?.moveSpeed || 0);
-    const speed = PLAYER_SPEED * (1 + 0.08 * msTier);
-    _v.multiplyScalar(speed * delta);
-    playerGroup.position.add(_v);
-    state.playerVel = { x: dirX, z: dirZ };
-  } else {
-    // No movement input
-    state.playerVel = state.playerVel || { x: 0, z: 0 };
-    state.playerVel.x = 0; state.playerVel.z = 0;
-  }
-
-  // Dash (player stays at full speed — world slows around them)
-  if (state.dashTimer > 0) {
-    state.dashTimer -= delta;
-    const dashSpeed = Math.max(0, state.dashSpeed || (DASH_SPEED * 0.5));
-    playerGroup.position.x += state.dashVX * dashSpeed * delta;
-    playerGroup.position.z += state.dashVZ * dashSpeed * delta;
-    state.playerVel = { x: state.dashVX, z: state.dashVZ };
+  // World-scale easing, walking, dash motion and dash cooldown (abilities.js,
+  // shared with the sim); the dash tilt, ghosts and lean stay here.
+  const wasDashing = state.dashTimer > 0;
+  const move = updatePlayerMotion(playerGroup.position, delta);
+  if (wasDashing) {
     playerMesh.rotation.z = state.dashVX * -0.4;
     state.dashGhostTimer -= delta;
     if (state.dashGhostTimer <= 0) { stampDashGhost(); state.dashGhostTimer = 0.035; }
   }
-  if (state.dashCooldown > 0) {
-    state.dashCooldown -= delta;
-    if (state.dashCooldown < 0) state.dashCooldown = 0;
-  }
   updateDashBar();
 
   // Restore material color after dash
@@ -239,10 +199,9 @@ export function updatePlayer(delta, worldScale) {
   // Lean in movement direction
   if (state.dashTimer <= 0) {
     const LEAN = 0.28;
-    if (_v.lengthSq() > 0) {
-      const mv = _v.clone().normalize();
-      playerMesh.rotation.x += ( mv.z * LEAN - playerMesh.rotation.x) * 12 * delta;
-      playerMesh.rotation.z += (-mv.x * LEAN - playerMesh.rotation.z) * 12 * delta;
+    if (move) {
+      playerMesh.rotation.x += ( move.z * LEAN - playerMesh.rotation.x) * 12 * delta;
+      playerMesh.rotation.z += (-move.x * LEAN - playerMesh.rotation.z) * 12 * delta;
     } else {
       playerMesh.rotation.x += (0 - playerMesh.rotation.x) * 12 * delta;
       playerMesh.rotation.z += (0 - playerMesh.rotation.z) * 12 * delta;
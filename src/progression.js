@@ -0,0 +1,299 @@
+// ─── progression.js ──────────────────────────────────────────────────────────
+// Run progression rules that only touch `state`: XP → level-ups, base player
+// damage and crits, the shop cost table and upgrade side effects, coin drop values.
+// No scene or DOM access, so the browser game (xp.js, ui/upgrades.js,
+// pickups.js) and the headless sim (sim/headless.js) share one copy.
+
+import { state } from './state.js';
+import {
+  getPlayerMaxHPForLevel, getPlayerBaseDamageForLevel, LEVEL_UP_HEAL_FRACTION, getXPGrowthBonusForTier,
+} from './constants.js';
+import { expToNext } from './leveling.js';
+import { getDamageMultiplier, getXPMultiplier, getCoinValueMultiplier } from './activeEffects.js';
+import { recomputeLuck } from './luck.js';
+import { emit, GameEvent } from './events.js';
+import { isUpgradeAllowedForCharacter } from './characters.js';
+
+// ── Character stats ──────────────────────────────────────────────────────────
+// Level-based max HP scaled by the character's hpMult (characters.js, copied
+// into state by runState.applyCharacter). Max Health tiers stack on top.
+export function getCharacterMaxHPForLevel(level) {
+  return getPlayerMaxHPForLevel(level) * (state.characterBaseHpMult || 1);
+}
+
+// ── Weapon stats ─────────────────────────────────────────────────────────────
+// Base player hit (times the character's damageMult); per-weapon scaling
+// lives in weaponDefs.js.
+export function getBulletDamage() {
+  const base = (state.playerBaseDMG || 10) * (state.characterBaseDamageMult || 1);
+  const dmgTier = Math.max(0, state.upg?.dmg || 0);
+  const mult = 1 + 0.10 * dmgTier;
+  const eff = getDamageMultiplier();
+  return Math.round(base * mult * eff);
+}
+
+// Every weapon hit can crit (damage.js); ticks can't.
+export function getCritChance() {
+  return Math.min(0.5, 0.05 + 0.05 * Math.max(0, state.upg?.critChance || 0));
+}
+
+export function getCritMultiplier() {
+  return 1.5 + 0.25 * Math.max(0, state.upg?.critDamage || 0);
+}
+
+// ── Shop cost table ──────────────────────────────────────────────────────────
+// Lite mirror of the ui/upgrades.js catalogue (keys + costs only). Used for the
+// level-up coin bonus and by sim bots; the UI keeps names/descriptions.
+export const STANDARD_COSTS = [10, 50, 250, 1000, 2000];
+export const MULTISHOT_COSTS = [1000, 2000];
+export const SHOP_UPGRADES = [
+  { key: 'laserFire', costs: STANDARD_COSTS },
+  { key: 'disc', costs: STANDARD_COSTS },
+  { key: 'orbit', costs: STANDARD_COSTS },
+  { key: 'dmg', costs: STANDARD_COSTS },
+  { key: 'fireRate', costs: STANDARD_COSTS },
+  { key: 'projSpeed', costs: STANDARD_COSTS },
+  { key: 'piercing', costs: STANDARD_COSTS },
+  { key: 'multishot', costs: MULTISHOT_COSTS },
+  { key: 'critChance', costs: STANDARD_COSTS },
+  { key: 'critDamage', costs: STANDARD_COSTS, requires: { key: 'critChance', minTier: 1 } },
+  { key: 'ignite', costs: STANDARD_COSTS },
+  { key: 'chill', costs: STANDARD_COSTS, requires: { key: 'orbit', minTier: 1 } },
+  { key: 'venom', costs: STANDARD_COSTS },
+  { key: 'shock', costs: STANDARD_COSTS, requires: { key: 'targetedFire', minTier: 1 } },
+  { key: 'targetedCooldown', costs: STANDARD_COSTS },
+  { key: 'lightning', costs: STANDARD_COSTS },
+  { key: 'moveSpeed', costs: STANDARD_COSTS },
+  { key: 'dash', costs: STANDARD_COSTS },
+  { key: 'magnet', costs: STANDARD_COSTS },
+  { key: 'shield', costs: STANDARD_COSTS },
+  { key: 'maxHealth', costs: STANDARD_COSTS },
+  { key: 'regen', costs: STANDARD_COSTS },
+  { key: 'xpGrowth', costs: STANDARD_COSTS },
+  { key: 'coinBonus', costs: STANDARD_COSTS },
+];
+
+export function getShopTierForKey(key) {
+  if (key === 'targetedFire' || key === 'targetedCooldown' || key === 'targetedDamage' || key === 'targetedRange') {
+    return Math.max(0, state.upg?.targetedFire || 0, state.upg?.targetedCooldown || 0, state.upg?.targetedDamage || 0, state.upg?.targetedRange || 0);
+  }
+  if (key === 'lightning' || key === 'lightningDamage' || key === 'lightningCooldown') {
+    return Math.max(0, state.upg?.lightning || 0, state.upg?.lightningDamage || 0, state.upg?.lightningCooldown || 0);
+  }
+  return Math.max(0, state.upg?.[key] || 0);
+}
+
+function meetsShopRequirement(upg) {
+  if (!upg?.requires) return true;
+  const minTier = Number.isFinite(upg.requires.minTier) ? upg.requires.minTier : 1;
+  return getShopTierForKey(upg.requires.key) >= minTier;
+}
+
+function isTierOneOnlyWindow(level) {
+  return Math.max(1, Math.floor(level || state.playerLevel || 1)) <= 3;
+}
+
+function getShopCostForTierLite(upg, currentTier, freeShop, level) {
+  if (freeShop && currentTier === 0 && upg.key !== 'multishot') return 0;
+  const baseCost = upg.costs[currentTier] ?? Number.POSITIVE_INFINITY;
+  const L = Math.max(1, Math.floor(level || state.playerLevel || 1));
+  if (currentTier === 0 && upg.costs === STANDARD_COSTS && L >= 3) return Math.max(baseCost, 20);
+  return baseCost;
+}
+
+function isFreeShop(level) {
+  return !state.firstLevelUpShopHandled && Math.max(1, Math.floor(level || state.playerLevel || 1)) <= 2;
+}
+
+// Upgrades the shop could offer right now, with their current cost.
+// → [{ key, tier, cost }] (tier = current tier, before buying)
+export function getEligibleShopOffers(level = state.playerLevel) {
+  const freeShop = isFreeShop(level);
+  const out = [];
+  for (const upg of SHOP_UPGRADES) {
+    const cur = getShopTierForKey(upg.key);
+    if (cur >= upg.costs.length) continue;
+    if (!meetsShopRequirement(upg) || !isUpgradeAllowedForCharacter(upg.key, state.selectedCharacter)) continue;
+    if (isTierOneOnlyWindow(level) && (cur !== 0 || upg.key === 'multishot')) continue;
+    out.push({ key: upg.key, tier: cur, cost: getShopCostForTierLite(upg, cur, freeShop, level) });
+  }
+  return out;
+}
+
+export function getCheapestEligibleUpgradeCost(level) {
+  let cheapest = Number.POSITIVE_INFINITY;
+  for (const offer of getEligibleShopOffers(level)) {
+    if (Number.isFinite(offer.cost) && offer.cost < cheapest) cheapest = offer.cost;
+  }
+  return cheapest;
+}
+
+// State side of buying an upgrade tier (the UI layers visuals on top).
+// Returns which presentation refreshes the caller should run.
+export function applyUpgradeState(key, newTier) {
+  switch (key) {
+    case 'dash':
+      if (newTier >= 1) state.hasDash = true;
+      return {};
+
+    case 'luck':
+      try { recomputeLuck(); } catch {}
+      return {};
+
+    case 'maxHealth': {
+      const levelBase = Math.max(1, getCharacterMaxHPForLevel(state.playerLevel || 1));
+      const prevMax = Math.max(1, state.playerMaxHP || levelBase);
+      const prevHP = Math.max(0, state.playerHP || prevMax);
+      const wasFull = prevHP >= (prevMax - 0.001);
+      const pct = Math.max(0, Math.min(1, prevHP / prevMax));
+      const newMax = Math.round(levelBase * (1 + 0.10 * newTier));
+      state.playerMaxHP = newMax;
+      state.playerHP = wasFull ? newMax : Math.max(1, Math.round(pct * newMax));
+      return { health: true };
+    }
+
+    case 'shield':
+      if (newTier >= 1 && (state.shieldCharges || 0) <= 0) {
+        state.shieldCharges = 1;
+        state.shieldRecharge = 0;
+      }
+      if (newTier >= 3) state.shieldCharges = Math.max(state.shieldCharges, 2);
+      if (newTier >= 5) state.shieldCharges = Math.max(state.shieldCharges, 3);
+      return {};
+
+    case 'laserFire':
+      state.weaponTier = Math.max(state.weaponTier || 0, newTier);
+      return {};
+
+    case 'orbit':
+    case 'stormHalo':   // evolution (weaponDefs.js) swaps the orbit ring
+    case 'dmg':
+    case 'fireRate':
+    case 'projSpeed':
+    case 'multishot':
+      return { orbit: true };
+
+    case 'targetedFire':
+      state.upg.targetedFire = Math.max(state.upg.targetedFire || 0, newTier);
+      return { orbit: true };
+
+    case 'targetedDamage':
+    case 'targetedCooldown':
+    case 'targetedRange':
+      state.upg.targetedFire = Math.max(state.upg.targetedFire || 0, 1);
+      state.upg.targetedCooldown = newTier;
+      state.upg.targetedDamage = newTier;
+      state.upg.targetedRange = newTier;
+      return { orbit: true };
+
+    case 'lightning':
+    case 'lightningDamage':
+    case 'lightningCooldown':
+      state.upg.lightning = Math.max(getShopTierForKey('lightning'), newTier);
+      return { orbit: true };
+
+    default:
+      return {};
+  }
+}
+
+// ── Shield recharge + passive regen (one sim step) ──────────────────────────
+export function updateShieldAndRegen(delta, worldDelta) {
+  if ((state.shieldHitCD || 0) > 0) state.shieldHitCD = Math.max(0, state.shieldHitCD - delta);
+  const shieldTier = Math.max(0, state.upg?.shield || 0);
+  const shieldMax = shieldTier >= 5 ? 3 : (shieldTier >= 3 ? 2 : (shieldTier >= 1 ? 1 : 0));
+  if (shieldMax > 0) {
+    if ((state.shieldCharges || 0) <= 0 && (state.shieldRecharge || 0) > 0) {
+      state.shieldRecharge = Math.max(0, state.shieldRecharge - delta);
+      if (state.shieldRecharge <= 0) state.shieldCharges = shieldMax;
+    } else if ((state.shieldCharges || 0) <= 0 && (state.shieldRecharge || 0) <= 0) {
+      // If shield unlocked but never initialized
+      state.shieldCharges = shieldMax;
+    }
+  } else {
+    state.shieldCharges = 0;
+    state.shieldRecharge = 0;
+  }
+
+  const regenTier = Math.max(0, state.upg?.regen || 0);
+  if (regenTier > 0 && state.playerHP < state.playerMaxHP) {
+    state.playerHP = Math.min(state.playerMaxHP, state.playerHP + regenTier * worldDelta);
+  }
+}
+
+// Recharge time once the last shield charge breaks.
+export function getShieldRechargeTime() {
+  const tier = Math.max(0, state.upg?.shield || 0);
+  const base = 12.0;
+  return tier >= 4 ? base * 0.45 : ((tier >= 2) ? base * 0.65 : base);
+}
+
+// ── Loot ─────────────────────────────────────────────────────────────────────
+export function getLootCoinValue(coinValue, coinMult) {
+  const coinTier = Math.max(0, state.upg?.coinBonus || 0);
+  const chaosTier = (state.chaosTimer || 0) > 0 ? Math.max(0, state.curseTier || 0) : 0;
+  const coinBonus = [0, 0.10, 0.20, 0.30, 0.40, 0.50][Math.min(coinTier, 5)] || 0;
+  const bonus = (1 + coinBonus) * (1 + 0.25 * chaosTier) * getCoinValueMultiplier();
+  return Math.max(1, Math.round((coinValue || 1) * (coinMult || 1) * bonus));
+}
+
+// ── XP / level-up ────────────────────────────────────────────────────────────
+// Adds XP (after growth/curse/effect multipliers) and applies every level-up
+// it triggers. Returns { levels, bonusCoins } so callers can update the HUD.
+export function gainXP(amount) {
+  // XP Growth tiers: +10/+20/+30/+40/+50%  + Curse (+10% per tier)
+  const growthTier = Math.max(0, state.upg?.xpGrowth || 0);
+  const curseTier = Math.max(0, state.upg?.curse || 0);
+  const growthBonus = getXPGrowthBonusForTier(growthTier);
+  const mult = (1 + growthBonus) * (1 + 0.10 * curseTier) * getXPMultiplier();
+  const add = Math.max(0, Math.floor((amount || 0) * mult));
+  const result = { levels: 0, bonusCoins: 0 };
+  if (!Number.isFinite(add) || add <= 0) return result;
+
+  if (!state.playerLevel || state.playerLevel < 1) state.playerLevel = 1;
+  if (!Number.isFinite(state.playerXP) || state.playerXP < 0) state.playerXP = 0;
+
+  state.playerXP += add;
+
+  while (state.playerLevel < 100) {
+    const need = expToNext(state.playerLevel);
+    if (need <= 0) break;
+    if (state.playerXP < need) break;
+
+    state.playerXP -= need;
+    const prevLevel = state.playerLevel;
+    state.playerLevel++;
+    result.levels++;
+
+    // Player HP scaling (design doc) + Max Health upgrade
+    const prevMax = Math.max(1, state.playerMaxHP || getCharacterMaxHPForLevel(prevLevel));
+    const prevHP = Math.max(0, state.playerHP || prevMax);
+    const wasFull = prevHP >= (prevMax - 0.001);
+    const newBase  = getCharacterMaxHPForLevel(state.playerLevel);
+    const hpTier = Math.max(0, state.upg?.maxHealth || 0);
+    const newMax  = Math.round(newBase * (1 + 0.10 * hpTier));
+    const levelUpHeal = Math.max(1, Math.round(newMax * LEVEL_UP_HEAL_FRACTION));
+    state.playerMaxHP = newMax;
+    state.playerHP = wasFull ? newMax : Math.min(newMax, Math.round(prevHP + levelUpHeal));
+
+    // Controlled late-run damage growth so the player scales up without flattening
+    // higher-tier enemies. Upgrades, multishot, orbit, targeted fire, and effects
+    // still stack on top of this base value.
+    state.playerBaseDMG = getPlayerBaseDamageForLevel(state.playerLevel);
+
+    let bonusCoins = 0;
+    const cheapestUpgradeCost = getCheapestEligibleUpgradeCost(state.playerLevel);
+    if (Number.isFinite(cheapestUpgradeCost) && cheapestUpgradeCost > 0 && (state.coins || 0) < cheapestUpgradeCost) {
+      bonusCoins = cheapestUpgradeCost - (state.coins || 0);
+      state.coins += bonusCoins;
+      result.bonusCoins += bonusCoins;
+    }
+
+    // Queue a shop for every level-up, including boss levels. Using a numeric queue
+    // avoids skipped shops when a single XP gain grants multiple levels.
+    state.pendingShop = Math.max(0, Number(state.pendingShop) || 0) + 1;
+    emit(GameEvent.LEVEL_UP, { level: state.playerLevel, bonusCoins });
+  }
+
+  return result;
+}
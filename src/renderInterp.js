@@ -0,0 +1,64 @@
+// ─── renderInterp.js ─────────────────────────────────────────────────────────
+// Render-side interpolation for the fixed-step simulation in loop.js.
+// The sim advances in SIM_DT steps; a display frame usually lands between two
+// steps. Before each step we snapshot positions of moving objects, then at
+// render time draw them lerped between the last two steps by `alpha`, and put
+// the authoritative sim positions back right after the frame is drawn.
+//
+// Objects are only interpolated when their snapshot was taken right before
+// the latest step, and never across a jump (teleports, pooled meshes reused
+// mid-step) — those simply render at their current position.
+
+import { state } from './state.js';
+import { playerGroup } from './player.js';
+
+// Anything moving further than this in one step is treated as a jump.
+const MAX_LERP_DIST_SQ = 2.5 * 2.5;
+
+let _stepId = 0;
+const _drawn = [];
+
+function _eachMoving(fn) {
+  fn(playerGroup);
+  for (const e of state.enemies) if (e?.grp) fn(e.grp);
+  for (const b of state.bullets) { const o = b.obj ?? b.mesh; if (o) fn(o); }
+  for (const b of state.enemyBullets) { if (b.core) fn(b.core); if (b.mesh) fn(b.mesh); }
+  if (Array.isArray(state.targetedShots)) for (const b of state.targetedShots) if (b.obj) fn(b.obj);
+  for (const r of state.orbitRings) for (const m of r.meshes) fn(m);
+}
+
+function _snapshot(o) {
+  const u = o.userData;
+  if (!u.prevPos) u.prevPos = o.position.clone();
+  else u.prevPos.copy(o.position);
+  u.prevStep = _stepId;
+}
+
+function _interpolate(o, alpha) {
+  const u = o.userData;
+  if (u.prevStep !== _stepId - 1 || !u.prevPos) return;
+  if (u.prevPos.distanceToSquared(o.position) > MAX_LERP_DIST_SQ) return;
+  if (!u.simPos) u.simPos = o.position.clone();
+  else u.simPos.copy(o.position);
+  o.position.lerpVectors(u.prevPos, u.simPos, alpha);
+  _drawn.push(o);
+}
+
+// Call immediately before every simulation step.
+export function snapshotSimPositions() {
+  _eachMoving(_snapshot);
+  _stepId++;
+}
+
+// Call once per display frame, before rendering. alpha ∈ [0, 1].
+export function applyRenderInterpolation(alpha) {
+  _drawn.length = 0;
+  const a = Math.max(0, Math.min(1, alpha));
+  _eachMoving(o => _interpolate(o, a));
+}
+
+// Call once per display frame, after rendering.
+export function restoreSimPositions() {
+  for (const o of _drawn) o.position.copy(o.userData.simPos);
+  _drawn.length = 0;
+}
@@ -1,6 +1,7 @@
 // ─── renderer.js ─────────────────────────────────────────────────────────────
 import * as THREE from 'three';
 import { CSS2DRenderer } from 'three/addons/renderers/CSS2DRenderer.js';
+import { CAM_D, CAM_DIST, ISO_FWD_XZ, ISO_RIGHT_XZ } from './constants.js';
 
 // ── WebGL Renderer ────────────────────────────────────────────────────────────
 export const renderer = new THREE.WebGLRenderer({ antialias: true });
@@ -68,18 +69,18 @@ export function setEnvironmentReflectionsEnabled(enabled) {
 }
 
 // ── Isometric Orthographic Camera ─────────────────────────────────────────────
-export const CAM_D = 12;
+export { CAM_D };
 export let aspect = window.innerWidth / window.innerHeight;
 export const camera = new THREE.OrthographicCamera(
   -CAM_D * aspect, CAM_D * aspect, CAM_D, -CAM_D, -100, 500
 );
-export const CAM_OFFSET = new THREE.Vector3(28, 28, 28);
+export const CAM_OFFSET = new THREE.Vector3(CAM_DIST, CAM_DIST, CAM_DIST);
 camera.position.copy(CAM_OFFSET);
 camera.lookAt(0, 0, 0);
 
 // ── Isometric movement direction vectors ──────────────────────────────────────
-export const ISO_FWD   = new THREE.Vector3(-1, 0, -1).normalize();
-export const ISO_RIGHT = new THREE.Vector3( 1, 0, -1).normalize();
+export const ISO_FWD   = new THREE.Vector3(ISO_FWD_XZ.x,   0, ISO_FWD_XZ.z);
+export const ISO_RIGHT = new THREE.Vector3(ISO_RIGHT_XZ.x, 0, ISO_RIGHT_XZ.z);
 
 // ── Resize handler ────────────────────────────────────────────────────────────
 // bloom.js calls onResize() too — both are registered in main.js
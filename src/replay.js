@@ -0,0 +1,240 @@
+// ─── replay.js ──────────────────────────────────────────────────────────────
+// Input recording + deterministic playback of whole runs.
+// Every simulation tick samples the held movement keys, the analog move axis
+// and the one-shot ability requests (dash / burst / slow) into one integer
+// (bits 0–6 keys/requests, bits 8–15 / 16–23 the axis x / y as signed
+// 127ths — 0 when no stick is used, so v1 files decode unchanged), next to the delta
+// that tick ran with, and the manual aim as a step of AIM_STEPS (-1 while aim
+// is automatic, -2 when manual aim has no direction yet). Shop and chest picks
+// are logged in order. Together with the run seed (rng.js) that is enough to
+// re-simulate a run through tick().
+//
+// File format (JSON, run-length encoded so idle stretches stay tiny):
+//   { format, v, seed, character, ticks,
+//     input:   [[mask, count], …],
+//     dt:      [[seconds, count], …],
+//     aim:     [[step, count], …],         (v2+; v1 files play with auto aim)
+//     choices: [{ t, kind: 'shop'|'chest', pick: key|null }, …],
+//     result:  { kills, elapsed, level, coins } }
+
+import { state } from './state.js';
+import { AIM_STEPS } from './constants.js';
+import { normalizeCharacterId } from './characters.js';
+
+export const REPLAY_FORMAT  = 'capsule-havoc-replay';
+export const REPLAY_VERSION = 2;
+
+const AIM_AUTO  = -1;
+const AIM_UNSET = -2;
+
+const BIT = Object.freeze({ w: 1, a: 2, s: 4, d: 8, dash: 16, burst: 32, slow: 64 });
+
+// gamepad.js already quantizes axes to 1/127, so this round-trips exactly.
+const packAxis   = (v) => (Math.round(Math.max(-1, Math.min(1, v || 0)) * 127) & 0xFF);
+const unpackAxis = (b) => ((b << 24) >> 24) / 127;
+
+// input.js already quantizes state.aimAngle to AIM_STEPS, so this is exact too.
+function packAim() {
+  if (state.aimMode !== 'manual') return AIM_AUTO;
+  if (!Number.isFinite(state.aimAngle)) return AIM_UNSET;
+  return Math.round(state.aimAngle / (Math.PI * 2) * AIM_STEPS) % AIM_STEPS;
+}
+
+let _mode = 'off';   // 'off' | 'record' | 'play'
+let _rec  = null;    // replay being recorded
+let _play = null;    // { data, tick, input:{i,left}, dt:{i,left}, aim:{i,left}, choice }
+let _onPlaybackEnd = null;
+let _userAimMode = null; // the player's own aim setting, put back after playback
+let _deferred = null;  // replayed shop/chest pick waiting for flushReplayChoice()
+
+export function setReplayEndCallback(fn) { _onPlaybackEnd = fn; }
+
+function pushRun(runs, value) {
+  const last = runs[runs.length - 1];
+  if (last && last[0] === value) last[1]++;
+  else runs.push([value, 1]);
+}
+
+function readRun(runs, cur) {
+  if (cur.left <= 0) {
+    cur.left = runs[cur.i][1];
+    cur.i++;
+  }
+  cur.left--;
+  return runs[cur.i - 1][0];
+}
+
+// ── Mode control ─────────────────────────────────────────────────────────────
+export function beginRecording({ seed, character }) {
+  _mode = 'record';
+  _play = null;
+  _rec = { seed, character, ticks: 0, input: [], dt: [], aim: [], choices: [] };
+  _deferred = null;
+}
+
+export function beginPlayback(data) {
+  _mode = 'play';
+  _rec = null;
+  _play = { data, tick: 0, input: { i: 0, left: 0 }, dt: { i: 0, left: 0 }, aim: { i: 0, left: 0 }, choice: 0 };
+  _deferred = null;
+  if (_userAimMode == null) _userAimMode = state.aimMode;
+}
+
+export function stopReplay() {
+  _mode = 'off';
+  _play = null;
+  restoreAimMode();
+}
+
+function restoreAimMode() {
+  if (_userAimMode == null) return;
+  state.aimMode = _userAimMode;
+  state.aimAngle = null;
+  _userAimMode = null;
+}
+
+export function isReplaying() { return _mode === 'play'; }
+export function isRecording() { return _mode === 'record'; }
+
+function _endPlayback(reason) {
+  _mode = 'off';
+  _play = null;
+  state.keys.w = state.keys.a = state.keys.s = state.keys.d = false;
+  state.moveAxis = { x: 0, y: 0 };
+  state.dashRequested = state.burstRequested = state.slowRequested = false;
+  restoreAimMode();
+  if (_onPlaybackEnd) _onPlaybackEnd(reason);
+}
+
+// ── Per-tick hook (called once per simulation step from loop.js) ───────────
+// Returns the delta the step should use: the live one while recording, the
+// recorded one during playback.
+export function replayTick(liveDelta) {
+  if (_mode === 'record') {
+    let mask = 0;
+    if (state.keys.w) mask |= BIT.w;
+    if (state.keys.a) mask |= BIT.a;
+    if (state.keys.s) mask |= BIT.s;
+    if (state.keys.d) mask |= BIT.d;
+    if (state.dashRequested)  mask |= BIT.dash;
+    if (state.burstRequested) mask |= BIT.burst;
+    if (state.slowRequested)  mask |= BIT.slow;
+    mask |= packAxis(state.moveAxis?.x) << 8;
+    mask |= packAxis(state.moveAxis?.y) << 16;
+    pushRun(_rec.input, mask);
+    pushRun(_rec.dt, liveDelta);
+    pushRun(_rec.aim, packAim());
+    _rec.ticks++;
+    return liveDelta;
+  }
+
+  if (_mode === 'play') {
+    if (_play.tick >= _play.data.ticks) {
+      _endPlayback('done');
+      return liveDelta;
+    }
+    const mask = readRun(_play.data.input, _play.input);
+    const dt   = readRun(_play.data.dt, _play.dt);
+    state.keys.w = !!(mask & BIT.w);
+    state.keys.a = !!(mask & BIT.a);
+    state.keys.s = !!(mask & BIT.s);
+    state.keys.d = !!(mask & BIT.d);
+    state.dashRequested  = !!(mask & BIT.dash);
+    state.burstRequested = !!(mask & BIT.burst);
+    state.slowRequested  = !!(mask & BIT.slow);
+    state.moveAxis = { x: unpackAxis((mask >> 8) & 0xFF), y: unpackAxis((mask >> 16) & 0xFF) };
+    const aim = _play.data.aim ? readRun(_play.data.aim, _play.aim) : AIM_AUTO;
+    state.aimMode  = aim === AIM_AUTO ? 'auto' : 'manual';
+    state.aimAngle = aim >= 0 ? (aim / AIM_STEPS) * Math.PI * 2 : null;
+    _play.tick++;
+    return dt;
+  }
+
+  return liveDelta;
+}
+
+// ── Shop / chest decisions ───────────────────────────────────────────────────
+export function recordChoice(kind, pick) {
+  if (_mode !== 'record') return;
+  _rec.choices.push({ t: _rec.ticks, kind, pick: pick ?? null });
+}
+
+// During playback returns the recorded pick (a key, or null for skip).
+// Returns undefined when not replaying — or when the log no longer matches
+// (wrong kind, or the choice was recorded on a different tick), in which case
+// playback stops and the UI is shown as normal. recordChoice() stamps the
+// tick count at the tick that opened the shop/chest; _play.tick has already
+// been advanced for that tick, so the two line up.
+export function takeReplayChoice(kind) {
+  if (_mode !== 'play') return undefined;
+  const c = _play.data.choices[_play.choice];
+  if (!c || c.kind !== kind || c.t !== _play.tick) {
+    _endPlayback('desync');
+    return undefined;
+  }
+  _play.choice++;
+  return c.pick;
+}
+
+// A live pick lands from a click handler, after the tick that opened the
+// shop/chest has finished. The replayed one is held the same way: the caller
+// keeps the game paused and hands over `apply`, which runs from
+// flushReplayChoice() before the next tick.
+export function deferReplayChoice(apply) {
+  _deferred = apply;
+}
+
+// Called by loop.js tick() before it checks for a pause.
+export function flushReplayChoice() {
+  const apply = _deferred;
+  _deferred = null;
+  if (apply) apply();
+}
+
+// ── Import / export ──────────────────────────────────────────────────────────
+export function getReplaySnapshot() {
+  const src = _mode === 'play' ? _play.data : _rec;
+  if (!src) return null;
+  return {
+    format: REPLAY_FORMAT,
+    v: REPLAY_VERSION,
+    seed: src.seed,
+    character: src.character,
+    ticks: src.ticks,
+    input: src.input,
+    dt: src.dt,
+    aim: src.aim,
+    choices: src.choices,
+    result: {
+      kills: state.kills,
+      elapsed: state.elapsed,
+      level: state.playerLevel,
+      coins: state.coins,
+    },
+    recordedAt: new Date().toISOString(),
+  };
+}
+
+// Throws with a readable message if the file isn't a usable replay.
+export function parseReplay(data) {
+  if (!data || data.format !== REPLAY_FORMAT) throw new Error('Not a Capsule Havoc replay');
+  if (data.v !== 1 && data.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${data.v}`);
+  const isRuns = a => Array.isArray(a) && a.every(r => Array.isArray(r) && r.length === 2 && Number.isFinite(r[0]) && r[1] > 0);
+  if (!Number.isFinite(data.seed)) throw new Error('Replay has no seed');
+  if (!isRuns(data.input) || !isRuns(data.dt)) throw new Error('Replay input is corrupt');
+  const count = runs => runs.reduce((n, r) => n + r[1], 0);
+  // v1 predates manual aim; those runs always used the automatic pattern.
+  const aim = data.v >= 2 ? data.aim : null;
+  if (aim != null && !isRuns(aim)) throw new Error('Replay aim data is corrupt');
+  const ticks = Math.min(Number(data.ticks) || 0, count(data.input), count(data.dt), aim ? count(aim) : Infinity);
+  return {
+    seed: data.seed >>> 0,
+    character: normalizeCharacterId(data.character),
+    ticks,
+    input: data.input,
+    dt: data.dt,
+    aim,
+    choices: Array.isArray(data.choices) ? data.choices : [],
+    result: data.result || null,
+  };
+}
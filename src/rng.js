@@ -0,0 +1,136 @@
+// ─── rng.js ─────────────────────────────────────────────────────────────────
+// Seeded PRNG service. Every gameplay roll goes through a named stream so a
+// whole run can be reproduced from its seed. Each subsystem owns its own
+// stream (derived from the run seed + stream name), so adding a roll in one
+// system never shifts the sequence another system sees. Purely visual
+// randomness (particles, lightning jitter, sound pitch) uses 'cosmetic'.
+
+import { state } from './state.js';
+
+export const RNG_STREAMS = Object.freeze([
+  'spawner',   // spawn positions, quotas, pressure events
+  'enemies',   // teleports, splits, boss phase adds, shot timers
+  'weapons',   // weapon-side rolls
+  'loot',      // coin scatter, health drops
+  'arena',     // arena power pickups
+  'shop',      // level-up shop offers
+  'chest',     // chest reward rolls
+  'affixes',   // elite / boss affix rolls (affixes.js)
+  'cosmetic',  // visuals/audio only — never affects gameplay
+  'bot',       // headless sim input bots (sim/bots.js)
+]);
+
+// ── Core generator ───────────────────────────────────────────────────────────
+// mulberry32: tiny, fast, and good enough for game rolls. The generator's
+// 32-bit state is exposed as `next.state` so a run snapshot can resume it.
+function mulberry32(a) {
+  const next = function () {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  Object.defineProperty(next, 'state', { get: () => a, set: (v) => { a = v | 0; } });
+  return next;
+}
+
+// FNV-1a string hash → uint32
+function hashString(str) {
+  let h = 0x811C9DC5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+let _seed = 0;
+const _streams = new Map();
+
+function _stream(name) {
+  let s = _streams.get(name);
+  if (!s) {
+    s = mulberry32(hashString(`${_seed}:${name}`));
+    _streams.set(name, s);
+  }
+  return s;
+}
+
+// ── Seed handling ────────────────────────────────────────────────────────────
+// Typed seeds: plain digits are used as-is, anything else is hashed, so
+// "daily-2026-10-19" and "1234" are both valid.
+export function parseSeed(input) {
+  const text = String(input ?? '').trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  return hashString(text);
+}
+
+export function randomSeed() {
+  try {
+    const buf = new Uint32Array(1);
+    crypto.getRandomValues(buf);
+    return buf[0] >>> 0;
+  } catch {
+    return (Math.random() * 4294967296) >>> 0;
+  }
+}
+
+export function setRunSeed(seed) {
+  _seed = (Number(seed) >>> 0);
+  _streams.clear();
+  state.runSeed = _seed;
+  return _seed;
+}
+
+export function getRunSeed() {
+  return _seed;
+}
+
+// Position of every stream that has rolled so far (mid-run save, runSave.js).
+export function getRngState() {
+  const streams = {};
+  for (const [name, s] of _streams) streams[name] = s.state;
+  return { seed: _seed, streams };
+}
+
+// Restore a getRngState() snapshot: re-seeds, then fast-forwards each stream.
+export function setRngState(snap) {
+  setRunSeed(snap?.seed);
+  for (const [name, v] of Object.entries(snap?.streams || {})) {
+    if (Number.isInteger(v)) _stream(name).state = v;
+  }
+}
+
+// ── Rolls ────────────────────────────────────────────────────────────────────
+export function rand(stream) {
+  return _stream(stream)();
+}
+
+export function randFloat(stream, a, b) {
+  return a + _stream(stream)() * (b - a);
+}
+
+export function randInt(stream, a, b) {
+  return a + Math.floor(_stream(stream)() * (b - a + 1));
+}
+
+export function randAngle(stream) {
+  return _stream(stream)() * Math.PI * 2;
+}
+
+export function pick(stream, arr) {
+  return arr[Math.floor(_stream(stream)() * arr.length)];
+}
+
+export function shuffleInPlace(stream, arr) {
+  const r = _stream(stream);
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(r() * (i + 1));
+    [arr[i], arr[j]] = [arr[j], arr[i]];
+  }
+  return arr;
+}
+
+// Default seed so rolls are valid before the first restartGame().
+setRunSeed(randomSeed());
@@ -0,0 +1,266 @@
+// ─── runSave.js ──────────────────────────────────────────────────────────────
+// Mid-run save / resume. Quitting to the menu from the pause screen snapshots
+// the run (plain state fields, RNG stream positions, live enemies and pickups)
+// into the 'runSave' store; the menu's CONTINUE RUN rebuilds the scene from it
+// through the normal spawn functions and then patches in the saved values. An
+// open shop or chest and each enemy's affixes / timers come back as saved, not
+// re-rolled, so quitting and continuing cannot fish for better rolls.
+// Transient things — bullets in flight, particles, damage numbers — are not
+// kept. A resumed run is not recorded for replay export.
+
+import { state } from './state.js';
+import { ELITE_TYPES, ENEMY_DEFS } from './constants.js';
+import { playerGroup, updateHealthBar, updateDashBar } from './player.js';
+import { spawnEnemy, updateEliteBar } from './enemies.js';
+import { spawnCoins, spawnHealthPickup, spawnChest } from './pickups.js';
+import { getArenaPickupSnapshot, restoreArenaPickups } from './arenaPickups.js';
+import { syncOrbitBullets } from './weapons.js';
+import { updateXP } from './xp.js';
+import { applyCosmetics } from './materials.js';
+import { getRngState, setRngState } from './rng.js';
+import { stopReplay } from './replay.js';
+import { normalizeCharacterId } from './characters.js';
+import { getOpenOffers, resumeOpenOffers } from './ui/upgrades.js';
+import { defineStore, plainData, isSafeText } from './ui/storage.js';
+
+// Plain `state` fields that make up a run. Everything else is either rebuilt
+// (entities, HUD) or reset by restartGame().
+const RUN_FIELDS = [
+  'selectedCharacter', 'runSeed', 'simTick', 'elapsed', 'wave', 'wavePhase',
+  'waveSpawnRemaining', 'bossSpawnRemaining', 'wavePendingStart', 'bossAlive',
+  'bossRespawnTimer', 'spawnTimer', 'spawnTickTimer', 'spawn',
+  'playerHP', 'playerMaxHP', 'playerBaseDMG', 'playerXP', 'playerLevel',
+  'kills', 'killsBySource', 'weaponStats', 'dpsWindow', 'peakDps', 'lastHit', 'coins',
+  'upg', 'weaponTier', 'pickupRangeLvl', 'firstLevelUpShopHandled', 'pendingShop',
+  'pendingChests', 'luck', 'bossLuck', 'curseTier', 'extraLives', 'armorHits', 'effects', 'effectsDur',
+  'shieldCharges', 'shieldRecharge', 'burstCooldown', 'burstCooldownMax',
+  'slowCooldown', 'slowCooldownMax', 'slowTimer',
+  'hasDash', 'dashCooldown', 'dashCooldownMax', 'lastMoveX', 'lastMoveZ',
+  'shootTimer', 'bulletWaveAngle', 'multiShotVolleyCount', '_slashTimer', '_discTimer',
+  'targetedShotTimer', 'lightningTimer', 'cosmetic',
+];
+
+// Per-enemy values that differ from a fresh spawn of the same type.
+const ENEMY_FIELDS = [
+  'hp', 'maxHp', 'phase', 'fireRate', 'bulletSpeedMult', 'shootTimer', 'staggerTimer',
+  'shieldHp', 'chaosAppliedTier', '_tpCD', 'spawnFlashTimer', 'fireTellTimer', 'contactDmgTimer',
+];
+
+const CHEST_TIERS = ['standard', 'rare', 'epic'];
+const finite = (v, d = 0) => (Number.isFinite(v) ? v : d);
+const asObject = (v) => (v && typeof v === 'object' && !Array.isArray(v) ? plainData(v) : undefined);
+
+// A run field keeps its saved value only if it is plain data of the same kind
+// as the live one (number stays number, object stays object, …).
+function normalizeField(k, v) {
+  const clean = plainData(v);
+  const cur = state[k];
+  if (clean === undefined) return undefined;
+  if (cur == null || clean == null) return clean;
+  if (typeof clean !== typeof cur || Array.isArray(clean) !== Array.isArray(cur)) return undefined;
+  return clean;
+}
+
+function normalizeEnemy(s) {
+  if (!s || typeof s !== 'object' || !Number.isFinite(s.x) || !Number.isFinite(s.z)) return null;
+  const out = {
+    x: s.x,
+    z: s.z,
+    enemyType: typeof s.enemyType === 'string' && ENEMY_DEFS[s.enemyType] ? s.enemyType : null,
+    elite: Number.isInteger(s.elite) && ELITE_TYPES[s.elite] ? s.elite : -1,
+  };
+  if (!out.enemyType && out.elite < 0) return null;
+  for (const k of ENEMY_FIELDS) if (Number.isFinite(s[k])) out[k] = s[k];
+  for (const k of ['statuses', 'boss', 'ai']) {
+    const v = asObject(s[k]);
+    if (v) out[k] = v;
+  }
+  if (Array.isArray(s.affixes)) out.affixes = plainData(s.affixes);
+  return out;
+}
+
+// The shop or chest that was open (ui/upgrades.js getOpenOffers).
+function normalizeOffers(o) {
+  if (!o || typeof o !== 'object') return null;
+  const isKey = (k) => typeof k === 'string' && isSafeText(k);
+  if (o.kind === 'shop' && Array.isArray(o.choices)) {
+    return {
+      kind: 'shop',
+      level: Math.max(1, Math.floor(finite(o.level, 1))),
+      free: o.free === true,
+      choices: o.choices.filter(c => c && isKey(c.key)).map(c => ({
+        key: c.key, category: isKey(c.category) ? c.category : 'bonus', bought: c.bought === true,
+      })),
+    };
+  }
+  if (o.kind === 'chest' && Array.isArray(o.keys)) {
+    return { kind: 'chest', tier: CHEST_TIERS.includes(o.tier) ? o.tier : 'standard', keys: o.keys.filter(isKey) };
+  }
+  return null;
+}
+
+const points = (list, extra) => (Array.isArray(list) ? list : [])
+  .filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.z))
+  .map(p => ({ x: p.x, z: p.z, ...extra(p) }));
+
+// Rebuilds a snapshot from known fields only: whatever an imported profile
+// puts here ends up in `state` and on the HUD.
+function normalizeSave(s) {
+  if (!s || typeof s !== 'object' || !s.state || typeof s.state !== 'object' ||
+      !Array.isArray(s.enemies) || !s.player || typeof s.player !== 'object') return null;
+  const fields = {};
+  for (const k of RUN_FIELDS) {
+    if (!(k in s.state)) continue;
+    const v = normalizeField(k, s.state[k]);
+    if (v !== undefined) fields[k] = v;
+  }
+  fields.selectedCharacter = normalizeCharacterId(fields.selectedCharacter);
+  if (Array.isArray(fields.pendingChests)) {
+    fields.pendingChests = fields.pendingChests.filter(t => CHEST_TIERS.includes(t));
+  }
+  return {
+    savedAt: finite(s.savedAt),
+    state: fields,
+    rng: asObject(s.rng) || null,
+    player: { x: finite(s.player.x), z: finite(s.player.z) },
+    enemies: s.enemies.map(normalizeEnemy).filter(Boolean),
+    coins: points(s.coins, c => ({ value: finite(c.value, 1), life: finite(c.life, undefined) })),
+    health: points(s.health, h => ({ life: finite(h.life, undefined) })),
+    chests: points(s.chests, c => ({ tier: CHEST_TIERS.includes(c.tier) ? c.tier : 'standard' })),
+    arena: asObject(s.arena) || null,
+    offers: normalizeOffers(s.offers),
+  };
+}
+
+const store = defineStore('runSave', {
+  version: 1,
+  validate: normalizeSave,
+  fallback: () => null,
+});
+
+const clone = (v) => (v === undefined ? undefined : JSON.parse(JSON.stringify(v)));
+
+// ── Snapshot ──────────────────────────────────────────────────────────────────
+function snapshotEnemy(e) {
+  const out = {
+    x: e.grp.position.x,
+    z: e.grp.position.z,
+    enemyType: e.enemyType,
+    elite: e.eliteType ? ELITE_TYPES.indexOf(e.eliteType) : -1,
+  };
+  for (const k of ENEMY_FIELDS) if (Number.isFinite(e[k])) out[k] = e[k];
+  if (e.statuses && Object.keys(e.statuses).length) out.statuses = clone(e.statuses);
+  if (e.affixes?.length) out.affixes = clone(e.affixes);
+  if (e.boss) out.boss = clone(e.boss);
+  if (e.ai) out.ai = clone(e.ai);
+  return out;
+}
+
+export function snapshotRun() {
+  const fields = {};
+  for (const k of RUN_FIELDS) fields[k] = clone(state[k]);
+  // A shop or chest that was open when the player quit is re-offered, with
+  // the same items, on resume.
+  const offers = getOpenOffers();
+  if (offers?.kind === 'shop') fields.pendingShop = (Number(fields.pendingShop) || 0) + 1;
+  if (offers?.kind === 'chest') fields.pendingChests = [offers.tier, ...(fields.pendingChests || [])];
+
+  return {
+    savedAt: Date.now(),
+    state: fields,
+    rng: getRngState(),
+    player: { x: playerGroup.position.x, z: playerGroup.position.z },
+    enemies: state.enemies.filter(e => e && !e.dead && (e.enemyType || e.eliteType)).map(snapshotEnemy),
+    coins: state.coinPickups.map(c => ({ x: c.x, z: c.z, value: c.value, life: c.life })),
+    health: state.healthPickups.map(h => ({ x: h.x, z: h.z, life: h.life })),
+    chests: (state.chests || []).map(c => ({ x: c.x, z: c.z, tier: c.tier })),
+    arena: getArenaPickupSnapshot(),
+    offers,
+  };
+}
+
+// Only runs that are actually in progress are worth saving.
+export function saveRunSnapshot() {
+  if (state.gameOver || state.uiMode !== 'playing' || !(state.elapsed > 0)) return false;
+  store.save(snapshotRun());
+  return true;
+}
+
+export function getSavedRun() {
+  return store.load();
+}
+
+export function hasSavedRun() {
+  return !!store.load();
+}
+
+export function clearSavedRun() {
+  store.clear();
+}
+
+// ── Restore ───────────────────────────────────────────────────────────────────
+// Everything saved was alive under the cap at the time, so this spawns past
+// it, with the saved affixes, shot timer and spawn fade.
+function restoreEnemy(s) {
+  const type = s.enemyType && ENEMY_DEFS[s.enemyType] ? s.enemyType : (ELITE_TYPES[s.elite] || null);
+  if (!type) return;
+  const before = state.enemies.length;
+  spawnEnemy(s.x, s.z, type, {
+    affixes: Array.isArray(s.affixes) ? clone(s.affixes) : [],
+    shootTimer: finite(s.shootTimer),
+    spawnFlashTimer: finite(s.spawnFlashTimer),
+  });
+  const e = state.enemies[before];
+  if (!e) return;
+  for (const k of ENEMY_FIELDS) if (Number.isFinite(s[k])) e[k] = s[k];
+  if (s.statuses && typeof s.statuses === 'object') e.statuses = clone(s.statuses);
+  if (e.boss && s.boss && typeof s.boss === 'object') e.boss = clone(s.boss);
+  if (e.ai && s.ai && typeof s.ai === 'object') e.ai = clone(s.ai);
+  try { updateEliteBar(e); } catch {}
+}
+
+function placeLast(list, x, z, life) {
+  const item = list[list.length - 1];
+  if (!item) return;
+  item.x = x; item.z = z;
+  item.mesh.position.x = x;
+  item.mesh.position.z = z;
+  if (Number.isFinite(life)) item.life = life;
+}
+
+// Call right after restartGame() has cleared the scene for the saved
+// character and seed, before the countdown starts.
+export function restoreRun(snap) {
+  for (const k of RUN_FIELDS) if (k in snap.state) state[k] = clone(snap.state[k]);
+  playerGroup.position.set(snap.player.x || 0, 0, snap.player.z || 0);
+
+  // Rebuilding consumes rolls (coin scatter); the saved RNG positions are
+  // applied afterwards so the run continues where it was.
+  for (const e of snap.enemies) restoreEnemy(e);
+  resumeOpenOffers(snap.offers);
+  for (const c of (snap.coins || [])) {
+    spawnCoins(c, 1, c.value);
+    placeLast(state.coinPickups, c.x, c.z, c.life);
+  }
+  for (const h of (snap.health || [])) {
+    spawnHealthPickup(h);
+    placeLast(state.healthPickups, h.x, h.z, h.life);
+  }
+  for (const c of (snap.chests || [])) spawnChest(c, c.tier);
+  state._designDocInitDone = true;
+  restoreArenaPickups(snap.arena);
+
+  setRngState(snap.rng);
+  stopReplay();
+
+  updateHealthBar(); updateDashBar();
+  updateXP(0);
+  syncOrbitBullets();
+  try { applyCosmetics(); } catch {}
+  const set = (id, v) => { const el = document.getElementById(id); if (el) el.textContent = v; };
+  set('kills-value', state.kills);
+  set('coin-count', state.coins);
+
+  // The save is single-use: resuming consumes it.
+  clearSavedRun();
+}
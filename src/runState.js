@@ -0,0 +1,133 @@
+// ─── runState.js ─────────────────────────────────────────────────────────────
+// Character loadout + the plain-state part of starting a fresh run. Scene and
+// HUD cleanup stay in gameFlow.restartGame; the headless sim calls
+// resetRunState() directly.
+
+import { state } from './state.js';
+import { getPlayerBaseDamageForLevel } from './constants.js';
+import { getCharacterMaxHPForLevel } from './progression.js';
+import { initSpawner } from './spawner.js';
+import { getCharacter, DEFAULT_CHARACTER } from './characters.js';
+import { isReplaying } from './replay.js';
+
+export function applyCharacter(character = DEFAULT_CHARACTER) {
+  const def = getCharacter(character);
+  state.selectedCharacter = def.id;
+  state.characterBaseHpMult = def.hpMult;
+  state.characterBaseDamageMult = def.damageMult;
+  state.characterPrimaryWeapon = def.primary;
+}
+
+export function resetRunState() {
+  state.playerMaxHP = Math.round(getCharacterMaxHPForLevel(1));
+  state.playerHP    = state.playerMaxHP;
+  state.playerBaseDMG = getPlayerBaseDamageForLevel(1);
+  state.kills       = 0;
+  state.killsBySource = {};
+  state.weaponStats = {};
+  state.dpsWindow = [];
+  state.peakDps = 0;
+  state.lastHit = null;
+  state.elapsed     = 0;
+  state.shootTimer  = 0;
+  state.bulletWaveAngle = 0;
+  state.multiShotVolleyCount = 0;
+  state.dashTimer   = 0; state.dashCooldown = 0; state.dashGhostTimer = 0; state.dashSpeed = 0;
+  state.hasDash     = false; state.dashRequested = false;
+  state.lastMoveX   = 0; state.lastMoveZ = 1;
+  state._slashTimer = 0;
+  state._discTimer  = 0;
+  state.targetedShotTimer = 0;
+  state.lightningTimer    = 0;
+  state.keys.w = state.keys.a = state.keys.s = state.keys.d = false;
+  state.moveAxis = { x: 0, y: 0 };
+  state.aimAxis = { x: 0, y: 0 };
+  state.aimAngle = null;
+  state.worldScale  = 1.0;
+  state.auraSlowMult = 1.0;
+  state.contactDmgAccum = 0; state.contactDmgTimer = 0;
+  state.spawnTickTimer  = 0;
+  state.playerXP    = 0;
+  state.playerLevel = 1;
+  initSpawner();
+  state.coins       = 0;
+  state.weaponTier  = state.characterPrimaryWeapon === 'laser' ? 1 : 0;
+  state.pickupRangeLvl = 0;
+  state.firstLevelUpShopHandled = false;
+  state.upg = {
+    laserFire: 0,
+    disc: 0,
+    orbit:0,
+    dmg:0, fireRate:0, projSpeed:0, piercing:0, multishot:0, ignite:0, chill:0,
+    venom:0, shock:0,
+    critChance:0, critDamage:0,
+    railLance:0, stormHalo:0, razorHalo:0,
+    moveSpeed:0, dash:0, magnet:0,
+    shield:0, burst:0, timeSlow:0,
+    targetedFire:0, targetedCooldown:0, targetedRange:0, targetedDamage:0,
+    lightning:0, lightningCooldown:0, lightningDamage:0,
+    maxHealth:0, regen:0, xpGrowth:0, coinBonus:0, curse:0, luck:0,
+  };
+  state.luck = 0;
+  state.bossLuck = 0;
+  state.curseTier = 0;
+  state.shieldCharges = 0;
+  state.shieldRecharge = 0;
+  state.shieldHitCD = 0;
+  state.burstCooldown = 0; state.burstCooldownMax = 0;
+  state.burstRequested = false;
+  state.slowCooldown = 0; state.slowCooldownMax = 0;
+  state.slowTimer = 0;
+  state.slowRequested = false;
+  state.extraLives  = 0;
+  state.armorHits   = 0;
+  state.reviveIFrames = 0;
+  state.effects = {
+    doubleDamage: 0,
+    invincibility: 0,
+    coinValue2x: 0,
+    xp2x: 0,
+    armor: 0,
+    clock: 0,
+    blackHole: 0,
+    coinMagnet: 0,
+  };
+  state.effectsDur = {};
+  state.bossLuck = 0;
+  state.arenaPickups = [];
+  state.blackHole = null;
+  state.pendingShop = 0;
+  state.pendingChests = [];
+  state.bossAlive   = false;
+  state.bossRespawnTimer = 0;
+  state.spawnTimer  = 0;
+  if (state.cosmetic) state.cosmetic.playerColor = 'default';
+  state.upgradeOpen = false;
+  state.wave        = 1;
+  state.wavePhase   = null;
+  state.waveSpawnRemaining = 0;
+  state.bossSpawnRemaining = 0;
+  state.wavePendingStart   = true;
+  state.gameOver    = false;
+}
+
+// End-of-run snapshot (the runEnded event payload, see events.js).
+export function getRunSummary(outcome) {
+  const upg = {};
+  for (const [k, v] of Object.entries(state.upg || {})) if ((v || 0) > 0) upg[k] = v;
+  return {
+    outcome,
+    elapsed: state.elapsed,
+    level: state.playerLevel,
+    kills: state.kills,
+    coins: state.coins,
+    seed: state.runSeed,
+    character: state.selectedCharacter,
+    upg,
+    deathCause: outcome === 'death' && state.lastHit
+      ? { source: state.lastHit.source, enemyType: state.lastHit.enemyType }
+      : null,
+    peakDps: Math.round(state.peakDps || 0),
+    replay: isReplaying(),
+  };
+}
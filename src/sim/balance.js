@@ -0,0 +1,217 @@
+// ─── sim/balance.js ──────────────────────────────────────────────────────────
+// Aggregates headless run results (sim/headless.js) into a balance report:
+// time-to-level curve, death causes by enemy type, coin income per minute and
+// upgrade pick rates — one section per character. Reports are plain JSON so a
+// previous one can be diffed against the current tree (compareReports).
+
+import {
+  XP_THRESHOLDS, PLAYER_MAX_HP, ENEMY_DEFS,
+  getEnemyHealthScaleForLevel, getPlayerBaseDamageForLevel,
+} from '../constants.js';
+import { expToNext } from '../leveling.js';
+
+const CURVE_LEVELS = [2, 3, 5, 8, 10, 12, 15, 20, 25, 30, 40, 50];
+
+function median(values) {
+  if (!values.length) return null;
+  const v = [...values].sort((a, b) => a - b);
+  const mid = v.length >> 1;
+  return v.length % 2 ? v[mid] : (v[mid - 1] + v[mid]) / 2;
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, x) => s + x, 0) / values.length : null;
+}
+
+function round(x, digits = 1) {
+  if (x == null || !Number.isFinite(x)) return null;
+  const f = 10 ** digits;
+  return Math.round(x * f) / f;
+}
+
+// ── Aggregation ──────────────────────────────────────────────────────────────
+function summarizeCharacter(runs) {
+  const n = runs.length;
+  const deaths = runs.filter(r => r.died);
+
+  // Time-to-level: median first time each level was reached, over the runs
+  // that reached it (reached = share of runs).
+  const maxLevel = Math.max(1, ...runs.map(r => r.level));
+  const timeToLevel = {};
+  for (let L = 2; L <= maxLevel; L++) {
+    const times = runs.map(r => r.levelTimes.find(lt => lt.level === L)?.t).filter(t => t != null);
+    if (!times.length) continue;
+    timeToLevel[L] = { median: round(median(times)), reached: round(times.length / n, 2) };
+  }
+
+  const deathCauses = {};
+  for (const r of deaths) deathCauses[r.deathCause] = (deathCauses[r.deathCause] || 0) + 1;
+
+  // Coin income per minute of game time, averaged over the runs still alive
+  // during that minute (a partial last minute is scaled up to a full one).
+  const coinsPerMinute = [];
+  const minutes = Math.max(0, ...runs.map(r => Math.ceil(r.elapsed / 60)));
+  for (let m = 0; m < minutes; m++) {
+    const rates = [];
+    for (const r of runs) {
+      const aliveFor = Math.min(60, r.elapsed - m * 60);
+      if (aliveFor < 5) continue;
+      rates.push((r.coinsByMinute[m] || 0) * (60 / aliveFor));
+    }
+    if (rates.length) coinsPerMinute.push({ minute: m + 1, coins: round(mean(rates)), runs: rates.length });
+  }
+
+  // Upgrade pick rates: how often a key was taken when it was on offer.
+  const upgrades = {};
+  let shops = 0, skipped = 0;
+  for (const r of runs) {
+    for (const s of r.shops) {
+      if (!s.offered.length) continue;
+      shops++;
+      if (!s.pick) skipped++;
+      for (const key of s.offered) {
+        const u = upgrades[key] || (upgrades[key] = { offered: 0, picked: 0 });
+        u.offered++;
+        if (key === s.pick) u.picked++;
+      }
+    }
+  }
+  for (const u of Object.values(upgrades)) u.pickRate = round(u.picked / u.offered, 2);
+
+  return {
+    runs: n,
+    deaths: deaths.length,
+    survivalRate: round((n - deaths.length) / n, 2),
+    avgTime: round(mean(runs.map(r => r.elapsed))),
+    avgLevel: round(mean(runs.map(r => r.level))),
+    avgKills: round(mean(runs.map(r => r.kills)), 0),
+    avgCoinsEarned: round(mean(runs.map(r => r.coinsEarned)), 0),
+    timeToLevel,
+    deathCauses,
+    coinsPerMinute,
+    shops: { opened: shops, skipped },
+    upgrades,
+  };
+}
+
+// Snapshot of the tunables the report is most sensitive to, so a diff can show
+// which numbers moved between two reports.
+function tunablesSnapshot() {
+  const levels = [1, 5, 10, 20, 30, 50];
+  return {
+    playerMaxHp: PLAYER_MAX_HP,
+    xpThresholds: XP_THRESHOLDS.slice(0, 12),
+    expToNext: Object.fromEntries(levels.map(L => [L, expToNext(L)])),
+    enemyHealthScale: Object.fromEntries(levels.map(L => [L, round(getEnemyHealthScaleForLevel(L), 3)])),
+    playerBaseDamage: Object.fromEntries(levels.map(L => [L, round(getPlayerBaseDamageForLevel(L), 2)])),
+    enemyDefs: Object.fromEntries(Object.entries(ENEMY_DEFS).map(([k, d]) => [k, {
+      hpPct: d.hpPct, contactPct: d.contactPct, bulletPct: d.bulletPct, fireRate: d.fireRate,
+      chargePct: d.chargePct, chargeSpeed: d.chargeSpeed, chargeWindup: d.chargeWindup, minePct: d.minePct,
+    }])),
+  };
+}
+
+// results: simulateRun() outputs, any mix of characters.
+export function buildBalanceReport(results, config = {}) {
+  const byChar = {};
+  for (const r of results) (byChar[r.character] || (byChar[r.character] = [])).push(r);
+  return {
+    generatedAt: new Date().toISOString(),
+    config,
+    tunables: tunablesSnapshot(),
+    characters: Object.fromEntries(Object.entries(byChar).map(([c, runs]) => [c, summarizeCharacter(runs)])),
+  };
+}
+
+// ── Diff ─────────────────────────────────────────────────────────────────────
+function flatten(obj, prefix = '', out = {}) {
+  for (const [k, v] of Object.entries(obj ?? {})) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (v && typeof v === 'object' && !Array.isArray(v)) flatten(v, path, out);
+    else out[path] = Array.isArray(v) ? JSON.stringify(v) : v;
+  }
+  return out;
+}
+
+// Changed tunables + headline metrics between two reports.
+export function compareReports(before, after) {
+  const tunables = [];
+  const a = flatten(before?.tunables), b = flatten(after?.tunables);
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (a[key] !== b[key]) tunables.push({ key, before: a[key] ?? null, after: b[key] ?? null });
+  }
+
+  const metrics = [];
+  const headline = ['survivalRate', 'avgTime', 'avgLevel', 'avgKills', 'avgCoinsEarned'];
+  const chars = new Set([...Object.keys(before?.characters ?? {}), ...Object.keys(after?.characters ?? {})]);
+  for (const c of chars) {
+    const x = before?.characters?.[c] ?? {}, y = after?.characters?.[c] ?? {};
+    for (const m of headline) metrics.push({ character: c, metric: m, before: x[m] ?? null, after: y[m] ?? null });
+    for (const L of CURVE_LEVELS) {
+      const t0 = x.timeToLevel?.[L]?.median ?? null, t1 = y.timeToLevel?.[L]?.median ?? null;
+      if (t0 != null || t1 != null) metrics.push({ character: c, metric: `timeToLevel.${L}`, before: t0, after: t1 });
+    }
+    for (const cause of new Set([...Object.keys(x.deathCauses ?? {}), ...Object.keys(y.deathCauses ?? {})])) {
+      metrics.push({ character: c, metric: `deaths.${cause}`, before: x.deathCauses?.[cause] ?? 0, after: y.deathCauses?.[cause] ?? 0 });
+    }
+  }
+  for (const m of metrics) m.delta = (m.before != null && m.after != null) ? round(m.after - m.before, 2) : null;
+  return { tunables, metrics };
+}
+
+// ── Markdown ─────────────────────────────────────────────────────────────────
+function fmt(v) {
+  return v == null ? '—' : String(v);
+}
+
+function table(header, rows) {
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...rows.map(r => `| ${r.map(fmt).join(' | ')} |`),
+  ].join('\n');
+}
+
+export function formatBalanceReport(report, diff = null) {
+  const cfg = report.config || {};
+  const out = [
+    '# Balance report',
+    '',
+    `Generated ${report.generatedAt} — ${cfg.runs ?? '?'} runs per character, bot \`${cfg.bot ?? '?'}\`, ` +
+      `seeds ${cfg.seed ?? '?'}…, max ${cfg.maxTime ?? '?'}s per run.`,
+  ];
+
+  if (diff) {
+    out.push('', '## Changes vs baseline', '');
+    out.push(diff.tunables.length
+      ? table(['Tunable', 'Before', 'After'], diff.tunables.map(t => [t.key, t.before, t.after]))
+      : 'No tunable changes.');
+    const moved = diff.metrics.filter(m => m.delta !== 0);
+    out.push('', moved.length
+      ? table(['Character', 'Metric', 'Before', 'After', 'Δ'], moved.map(m => [m.character, m.metric, m.before, m.after, m.delta]))
+      : 'No metric changes.');
+  }
+
+  for (const [c, s] of Object.entries(report.characters)) {
+    out.push('', `## ${c}`, '');
+    out.push(`${s.runs} runs, ${s.deaths} deaths (survival ${Math.round(s.survivalRate * 100)}%). ` +
+      `Avg ${s.avgTime}s, level ${s.avgLevel}, ${s.avgKills} kills, ${s.avgCoinsEarned} coins earned.`);
+
+    out.push('', '### Time to level', '');
+    out.push(table(['Level', 'Median time (s)', 'Reached'],
+      Object.entries(s.timeToLevel).map(([L, t]) => [L, t.median, `${Math.round(t.reached * 100)}%`])));
+
+    out.push('', '### Death causes', '');
+    const causes = Object.entries(s.deathCauses).sort((a, b) => b[1] - a[1]);
+    out.push(causes.length ? table(['Enemy', 'Deaths'], causes) : 'No deaths.');
+
+    out.push('', '### Coin income', '');
+    out.push(table(['Minute', 'Coins/min', 'Runs'], s.coinsPerMinute.map(m => [m.minute, m.coins, m.runs])));
+
+    out.push('', '### Upgrade picks', '');
+    out.push(`${s.shops.opened} shops with offers, ${s.shops.skipped} skipped.`, '');
+    const ups = Object.entries(s.upgrades).sort((a, b) => b[1].picked - a[1].picked);
+    out.push(table(['Upgrade', 'Offered', 'Picked', 'Pick rate'], ups.map(([k, u]) => [k, u.offered, u.picked, u.pickRate])));
+  }
+  return out.join('\n') + '\n';
+}
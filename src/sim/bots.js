@@ -0,0 +1,143 @@
+// ─── sim/bots.js ─────────────────────────────────────────────────────────────
+// Input bots for the headless sim. A bot turns a view of the world into WASD
+// keys (plus dash / burst / slow requests) each step and picks one offer (or
+// null to skip) when the shop or a chest opens.
+// Random choices go through the 'bot' rng stream so runs stay reproducible.
+
+import { rand } from '../rng.js';
+
+// 8-way WASD combos in iso screen space, matched against a desired world dir.
+const DIRS = [
+  { w: 1 }, { w: 1, d: 1 }, { d: 1 }, { s: 1, d: 1 },
+  { s: 1 }, { s: 1, a: 1 }, { a: 1 }, { w: 1, a: 1 },
+];
+
+function keysToward(view, x, z) {
+  const len = Math.hypot(x, z);
+  if (len < 1e-6) return {};
+  let best = null, bestDot = -Infinity;
+  for (const k of DIRS) {
+    const vx = ((k.w ? 1 : 0) - (k.s ? 1 : 0)) * view.isoFwd.x + ((k.d ? 1 : 0) - (k.a ? 1 : 0)) * view.isoRight.x;
+    const vz = ((k.w ? 1 : 0) - (k.s ? 1 : 0)) * view.isoFwd.z + ((k.d ? 1 : 0) - (k.a ? 1 : 0)) * view.isoRight.z;
+    const dot = (vx * x + vz * z) / (Math.hypot(vx, vz) * len);
+    if (dot > bestDot) { bestDot = dot; best = k; }
+  }
+  return best;
+}
+
+// Cheapest offer first — keeps coins flowing into many tiers.
+function pickCheapest(offers) {
+  let best = null;
+  for (const o of offers) if (!best || o.cost < best.cost) best = o;
+  return best ? best.key : null;
+}
+
+// ── Bots ─────────────────────────────────────────────────────────────────────
+// Stands still. Baseline for "how long do the weapons alone hold out".
+function idleBot() {
+  return {
+    name: 'idle',
+    input: () => ({}),
+    pickUpgrade: pickCheapest,
+  };
+}
+
+// Holds a random direction for 0.5–2 s at a time, picks random offers.
+function randomBot() {
+  let keys = {}, hold = 0;
+  return {
+    name: 'random',
+    reset() { keys = {}; hold = 0; },
+    input(view, dt) {
+      hold -= dt;
+      if (hold <= 0) {
+        keys = rand('bot') < 0.15 ? {} : DIRS[Math.floor(rand('bot') * DIRS.length)];
+        hold = 0.5 + rand('bot') * 1.5;
+      }
+      return keys;
+    },
+    pickUpgrade(offers) {
+      return offers.length ? offers[Math.floor(rand('bot') * offers.length)].key : null;
+    },
+  };
+}
+
+// Owned abilities, once ready: Area Burst when a crowd (or a boss) is in its
+// radius, dash away from an enemy about to touch, Time Slow when hurt and
+// under pressure.
+function abilityRequests(view, threatened) {
+  const req = {};
+  const p = view.player;
+  const r = view.burstRadius;
+  let inBurst = 0, closest = Infinity;
+  for (const e of view.enemies) {
+    const d = Math.hypot(e.grp.position.x - p.x, e.grp.position.z - p.z);
+    if (d <= r) inBurst += e.isBoss ? 4 : 1;
+    if (d < closest) closest = d;
+  }
+  if (view.ready.burst && inBurst >= 4) req.burst = true;
+  if (view.ready.dash && threatened && closest < 1.6) req.dash = true;
+  if (view.ready.slow && threatened && view.hp < view.maxHp * 0.5) req.slow = true;
+  return req;
+}
+
+// Moves away from nearby threats (weighted by 1/d²); when nothing is close,
+// walks to the nearest health pickup (when hurt) or coin. Melee characters
+// keep a tighter bubble and close in on the nearest enemy instead. Uses its
+// abilities as above.
+function kiteBot({ dangerRadius = null } = {}) {
+  const steer = (view) => {
+    const p = view.player;
+    const melee = view.primaryWeapon === 'slash';
+    const danger = dangerRadius ?? (melee ? view.slashRange * 0.5 : 7);
+    let fx = 0, fz = 0;
+    const push = (x, z, w) => {
+      const dx = p.x - x, dz = p.z - z;
+      const d2 = dx * dx + dz * dz;
+      if (d2 > danger * danger || d2 < 1e-6) return;
+      fx += dx / d2 * w; fz += dz / d2 * w;
+    };
+    for (const e of view.enemies) push(e.grp.position.x, e.grp.position.z, e.isBoss ? 3 : 1);
+    for (const b of view.enemyBullets) push(b.x, b.z, 0.6);
+    if (Math.hypot(fx, fz) > 0.02) return { keys: keysToward(view, fx, fz), threatened: true };
+
+    const nearest = (items, posOf) => {
+      let best = null, bestD = Infinity;
+      for (const it of items) {
+        const q = posOf(it);
+        const d = (q.x - p.x) ** 2 + (q.z - p.z) ** 2;
+        if (d < bestD) { bestD = d; best = q; }
+      }
+      return best ? { ...best, d: Math.sqrt(bestD) } : null;
+    };
+    const wantHeal = view.hp < view.maxHp * 0.6;
+    const pickup = nearest(wantHeal && view.heals.length ? view.heals : view.coins, it => it);
+    if (melee) {
+      const foe = nearest(view.enemies, e => e.grp.position);
+      if (foe && foe.d > view.slashRange * 0.8 && (!pickup || foe.d < pickup.d)) {
+        return { keys: keysToward(view, foe.x - p.x, foe.z - p.z), threatened: false };
+      }
+    }
+    return { keys: pickup ? keysToward(view, pickup.x - p.x, pickup.z - p.z) : {}, threatened: false };
+  };
+  return {
+    name: 'kite',
+    input(view) {
+      const { keys, threatened } = steer(view);
+      return { ...keys, ...abilityRequests(view, threatened) };
+    },
+    pickUpgrade: pickCheapest,
+  };
+}
+
+export const BOTS = {
+  idle: idleBot,
+  random: randomBot,
+  kite: kiteBot,
+};
+
+export function createBot(name = 'kite', opts) {
+  const make = BOTS[name];
+  if (!make) throw new Error(`Unknown bot "${name}" (have: ${Object.keys(BOTS).join(', ')})`);
+  return make(opts);
+}
@@ -0,0 +1,86 @@
+// ─── sim/cli.js ──────────────────────────────────────────────────────────────
+// Run headless games from the command line:
+//   node src/sim/cli.js --runs 10 --seed 1234 --bot kite --character blue --max-time 600
+// Run i uses seed + i. --json prints the raw per-run results instead.
+//
+// Balance report (sim/balance.js) — N runs per character, written as JSON + Markdown:
+//   node src/sim/cli.js --runs 20 --characters blue,red --report reports/balance.json
+//   node src/sim/cli.js --runs 20 --characters blue,red --report reports/after.json --baseline reports/balance.json
+// With --baseline the Markdown opens with the tunables and metrics that moved.
+
+import { readFileSync, writeFileSync, mkdirSync } from 'node:fs';
+import { dirname } from 'node:path';
+import { simulateRun } from './headless.js';
+import { createBot } from './bots.js';
+import { buildBalanceReport, compareReports, formatBalanceReport } from './balance.js';
+import { parseSeed } from '../rng.js';
+
+function parseArgs(argv) {
+  const out = {
+    runs: 1, seed: 1, bot: 'kite', characters: ['blue'], maxTime: 1200,
+    json: false, report: null, baseline: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    const next = () => argv[++i];
+    if (a === '--runs') out.runs = Math.max(1, parseInt(next(), 10) || 1);
+    else if (a === '--seed') out.seed = parseSeed(next()) ?? 1;
+    else if (a === '--bot') out.bot = next();
+    else if (a === '--character') out.characters = [next()];
+    else if (a === '--characters') out.characters = String(next()).split(',').map(s => s.trim()).filter(Boolean);
+    else if (a === '--max-time') out.maxTime = Math.max(1, Number(next()) || 1200);
+    else if (a === '--json') out.json = true;
+    else if (a === '--report') out.report = next();
+    else if (a === '--baseline') out.baseline = next();
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return out;
+}
+
+function printSummary(results, opts, character) {
+  const avg = (f) => results.reduce((s, r) => s + f(r), 0) / results.length;
+  const deaths = results.filter(r => r.died).length;
+  console.log(`${results.length} runs (${opts.bot}, ${character}): ${deaths} deaths, avg ${avg(r => r.elapsed).toFixed(1)}s, avg level ${avg(r => r.level).toFixed(1)}, avg kills ${avg(r => r.kills).toFixed(0)}\n`);
+}
+
+function writeReport(results, opts) {
+  const report = buildBalanceReport(results, {
+    runs: opts.runs, seed: opts.seed, bot: opts.bot, maxTime: opts.maxTime, characters: opts.characters,
+  });
+  let diff = null;
+  if (opts.baseline) {
+    try {
+      diff = compareReports(JSON.parse(readFileSync(opts.baseline, 'utf8')), report);
+    } catch (e) {
+      console.error(`Could not read baseline ${opts.baseline}: ${e.message}`);
+    }
+  }
+  const mdPath = opts.report.replace(/\.json$/i, '') + '.md';
+  mkdirSync(dirname(opts.report), { recursive: true });
+  writeFileSync(opts.report, JSON.stringify(report, null, 2) + '\n');
+  writeFileSync(mdPath, formatBalanceReport(report, diff));
+  console.log(`Wrote ${opts.report} and ${mdPath}`);
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const results = [];
+  for (const character of opts.characters) {
+    const own = [];
+    for (let i = 0; i < opts.runs; i++) {
+      const seed = (opts.seed + i) >>> 0;
+      const r = simulateRun({ seed, character, bot: createBot(opts.bot), maxTime: opts.maxTime });
+      own.push(r);
+      if (!opts.json) {
+        const end = r.died ? `died to ${r.deathCause}` : 'survived';
+        console.log(`${character} seed ${r.seed}: ${end} at ${r.elapsed.toFixed(1)}s, level ${r.level}, ${r.kills} kills, ${r.coinsEarned} coins earned`);
+      }
+    }
+    if (!opts.json) printSummary(own, opts, character);
+    results.push(...own);
+  }
+  if (opts.json) console.log(JSON.stringify(results, null, 2));
+  if (opts.report) writeReport(results, opts);
+}
+
+main();
@@ -0,0 +1,403 @@
+// ─── sim/headless.js ─────────────────────────────────────────────────────────
+// Headless run simulator: steps a whole run at SIM_DT with no renderer, DOM or
+// audio, driven by an input bot (sim/bots.js). Runs under Node.
+//
+// Shared with the browser game (same code, not a copy):
+//   spawner.js      — spawn waves/quotas/bosses, via setSpawnerWorld()
+//   enemyStats.js   — enemy hp / hit damage / speed / shot telegraphs
+//   progression.js  — XP + level-ups, shop costs, upgrade effects
+//   weaponDefs.js   — weapon registry: stats, cooldowns, hit behaviour
+//   weaponFire.js   — player weapon fire patterns, projectiles and the orbit
+//   statusEffects.js — burn / poison / chill / shock / stun stacking, ticks and modifiers
+//   damage.js       — crits, damage-type resistances, enemy shields
+//   affixes.js      — elite / boss affix rolls and effects
+//   bosses.js       — boss per boss level, phase scripts + attack patterns
+//   enemyAI.js      — enemy movement, firing, contact, separation, enemy
+//                     bullets, and the charger / bomber / healer / nest AI
+//   armor.js        — enemy hits on the player: shields, armor, revives
+//   abilities.js    — player movement, dash, Time Slow and Area Burst
+//   loot.js         — kill rewards, coin / health / chest pickups, arena
+//                     power-ups and the black hole
+//   upgradeCatalog.js — shop drafts and chest rolls (weapon evolutions included)
+//   runState.js     — run reset + character loadout
+//   rng.js          — seeded streams, so a seed gives the same run every time
+//
+// Not simulated: terrain props (no line-of-sight blocking). Shop and chest
+// picks come from the bot instead of the overlays.
+
+import { state } from '../state.js';
+import {
+  SIM_DT, SPAWN_FLASH_DURATION, ISO_FWD_XZ, ISO_RIGHT_XZ, CAM_DIST, ENEMY_BODY_RADIUS,
+  ENEMY_TYPE, getEnemyCapForLevel,
+} from '../constants.js';
+import { setSpawnerWorld, updateSpawner } from '../spawner.js';
+import { getActiveChaosTier, getChaosStatMult, getEnemyTypeConfig, getEnemyHitDamage } from '../enemyStats.js';
+import {
+  gainXP, updateShieldAndRegen,
+} from '../progression.js';
+import { applyPlayerDamage, hitPlayer, updateArmorTimers } from '../armor.js';
+import { updateActiveEffects } from '../activeEffects.js';
+import { applyCharacter, resetRunState, getRunSummary } from '../runState.js';
+import { setRunSeed, rand } from '../rng.js';
+import { emit, GameEvent, KillSource } from '../events.js';
+import { getWeaponBreakdown } from '../weaponStats.js';
+import { applyEnemyDamage } from '../damage.js';
+import { getWeaponStats } from '../weaponDefs.js';
+import { tickStatuses, getStatusSpeedMult } from '../statusEffects.js';
+import {
+  rollAffixes, getFrostAuraSlow, takeReflectedDamage, tickSummoner, getDeathBlast, tickDeathBlasts,
+} from '../affixes.js';
+import { createBossState, advanceBossPhase, tickBossEnrage, updateBossScript, getSlamDamage } from '../bosses.js';
+import {
+  createArchetypeState, updateArchetype, spawnAround, updateTeleporter, updateShooter, makeEnemyBullet,
+  canEnemyMove, moveEnemy, getContactHitDamage, resolvePlayerContact, separateEnemies, updateEnemyBulletFlight,
+} from '../enemyAI.js';
+import {
+  fireReadyWeapons, updatePlayerBullets, updateOrbit, updatePlayerProjectiles, syncOrbitRing,
+} from '../weaponFire.js';
+import {
+  settleKill, tickGroundPickups, initArenaSpawns, tickArenaPickups, tickBlackHole,
+} from '../loot.js';
+import {
+  getTier, getShopCostForTier, rollShopChoices, rollChestReward, takeUpgradeTier,
+} from '../upgradeCatalog.js';
+import {
+  consumeDashRequest, updatePlayerMotion, updateAbilities, isAbilityReady, getBurstRadius,
+} from '../abilities.js';
+
+const CAM_OFFSET = { x: CAM_DIST, z: CAM_DIST };  // renderer.js CAM_OFFSET
+
+const player = { x: 0, z: 0 };
+let run = null;
+
+setSpawnerWorld({
+  getPlayerPos: () => player,
+  cameraOffset: CAM_OFFSET,
+  spawnAt: spawnEnemyAt,
+  log: () => {},
+});
+
+// ── Enemies ──────────────────────────────────────────────────────────────────
+// → the new enemy, or null when the regular-enemy cap is full.
+function spawnEnemyAt(x, z, enemyType) {
+  const cfg = getEnemyTypeConfig(enemyType);
+  if (!cfg) return null;
+  if (!cfg.isBoss) {
+    let regular = 0;
+    for (const e of state.enemies) if (!e.dead && !e.isBoss) regular++;
+    if (Number.isFinite(state.maxEnemies) && state.maxEnemies > 0 && regular >= state.maxEnemies) return null;
+  }
+  const hp = Math.round(cfg.health * getChaosStatMult());
+  const fireRate = Number.isFinite(cfg.fireRate) ? cfg.fireRate : null;
+  const { contactDmg, bulletDmg } = getEnemyHitDamage(enemyType, cfg.isBoss);
+  const affixes = rollAffixes({ isBoss: cfg.isBoss, eliteType: null, enemyType });
+  const e = {
+    grp: { position: { x, y: 0, z } },
+    enemyType, isBoss: cfg.isBoss, dead: false,
+    hp, maxHp: hp, shieldHp: Math.round((cfg.shield || 0) * getChaosStatMult()), scaleMult: cfg.sizeMult ?? 1, coinMult: cfg.coinMult ?? 1,
+    fireRate, baseFireRate: fireRate,
+    shootTimer: fireRate ? rand('enemies') * fireRate : 0,
+    fireTellTimer: 0,
+    bulletSpeedMult: cfg.bulletSpeedMult ?? 1, baseBulletSpeedMult: cfg.bulletSpeedMult ?? 1,
+    staggerTimer: 0, statuses: {}, spawnFlashTimer: SPAWN_FLASH_DURATION,
+    phase: 1, contactDmg, bulletDmg, affixes,
+    boss: cfg.bossId ? createBossState(cfg.bossId) : null,
+    ai: createArchetypeState(enemyType),
+  };
+  state.enemies.push(e);
+  return e;
+}
+
+// Boss script and archetype AI hooks (bosses.js, enemyAI.js); enemies.js
+// does the same with visuals.
+function spawnMinions(e, type, count) {
+  return spawnAround(e.grp.position.x, e.grp.position.z, type, count, 2.2, 1.8, 'enemies', spawnEnemyAt);
+}
+
+// A slam or charge from e lands; returns true if it killed the player.
+function hitPlayerFrom(e, dmg, source) {
+  return damagePlayer(dmg * (1 + 0.20 * getActiveChaosTier()), source, e.enemyType);
+}
+
+const bossHooks = {
+  fire: (e, angle, speedMult, dmgMult) => spawnEnemyBullet(e, Math.cos(angle), Math.sin(angle), speedMult, dmgMult),
+  spawn: spawnMinions,
+  slam: (e, x, z, radius, dmgMult) => {
+    const dmg = getSlamDamage(e, x, z, radius, dmgMult, player.x, player.z);
+    return dmg > 0 && hitPlayerFrom(e, dmg, 'slam');
+  },
+};
+
+const archetypeHooks = {
+  hit: hitPlayerFrom,
+  mine: (e, blast) => state.enemyBlasts.push(blast),
+  heal: () => {},
+  spawn: spawnMinions,
+};
+
+const shooterHooks = {
+  fire: (e, dirX, dirZ) => spawnEnemyBullet(e, dirX, dirZ),
+};
+
+function killEnemy(e, source) {
+  const j = state.enemies.indexOf(e);
+  if (j < 0) return;
+  e.dead = true;
+  state.enemies.splice(j, 1);
+  const blast = getDeathBlast(e, e.grp.position.x, e.grp.position.z);
+  if (blast) state.enemyBlasts.push(blast);
+
+  run.killsByType[e.enemyType] = (run.killsByType[e.enemyType] || 0) + 1;
+  settleKill(e, source, lootHooks);
+}
+
+// Kill XP; a level-up's bonus coins count as earned.
+function gainKillXP(amount) {
+  const prevLevel = state.playerLevel;
+  const { bonusCoins } = gainXP(amount);
+  addCoins(bonusCoins);
+  for (let L = prevLevel + 1; L <= state.playerLevel; L++) run.levelTimes.push({ level: L, t: state.elapsed });
+}
+
+// Coins earned (pickups + level-up bonus), also bucketed per minute of game time.
+function addCoins(amount) {
+  if (!(amount > 0)) return;
+  run.coinsEarned += amount;
+  const m = Math.floor(state.elapsed / 60);
+  while (run.coinsByMinute.length <= m) run.coinsByMinute.push(0);
+  run.coinsByMinute[m] += amount;
+}
+
+function damageEnemy(e, amount, source, type, canCrit = true) {
+  applyEnemyDamage(e, amount, source, type, canCrit);
+  if (e.hp <= 0) killEnemy(e, source);
+}
+
+// Returns true if the player died. `attacker` (optional) is the enemy that
+// landed the hit, for the Vampiric affix.
+function damagePlayer(amount, source, enemyType, attacker = null) {
+  return hitPlayer(amount, source, enemyType, attacker).died;
+}
+
+function spawnEnemyBullet(e, dirX, dirZ, speedMult = 1, dmgMult = 1) {
+  state.enemyBullets.push(makeEnemyBullet(e, dirX, dirZ, speedMult, dmgMult));
+}
+
+// Returns true if the player died.
+function updateEnemies(worldDelta) {
+  let contactThisStep = false;
+  let auraSlow = 0;
+  const blastHit = (b, hitsPlayer) => hitsPlayer && damagePlayer(b.damage, b.source ?? 'blast', b.enemyType);
+  if (tickDeathBlasts(state.enemyBlasts, worldDelta, player.x, player.z, blastHit)) return true;
+  for (let i = state.enemies.length - 1; i >= 0; i--) {
+    const e = state.enemies[i];
+    if (!e || e.dead) continue;
+    if (e.boss) {
+      advanceBossPhase(e, spawnMinions);
+      tickBossEnrage(e, worldDelta);
+    }
+    const pos = e.grp.position;
+    const dx = player.x - pos.x;
+    const dz = player.z - pos.z;
+    const dist = Math.sqrt(dx * dx + dz * dz);
+    const et = e.enemyType;
+    const active = !e.blackHoleSuppressed;
+
+    if (e.spawnFlashTimer > 0) e.spawnFlashTimer = Math.max(0, e.spawnFlashTimer - worldDelta);
+    tickStatuses(e, worldDelta, (t, dmg, source, type) => damageEnemy(t, dmg, source, type, false));
+    if (e.dead) continue;
+    if (e.staggerTimer > 0) e.staggerTimer = Math.max(0, e.staggerTimer - worldDelta);
+
+    const reflected = takeReflectedDamage(e, worldDelta);
+    if (reflected > 0 && applyPlayerDamage(reflected, 'reflect', et).died) return true;
+    const summons = tickSummoner(e, worldDelta);
+    spawnAround(pos.x, pos.z, ENEMY_TYPE.RUSHER, summons, 1.6, 1.4, 'affixes', spawnEnemyAt);
+    auraSlow = Math.max(auraSlow, getFrostAuraSlow(e, dist));
+    updateTeleporter(e, worldDelta, player.x, player.z);
+
+    if (e.boss) {
+      if (e.spawnFlashTimer <= 0 && active && updateBossScript(e, worldDelta, player.x, player.z, bossHooks)) return true;
+    } else if (e.ai) {
+      if (e.spawnFlashTimer <= 0 && active && updateArchetype(e, worldDelta * getStatusSpeedMult(e), player.x, player.z, archetypeHooks)) return true;
+    } else if (e.spawnFlashTimer <= 0 && active && e.fireRate) {
+      updateShooter(e, worldDelta, dx, dz, dist, shooterHooks);
+    }
+
+    if (canEnemyMove(e, dist)) moveEnemy(e, worldDelta, dx, dz, dist, dx / dist, dz / dist);
+
+    const contact = resolvePlayerContact(e, player, dx, dz, dist, worldDelta, ENEMY_BODY_RADIUS);
+    if (contact) contactThisStep = true;
+    if (contact === 'hit' && active && damagePlayer(getContactHitDamage(e), 'contact', et, e)) return true;
+  }
+  if (!contactThisStep) state.contactDmgTimer = 0;
+  state.auraSlowMult = 1 - auraSlow;
+
+  separateEnemies(state.enemies, ENEMY_BODY_RADIUS);
+  return false;
+}
+
+// Returns true if the player died.
+function updateEnemyBullets(worldDelta) {
+  return updateEnemyBulletFlight(state.enemyBullets, worldDelta, player.x, player.z, {
+    hit: b => damagePlayer(b.dmg, 'enemyBullet', b.enemyType, b.owner),
+  });
+}
+
+// ── Player weapons ───────────────────────────────────────────────────────────
+// Fire patterns, projectiles and the orbit run in weaponFire.js on
+// state.bullets / targetedShots / discs / orbitRings, as in the browser.
+const weaponHooks = {
+  kill: killEnemy,
+};
+
+// ── Loot ─────────────────────────────────────────────────────────────────────
+// Kill rewards, ground pickups, chests, arena power-ups and the black hole run
+// in loot.js on state.coinPickups / healthPickups / chests / arenaPickups.
+const lootHooks = {
+  spawnAt: spawnEnemyAt,
+  xp: gainKillXP,
+  kill: killEnemy,
+  collected: (kind, it, value) => { if (kind === 'coin') addCoins(value); },
+};
+
+// ── Shop ─────────────────────────────────────────────────────────────────────
+// Rolled like the shop overlay (upgradeCatalog.js rollShopChoices); the bot
+// buys one offer or skips.
+function runShop(bot) {
+  const level = state.playerLevel;
+  const freeShop = !state.firstLevelUpShopHandled && level <= 2;
+  const offers = rollShopChoices(level, freeShop).map(({ upgrade }) => {
+    const tier = getTier(upgrade.key);
+    return { key: upgrade.key, tier, cost: getShopCostForTier(upgrade, tier, freeShop, level), upgrade };
+  });
+  const pickKey = offers.length ? bot.pickUpgrade(offers, makeView()) : null;
+  const offer = offers.find(o => o.key === pickKey);
+  const bought = offer && offer.tier < offer.upgrade.costs.length && (state.coins || 0) >= offer.cost;
+  if (bought && takeUpgradeTier(offer.upgrade, offer.cost, 'shop')?.orbit) syncOrbitRing();
+  run.shops.push({ t: state.elapsed, level, offered: offers.map(o => o.key), pick: bought ? offer.key : null });
+  if (freeShop) state.firstLevelUpShopHandled = true;
+}
+
+// ── Chests ───────────────────────────────────────────────────────────────────
+// Rolled like the chest overlay (upgradeCatalog.js); the bot keeps one item,
+// free, or skips.
+function openChest(bot, tier) {
+  const { items, payout } = rollChestReward(tier);
+  addCoins(payout);
+  const offers = items.map(upg => ({ key: upg.key, tier: getTier(upg.key), cost: 0, evolution: !!upg.evolution }));
+  const pickKey = offers.length ? bot.pickUpgrade(offers, makeView()) : null;
+  const upg = items.find(it => it.key === pickKey);
+  if (upg && takeUpgradeTier(upg, 0, 'chest')?.orbit) syncOrbitRing();
+  run.chests.push({ t: state.elapsed, tier, offered: offers.map(o => o.key), pick: upg ? upg.key : null });
+}
+
+// ── Bot view ─────────────────────────────────────────────────────────────────
+function makeView() {
+  return {
+    player, enemies: state.enemies, enemyBullets: state.enemyBullets,
+    coins: state.coinPickups, heals: state.healthPickups,
+    hp: state.playerHP, maxHp: state.playerMaxHP, level: state.playerLevel,
+    coinCount: state.coins, elapsed: state.elapsed, isoFwd: ISO_FWD_XZ, isoRight: ISO_RIGHT_XZ,
+    primaryWeapon: state.characterPrimaryWeapon, slashRange: getWeaponStats(KillSource.SLASH)?.range ?? 0,
+    ready: { dash: isAbilityReady('dash'), burst: isAbilityReady('burst'), slow: isAbilityReady('slow') },
+    burstRadius: getBurstRadius(),
+  };
+}
+
+// ── One fixed step ───────────────────────────────────────────────────────────
+// Returns true when the player died this step.
+function step(bot, delta) {
+  state.simTick++;
+  state.elapsed += delta;
+
+  const keys = bot.input(makeView(), delta) || {};
+  state.keys.w = !!keys.w; state.keys.a = !!keys.a; state.keys.s = !!keys.s; state.keys.d = !!keys.d;
+  if (keys.dash) state.dashRequested = true;
+  if (keys.burst) state.burstRequested = true;
+  if (keys.slow) state.slowRequested = true;
+  consumeDashRequest();
+  updatePlayerMotion(player, delta);
+  const worldDelta = delta * state.worldScale;
+
+  updateArmorTimers(delta);
+  updateActiveEffects(delta);
+  updateShieldAndRegen(delta, worldDelta);
+  updateAbilities(delta, player.x, player.z, e => killEnemy(e, KillSource.BURST));
+
+  state.maxEnemies = getEnemyCapForLevel(state.playerLevel);
+  while ((Number(state.pendingShop) || 0) > 0) {
+    state.pendingShop--;
+    runShop(bot);
+  }
+  while (state.pendingChests.length) openChest(bot, state.pendingChests.shift());
+
+  updateSpawner(worldDelta);
+  tickArenaPickups(worldDelta, player, lootHooks);
+  if (updateEnemies(worldDelta)) return true;
+  tickBlackHole(worldDelta, player, lootHooks);
+
+  fireReadyWeapons(delta, player, weaponHooks);
+  updatePlayerBullets(delta, weaponHooks);
+  if (updateEnemyBullets(worldDelta)) return true;
+  updateOrbit(delta, player, weaponHooks);
+  updatePlayerProjectiles(delta, player, weaponHooks);
+  if (state.playerHP <= 0) return true;
+
+  tickGroundPickups(worldDelta, player, lootHooks);
+  return false;
+}
+
+// ── Public API ───────────────────────────────────────────────────────────────
+// Simulates one run to death, level 100 or maxTime (seconds of game time).
+// bot: { name, input(view, dt) → {w,a,s,d, dash?,burst?,slow?}, pickUpgrade(offers, view) → key|null }
+export function simulateRun({ seed, character = 'blue', bot, maxTime = 1200 } = {}) {
+  if (!bot) throw new Error('simulateRun needs a bot');
+  applyCharacter(character);
+  setRunSeed(seed);
+  resetRunState();
+  state.simTick = 0;
+  state.enemies.length = 0;
+  state.enemyBullets.length = 0;
+  state.enemyBlasts.length = 0;
+  state.bullets.length = 0;
+  state.targetedShots = [];
+  state.discs = [];
+  syncOrbitRing();
+  state.paused = false;
+  player.x = 0; player.z = 0;
+  state.coinPickups = [];
+  state.healthPickups = [];
+  state.chests = [];
+  initArenaSpawns();
+  run = { killsByType: {}, levelTimes: [], shops: [], chests: [], coinsEarned: 0, coinsByMinute: [] };
+  bot.reset?.();
+
+  let died = false;
+  while (state.elapsed < maxTime && state.playerLevel < 100) {
+    if (step(bot, SIM_DT)) { died = true; break; }
+  }
+  state.gameOver = true;
+  emit(GameEvent.RUN_ENDED, getRunSummary(died ? 'death' : (state.playerLevel >= 100 ? 'victory' : 'timeLimit')));
+
+  return {
+    seed: state.runSeed,
+    character: state.selectedCharacter,
+    bot: bot.name,
+    died,
+    deathCause: died ? (state.lastHit?.enemyType ?? 'unknown') : null,
+    kills: state.kills,
+    killsByType: run.killsByType,
+    killsBySource: { ...state.killsBySource },
+    peakDps: Math.round(state.peakDps || 0),
+    weapons: getWeaponBreakdown().map(({ label, ...w }) => w),
+    elapsed: Math.round(state.elapsed * 100) / 100,
+    level: state.playerLevel,
+    coins: state.coins,
+    coinsEarned: run.coinsEarned,
+    coinsByMinute: run.coinsByMinute,
+    levelTimes: run.levelTimes,
+    shops: run.shops,
+    chests: run.chests,
+    upgrades: { ...state.upg },
+  };
+}
@@ -8,10 +8,24 @@
 // - add periodic formation waves and emergency refill bursts
 
 import { state } from './state.js';
-import { camera } from './renderer.js';
-import { playerGroup } from './player.js';
 import { ENEMY_TYPE, getActiveEnemyTypesForLevel } from './constants.js';
-import { spawnEnemyAtPosition } from './enemies.js';
+import { rand } from './rng.js';
+
+// ── World adapter ────────────────────────────────────────────────────────────
+// The spawner never touches the scene directly: main.js injects the player
+// position, the camera follow offset and the enemy factory; sim/headless.js
+// injects plain-data equivalents. `log` receives the spawn event/summary
+// records (console by default).
+const _world = {
+  getPlayerPos: () => ({ x: 0, z: 0 }),
+  cameraOffset: { x: 28, z: 28 },
+  spawnAt: () => {},
+  log: (tag, data) => console.log(tag, data),
+};
+
+export function setSpawnerWorld(world = {}) {
+  Object.assign(_world, world);
+}
 
 const SPAWN_BASE = Object.freeze({
   [ENEMY_TYPE.RUSHER]:     { quotaMin: 10, quotaMax: 14, intervalSec: 2.2, groupSpawn: true },
@@ -21,6 +35,10 @@ const SPAWN_BASE = Object.freeze({
   [ENEMY_TYPE.TELEPORTER]: { quotaMin: 2,  quotaMax: 2,  intervalSec: 8.2, groupSpawn: false },
   [ENEMY_TYPE.SHIELDED]:   { quotaMin: 2,  quotaMax: 3,  intervalSec: 7.2, groupSpawn: false },
   [ENEMY_TYPE.SPLITTER]:   { quotaMin: 1,  quotaMax: 1,  intervalSec: 12.0, groupSpawn: false },
+  [ENEMY_TYPE.CHARGER]:    { quotaMin: 2,  quotaMax: 3,  intervalSec: 5.8, groupSpawn: false },
+  [ENEMY_TYPE.BOMBER]:     { quotaMin: 1,  quotaMax: 2,  intervalSec: 7.6, groupSpawn: false },
+  [ENEMY_TYPE.HEALER]:     { quotaMin: 1,  quotaMax: 2,  intervalSec: 9.4, groupSpawn: false },
+  [ENEMY_TYPE.NEST]:       { quotaMin: 1,  quotaMax: 1,  intervalSec: 16.0, groupSpawn: false },
   [ENEMY_TYPE.BOSS]:       { quotaMin: 1,  quotaMax: 1,  intervalSec: 10.0, groupSpawn: false, boss: true },
 });
 
@@ -44,8 +62,8 @@ const ENEMY_CAP_BY_LEVEL_RANGE = Object.freeze([
   { min: 3, max: 999, cap: 60 },
 ]);
 
-function randInt(a, b) { return a + Math.floor(Math.random() * (b - a + 1)); }
-function randFloat(a, b) { return a + Math.random() * (b - a); }
+function randInt(a, b) { return a + Math.floor(rand('spawner') * (b - a + 1)); }
+function randFloat(a, b) { return a + rand('spawner') * (b - a); }
 function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
 function normAngle(a) {
   let out = a;
@@ -64,7 +82,7 @@ function splitCount(total, parts) {
 function shuffle(arr) {
   const a = arr.slice();
   for (let i = a.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(rand('spawner') * (i + 1));
     [a[i], a[j]] = [a[j], a[i]];
   }
   return a;
@@ -158,8 +176,8 @@ function getTravelAngle() {
   const mz = Number(state.lastMoveZ) || 0;
   if ((mx * mx + mz * mz) > 0.04) return Math.atan2(mz, mx);
 
-  const camDx = camera.position.x - playerGroup.position.x;
-  const camDz = camera.position.z - playerGroup.position.z;
+  const camDx = _world.cameraOffset.x;
+  const camDz = _world.cameraOffset.z;
   if ((camDx * camDx + camDz * camDz) > 0.01) {
     return Math.atan2(-camDz, -camDx);
   }
@@ -167,17 +185,14 @@ function getTravelAngle() {
 }
 
 function getRingMetrics(isBoss = false) {
-  const px = playerGroup.position.x;
-  const pz = playerGroup.position.z;
-  const camDist = Math.hypot(camera.position.x - px, camera.position.z - pz);
+  const camDist = Math.hypot(_world.cameraOffset.x, _world.cameraOffset.z);
   const major = camDist * (isBoss ? 0.98 : 0.86) + (isBoss ? 6.2 : 2.4);
   const minor = camDist * (isBoss ? 0.78 : 0.66) + (isBoss ? 5.0 : 1.8);
   return { major, minor };
 }
 
 function getPositionOnRing(angle, { isBoss = false, distScale = 1.0, radialJitter = 0.0 } = {}) {
-  const px = playerGroup.position.x;
-  const pz = playerGroup.position.z;
+  const { x: px, z: pz } = _world.getPlayerPos();
   const { major, minor } = getRingMetrics(isBoss);
   const jitter = radialJitter ? randFloat(-radialJitter, radialJitter) : 0;
   const scale = Math.max(0.72, distScale + jitter);
@@ -189,7 +204,7 @@ function getPositionOnRing(angle, { isBoss = false, distScale = 1.0, radialJitte
 function spawnAtAngle(type, angle, level, opts = {}) {
   if (type !== ENEMY_TYPE.BOSS && availableSlots(level) <= 0) return false;
   const p = getPositionOnRing(angle, opts);
-  spawnEnemyAtPosition(p.x, p.z, type);
+  _world.spawnAt(p.x, p.z, type);
   return true;
 }
 
@@ -287,8 +302,9 @@ function getPressureProfile(level) {
   };
 }
 
+// Nests only come from their own quota.
 function getSupportTypes(activeTypes) {
-  return activeTypes.filter(t => t !== ENEMY_TYPE.RUSHER && t !== ENEMY_TYPE.BOSS);
+  return activeTypes.filter(t => t !== ENEMY_TYPE.RUSHER && t !== ENEMY_TYPE.BOSS && t !== ENEMY_TYPE.NEST);
 }
 
 function pickSupportType(activeTypes, used = new Set()) {
@@ -381,6 +397,26 @@ function spawnTypePressure(type, count, level, moveAngle, reason = 'quota') {
         { angle: normAngle(moveAngle - Math.PI * 0.80), width: 0.26 },
       ], { radialJitter: 0.02 });
 
+    case ENEMY_TYPE.CHARGER:
+      return spawnFromArcs(type, count, level, [
+        { angle: normAngle(moveAngle + 0.55), width: 0.30, innerBias: true },
+        { angle: normAngle(moveAngle - 0.55), width: 0.30, innerBias: true },
+      ], { radialJitter: 0.03 });
+
+    case ENEMY_TYPE.BOMBER:
+      return spawnFromArcs(type, count, level, [
+        { angle: normAngle(moveAngle + Math.PI/2), width: 0.24 },
+        { angle: normAngle(moveAngle - Math.PI/2), width: 0.24 },
+      ], { radialJitter: 0.03 });
+
+    case ENEMY_TYPE.HEALER:
+      // Behind the pack it travels with.
+      return spawnArc(type, count, level, normAngle(moveAngle + Math.PI), 0.30, { radialJitter: 0.03 });
+
+    case ENEMY_TYPE.NEST:
+      // Ahead, so the player runs into it instead of leaving it behind.
+      return spawnArc(type, count, level, normAngle(moveAngle), 0.40, { radialJitter: 0.02, innerBias: true });
+
     case ENEMY_TYPE.BOSS:
       return spawnArc(type, count, level, normAngle(moveAngle), 0.18, { isBoss: true, radialJitter: 0.02, innerBias: true });
 
@@ -440,18 +476,18 @@ function maybeTriggerSpecialEvents(level) {
 
   if (!shouldSuppressSwarmerSurge()) {
     const surgeChance = 0.055 * luckMul;
-    if (Math.random() < surgeChance) {
+    if (rand('spawner') < surgeChance) {
       const extra = randInt(15, 20);
       const spawned = triggerPressureFormation(level, extra, 'event-surge');
       state.spawn.eventFiredThisLevel = spawned > 0;
-      console.log('[SPAWN_EVENT] SwarmerSurge', { level, requested: extra, spawned });
+      _world.log('[SPAWN_EVENT] SwarmerSurge', { level, requested: extra, spawned });
       return;
     }
   }
 
   if (level >= 30) {
     const reinChance = 0.045 * luckMul;
-    if (Math.random() < reinChance) {
+    if (rand('spawner') < reinChance) {
       const extra = randInt(2, 3);
       const active = getActiveEnemyTypesForLevel(level);
       const elitePool = active.filter(t => (
@@ -465,19 +501,19 @@ function maybeTriggerSpecialEvents(level) {
       const moveAngle = getTravelAngle();
       const spawned = spawnTypePressure(pick, extra, level, moveAngle, 'event-reinforce');
       state.spawn.eventFiredThisLevel = spawned > 0;
-      console.log('[SPAWN_EVENT] EliteReinforcement', { level, type: pick, requested: extra, spawned });
+      _world.log('[SPAWN_EVENT] EliteReinforcement', { level, type: pick, requested: extra, spawned });
       return;
     }
   }
 
   if (level >= 51) {
     const ultraChance = 0.018 * luckMul;
-    if (Math.random() < ultraChance) {
+    if (rand('spawner') < ultraChance) {
       const moveAngle = getTravelAngle();
       const spawned = spawnTypePressure(ENEMY_TYPE.SPLITTER, 1, level, moveAngle, 'event-ultra');
       if (spawned > 0) {
         state.spawn.eventFiredThisLevel = true;
-        console.log('[SPAWN_EVENT] UltraEliteInterrupt', { level, spawned });
+        _world.log('[SPAWN_EVENT] UltraEliteInterrupt', { level, spawned });
       }
     }
   }
@@ -500,7 +536,7 @@ function logSpawnSummary(level) {
     perType[t] = { quotaRange: [qMin, qMax], intervalSec: Number(effInterval.toFixed(3)) };
   }
 
-  console.log('[SPAWN_SUMMARY]', {
+  _world.log('[SPAWN_SUMMARY]', {
     level,
     cap,
     pressure: profile,
@@ -624,7 +660,7 @@ export function updateSpawner(delta) {
     if (state.spawn.timers[t] < interval) continue;
     state.spawn.timers[t] = 0;
 
-    if (Math.random() < 0.15) state.spawn.quotas[t] = getEffectiveQuota(t, level);
+    if (rand('spawner') < 0.15) state.spawn.quotas[t] = getEffectiveQuota(t, level);
 
     const baseTarget = state.spawn.quotas[t] ?? getEffectiveQuota(t, level);
     const have = countType(t);
@@ -8,12 +8,15 @@ export const state = {
   gameOver:    false,
   paused: false,
   pendingShop: 0,
+  pendingChests: [],  // chest tiers picked up but not opened yet
   spawnTimer: 0,
   bossRespawnTimer: 0,
   bossAlive: false,
   invincible:  false,
   dashInvincible: false,
   gameSession: 0,
+  runSeed: 0,       // uint32 seed of the current run (see rng.js)
+  simTick: 0,       // simulation steps since restart (replay.js indexes by this)
 
   // ── Active effects & pickups (design doc) ───────────────────────────────
   effects: {
@@ -47,6 +50,11 @@ export const state = {
 
   // ── Stats ────────────────────────────────────────────────────────────────────
   kills:   0,
+  killsBySource: {},   // KillSource → kills this run (events.js)
+  weaponStats:   {},   // KillSource → { damage, hits, since } (weaponStats.js)
+  dpsWindow:     [],   // per-second damage for the rolling peak-DPS window
+  peakDps:       0,
+  lastHit:       null, // { source, enemyType, t } of the last damaging hit (armor.js)
   elapsed: 0,
   coins:   0,
 
@@ -92,6 +100,7 @@ export const state = {
   upg: {
     // Weapons
     laserFire: 0,     // 0..5 (unlocks / tiers player lasers)
+    disc: 0,          // 0..5 (Ricochet Disc tiers, disc-primary characters only)
     orbit: 0,         // 0..5 (orbit weapon tiers)
 
     dmg: 0,           // 0..5
@@ -99,6 +108,17 @@ export const state = {
     projSpeed: 0,     // 0..4
     piercing: 0,      // 0..3
     multishot: 0,     // 0..3
+    ignite: 0,        // 0..5 (lasers burn, statusEffects.js)
+    chill: 0,         // 0..5 (orbit chills)
+    venom: 0,         // 0..5 (slash / disc poison)
+    shock: 0,         // 0..5 (targeted shots shock)
+    critChance: 0,    // 0..5 (damage.js)
+    critDamage: 0,    // 0..5
+
+    // Evolutions (weaponDefs.js), 0/1, offered by chests
+    railLance: 0,
+    stormHalo: 0,
+    razorHalo: 0,
 
     // Movement
     moveSpeed: 0,     // 0..5
@@ -131,14 +151,17 @@ export const state = {
   shieldRecharge: 0,
   shieldHitCD: 0,
   burstCooldown: 0,
+  burstCooldownMax: 0,   // length of the running cooldown (touch.js draws the sweep)
   burstRequested: false,
   slowCooldown: 0,
+  slowCooldownMax: 0,
   slowTimer: 0,
   slowScale: 0.5,
   slowRequested: false,
 
   // Arena pickup entities (clock, black hole, etc.)
   arenaPickups: [],
+  blackHole: null,     // open vortex { x, z } while the blackHole effect runs (loot.js)
   targetedShotTimer: 0,
   lightningTimer: 0,
   enemySpatialHash: null,
@@ -156,10 +179,12 @@ export const state = {
   dashCooldownMax: 0,
   dashVX:        0,
   dashVZ:        0,
+  dashRequested: false, // set on Shift, applied on the next simulation tick
   lastMoveX:     0,
   lastMoveZ:     1,
   dashGhostTimer:0,
   worldScale:    1.0,
+  auraSlowMult:  1.0,   // player move-speed mult from Frost Aura affixes (affixes.js)
 
   // ── Contact damage accumulation ──────────────────────────────────────────────
   contactDmgAccum: 0,
@@ -167,11 +192,16 @@ export const state = {
 
   // ── Input ────────────────────────────────────────────────────────────────────
   keys: { w: false, a: false, s: false, d: false },
+  moveAxis: { x: 0, y: 0 },  // analog move, screen space, |v| ≤ 1 (gamepad.js)
+  aimAxis:  { x: 0, y: 0 },  // right stick, screen space
+  aimMode:  'auto',          // 'auto' (ring + nearest target) | 'manual' (twin-stick cone)
+  aimAngle: null,            // world-space aim (atan2(z, x)) in manual mode, quantized (input.js)
 
   // ── Live entity arrays ───────────────────────────────────────────────────────
   enemies:      [],
   bullets:      [],
   enemyBullets: [],
+  enemyBlasts:  [],   // Explosive affix blasts waiting to go off (affixes.js)
   particles:    [],
   damageNums:   [],
   coinPickups:  [],
@@ -0,0 +1,133 @@
+// ─── statusEffects.js ────────────────────────────────────────────────────────
+// Enemy status effects (burn, poison, chill, shock, stun): what each one does, how repeat
+// applications stack, and the per-enemy bookkeeping. Weapons put a `status`
+// on their stats (weaponDefs.js) and call applyStatus() on hit; enemies.js and
+// sim/headless.js tick them each step and read the movement / fire-rate
+// modifiers. No scene or DOM access (the headless sim imports it).
+//
+// Def fields:
+//   stacking      'refresh': one instance, a new hit keeps the longer time
+//                 and the stronger effect; 'stack': each hit adds a stack (up
+//                 to maxStacks) and refreshes the time
+//   tickInterval  seconds between damage ticks (statuses with `dps`)
+//   damageType    DamageType of those ticks (damage.js)
+//   color         emissive tint on the enemy material while active
+//
+// A status as weapons hand it over: { id, duration, dps?, slow?, jam? }
+//   dps   damage per second per stack, credited to the applying weapon
+//   slow  fraction of move speed removed; attacks slow by half as much
+//   jam   fraction of attack speed removed (movement untouched)
+
+import { DamageType } from './damage.js';
+
+export const StatusId = Object.freeze({
+  BURN:   'burn',
+  POISON: 'poison',
+  CHILL:  'chill',
+  SHOCK:  'shock',
+  STUN:   'stun',
+});
+
+export const STATUS_DEFS = Object.freeze({
+  [StatusId.BURN]:   { stacking: 'stack',   maxStacks: 5, tickInterval: 0.5, damageType: DamageType.ENERGY, color: 0xff5a14 },
+  [StatusId.POISON]: { stacking: 'stack',   maxStacks: 8, tickInterval: 1.0, damageType: DamageType.POISON, color: 0x7ee83a },
+  [StatusId.CHILL]:  { stacking: 'refresh', color: 0x6fd0ff },
+  [StatusId.SHOCK]:  { stacking: 'refresh', color: 0xffe14a },
+  [StatusId.STUN]:   { stacking: 'refresh', color: 0xd8ecff },
+});
+
+// Tint priority when several are active: the first one listed wins.
+const TINT_ORDER = [StatusId.STUN, StatusId.SHOCK, StatusId.CHILL, StatusId.BURN, StatusId.POISON];
+
+// Fraction of each status a boss shrugs off: duration, damage, slow and jam
+// all scale by (1 - resist).
+export const BOSS_STATUS_RESIST = Object.freeze({
+  [StatusId.BURN]:   0.5,
+  [StatusId.POISON]: 0.5,
+  [StatusId.CHILL]:  0.6,
+  [StatusId.SHOCK]:  0.6,
+  [StatusId.STUN]:   0.75,
+});
+
+function getResist(e, id) {
+  return e.isBoss ? (BOSS_STATUS_RESIST[id] || 0) : 0;
+}
+
+// Applies `status` to enemy `e`; `source` is the KillSource its ticks credit.
+export function applyStatus(e, status, source) {
+  const def = status && STATUS_DEFS[status.id];
+  if (!e || e.dead || !def) return;
+  const keep = 1 - getResist(e, status.id);
+  const duration = (status.duration || 0) * keep;
+  if (duration <= 0) return;
+  if (!e.statuses) e.statuses = {};
+
+  const cur = e.statuses[status.id];
+  const dps = (status.dps || 0) * keep;
+  const slow = Math.min(1, (status.slow || 0) * keep);
+  const jam = Math.min(1, (status.jam || 0) * keep);
+  if (!cur) {
+    e.statuses[status.id] = { time: duration, stacks: 1, dps, slow, jam, tick: 0, source };
+    return;
+  }
+  cur.time = Math.max(cur.time, duration);
+  cur.dps = Math.max(cur.dps, dps);
+  cur.slow = Math.max(cur.slow, slow);
+  cur.jam = Math.max(cur.jam || 0, jam);
+  cur.source = source;
+  if (def.stacking === 'stack') cur.stacks = Math.min(def.maxStacks || 1, cur.stacks + 1);
+}
+
+export function hasStatus(e, id) {
+  return !!e.statuses?.[id];
+}
+
+// Counts statuses down and deals their tick damage through
+// onTick(e, damage, source, damageType). Returns the source of the last tick
+// this step (so the caller can credit a kill), or null.
+export function tickStatuses(e, dt, onTick) {
+  const list = e.statuses;
+  if (!list) return null;
+  let lastSource = null;
+  for (const id in list) {
+    const s = list[id];
+    const def = STATUS_DEFS[id];
+    if (s.dps > 0 && def?.tickInterval) {
+      s.tick += Math.min(dt, s.time);
+      while (s.tick >= def.tickInterval && !e.dead) {
+        s.tick -= def.tickInterval;
+        onTick(e, Math.max(1, Math.round(s.dps * s.stacks * def.tickInterval)), s.source, def.damageType);
+        lastSource = s.source;
+      }
+    }
+    s.time -= dt;
+    if (s.time <= 0) delete list[id];
+  }
+  return lastSource;
+}
+
+// Movement multiplier from all active statuses (0 = can't move).
+export function getStatusSpeedMult(e) {
+  const list = e.statuses;
+  if (!list) return 1;
+  if (list[StatusId.STUN]) return 0;
+  return 1 - (list[StatusId.CHILL]?.slow || 0);
+}
+
+// Multiplier on how fast the enemy's shot timer runs down.
+export function getStatusFireRateMult(e) {
+  const list = e.statuses;
+  if (!list) return 1;
+  return (1 - 0.5 * (list[StatusId.CHILL]?.slow || 0)) * (1 - (list[StatusId.SHOCK]?.jam || 0));
+}
+
+// { color, strength } for the most important active status, or null.
+export function getStatusTint(e) {
+  const list = e.statuses;
+  if (!list) return null;
+  for (const id of TINT_ORDER) {
+    const s = list[id];
+    if (s) return { color: STATUS_DEFS[id].color, strength: Math.min(1, 0.45 + 0.12 * s.stacks) };
+  }
+  return null;
+}
@@ -0,0 +1,165 @@
+// ─── touch.js ────────────────────────────────────────────────────────────────
+// Touch controls for phones and tablets. The layout (body.touch-ui) switches on
+// when the primary pointer is coarse, or the first time a finger touches the
+// screen on a hybrid device; keyboard/mouse keep working either way.
+//
+// Two floating sticks: a finger down anywhere in the left / right half places
+// the stick under it. The left stick writes `state.moveAxis`, the right one
+// `state.aimAxis` (only shown with manual aim, see input.js::sampleAim) —
+// both in the same screen-space, 1/127-quantized form gamepad.js uses, so
+// replays record them exactly. DASH / BURST / SLOW set the usual one-shot
+// request flags and show their cooldown as a sweep.
+
+import { state } from './state.js';
+
+const STICK_RADIUS = 56;   // px the knob can travel from the stick center
+const DEADZONE = 0.12;
+
+let _togglePause = null;
+let _onFirstTouch = null;
+let _root = null;
+let _rafId = 0;
+const _sticks = {};
+const _buttons = [];
+
+export function initTouchControls({ togglePause, onFirstTouch } = {}) {
+  _togglePause = togglePause || null;
+  _onFirstTouch = onFirstTouch || null;
+  _root = document.getElementById('touch-controls');
+  if (!_root) return;
+
+  _sticks.move = bindStick('left', 'moveAxis');
+  _sticks.aim = bindStick('right', 'aimAxis');
+
+  for (const btn of _root.querySelectorAll('.touch-btn[data-action]')) {
+    const action = btn.dataset.action;
+    btn.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      press(action);
+    });
+    _buttons.push({ el: btn, action });
+  }
+  document.getElementById('touch-pause')?.addEventListener('click', () => _togglePause?.());
+
+  // Coarse primary pointer → touch layout, and follow changes (tablet docks).
+  let coarse = null;
+  try { coarse = window.matchMedia('(pointer: coarse)'); } catch {}
+  setTouchLayout(!!coarse?.matches);
+  coarse?.addEventListener?.('change', (e) => { if (e.matches) setTouchLayout(true); });
+
+  window.addEventListener('pointerdown', (e) => {
+    if (e.pointerType !== 'touch') return;
+    if (_onFirstTouch) { _onFirstTouch(); _onFirstTouch = null; }
+    setTouchLayout(true);
+  }, { capture: true, passive: true });
+}
+
+export function isTouchLayout() {
+  return document.body.classList.contains('touch-ui');
+}
+
+function setTouchLayout(on) {
+  document.body.classList.toggle('touch-ui', on);
+  _root?.setAttribute('aria-hidden', on ? 'false' : 'true');
+  if (on && !_rafId) {
+    const loop = () => { _rafId = requestAnimationFrame(loop); updateButtons(); };
+    _rafId = requestAnimationFrame(loop);
+  } else if (!on && _rafId) {
+    cancelAnimationFrame(_rafId);
+    _rafId = 0;
+  }
+}
+
+// ── Sticks ───────────────────────────────────────────────────────────────────
+function bindStick(side, axisKey) {
+  const zone = document.getElementById(`touch-zone-${side}`);
+  const base = document.getElementById(`touch-stick-${side}`);
+  const knob = base?.querySelector('.touch-knob');
+  if (!zone || !base || !knob) return null;
+  const stick = { pointerId: null, cx: 0, cy: 0 };
+
+  const write = (x, y) => {
+    if (!state[axisKey]) state[axisKey] = { x: 0, y: 0 };
+    state[axisKey].x = x;
+    state[axisKey].y = y;
+  };
+
+  const release = (e) => {
+    if (stick.pointerId === null || (e && e.pointerId !== stick.pointerId)) return;
+    stick.pointerId = null;
+    base.classList.remove('active');
+    knob.style.transform = '';
+    write(0, 0);
+  };
+
+  zone.addEventListener('pointerdown', (e) => {
+    if (stick.pointerId !== null || !canPlay()) return;
+    e.preventDefault();
+    stick.pointerId = e.pointerId;
+    stick.cx = e.clientX;
+    stick.cy = e.clientY;
+    try { zone.setPointerCapture(e.pointerId); } catch {}
+    base.style.left = `${e.clientX}px`;
+    base.style.top = `${e.clientY}px`;
+    base.classList.add('active');
+  });
+
+  zone.addEventListener('pointermove', (e) => {
+    if (e.pointerId !== stick.pointerId) return;
+    e.preventDefault();
+    let dx = e.clientX - stick.cx;
+    let dy = e.clientY - stick.cy;
+    const len = Math.hypot(dx, dy);
+    if (len > STICK_RADIUS) { dx *= STICK_RADIUS / len; dy *= STICK_RADIUS / len; }
+    knob.style.transform = `translate(${dx}px, ${dy}px)`;
+
+    // Same shape as gamepad.js: radial deadzone, rescaled, y up, 1/127 steps.
+    const mag = Math.min(1, len / STICK_RADIUS);
+    if (mag < DEADZONE) { write(0, 0); return; }
+    const scaled = (mag - DEADZONE) / (1 - DEADZONE);
+    const q = (v) => Math.round(v / Math.max(1e-6, len) * scaled * 127) / 127;
+    write(q(e.clientX - stick.cx), q(-(e.clientY - stick.cy)));
+  });
+
+  zone.addEventListener('pointerup', release);
+  zone.addEventListener('pointercancel', release);
+  zone.addEventListener('lostpointercapture', release);
+  return { release };
+}
+
+function canPlay() {
+  return state.uiMode === 'playing' && !state.paused && !state.gameOver && !state.upgradeOpen;
+}
+
+// ── Ability buttons ──────────────────────────────────────────────────────────
+function press(action) {
+  if (!canPlay()) return;
+  if (action === 'dash' && state.hasDash) state.dashRequested = true;
+  if (action === 'burst' && (state.upg?.burst || 0) > 0) state.burstRequested = true;
+  if (action === 'slow' && (state.upg?.timeSlow || 0) > 0) state.slowRequested = true;
+}
+
+function abilityStatus(action) {
+  if (action === 'dash') {
+    return { unlocked: !!state.hasDash, cd: state.dashCooldown || 0, max: state.dashCooldownMax || 0 };
+  }
+  if (action === 'burst') {
+    return { unlocked: (state.upg?.burst || 0) > 0, cd: state.burstCooldown || 0, max: state.burstCooldownMax || 0 };
+  }
+  return { unlocked: (state.upg?.timeSlow || 0) > 0, cd: state.slowCooldown || 0, max: state.slowCooldownMax || 0 };
+}
+
+function updateButtons() {
+  // Sticks let go when play stops under a finger (pause, shop, game over).
+  if (!canPlay()) {
+    _sticks.move?.release();
+    _sticks.aim?.release();
+  }
+  for (const b of _buttons) {
+    const { unlocked, cd, max } = abilityStatus(b.action);
+    const frac = unlocked && cd > 0 && max > 0 ? Math.min(1, cd / max) : 0;
+    b.el.classList.toggle('locked', !unlocked);
+    b.el.classList.toggle('cooling', frac > 0);
+    b.el.style.setProperty('--cd', frac.toFixed(3));
+  }
+}
@@ -175,6 +175,10 @@ export function initBootUI({ onStart }){
   }
 
   startBtn.addEventListener('click', handleStart);
+  // Touch: once loaded, a tap anywhere on the boot screen starts.
+  boot.addEventListener('pointerup', (e) => {
+    if (e.pointerType === 'touch') handleStart();
+  });
 
   function keyHandler(e){
     if (e.code === 'Enter' || e.code === 'Space') {
@@ -2,16 +2,15 @@
 // Stable chest overlay API.
 // The overlay implementation currently lives in ui/upgrades.js (to share styles).
 // This wrapper provides consistent named exports for the rest of the game.
+// Opening rolls the chest (rng.js) and may consume a replay pick, so it must
+// run synchronously inside a sim step — call it from loop.js only.
 
-export async function openChestOverlay(tier = 'standard') {
-  const mod = await import('./upgrades.js');
-  // Prefer openChestReward (current), fall back to openChestOverlay if renamed.
-  const fn = mod.openChestReward || mod.openChestOverlay;
-  if (typeof fn === 'function') fn(tier);
+import { openChestReward, closeUpgradeShopIfOpen } from './upgrades.js';
+
+export function openChestOverlay(tier = 'standard') {
+  openChestReward(tier);
 }
 
-export async function closeChestOverlay() {
-  const mod = await import('./upgrades.js');
-  const fn = mod.closeUpgradeShopIfOpen || mod.closeChestOverlay;
-  if (typeof fn === 'function') fn();
+export function closeChestOverlay() {
+  closeUpgradeShopIfOpen();
 }
@@ -1,9 +1,26 @@
 // ─── ui/highScores.js ────────────────────────────────────────────────────────
-import { loadJSON, saveJSON } from './storage.js';
+import { defineStore } from './storage.js';
 
-const KEY = 'capsuleHavoc.highScores.v1';
 const MAX = 10;
 
+function normalizeEntry(e) {
+  if (!e || typeof e !== 'object') return null;
+  return {
+    kills: Number(e.kills) || 0,
+    elapsed: Number(e.elapsed) || 0,
+    coins: Number(e.coins) || 0,
+    victory: !!e.victory,
+    ts: Number(e.ts) || 0,
+  };
+}
+
+const store = defineStore('highScores', {
+  version: 1,
+  legacyKey: 'capsuleHavoc.highScores.v1',
+  validate: (list) => Array.isArray(list) ? list.map(normalizeEntry).filter(Boolean).slice(0, MAX) : null,
+  fallback: () => [],
+});
+
 // Define ordering: more kills is better; tie-breaker is shorter time; then more coins.
 function compare(a, b) {
   if (b.kills !== a.kills) return b.kills - a.kills;
@@ -12,12 +29,11 @@ function compare(a, b) {
 }
 
 export function getHighScores() {
-  const list = loadJSON(KEY, []);
-  return Array.isArray(list) ? list : [];
+  return store.load();
 }
 
 export function clearHighScores() {
-  saveJSON(KEY, []);
+  store.clear();
 }
 
 export function recordRun({ kills, elapsed, coins, victory }) {
@@ -31,5 +47,5 @@ export function recordRun({ kills, elapsed, coins, victory }) {
   };
   list.push(entry);
   list.sort(compare);
-  saveJSON(KEY, list.slice(0, MAX));
+  store.save(list.slice(0, MAX));
 }
@@ -0,0 +1,96 @@
+// ─── ui/history.js ──────────────────────────────────────────────────────────
+// Run history page renderer (menu → RUN HISTORY). Click a run to show its build.
+import { getRunHistory } from './runHistory.js';
+import { getUpgradeName } from '../upgradeCatalog.js';
+import { formatTime } from '../gameFlow.js';
+
+function fmtDate(ts) {
+  try {
+    const d = new Date(ts);
+    return d.toLocaleDateString(undefined, { year:'2-digit', month:'2-digit', day:'2-digit' }) + ' ' +
+           d.toLocaleTimeString(undefined, { hour:'2-digit', minute:'2-digit' });
+  } catch { return ''; }
+}
+
+function fmtEnemy(type) {
+  return String(type || 'unknown').toLowerCase().replace(/^\w/, c => c.toUpperCase());
+}
+
+function fmtCause(r) {
+  if (r.outcome === 'victory') return 'Victory';
+  const c = r.deathCause;
+  if (!c) return 'Destroyed';
+  const what = c.source === 'enemyBullet' ? 'shot' : (c.source === 'contact' ? 'contact' : c.source);
+  return `${fmtEnemy(c.enemyType)} ${what || ''}`.trim();
+}
+
+// Small DOM helper: text always goes through textContent, never innerHTML.
+function el(tag, className, text) {
+  const node = document.createElement(tag);
+  if (className) node.className = className;
+  if (text != null) node.textContent = String(text);
+  return node;
+}
+
+function sep() {
+  return el('span', 'score-sep', '•');
+}
+
+function buildUpgrades(r) {
+  const box = el('div', 'history-build');
+  const tiers = Object.entries(r.upg || {}).sort((a, b) => b[1] - a[1]);
+  if (!tiers.length) {
+    box.appendChild(el('span', 'history-build-empty', 'No upgrades'));
+    return box;
+  }
+  for (const [k, t] of tiers) {
+    const chip = el('span', 'history-upg', `${getUpgradeName(k)} `);
+    chip.appendChild(el('b', null, `T${t}`));
+    box.appendChild(chip);
+  }
+  return box;
+}
+
+function buildRow(r) {
+  const row = el('div', 'score-row history-row');
+  const char = el('div', 'history-char');
+  char.classList.add(r.character);
+  row.appendChild(char);
+
+  const main = el('div', 'score-main');
+  const line = el('div', 'score-line');
+  line.append(
+    el('span', 'score-label', 'LV'), ' ', el('span', 'history-level', r.level),
+    sep(),
+    el('span', 'score-time', formatTime(r.elapsed)),
+    sep(),
+    el('span', 'score-kills', r.kills), ' ', el('span', 'score-label', 'kills'),
+  );
+
+  const sub = el('div', 'score-sub');
+  sub.append(
+    el('span', `score-tag ${r.outcome === 'victory' ? 'victory' : 'destroyed'}`, fmtCause(r)),
+    el('span', null, `${Math.round(r.peakDps)} peak DPS`),
+    el('span', 'history-seed', `SEED ${r.seed}`),
+    el('span', 'score-date', fmtDate(r.ts)),
+  );
+
+  main.append(line, sub, buildUpgrades(r));
+  row.appendChild(main);
+  row.addEventListener('click', () => row.classList.toggle('open'));
+  return row;
+}
+
+// filter: 'all' or a character id.
+export function renderRunHistory(listEl, filter = 'all') {
+  const runs = getRunHistory().filter(r => filter === 'all' || r.character === filter);
+  listEl.replaceChildren();
+
+  if (!runs.length) {
+    const empty = el('div', 'menu-muted', filter === 'all' ? 'No runs recorded yet.' : `No ${filter} runs recorded yet.`);
+    listEl.appendChild(empty);
+    return;
+  }
+
+  for (const r of runs) listEl.appendChild(buildRow(r));
+}
@@ -3,33 +3,54 @@
 
 import { renderHighScores } from './scores.js';
 import { clearHighScores } from './highScores.js';
-import { bindAudioSettingsUI, applySavedAudioSettings } from './settings.js';
+import { renderRunHistory } from './history.js';
+import { clearRunHistory } from './runHistory.js';
+import { bindAudioSettingsUI, applySavedAudioSettings, bindGameplaySettingsUI, applySavedGameplaySettings, bindControlsUI } from './settings.js';
+import { reloadBindings } from '../keymap.js';
+import { CHARACTERS } from '../characters.js';
+import { exportProfile, importProfile } from './storage.js';
+import { applySavedVisualSettings } from '../visuals.js';
 import { playSound, startMusic } from '../audio.js';
 import { initMenuParticles } from './menuParticles.js';
 
-export function initMenuUI({ onStart }) {
+// onContinue/hasContinue: optional mid-run resume (runSave.js via main.js).
+export function initMenuUI({ onStart, onContinue, hasContinue }) {
   const menu = document.getElementById('menu-screen');
   const pageMain = menu.querySelector('[data-page="main"]');
   const pageScores = menu.querySelector('[data-page="scores"]');
+  const pageHistory = menu.querySelector('[data-page="history"]');
   const pageSettings = menu.querySelector('[data-page="settings"]');
+  const pageControls = menu.querySelector('[data-page="controls"]');
 
   const btnStart = menu.querySelector('#menu-start');
+  const btnContinue = menu.querySelector('#menu-continue');
   const btnScores = menu.querySelector('#menu-scores');
+  const btnHistory = menu.querySelector('#menu-history');
   const btnSettings = menu.querySelector('#menu-settings');
 
   const btnBackScores = menu.querySelector('#menu-back-scores');
+  const btnBackHistory = menu.querySelector('#menu-back-history');
   const btnBackSettings = menu.querySelector('#menu-back-settings');
+  const btnControls = menu.querySelector('#menu-controls');
+  const btnBackControls = menu.querySelector('#menu-back-controls');
 
   const btnClearScores = menu.querySelector('#menu-clear-scores');
   const scoresList = menu.querySelector('#scores-list');
+  const btnClearHistory = menu.querySelector('#menu-clear-history');
+  const historyList = menu.querySelector('#history-list');
+  const historyFilterRow = menu.querySelector('.history-filters');
+  let historyFilter = 'all';
   const characterModal = menu.querySelector('#character-modal');
   const btnCharacterBack = menu.querySelector('#character-back');
-  const btnCharacterBlue = menu.querySelector('#character-blue');
-  const btnCharacterRed = menu.querySelector('#character-red');
+  const characterGrid = menu.querySelector('#character-grid');
+  const seedInput = menu.querySelector('#character-seed-input');
 
   // Load persisted audio settings *before* user hits start (affects first music play).
   applySavedAudioSettings();
   const settingsApi = bindAudioSettingsUI(menu);
+  applySavedGameplaySettings();
+  const gameplayApi = bindGameplaySettingsUI(menu);
+  const controlsApi = bindControlsUI(menu);
   const particleFx = initMenuParticles(menu);
 
   function closeCharacterModal() {
@@ -47,11 +68,17 @@ export function initMenuUI({ onStart }) {
   function showPage(name) {
     pageMain.classList.toggle('active', name === 'main');
     pageScores.classList.toggle('active', name === 'scores');
+    pageHistory?.classList.toggle('active', name === 'history');
     pageSettings.classList.toggle('active', name === 'settings');
+    pageControls?.classList.toggle('active', name === 'controls');
+    if (name !== 'controls') controlsApi.cancel();
     closeCharacterModal();
 
+    if (name === 'main' && btnContinue) btnContinue.hidden = !(hasContinue && hasContinue());
     if (name === 'scores') renderHighScores(scoresList);
+    if (name === 'history') renderRunHistory(historyList, historyFilter);
     if (name === 'settings') settingsApi.syncFromEngine();
+    if (name === 'controls') controlsApi.sync();
   }
 
   function showMenu() {
@@ -79,20 +106,100 @@ export function initMenuUI({ onStart }) {
   }
 
   btnStart.addEventListener('click', () => openCharacterModal());
+  btnContinue?.addEventListener('click', () => onContinue?.());
   btnScores.addEventListener('click', () => showPage('scores'));
+  btnHistory?.addEventListener('click', () => showPage('history'));
   btnSettings.addEventListener('click', () => showPage('settings'));
 
   btnBackScores.addEventListener('click', () => showPage('main'));
+  btnBackHistory?.addEventListener('click', () => showPage('main'));
   btnBackSettings.addEventListener('click', () => showPage('main'));
+  btnControls?.addEventListener('click', () => showPage('controls'));
+  btnBackControls?.addEventListener('click', () => showPage('settings'));
   btnCharacterBack?.addEventListener('click', () => closeCharacterModal());
-  btnCharacterBlue?.addEventListener('click', () => onStart('blue'));
-  btnCharacterRed?.addEventListener('click', () => onStart('red'));
+  // Optional typed seed — blank means a fresh random run.
+  const typedSeed = () => (seedInput?.value || '').trim() || null;
+
+  // One picker card and one history filter per registered character.
+  for (const c of CHARACTERS) {
+    const card = document.createElement('button');
+    card.type = 'button';
+    card.id = `character-${c.id}`;
+    card.className = `character-card character-card-${c.id}`;
+    card.innerHTML = `
+      <span class="character-capsule character-capsule-${c.id}" aria-hidden="true"></span>
+      <span class="character-name"></span>
+      <span class="character-weapon"></span>
+      <span class="character-bonus"></span>`;
+    card.querySelector('.character-name').textContent = c.name.toUpperCase();
+    card.querySelector('.character-weapon').textContent = c.weaponLabel;
+    card.querySelector('.character-bonus').textContent = c.bonusLabel;
+    card.addEventListener('click', () => onStart(c.id, typedSeed()));
+    characterGrid?.appendChild(card);
+
+    const filter = document.createElement('button');
+    filter.className = 'menu-btn small history-filter';
+    filter.dataset.character = c.id;
+    filter.textContent = c.id.toUpperCase();
+    historyFilterRow?.appendChild(filter);
+  }
+  const historyFilters = [...menu.querySelectorAll('.history-filter')];
 
   btnClearScores.addEventListener('click', () => {
     clearHighScores();
     renderHighScores(scoresList);
   });
 
+  historyFilters.forEach(btn => btn.addEventListener('click', () => {
+    historyFilter = btn.dataset.character || 'all';
+    historyFilters.forEach(b => b.classList.toggle('active', b === btn));
+    renderRunHistory(historyList, historyFilter);
+  }));
+  btnClearHistory?.addEventListener('click', () => {
+    clearRunHistory();
+    renderRunHistory(historyList, historyFilter);
+  });
+
+  // ── Profile export / import ──
+  const btnExportProfile = menu.querySelector('#menu-export-profile');
+  const btnImportProfile = menu.querySelector('#menu-import-profile');
+  const importFile = menu.querySelector('#menu-import-file');
+  const profileStatus = menu.querySelector('#menu-profile-status');
+  const setProfileStatus = (msg) => { if (profileStatus) profileStatus.textContent = msg; };
+
+  btnExportProfile?.addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(exportProfile(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `capsule-havoc-profile-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    URL.revokeObjectURL(url);
+    setProfileStatus('Profile exported.');
+  });
+  btnImportProfile?.addEventListener('click', () => importFile?.click());
+  importFile?.addEventListener('change', () => {
+    const file = importFile.files?.[0];
+    importFile.value = '';
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        importProfile(JSON.parse(reader.result));
+        applySavedAudioSettings();
+        applySavedVisualSettings();
+        applySavedGameplaySettings();
+        reloadBindings();
+        settingsApi.syncFromEngine();
+        gameplayApi.sync();
+        setProfileStatus('Profile imported.');
+      } catch (err) {
+        setProfileStatus(`Import failed: ${err.message}`);
+      }
+    };
+    reader.readAsText(file);
+  });
+
   // Hover + click sounds on all menu buttons
   menu.querySelectorAll('button').forEach(btn => {
     btn.addEventListener('mouseenter', () => playSound('menu',        0.4));
@@ -0,0 +1,64 @@
+// ─── ui/runHistory.js ────────────────────────────────────────────────────────
+// Persistent run history: one entry per finished run with the full build
+// (upgrade tiers), cause of death, peak DPS and seed, newest first. Separate
+// from the top-10 high score table (highScores.js).
+import { defineStore } from './storage.js';
+import { normalizeCharacterId } from '../characters.js';
+
+const MAX = 200;
+
+const num = (v, d = 0) => (typeof v === 'number' && Number.isFinite(v) ? v : d);
+// Upgrade keys, enemy types and damage sources are all plain identifiers.
+const ident = (v) => (typeof v === 'string' && /^[A-Za-z_][A-Za-z0-9_]{0,31}$/.test(v) ? v : null);
+
+function normalizeUpg(upg) {
+  const out = {};
+  if (!upg || typeof upg !== 'object') return out;
+  for (const [k, t] of Object.entries(upg)) {
+    if (ident(k) && Number.isInteger(t) && t > 0) out[k] = Math.min(t, 99);
+  }
+  return out;
+}
+
+// Rebuilds an entry from known fields only, so nothing loaded from storage or
+// an imported profile reaches the history page unchecked.
+function normalizeEntry(r) {
+  if (!r || typeof r !== 'object') return null;
+  const cause = r.deathCause && typeof r.deathCause === 'object' ? r.deathCause : null;
+  return {
+    ts: Math.max(0, num(r.ts)),
+    character: normalizeCharacterId(r.character),
+    outcome: r.outcome === 'victory' ? 'victory' : 'death',
+    level: Math.max(1, Math.floor(num(r.level, 1))),
+    elapsed: Math.max(0, num(r.elapsed)),
+    kills: Math.max(0, Math.floor(num(r.kills))),
+    coins: Math.max(0, Math.floor(num(r.coins))),
+    seed: num(r.seed) >>> 0,
+    upg: normalizeUpg(r.upg),
+    deathCause: cause ? { source: ident(cause.source), enemyType: ident(cause.enemyType) } : null,
+    peakDps: Math.max(0, num(r.peakDps)),
+  };
+}
+
+const store = defineStore('runHistory', {
+  version: 1,
+  legacyKey: 'capsuleHavoc.runHistory.v1',
+  validate: (list) => Array.isArray(list) ? list.map(normalizeEntry).filter(Boolean).slice(0, MAX) : null,
+  fallback: () => [],
+});
+
+export function getRunHistory() {
+  return store.load();
+}
+
+export function clearRunHistory() {
+  store.clear();
+}
+
+// summary: the runEnded payload (runState.js getRunSummary).
+export function recordRunHistory(summary) {
+  const list = getRunHistory();
+  const entry = normalizeEntry({ ...summary, ts: Date.now() });
+  list.unshift(entry);
+  store.save(list.slice(0, MAX));
+}
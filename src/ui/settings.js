@@ -1,13 +1,26 @@
 // ─── ui/settings.js ─────────────────────────────────────────────────────────
-// Settings panel (audio only for now). Persists to localStorage.
+// Menu settings: audio (persisted via the 'audio' store), gameplay options
+// ('gameplay' store) and the key binding page (keymap.js, persisted via the
+// 'controls' store).
 
-import { loadJSON, saveJSON } from './storage.js';
+import { state } from '../state.js';
+import { defineStore } from './storage.js';
+import { ACTIONS, getBindings, setBinding, resetBindings, formatKey, onBindingsChanged } from '../keymap.js';
 import { setMuted, setMusicVolume, setSfxVolume, getMuted, getMusicVolume, getSfxVolume, resumeAudioContext } from '../audio.js';
 
-const KEY = 'capsuleHavoc.audio.v1';
+const clamp01 = (v, d) => (typeof v === 'number' && isFinite(v) ? Math.max(0, Math.min(1, v)) : d);
+
+const store = defineStore('audio', {
+  version: 1,
+  legacyKey: 'capsuleHavoc.audio.v1',
+  validate: (s) => (s && typeof s === 'object')
+    ? { muted: !!s.muted, music: clamp01(s.music, 1), sfx: clamp01(s.sfx, 1) }
+    : null,
+  fallback: () => null,
+});
 
 export function applySavedAudioSettings() {
-  const s = loadJSON(KEY, null);
+  const s = store.load();
   if (!s) return;
   if (typeof s.muted === 'boolean') setMuted(s.muted);
   if (typeof s.music === 'number') setMusicVolume(s.music);
@@ -30,7 +43,7 @@ export function bindAudioSettingsUI(root) {
   }
 
   function persist() {
-    saveJSON(KEY, {
+    store.save({
       muted: getMuted(),
       music: getMusicVolume(),
       sfx: getSfxVolume()
@@ -60,3 +73,126 @@ export function bindAudioSettingsUI(root) {
   syncFromEngine();
   return { syncFromEngine };
 }
+
+// ── Gameplay ─────────────────────────────────────────────────────────────────
+// Manual aim: the main gun fires a cone toward the cursor / right stick
+// instead of the automatic ring (weapons.js).
+const gameplayStore = defineStore('gameplay', {
+  version: 1,
+  validate: (s) => (s && typeof s === 'object')
+    ? { aimMode: s.aimMode === 'manual' ? 'manual' : 'auto' }
+    : null,
+  fallback: () => ({ aimMode: 'auto' }),
+});
+
+function setAimMode(mode) {
+  state.aimMode = mode === 'manual' ? 'manual' : 'auto';
+  state.aimAngle = null;
+  document.body.classList.toggle('aim-manual', state.aimMode === 'manual');
+}
+
+export function applySavedGameplaySettings() {
+  setAimMode(gameplayStore.load().aimMode);
+}
+
+export function bindGameplaySettingsUI(root) {
+  const manualAim = root.querySelector('#menu-manual-aim');
+
+  function sync() {
+    if (manualAim) manualAim.checked = state.aimMode === 'manual';
+  }
+
+  manualAim?.addEventListener('change', () => {
+    setAimMode(manualAim.checked ? 'manual' : 'auto');
+    gameplayStore.save({ aimMode: state.aimMode });
+  });
+
+  sync();
+  return { sync };
+}
+
+// ── Key bindings page ────────────────────────────────────────────────────────
+// Click a slot, then press a key. Esc cancels, Backspace/Delete clears. A key
+// already used by another action moves here and the other slot is cleared.
+export function bindControlsUI(root) {
+  const list = root.querySelector('#controls-list');
+  const status = root.querySelector('#controls-status');
+  const btnReset = root.querySelector('#menu-reset-controls');
+  const defaultHint = status ? status.textContent : '';
+  let listening = null;   // { action, slot, btn }
+  let flagged = null;     // { action, slot } cleared by the last conflict
+
+  const labelOf = (id) => ACTIONS.find(a => a.id === id)?.label || id;
+  const setStatus = (msg) => { if (status) status.textContent = msg || defaultHint; };
+
+  function render() {
+    if (!list) return;
+    list.innerHTML = '';
+    for (const a of ACTIONS) {
+      const row = document.createElement('div');
+      row.className = 'controls-row';
+      const name = document.createElement('span');
+      name.textContent = a.label;
+      row.appendChild(name);
+      getBindings(a.id).forEach((code, slot) => {
+        const btn = document.createElement('button');
+        btn.className = 'menu-btn small controls-key' + (code ? '' : ' unbound');
+        if (flagged && flagged.action === a.id && flagged.slot === slot) btn.classList.add('conflict');
+        btn.textContent = formatKey(code);
+        btn.addEventListener('click', () => startListening(a.id, slot, btn));
+        row.appendChild(btn);
+      });
+      list.appendChild(row);
+    }
+  }
+
+  function startListening(action, slot, btn) {
+    stopListening();
+    listening = { action, slot, btn };
+    btn.classList.add('listening');
+    btn.textContent = 'PRESS A KEY';
+    setStatus(`Press a key for ${labelOf(action)} · Esc cancels · Backspace clears`);
+  }
+
+  function stopListening() {
+    if (!listening) return;
+    listening = null;
+    render();
+  }
+
+  // Capture phase on window so the game's own key handler never sees it.
+  window.addEventListener('keydown', (e) => {
+    if (!listening) return;
+    e.preventDefault();
+    e.stopImmediatePropagation();
+    const { action, slot } = listening;
+    if (e.code === 'Escape' && action !== 'pause') { setStatus(); stopListening(); return; }
+    if (e.code === 'Backspace' || e.code === 'Delete') {
+      setBinding(action, slot, null);
+      flagged = null;
+      setStatus(`${labelOf(action)}: cleared`);
+      stopListening();
+      return;
+    }
+    const conflict = setBinding(action, slot, e.code);
+    flagged = conflict;
+    setStatus(conflict
+      ? `${formatKey(e.code)} moved from ${labelOf(conflict.action)} to ${labelOf(action)} — ${labelOf(conflict.action)} slot is now empty`
+      : `${labelOf(action)}: ${formatKey(e.code)}`);
+    stopListening();
+  }, true);
+
+  btnReset?.addEventListener('click', () => {
+    resetBindings();
+    flagged = null;
+    setStatus('Default bindings restored');
+  });
+
+  onBindingsChanged(() => { if (!listening) render(); });
+  render();
+
+  return {
+    sync() { flagged = null; listening = null; setStatus(); render(); },
+    cancel() { listening = null; },
+  };
+}
@@ -1,6 +1,22 @@
 // ─── ui/storage.js ───────────────────────────────────────────────────────────
-// Small helpers around localStorage with JSON encoding.
+// Versioned persistence for everything the game keeps in localStorage.
+//
+// Each store is declared once by the module that owns it (defineStore) with a
+// schema version, ordered migrations and a validator. On disk a store is an
+// envelope { v, data } under `capsuleHavoc.<name>`. Loading:
+//   1. adopts the pre-versioning key (`legacyKey`, treated as version 1),
+//   2. runs migrations v → v+1 … → current, in order,
+//   3. validates/normalizes the payload,
+// and on any failure (bad JSON, failed migration, rejected payload) backs the
+// raw value up to `<key>.corrupt` and falls back to defaults instead of
+// throwing. Data written by a newer build (v > current) is left untouched.
+//
+// exportProfile()/importProfile() move every store as one JSON file.
 
+const PREFIX = 'capsuleHavoc.';
+const PROFILE_FORMAT = 1;
+
+// ── Raw JSON helpers ──────────────────────────────────────────────────────────
 export function loadJSON(key, fallback) {
   try {
     const raw = localStorage.getItem(key);
@@ -18,3 +34,180 @@ export function saveJSON(key, value) {
     // ignore quota / privacy errors
   }
 }
+
+function readRaw(key) {
+  try { return localStorage.getItem(key); } catch { return null; }
+}
+
+function removeKey(key) {
+  try { localStorage.removeItem(key); } catch {}
+}
+
+// ── Validation helpers ────────────────────────────────────────────────────────
+// Stored and imported data is untrusted. plainData() keeps only JSON made of
+// finite numbers, booleans, null and short identifier-like strings under
+// identifier-like keys, dropping everything else — so nothing a validator
+// passes through can carry markup.
+const SAFE_TEXT = /^[\w#. -]{0,64}$/;
+
+export function isSafeText(v) {
+  return typeof v === 'string' && SAFE_TEXT.test(v);
+}
+
+export function plainData(v, depth = 8) {
+  if (v === null || typeof v === 'boolean') return v;
+  if (typeof v === 'number') return Number.isFinite(v) ? v : undefined;
+  if (typeof v === 'string') return SAFE_TEXT.test(v) ? v : undefined;
+  if (typeof v !== 'object' || depth <= 0) return undefined;
+  if (Array.isArray(v)) return v.map(x => plainData(x, depth - 1)).filter(x => x !== undefined);
+  const out = {};
+  for (const [k, x] of Object.entries(v)) {
+    if (k === '__proto__' || !SAFE_TEXT.test(k)) continue;
+    const y = plainData(x, depth - 1);
+    if (y !== undefined) out[k] = y;
+  }
+  return out;
+}
+
+// ── Store registry ────────────────────────────────────────────────────────────
+const _stores = new Map();
+
+// spec: {
+//   version:    current schema version (integer ≥ 1)
+//   migrations: { [toVersion]: data => data }  — 2 upgrades v1 → v2, etc.
+//   validate:   data => normalized data, or null to reject. Rebuild the
+//               payload from known fields; never pass input through as-is.
+//   fallback:   () => default data
+//   legacyKey:  pre-versioning localStorage key holding raw v1 data (optional)
+// }
+export function defineStore(name, spec) {
+  const store = {
+    name,
+    key: PREFIX + name,
+    version: Math.max(1, spec.version | 0),
+    migrations: spec.migrations || {},
+    validate: spec.validate || (d => d),
+    fallback: spec.fallback || (() => null),
+    legacyKey: spec.legacyKey || null,
+    readOnly: false,
+  };
+  _stores.set(name, store);
+  return {
+    load: () => loadStore(name),
+    save: (data) => saveStore(name, data),
+    clear: () => { if (!store.readOnly) removeKey(store.key); },
+  };
+}
+
+function getStore(name) {
+  const s = _stores.get(name);
+  if (!s) throw new Error(`Unknown store "${name}"`);
+  return s;
+}
+
+function backupCorrupt(store, raw, reason) {
+  console.warn(`[storage] ${store.name}: ${reason} — restoring defaults`);
+  if (raw == null) return;
+  try { localStorage.setItem(`${store.key}.corrupt`, raw); } catch {}
+}
+
+// Migrate + validate an envelope. Throws with a reason on failure.
+function upgradeEnvelope(store, env) {
+  if (!env || typeof env !== 'object' || !Number.isInteger(env.v) || env.v < 1) {
+    throw new Error('missing schema version');
+  }
+  if (env.v > store.version) throw new Error(`saved by a newer version (v${env.v})`);
+  let data = env.data;
+  for (let v = env.v + 1; v <= store.version; v++) {
+    const step = store.migrations[v];
+    if (typeof step !== 'function') throw new Error(`no migration to v${v}`);
+    data = step(data);
+  }
+  const valid = store.validate(data);
+  if (valid == null) throw new Error('payload failed validation');
+  return { data: valid, migrated: env.v !== store.version };
+}
+
+export function loadStore(name) {
+  const store = getStore(name);
+  let raw = readRaw(store.key);
+  let env = null;
+  let fromLegacy = false;
+
+  if (raw == null && store.legacyKey) {
+    raw = readRaw(store.legacyKey);
+    if (raw == null) return store.fallback();
+    fromLegacy = true;
+  } else if (raw == null) {
+    return store.fallback();
+  }
+
+  try {
+    const parsed = JSON.parse(raw);
+    env = fromLegacy ? { v: 1, data: parsed } : parsed;
+  } catch {
+    backupCorrupt(store, raw, 'unreadable JSON');
+    if (fromLegacy) removeKey(store.legacyKey);
+    return store.fallback();
+  }
+
+  if (Number.isInteger(env?.v) && env.v > store.version) {
+    // Never overwrite data from a newer build; run on defaults this session.
+    console.warn(`[storage] ${store.name}: saved by a newer version (v${env.v}); not touching it`);
+    store.readOnly = true;
+    return store.fallback();
+  }
+
+  try {
+    const { data, migrated } = upgradeEnvelope(store, env);
+    if (migrated || fromLegacy) {
+      saveStore(name, data);
+      if (fromLegacy) removeKey(store.legacyKey);
+    }
+    return data;
+  } catch (err) {
+    backupCorrupt(store, raw, err.message);
+    if (fromLegacy) removeKey(store.legacyKey);
+    return store.fallback();
+  }
+}
+
+export function saveStore(name, data) {
+  const store = getStore(name);
+  if (store.readOnly) return;
+  saveJSON(store.key, { v: store.version, data });
+}
+
+// ── Whole-profile export / import ─────────────────────────────────────────────
+export function exportProfile() {
+  const stores = {};
+  for (const store of _stores.values()) {
+    stores[store.name] = { v: store.version, data: loadStore(store.name) };
+  }
+  return { app: 'capsuleHavoc', format: PROFILE_FORMAT, exportedAt: new Date().toISOString(), stores };
+}
+
+// All-or-nothing: every known store in the file is migrated + validated (each
+// store's own field-by-field validator) before anything is written. Unknown stores are ignored. Returns the imported names.
+export function importProfile(profile) {
+  if (!profile || profile.app !== 'capsuleHavoc' || typeof profile.stores !== 'object') {
+    throw new Error('Not a Capsule Havoc profile');
+  }
+  if ((profile.format | 0) > PROFILE_FORMAT) throw new Error('Profile is from a newer version');
+
+  const staged = [];
+  for (const [name, env] of Object.entries(profile.stores)) {
+    const store = _stores.get(name);
+    if (!store) continue;
+    try {
+      staged.push([name, upgradeEnvelope(store, env).data]);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+  for (const [name, data] of staged) {
+    _stores.get(name).readOnly = false;
+    saveStore(name, data);
+  }
+  return staged.map(([name]) => name);
+}
@@ -1,6 +1,7 @@
 // ─── ui/upgrades.js ──────────────────────────────────────────────────────────
 // Draft-style upgrade shop: 3 random choices per shop from the 4 category pools,
-// with a Luck-based 4th option possible later in the run.
+// with a Luck-based 4th option possible later in the run. The catalogue and the
+// shop / chest rolls live in upgradeCatalog.js (shared with the sim).
 
 import { state } from '../state.js';
 import { playSound } from '../audio.js';
@@ -8,264 +9,24 @@ import { syncOrbitBullets } from '../weapons.js';
 import { getFireInterval, getWaveBullets, getBulletDamage } from '../xp.js';
 import { updateHealthBar } from '../player.js';
 import { initHudCoin } from '../hudCoin.js';
-import { recomputeLuck, getFourthOptionChance } from '../luck.js';
-import { getPlayerMaxHPForLevel, getMagnetAttractRangeForTier } from '../constants.js';
+import { getFourthOptionChance } from '../luck.js';
+import { getMagnetAttractRangeForTier } from '../constants.js';
+import { getCritChance, getCritMultiplier } from '../progression.js';
+import { WEAPON_DEFS, getWeaponStats, isWeaponActive } from '../weaponDefs.js';
+import { recordChoice, takeReplayChoice, deferReplayChoice } from '../replay.js';
+import { KillSource } from '../events.js';
+import { getWeaponBreakdown, formatStat } from '../weaponStats.js';
+import {
+  getTier, getTierBonusPct, XP_GROWTH_BONUS_PCT, COIN_BONUS_PCT, getShopCostForTier,
+  rollShopChoices, rollChestReward, takeUpgradeTier, findUpgrade,
+} from '../upgradeCatalog.js';
 
 function $(id) { return document.getElementById(id); }
 function clamp(v, a, b){ return Math.max(a, Math.min(b, v)); }
-function shuffle(arr){
-  const out = [...arr];
-  for (let i = out.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [out[i], out[j]] = [out[j], out[i]];
-  }
-  return out;
-}
-function choice(arr){ return arr[Math.floor(Math.random() * arr.length)]; }
-
-function getRawTier(key){
-  return Math.max(0, state.upg?.[key] || 0);
-}
-
-function getTargetedSystemsTier(){
-  return Math.max(
-    0,
-    getRawTier('targetedCooldown'),
-    getRawTier('targetedDamage'),
-    getRawTier('targetedRange'),
-  );
-}
-
-function getLightningSystemsTier(){
-  return Math.max(
-    0,
-    getRawTier('lightning'),
-    getRawTier('lightningDamage'),
-    getRawTier('lightningCooldown'),
-  );
-}
-
-function getTier(key){
-  if (key === 'targetedCooldown' || key === 'targetedDamage' || key === 'targetedRange') {
-    return getTargetedSystemsTier();
-  }
-  if (key === 'lightning' || key === 'lightningDamage' || key === 'lightningCooldown') {
-    return getLightningSystemsTier();
-  }
-  return getRawTier(key);
-}
-
-function getUpgradeCategoryId(key){
-  for (const category of CATEGORIES) {
-    if (category.upgrades.some(upg => upg.key === key)) return category.id;
-  }
-  return 'other';
-}
 
+// Primary weapon of the current character (characters.js → applyCharacter).
 function getLoadoutWeapon(){
-  if (state.characterPrimaryWeapon === 'laser' || state.characterPrimaryWeapon === 'slash') {
-    return state.characterPrimaryWeapon;
-  }
-  if (state.selectedCharacter === 'blue') return 'laser';
-  if (state.selectedCharacter === 'red') return 'slash';
-  return null;
-}
-
-function meetsRequirement(upgDef){
-  const req = upgDef?.requires;
-  if (!req) return true;
-  const needKey = req.key;
-  const minTier = Number.isFinite(req.minTier) ? req.minTier : 1;
-  return getTier(needKey) >= minTier;
-}
-
-function getTierBonusPct(table, tier){
-  const idx = Math.max(0, Math.min(table.length - 1, Math.floor(tier || 0)));
-  return table[idx] ?? 0;
-}
-
-const STANDARD_COSTS = [10, 50, 250, 1000, 2000];
-const MULTISHOT_COSTS = [1000, 2000];
-const XP_GROWTH_BONUS_PCT = [0, 10, 20, 30, 40, 50];
-const COIN_BONUS_PCT = [0, 10, 20, 30, 40, 50];
-
-const CATEGORIES = [
-  {
-    id: 'weapons', label: 'Weapons',
-    upgrades: [
-      { key: 'laserFire', name: 'Laser Fire', costs: STANDARD_COSTS,
-        desc: t => [
-          '7 laser projectiles',
-          '8 laser projectiles',
-          '9 laser projectiles',
-          '10 laser projectiles',
-          '10 projectiles + rotating firing positions',
-        ][t - 1] || `Tier ${t}` },
-      { key: 'orbit', name: 'Orbit Weapon', costs: STANDARD_COSTS,
-        desc: t => t === 1 ? 'Unlocks orbiting bullets' : `Adds orbit strength (Tier ${t})` },
-      { key: 'dmg', name: 'Damage', costs: STANDARD_COSTS,
-        desc: t => `+10% weapon damage (Tier ${t})` },
-      { key: 'fireRate', name: 'Fire Rate', costs: STANDARD_COSTS,
-        desc: t => `-10% shot cooldown (Tier ${t})` },
-      { key: 'projSpeed', name: 'Projectile Speed', costs: STANDARD_COSTS,
-        desc: t => `+20% projectile speed (Tier ${t})` },
-      { key: 'piercing', name: 'Piercing', costs: STANDARD_COSTS,
-        desc: t => `+1 enemy pierced per shot (Tier ${t})` },
-      { key: 'multishot', name: 'Multi-Shot', costs: MULTISHOT_COSTS,
-        desc: t => t === 1 ? '2 shot burst' : '3 shot burst' },
-      { key: 'targetedFire', name: 'Targeted Shot', costs: STANDARD_COSTS,
-        desc: t => [
-          'Unlocks auto-targeting shot',
-          'Fires faster and farther',
-          'Improves cadence and reach',
-          'Fires much faster',
-          'Maximum lock speed',
-        ][t - 1] || `Tier ${t}` },
-      { key: 'targetedCooldown', name: 'Targeted Systems', costs: STANDARD_COSTS,
-        requires: { key: 'targetedFire', minTier: 1 },
-        desc: t => `+${t * 15}% dmg/range/speed, -${t * 15}% cooldown (Tier ${t})` },
-      { key: 'lightning', name: 'Lightning', costs: STANDARD_COSTS,
-        desc: t => [
-          'Unlocks 1 lightning strike',
-          '2 strikes • +15% dmg • -10% cooldown • +0.25s stun',
-          '3 strikes • +30% dmg • -20% cooldown • +0.50s stun',
-          '4 strikes • +45% dmg • -30% cooldown • +0.75s stun',
-          '5 strikes • +60% dmg • -40% cooldown • +1.00s stun',
-        ][t - 1] || `Tier ${t}` },
-    ],
-  },
-  {
-    id: 'movement', label: 'Movement',
-    upgrades: [
-      { key: 'moveSpeed', name: 'Move Speed', costs: STANDARD_COSTS,
-        desc: t => `+8% movement speed (Tier ${t})` },
-      { key: 'dash', name: 'Dash', costs: STANDARD_COSTS,
-        desc: t => [
-          'Unlocks short dash (Shift key)',
-          'Improves dash distance and cooldown',
-          'Adds i-frames during dash',
-          'Further improves dash distance and cooldown',
-          'Max dash distance and cooldown',
-        ][t - 1] || `Tier ${t}` },
-      { key: 'magnet', name: 'Magnet Radius', costs: STANDARD_COSTS,
-        desc: t => `+12.5% item attraction radius (Tier ${t})` },
-    ],
-  },
-  {
-    id: 'abilities', label: 'Abilities',
-    upgrades: [
-      { key: 'shield', name: 'Shield', costs: STANDARD_COSTS,
-        desc: t => [
-          'Rechargeable bubble shield (1 hit)',
-          'Faster shield recharge',
-          '2-hit bubble shield',
-          'Much faster shield recharge',
-          '3-hit bubble shield',
-        ][t - 1] || `Tier ${t}` },
-    ],
-  },
-  {
-    id: 'powerups', label: 'Power Ups',
-    upgrades: [
-      { key: 'maxHealth', name: 'Max Health', costs: STANDARD_COSTS,
-        desc: t => `+10% max HP (Tier ${t})` },
-      { key: 'regen', name: 'Health Regen', costs: STANDARD_COSTS,
-        desc: t => `+${t} HP/sec regeneration` },
-      { key: 'xpGrowth', name: 'XP Growth', costs: STANDARD_COSTS,
-        desc: t => `+${getTierBonusPct(XP_GROWTH_BONUS_PCT, t)}% XP from kills (Tier ${t})` },
-      { key: 'coinBonus', name: 'Coin Bonus', costs: STANDARD_COSTS,
-        desc: t => `+${getTierBonusPct(COIN_BONUS_PCT, t)}% coins per kill (Tier ${t})` },
-    ],
-  },
-];
-
-const ALL_UPGRADES = CATEGORIES.flatMap(cat => cat.upgrades);
-const CHEST_ONLY_REWARDS = [
-  {
-    key: 'curse',
-    name: 'Curse ⚠',
-    chestOnly: true,
-    costs: STANDARD_COSTS,
-    desc: t => `Enemies +20% HP/DMG → +25% coins, +10% XP (Tier ${t})`,
-  },
-];
-const RED_LASER_LOCKOUT = new Set(['laserFire', 'fireRate', 'projSpeed', 'piercing', 'multishot']);
-const BLUE_SLASH_LOCKOUT = new Set(['slash', 'slashRate', 'slashRadius', 'slashArc', 'slashDamage']);
-
-function isUpgradeAllowedForLoadout(upg){
-  const loadout = getLoadoutWeapon();
-  if (loadout === 'slash' && RED_LASER_LOCKOUT.has(upg.key)) return false;
-  if (loadout === 'laser' && BLUE_SLASH_LOCKOUT.has(upg.key)) return false;
-  return true;
-}
-
-function isTierOneOnlyWindow(level){
-  return Math.max(1, Math.floor(level || state.playerLevel || 1)) <= 3;
-}
-
-function isEligibleForShopWindow(upg, level){
-  const cur = getTier(upg.key);
-  if (cur >= upg.costs.length) return false;
-  if (!meetsRequirement(upg) || !isUpgradeAllowedForLoadout(upg)) return false;
-  if (isTierOneOnlyWindow(level)) {
-    return cur === 0 && upg.key !== 'multishot';
-  }
-  return true;
-}
-
-function getShopCostForTier(upg, currentTier, freeShop = false, level = state.playerLevel){
-  if (freeShop && currentTier === 0 && upg.key !== 'multishot') return 0;
-  const baseCost = upg.costs[currentTier] ?? Number.POSITIVE_INFINITY;
-  const L = Math.max(1, Math.floor(level || state.playerLevel || 1));
-  if (currentTier === 0 && upg.costs === STANDARD_COSTS && L >= 3) return Math.max(baseCost, 20);
-  return baseCost;
-}
-
-function canAffordShopUpgrade(upg, level, freeShop = false){
-  if (!isEligibleForShopWindow(upg, level)) return false;
-  const cur = getTier(upg.key);
-  return (state.coins || 0) >= getShopCostForTier(upg, cur, freeShop, level);
-}
-
-function getEligibleUpgrades(category, level, freeShop = false){
-  return category.upgrades.filter(upg => canAffordShopUpgrade(upg, level, freeShop));
-}
-
-function getDesiredOptionCount(level){
-  recomputeLuck();
-  const L = Math.max(1, Math.floor(level || state.playerLevel || 1));
-  const canRollFourth = L >= 20 && (state.luck || 0) >= 10;
-  if (!canRollFourth) return 3;
-  return Math.random() < getFourthOptionChance() ? 4 : 3;
-}
-
-function rollShopChoices(level, freeShop = false){
-  const desired = getDesiredOptionCount(level);
-  const categories = shuffle(CATEGORIES.filter(cat => getEligibleUpgrades(cat, level, freeShop).length > 0));
-  const picks = [];
-  const usedKeys = new Set();
-
-  for (const cat of categories) {
-    if (picks.length >= Math.min(desired, CATEGORIES.length)) break;
-    const options = getEligibleUpgrades(cat, level, freeShop).filter(upg => !usedKeys.has(upg.key));
-    if (!options.length) continue;
-    const pick = choice(options);
-    picks.push({ category: cat.id, upgrade: pick });
-    usedKeys.add(pick.key);
-  }
-
-  if (picks.length < desired) {
-    const fallbackPool = shuffle(ALL_UPGRADES.filter(upg => {
-      return !usedKeys.has(upg.key) && canAffordShopUpgrade(upg, level, freeShop);
-    }));
-    while (picks.length < desired && fallbackPool.length) {
-      const upg = fallbackPool.shift();
-      picks.push({ category: 'bonus', upgrade: upg });
-      usedKeys.add(upg.key);
-    }
-  }
-
-  return picks;
+  return state.characterPrimaryWeapon || null;
 }
 
 function getShopBottomHint(level){
@@ -277,75 +38,10 @@ function getShopBottomHint(level){
   return `Luck can reveal a 4th option on shop open. Current chance: ${pct}%`;
 }
 
-function applyUpgradeEffect(key, newTier) {
-  switch (key) {
-    case 'dash':
-      if (newTier >= 1) state.hasDash = true;
-      break;
-
-    case 'luck':
-      try { recomputeLuck(); } catch {}
-      break;
-
-    case 'maxHealth': {
-      const levelBase = Math.max(1, getPlayerMaxHPForLevel(state.playerLevel || 1));
-      const prevMax = Math.max(1, state.playerMaxHP || levelBase);
-      const prevHP = Math.max(0, state.playerHP || prevMax);
-      const wasFull = prevHP >= (prevMax - 0.001);
-      const pct = Math.max(0, Math.min(1, prevHP / prevMax));
-      const newMax = Math.round(levelBase * (1 + 0.10 * newTier));
-      state.playerMaxHP = newMax;
-      state.playerHP = wasFull ? newMax : Math.max(1, Math.round(pct * newMax));
-      try { updateHealthBar(); } catch {}
-      break;
-    }
-
-    case 'shield':
-      if (newTier >= 1 && (state.shieldCharges || 0) <= 0) {
-        state.shieldCharges = 1;
-        state.shieldRecharge = 0;
-      }
-      if (newTier >= 3) state.shieldCharges = Math.max(state.shieldCharges, 2);
-      if (newTier >= 5) state.shieldCharges = Math.max(state.shieldCharges, 3);
-      break;
-
-    case 'laserFire':
-      state.weaponTier = Math.max(state.weaponTier || 0, newTier);
-      break;
-
-    case 'orbit':
-    case 'dmg':
-    case 'fireRate':
-    case 'projSpeed':
-    case 'multishot':
-      try { syncOrbitBullets(); } catch {}
-      break;
-
-    case 'targetedFire':
-      state.upg.targetedFire = Math.max(state.upg.targetedFire || 0, newTier);
-      try { syncOrbitBullets(); } catch {}
-      break;
-
-    case 'targetedDamage':
-    case 'targetedCooldown':
-    case 'targetedRange':
-      state.upg.targetedFire = Math.max(state.upg.targetedFire || 0, 1);
-      state.upg.targetedCooldown = newTier;
-      state.upg.targetedDamage = newTier;
-      state.upg.targetedRange = newTier;
-      try { syncOrbitBullets(); } catch {}
-      break;
-
-    case 'lightning':
-    case 'lightningDamage':
-    case 'lightningCooldown':
-      state.upg.lightning = Math.max(getLightningSystemsTier(), newTier);
-      try { syncOrbitBullets(); } catch {}
-      break;
-
-    default:
-      break;
-  }
+function applyUpgradeEffect(upg, cost, source) {
+  const refresh = takeUpgradeTier(upg, cost, source);
+  if (refresh.health) { try { updateHealthBar(); } catch {} }
+  if (refresh.orbit) { try { syncOrbitBullets(); } catch {} }
 }
 
 let _statsPanel = null;
@@ -354,6 +50,34 @@ let _shopLevel = 1;
 let _purchaseLocked = false;
 let _onClose = null;
 let _firstLevelUpFreeShop = false;
+let _chestTier = null;
+let _chestItems = [];
+let _resumeOffers = null;
+
+// The shop or chest open right now, as plain data for runSave.js. A run quit
+// with it open re-offers exactly these on resume instead of rolling again.
+export function getOpenOffers() {
+  if (!state.upgradeOpen) return null;
+  if (_chestItems.length) return { kind: 'chest', tier: _chestTier, keys: _chestItems.map(u => u.key) };
+  if (_shopChoices.length) {
+    return {
+      kind: 'shop', level: _shopLevel, free: _firstLevelUpFreeShop,
+      choices: _shopChoices.map(c => ({ key: c.key, category: c.category, bought: c.bought })),
+    };
+  }
+  return null;
+}
+
+// Hands saved offers (getOpenOffers) to the next shop or chest of that kind.
+export function resumeOpenOffers(offers) {
+  _resumeOffers = offers || null;
+}
+
+function takeResumedOffers(kind) {
+  const offers = _resumeOffers?.kind === kind ? _resumeOffers : null;
+  if (offers) _resumeOffers = null;
+  return offers;
+}
 
 function ensureStatsPanel(){
   if (_statsPanel) return _statsPanel;
@@ -396,7 +120,6 @@ function updateStatsPanel(){
   const fire = getFireInterval();
   const loadout = getLoadoutWeapon();
   const laserTier = getTier('laserFire');
-  const orbitTier = getTier('orbit');
   const dmgTier = getTier('dmg');
   const fireRateTier = getTier('fireRate');
   const msTier = getTier('multishot');
@@ -416,7 +139,6 @@ function updateStatsPanel(){
   const coinBonusTier = getTier('coinBonus');
   const curseTier = getTier('curse');
   const armorHits = Math.max(0, state.armorHits || 0);
-  const slashDmg = Math.max(1, Math.round(bulletDmg * 1.8));
   const totalProjectiles = Math.max(1, waveDirs) * (1 + msTier);
   const dashCd = dashTier > 0 ? (dashTier >= 5 ? 1.36 : dashTier >= 4 ? 1.64 : dashTier >= 3 ? 2.00 : dashTier >= 2 ? 2.40 : 2.80) : 0;
   const magnetRadius = getMagnetAttractRangeForTier(magnetTier, false);
@@ -426,20 +148,33 @@ function updateStatsPanel(){
   const rows = [
     _statSection('CORE'),
     _statRow('HP', `${hp} / ${maxHp}`),
+    _statRow('Crit', `${Math.round(getCritChance() * 100)}% • ${getCritMultiplier().toFixed(2)}× dmg`),
   ];
 
   rows.push(_statSection('WEAPONS'));
-  if (loadout !== 'laser') rows.push(_statRow('Slash DMG', `${slashDmg}`));
+  const slash = getWeaponStats(KillSource.SLASH);
+  if (slash) rows.push(_statRow('Slash DMG', `${slash.damage}`));
+  const disc = getWeaponStats(KillSource.DISC);
+  if (disc) {
+    rows.push(_statRow('Disc DMG', `${disc.damage} • ${disc.bounces} ricochets`));
+    rows.push(_statRow('Disc Interval', `${disc.cooldown.toFixed(2)}s${disc.count > 1 ? ` • ${disc.count} discs` : ''}`));
+  }
   if (laserTier > 0 || loadout === 'laser' || (state.weaponTier || 0) >= 1) {
     rows.push(_statRow('Laser DMG', `${bulletDmg} / shot`));
     rows.push(_statRow('Volley', `${Math.max(1, totalProjectiles)} proj`));
     rows.push(_statRow('Fire Interval', `${fire.toFixed(2)}s`));
   }
-  if (orbitTier > 0) rows.push(_statRow('Orbit DMG', `${bulletDmg} / hit`));
-  const _tsBonusPcts = [0, 15, 20, 25, 30, 50];
-  const tsBonusPct = _tsBonusPcts[Math.min(targetedSystemsTier, 5)] || 0;
-  if (targetedTier > 0) rows.push(_statRow('Targeted Shot', `T${targetedTier} • ${Math.round(bulletDmg * (1 + tsBonusPct / 100))} dmg`));
-  if (lightningTier > 0) rows.push(_statRow('Lightning', `${Math.min(5, lightningTier)} strike${Math.min(5, lightningTier) === 1 ? '' : 's'}`));
+  const orbit = getWeaponStats(KillSource.ORBIT);
+  if (orbit) rows.push(_statRow('Orbit DMG', `${orbit.damage} / hit`));
+  const targeted = getWeaponStats(KillSource.TARGETED);
+  const tsBonusPct = [0, 15, 20, 25, 30, 50][Math.min(targetedSystemsTier, 5)] || 0;
+  if (targeted && targetedTier > 0) rows.push(_statRow('Targeted Shot', `T${targetedTier} • ${targeted.damage} dmg`));
+  const lightning = getWeaponStats(KillSource.LIGHTNING);
+  if (lightning && lightningTier > 0) rows.push(_statRow('Lightning', `${lightning.count} strike${lightning.count === 1 ? '' : 's'}`));
+  for (const def of WEAPON_DEFS) {
+    if (!def.evolution || !isWeaponActive(def)) continue;
+    rows.push(_statRow(`${def.name} ✦`, `${getWeaponStats(def.id).damage} dmg`));
+  }
 
   const ownedRows = [];
   if (dmgTier > 0) ownedRows.push(_statRow('Damage Bonus', `+${dmgTier * 10}%`));
@@ -447,6 +182,14 @@ function updateStatsPanel(){
   if (msTier > 0 && (laserTier > 0 || loadout === 'laser')) ownedRows.push(_statRow('Multishot', `+${msTier} / dir`));
   if (psTier > 0 && (laserTier > 0 || loadout === 'laser')) ownedRows.push(_statRow('Proj Speed', `+${psTier * 20}%`));
   if (pierce > 0) ownedRows.push(_statRow('Piercing', `+${pierce}`));
+  const burn = (getWeaponStats(KillSource.LASER) || getWeaponStats(KillSource.RAIL_LANCE))?.status;
+  if (burn) ownedRows.push(_statRow('Ignite', `${burn.dps.toFixed(1)} dmg/s per stack • ${burn.duration.toFixed(2)}s`));
+  const chill = (getWeaponStats(KillSource.ORBIT) || getWeaponStats(KillSource.STORM_HALO))?.status;
+  if (chill) ownedRows.push(_statRow('Frost Orbit', `-${Math.round(chill.slow * 100)}% speed • ${chill.duration.toFixed(2)}s`));
+  const poison = (getWeaponStats(KillSource.SLASH) || getWeaponStats(KillSource.DISC) || getWeaponStats(KillSource.RAZOR_HALO))?.status;
+  if (poison) ownedRows.push(_statRow('Venom', `${poison.dps.toFixed(1)} dmg/s per stack • ${poison.duration.toFixed(2)}s`));
+  const shock = getWeaponStats(KillSource.TARGETED)?.status;
+  if (shock) ownedRows.push(_statRow('Static Rounds', `-${Math.round(shock.jam * 100)}% attack speed • ${shock.duration.toFixed(2)}s`));
   if (moveTier > 0) ownedRows.push(_statRow('Move Speed', `+${moveTier * 8}%`));
   if (dashTier > 0) ownedRows.push(_statRow('Dash CD', `${dashCd.toFixed(2)}s`));
   if (magnetTier > 0) ownedRows.push(_statRow('Magnet Radius', `${magnetRadius.toFixed(2)} radius`));
@@ -469,6 +212,14 @@ function updateStatsPanel(){
     rows.push(...ownedRows);
   }
 
+  const weaponRows = getWeaponBreakdown();
+  if (weaponRows.length > 0) {
+    rows.push(_statSection('THIS RUN'));
+    for (const w of weaponRows) {
+      rows.push(_statRow(w.label, `${formatStat(w.damage)} dmg (${Math.round(w.share * 100)}%) • ${w.kills} kills • ${formatStat(w.dps)} DPS`));
+    }
+  }
+
   body.innerHTML = rows.join('');
 }
 
@@ -550,6 +301,30 @@ function ensureShopStyles() {
       font-family:var(--mono,monospace); font-size:10px;
       color:rgba(255,255,255,0.3); margin-top:3px; line-height:1.4;
     }
+    #chestOverlay .chest-item.evolution {
+      position:relative; border-color:rgba(255,210,74,0.55);
+      background:linear-gradient(120deg,rgba(255,210,74,0.10),rgba(179,136,255,0.10));
+      box-shadow:0 0 18px rgba(255,210,74,0.18), 0 0 0 1px rgba(255,210,74,0.2) inset;
+      animation:chestEvoPulse 1.6s ease-in-out infinite;
+    }
+    #chestOverlay .chest-item.evolution:hover {
+      background:linear-gradient(120deg,rgba(255,210,74,0.18),rgba(179,136,255,0.16));
+      border-color:rgba(255,210,74,0.85);
+    }
+    #chestOverlay .chest-item.evolution .ci-name { color:#ffe08a; }
+    #chestOverlay .chest-item.evolution .ci-desc { color:rgba(255,240,200,0.6); }
+    #chestOverlay .ci-tag {
+      float:right; font-family:var(--mono,monospace); font-size:8px; letter-spacing:.2em;
+      padding:2px 6px; border-radius:3px; color:#06080f; background:#ffd24a;
+    }
+    #chestOverlay .ci-recipe {
+      font-family:var(--mono,monospace); font-size:9px; letter-spacing:.08em;
+      color:rgba(179,136,255,0.85); margin-top:4px;
+    }
+    @keyframes chestEvoPulse {
+      0%,100% { box-shadow:0 0 14px rgba(255,210,74,0.14), 0 0 0 1px rgba(255,210,74,0.2) inset; }
+      50%     { box-shadow:0 0 26px rgba(255,210,74,0.32), 0 0 0 1px rgba(255,210,74,0.35) inset; }
+    }
     #chestOverlay .chest-close {
       font-family:var(--mono,monospace); font-size:9px; letter-spacing:.18em;
       text-transform:uppercase; color:rgba(255,255,255,0.18);
@@ -570,6 +345,19 @@ function updateCoinsUI() {
   if (el) el.textContent = String(state.coins || 0);
 }
 
+function purchaseShopChoice(choiceItem) {
+  const upg = choiceItem.upgrade;
+  const currentTier = getTier(upg.key);
+  if (currentTier >= upg.costs.length) return false;
+  const nextCost = getDisplayedUpgradeCost(upg, currentTier);
+  if ((state.coins || 0) < nextCost) return false;
+  applyUpgradeEffect(upg, nextCost, 'shop');
+  playSound?.('purchase', 0.8);
+  choiceItem.bought = true;
+  _purchaseLocked = choiceItem.key;
+  return true;
+}
+
 function renderShop() {
   const list = $('upgradeList');
   if (!list) return;
@@ -663,18 +451,17 @@ function renderShop() {
 
     btn.addEventListener('click', () => {
       if (btn.disabled || _purchaseLocked) return;
-      if ((state.coins || 0) < nextCost) return;
-      state.coins -= nextCost;
-      state.upg[upg.key] = currentTier + 1;
-      applyUpgradeEffect(upg.key, currentTier + 1);
-      playSound?.('purchase', 0.8);
-      choiceItem.bought = true;
-      _purchaseLocked = choiceItem.key;
+      if (!purchaseShopChoice(choiceItem)) return;
       updateCoinsUI();
       updateStatsPanel();
       renderShop();
     });
 
+    // The whole card is the tap target (small buy buttons are hard to hit on touch).
+    row.addEventListener('click', (e) => {
+      if (!btn.contains(e.target)) btn.click();
+    });
+
     row.appendChild(left);
     row.appendChild(btn);
     list.appendChild(row);
@@ -692,15 +479,39 @@ function renderShop() {
 
 export function openUpgradeShop(level, onClose) {
   _onClose = typeof onClose === 'function' ? onClose : null;
-  _shopLevel = Math.max(1, Math.floor(level || state.playerLevel || 1));
-  _firstLevelUpFreeShop = !state.firstLevelUpShopHandled && _shopLevel <= 2;
-  _shopChoices = rollShopChoices(_shopLevel, _firstLevelUpFreeShop).map(item => ({
-    key: item.upgrade.key,
-    category: item.category,
-    upgrade: item.upgrade,
-    bought: false,
-  }));
-  _purchaseLocked = false;
+  const resumed = takeResumedOffers('shop');
+  if (resumed) {
+    _shopLevel = resumed.level;
+    _firstLevelUpFreeShop = resumed.free;
+    _shopChoices = resumed.choices
+      .map(c => ({ key: c.key, category: c.category, upgrade: findUpgrade(c.key), bought: c.bought }))
+      .filter(c => c.upgrade);
+  } else {
+    _shopLevel = Math.max(1, Math.floor(level || state.playerLevel || 1));
+    _firstLevelUpFreeShop = !state.firstLevelUpShopHandled && _shopLevel <= 2;
+    _shopChoices = rollShopChoices(_shopLevel, _firstLevelUpFreeShop).map(item => ({
+      key: item.upgrade.key,
+      category: item.category,
+      upgrade: item.upgrade,
+      bought: false,
+    }));
+  }
+  _purchaseLocked = _shopChoices.find(c => c.bought)?.key || false;
+
+  // Replay playback: the shop stays hidden but pauses like a live one; the
+  // recorded pick lands where the click did, before the next tick.
+  const replayPick = takeReplayChoice('shop');
+  if (replayPick !== undefined) {
+    state.upgradeOpen = true;
+    state.paused = true;
+    deferReplayChoice(() => {
+      const item = _shopChoices.find(c => c.key === replayPick);
+      if (item) purchaseShopChoice(item);
+      closeUpgradeShopIfOpen();
+      if (_onClose) _onClose();
+    });
+    return;
+  }
 
   const overlay = $('upgradeOverlay');
   if (!overlay) return;
@@ -718,6 +529,7 @@ export function openUpgradeShop(level, onClose) {
   const btn = $('upgradeContinueBtn');
   if (btn) {
     btn.onclick = () => {
+      recordChoice('shop', _purchaseLocked || null);
       closeUpgradeShopIfOpen();
       if (_onClose) _onClose();
     };
@@ -739,35 +551,6 @@ export function closeUpgradeShopIfOpen() {
   try { document.body.classList.remove('is-shop'); } catch {}
 }
 
-function rollChestItemCount() {
-  const luck = state.luck || 0;
-  const p1 = luck <= 0  ? 0.70 : luck <= 10 ? 0.45 : luck <= 20 ? 0.20 : 0.00;
-  const p5 = luck <= 0  ? 0.05 : luck <= 10 ? 0.15 : luck <= 20 ? 0.25 : 0.368;
-  const r = Math.random();
-  if (r < p5) return 5;
-  if (r < p5 + (1 - p1 - p5)) return 3;
-  return 1;
-}
-
-function pickChestItems(count, chestTier) {
-  const tierCap = { standard: 2, rare: 4, epic: 5 }[chestTier] || 2;
-  const chestPool = [...ALL_UPGRADES, ...CHEST_ONLY_REWARDS];
-  const candidates = chestPool.filter(upg => {
-    const cur = getTier(upg.key);
-    return cur < upg.costs.length && (cur + 1) <= tierCap && meetsRequirement(upg) && isUpgradeAllowedForLoadout(upg);
-  });
-  if (!candidates.length) return [];
-
-  const weapons = shuffle(candidates.filter(upg => getUpgradeCategoryId(upg.key) === 'weapons'));
-  const abilities = shuffle(candidates.filter(upg => getUpgradeCategoryId(upg.key) === 'abilities'));
-  const others = shuffle(candidates.filter(upg => {
-    const categoryId = getUpgradeCategoryId(upg.key);
-    return categoryId !== 'weapons' && categoryId !== 'abilities';
-  }));
-
-  return [...weapons, ...abilities, ...others].slice(0, Math.min(count, candidates.length));
-}
-
 function ensureChestOverlay() {
   if ($('chestOverlay')) return;
   ensureShopStyles();
@@ -782,7 +565,10 @@ function ensureChestOverlay() {
     </div>
   `;
   document.body.appendChild(el);
-  $('chestSkipBtn').addEventListener('click', closeChestOverlay);
+  $('chestSkipBtn').addEventListener('click', () => {
+    recordChoice('chest', null);
+    closeChestOverlay();
+  });
 }
 
 function closeChestOverlay() {
@@ -790,14 +576,22 @@ function closeChestOverlay() {
   if (el) el.classList.remove('show');
   state.upgradeOpen = false;
   state.paused = false;
+  _chestTier = null;
+  _chestItems = [];
   try { document.body.classList.remove('is-shop'); } catch {}
 }
 
+function takeChestItem(upg) {
+  applyUpgradeEffect(upg, 0, 'chest');
+  playSound?.('chest_item_select', 0.7);
+}
+
 export function openChestReward(tier = 'standard') {
   ensureChestOverlay();
   ensureShopStyles();
-  const count = rollChestItemCount();
-  const items = pickChestItems(count, tier);
+  const resumed = takeResumedOffers('chest');
+  const items = resumed ? resumed.keys.map(findUpgrade).filter(Boolean) : rollChestReward(tier).items;
+  const evolution = items.some(u => u.evolution);
   const overlay = $('chestOverlay');
   const title = $('chestOverlayTitle');
   const sub = $('chestOverlaySub');
@@ -805,11 +599,22 @@ export function openChestReward(tier = 'standard') {
   if (!overlay || !list) return;
 
   if (!items.length) {
-    const payout = count * 50;
-    state.coins += payout;
     const coinEl = document.getElementById('coin-count');
     if (coinEl) coinEl.textContent = state.coins;
-    playSound?.('coin', 0.6, 1.0);
+    return;
+  }
+
+  // Replay playback: same as the shop — paused without the overlay until the
+  // recorded item (or skip) is taken before the next tick.
+  const replayPick = takeReplayChoice('chest');
+  if (replayPick !== undefined) {
+    state.upgradeOpen = true;
+    state.paused = true;
+    deferReplayChoice(() => {
+      const upg = items.find(it => it.key === replayPick);
+      if (upg) takeChestItem(upg);
+      closeChestOverlay();
+    });
     return;
   }
 
@@ -817,22 +622,32 @@ export function openChestReward(tier = 'standard') {
   const tierColor = { standard: '#ffe566', rare: '#55ccff', epic: '#cc55ff' }[tier] || '#ffe566';
   title.textContent = tierLabel;
   title.style.color = tierColor;
-  sub.textContent = `${items.length} item${items.length > 1 ? 's' : ''} found — choose one to keep`;
+  sub.textContent = evolution
+    ? `Weapon evolution ready — ${items.length} item${items.length > 1 ? 's' : ''}, choose one to keep`
+    : `${items.length} item${items.length > 1 ? 's' : ''} found — choose one to keep`;
 
   list.innerHTML = '';
   state.upgradeOpen = true;
   state.paused = true;
+  _chestTier = tier;
+  _chestItems = items;
 
   items.forEach(upg => {
     const cur = getTier(upg.key);
     const nextT = cur + 1;
     const cost = getShopCostForTier(upg, cur, false, state.playerLevel) || 0;
     const div = document.createElement('div');
-    div.className = 'chest-item';
+    div.className = upg.evolution ? 'chest-item evolution' : 'chest-item';
 
     const nameEl = document.createElement('div');
     nameEl.className = 'ci-name';
-    nameEl.textContent = `${upg.name}  →  Tier ${nextT}`;
+    nameEl.textContent = upg.evolution ? upg.name : `${upg.name}  →  Tier ${nextT}`;
+    if (upg.evolution) {
+      const tag = document.createElement('span');
+      tag.className = 'ci-tag';
+      tag.textContent = 'EVOLUTION';
+      nameEl.appendChild(tag);
+    }
 
     const descEl = document.createElement('div');
     descEl.className = 'ci-desc';
@@ -840,10 +655,15 @@ export function openChestReward(tier = 'standard') {
 
     div.appendChild(nameEl);
     div.appendChild(descEl);
+    if (upg.evolution) {
+      const recipeEl = document.createElement('div');
+      recipeEl.className = 'ci-recipe';
+      recipeEl.textContent = `${upg.recipe} → evolved`;
+      div.appendChild(recipeEl);
+    }
     div.addEventListener('click', () => {
-      state.upg[upg.key] = nextT;
-      applyUpgradeEffect(upg.key, nextT);
-      playSound?.('chest_item_select', 0.7);
+      recordChoice('chest', upg.key);
+      takeChestItem(upg);
       try { updateStatsPanel(); } catch {}
       closeChestOverlay();
     });
@@ -0,0 +1,373 @@
+// ─── upgradeCatalog.js ──────────────────────────────────────────────────────
+// The upgrade catalogue (shop categories, costs, tier text, chest-only
+// rewards) and the rolls over it: the shop's draft offers and a chest's
+// items. Pure — shared by the shop / chest overlays (ui/upgrades.js) and the
+// headless sim, so both roll the same offers from the same seed.
+
+import { state } from './state.js';
+import { playSound } from './audio.js';
+import { recomputeLuck, getFourthOptionChance } from './luck.js';
+import { applyUpgradeState } from './progression.js';
+import { getWeaponDef, getReadyEvolutions } from './weaponDefs.js';
+import { isUpgradeAllowedForCharacter } from './characters.js';
+import { rand } from './rng.js';
+import { emit, GameEvent } from './events.js';
+import { formatAction } from './keymap.js';
+
+// Shop and chest rolls draw from separate seeded streams (see rng.js).
+function shuffle(arr, stream = 'shop'){
+  const out = [...arr];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rand(stream) * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+function choice(arr, stream = 'shop'){ return arr[Math.floor(rand(stream) * arr.length)]; }
+
+function getRawTier(key){
+  return Math.max(0, state.upg?.[key] || 0);
+}
+
+function getTargetedSystemsTier(){
+  return Math.max(
+    0,
+    getRawTier('targetedCooldown'),
+    getRawTier('targetedDamage'),
+    getRawTier('targetedRange'),
+  );
+}
+
+function getLightningSystemsTier(){
+  return Math.max(
+    0,
+    getRawTier('lightning'),
+    getRawTier('lightningDamage'),
+    getRawTier('lightningCooldown'),
+  );
+}
+
+export function getTier(key){
+  if (key === 'targetedCooldown' || key === 'targetedDamage' || key === 'targetedRange') {
+    return getTargetedSystemsTier();
+  }
+  if (key === 'lightning' || key === 'lightningDamage' || key === 'lightningCooldown') {
+    return getLightningSystemsTier();
+  }
+  return getRawTier(key);
+}
+
+function getUpgradeCategoryId(key){
+  for (const category of CATEGORIES) {
+    if (category.upgrades.some(upg => upg.key === key)) return category.id;
+  }
+  return 'other';
+}
+
+function meetsRequirement(upgDef){
+  const req = upgDef?.requires;
+  if (!req) return true;
+  const needKey = req.key;
+  const minTier = Number.isFinite(req.minTier) ? req.minTier : 1;
+  return getTier(needKey) >= minTier;
+}
+
+export function getTierBonusPct(table, tier){
+  const idx = Math.max(0, Math.min(table.length - 1, Math.floor(tier || 0)));
+  return table[idx] ?? 0;
+}
+
+const STANDARD_COSTS = [10, 50, 250, 1000, 2000];
+const MULTISHOT_COSTS = [1000, 2000];
+export const XP_GROWTH_BONUS_PCT = [0, 10, 20, 30, 40, 50];
+export const COIN_BONUS_PCT = [0, 10, 20, 30, 40, 50];
+
+const CATEGORIES = [
+  {
+    id: 'weapons', label: 'Weapons',
+    upgrades: [
+      { key: 'laserFire', name: 'Laser Fire', costs: STANDARD_COSTS,
+        desc: t => [
+          '7 laser projectiles',
+          '8 laser projectiles',
+          '9 laser projectiles',
+          '10 laser projectiles',
+          '10 projectiles + rotating firing positions',
+        ][t - 1] || `Tier ${t}` },
+      { key: 'disc', name: 'Ricochet Disc', costs: STANDARD_COSTS,
+        desc: t => [
+          '+1 ricochet • +12% disc damage',
+          '+1 ricochet • faster throws',
+          '+1 ricochet • longer jumps',
+          '+1 ricochet • faster throws',
+          'Throws two discs at once',
+        ][t - 1] || `Tier ${t}` },
+      { key: 'orbit', name: 'Orbit Weapon', costs: STANDARD_COSTS,
+        desc: t => t === 1 ? 'Unlocks orbiting bullets' : `Adds orbit strength (Tier ${t})` },
+      { key: 'dmg', name: 'Damage', costs: STANDARD_COSTS,
+        desc: t => `+10% weapon damage (Tier ${t})` },
+      { key: 'fireRate', name: 'Fire Rate', costs: STANDARD_COSTS,
+        desc: t => `-10% shot cooldown (Tier ${t})` },
+      { key: 'projSpeed', name: 'Projectile Speed', costs: STANDARD_COSTS,
+        desc: t => `+20% projectile speed (Tier ${t})` },
+      { key: 'piercing', name: 'Piercing', costs: STANDARD_COSTS,
+        desc: t => `+1 enemy pierced per shot (Tier ${t})` },
+      { key: 'multishot', name: 'Multi-Shot', costs: MULTISHOT_COSTS,
+        desc: t => t === 1 ? '2 shot burst' : '3 shot burst' },
+      { key: 'critChance', name: 'Critical Chance', costs: STANDARD_COSTS,
+        desc: t => `+5% chance for weapon hits to crit (Tier ${t})` },
+      { key: 'critDamage', name: 'Critical Damage', costs: STANDARD_COSTS,
+        requires: { key: 'critChance', minTier: 1 },
+        desc: t => `Crits deal ${(1.75 + 0.25 * (t - 1)).toFixed(2)}× damage (Tier ${t})` },
+      { key: 'ignite', name: 'Ignite', costs: STANDARD_COSTS,
+        desc: t => `Lasers set enemies on fire: ${10 + 5 * t}% dmg/s per stack, up to 5 stacks (Tier ${t})` },
+      { key: 'chill', name: 'Frost Orbit', costs: STANDARD_COSTS,
+        requires: { key: 'orbit', minTier: 1 },
+        desc: t => `Orbit hits chill: -${25 + 5 * t}% enemy speed for ${(1.5 + 0.25 * t).toFixed(2)}s (Tier ${t})` },
+      { key: 'venom', name: 'Venom', costs: STANDARD_COSTS,
+        desc: t => `Slash and disc hits poison: ${6 + 3 * t}% dmg/s per stack, up to 8 stacks (Tier ${t})` },
+      { key: 'shock', name: 'Static Rounds', costs: STANDARD_COSTS,
+        requires: { key: 'targetedFire', minTier: 1 },
+        desc: t => `Targeted shots shock: -${30 + 6 * t}% enemy attack speed for ${(2 + 0.25 * t).toFixed(2)}s (Tier ${t})` },
+      { key: 'targetedFire', name: 'Targeted Shot', costs: STANDARD_COSTS,
+        desc: t => [
+          'Unlocks auto-targeting shot',
+          'Fires faster and farther',
+          'Improves cadence and reach',
+          'Fires much faster',
+          'Maximum lock speed',
+        ][t - 1] || `Tier ${t}` },
+      { key: 'targetedCooldown', name: 'Targeted Systems', costs: STANDARD_COSTS,
+        requires: { key: 'targetedFire', minTier: 1 },
+        desc: t => `+${t * 15}% dmg/range/speed, -${t * 15}% cooldown (Tier ${t})` },
+      { key: 'lightning', name: 'Lightning', costs: STANDARD_COSTS,
+        desc: t => [
+          'Unlocks 1 lightning strike',
+          '2 strikes • +15% dmg • -10% cooldown • +0.25s stun',
+          '3 strikes • +30% dmg • -20% cooldown • +0.50s stun',
+          '4 strikes • +45% dmg • -30% cooldown • +0.75s stun',
+          '5 strikes • +60% dmg • -40% cooldown • +1.00s stun',
+        ][t - 1] || `Tier ${t}` },
+    ],
+  },
+  {
+    id: 'movement', label: 'Movement',
+    upgrades: [
+      { key: 'moveSpeed', name: 'Move Speed', costs: STANDARD_COSTS,
+        desc: t => `+8% movement speed (Tier ${t})` },
+      { key: 'dash', name: 'Dash', costs: STANDARD_COSTS,
+        desc: t => [
+          `Unlocks short dash (${formatAction('dash')})`,
+          'Improves dash distance and cooldown',
+          'Adds i-frames during dash',
+          'Further improves dash distance and cooldown',
+          'Max dash distance and cooldown',
+        ][t - 1] || `Tier ${t}` },
+      { key: 'magnet', name: 'Magnet Radius', costs: STANDARD_COSTS,
+        desc: t => `+12.5% item attraction radius (Tier ${t})` },
+    ],
+  },
+  {
+    id: 'abilities', label: 'Abilities',
+    upgrades: [
+      { key: 'shield', name: 'Shield', costs: STANDARD_COSTS,
+        desc: t => [
+          'Rechargeable bubble shield (1 hit)',
+          'Faster shield recharge',
+          '2-hit bubble shield',
+          'Much faster shield recharge',
+          '3-hit bubble shield',
+        ][t - 1] || `Tier ${t}` },
+    ],
+  },
+  {
+    id: 'powerups', label: 'Power Ups',
+    upgrades: [
+      { key: 'maxHealth', name: 'Max Health', costs: STANDARD_COSTS,
+        desc: t => `+10% max HP (Tier ${t})` },
+      { key: 'regen', name: 'Health Regen', costs: STANDARD_COSTS,
+        desc: t => `+${t} HP/sec regeneration` },
+      { key: 'xpGrowth', name: 'XP Growth', costs: STANDARD_COSTS,
+        desc: t => `+${getTierBonusPct(XP_GROWTH_BONUS_PCT, t)}% XP from kills (Tier ${t})` },
+      { key: 'coinBonus', name: 'Coin Bonus', costs: STANDARD_COSTS,
+        desc: t => `+${getTierBonusPct(COIN_BONUS_PCT, t)}% coins per kill (Tier ${t})` },
+    ],
+  },
+];
+
+const ALL_UPGRADES = CATEGORIES.flatMap(cat => cat.upgrades);
+const CHEST_ONLY_REWARDS = [
+  {
+    key: 'curse',
+    name: 'Curse ⚠',
+    chestOnly: true,
+    costs: STANDARD_COSTS,
+    desc: t => `Enemies +20% HP/DMG → +25% coins, +10% XP (Tier ${t})`,
+  },
+];
+
+// Display name for an upgrade key (run history, stats); falls back to the key.
+export function getUpgradeName(key) {
+  return ALL_UPGRADES.find(u => u.key === key)?.name
+    ?? CHEST_ONLY_REWARDS.find(u => u.key === key)?.name
+    ?? getWeaponDef(key)?.name
+    ?? key;
+}
+
+// Shop or chest item for `key` (run resume re-offers saved keys), or null.
+export function findUpgrade(key) {
+  return ALL_UPGRADES.find(u => u.key === key)
+    ?? CHEST_ONLY_REWARDS.find(u => u.key === key)
+    ?? getEvolutionRewards().find(u => u.key === key)
+    ?? null;
+}
+
+// Weapon evolutions whose recipe is complete (weaponDefs.js), as chest items.
+// Single tier: taking one sets state.upg[key] = 1.
+function getEvolutionRewards(){
+  return getReadyEvolutions()
+    .filter(def => isUpgradeAllowedForCharacter(def.id, state.selectedCharacter))
+    .map(def => ({
+      key: def.id,
+      name: def.name,
+      evolution: true,
+      chestOnly: true,
+      costs: [0],
+      recipe: Object.entries(def.evolution.requires).map(([k, t]) => `${getUpgradeName(k)} ${t}`).join(' + '),
+      desc: () => def.evolution.desc,
+    }));
+}
+
+function isUpgradeAllowedForLoadout(upg){
+  return isUpgradeAllowedForCharacter(upg.key, state.selectedCharacter);
+}
+
+function isTierOneOnlyWindow(level){
+  return Math.max(1, Math.floor(level || state.playerLevel || 1)) <= 3;
+}
+
+function isEligibleForShopWindow(upg, level){
+  const cur = getTier(upg.key);
+  if (cur >= upg.costs.length) return false;
+  if (!meetsRequirement(upg) || !isUpgradeAllowedForLoadout(upg)) return false;
+  if (isTierOneOnlyWindow(level)) {
+    return cur === 0 && upg.key !== 'multishot';
+  }
+  return true;
+}
+
+export function getShopCostForTier(upg, currentTier, freeShop = false, level = state.playerLevel){
+  if (freeShop && currentTier === 0 && upg.key !== 'multishot') return 0;
+  const baseCost = upg.costs[currentTier] ?? Number.POSITIVE_INFINITY;
+  const L = Math.max(1, Math.floor(level || state.playerLevel || 1));
+  if (currentTier === 0 && upg.costs === STANDARD_COSTS && L >= 3) return Math.max(baseCost, 20);
+  return baseCost;
+}
+
+function canAffordShopUpgrade(upg, level, freeShop = false){
+  if (!isEligibleForShopWindow(upg, level)) return false;
+  const cur = getTier(upg.key);
+  return (state.coins || 0) >= getShopCostForTier(upg, cur, freeShop, level);
+}
+
+function getEligibleUpgrades(category, level, freeShop = false){
+  return category.upgrades.filter(upg => canAffordShopUpgrade(upg, level, freeShop));
+}
+
+function getDesiredOptionCount(level){
+  recomputeLuck();
+  const L = Math.max(1, Math.floor(level || state.playerLevel || 1));
+  const canRollFourth = L >= 20 && (state.luck || 0) >= 10;
+  if (!canRollFourth) return 3;
+  return rand('shop') < getFourthOptionChance() ? 4 : 3;
+}
+
+// Draft offers for a shop at `level`: one affordable upgrade from each of
+// several shuffled categories, topped up from any category.
+// → [{ category, upgrade }]
+export function rollShopChoices(level, freeShop = false){
+  const desired = getDesiredOptionCount(level);
+  const categories = shuffle(CATEGORIES.filter(cat => getEligibleUpgrades(cat, level, freeShop).length > 0));
+  const picks = [];
+  const usedKeys = new Set();
+
+  for (const cat of categories) {
+    if (picks.length >= Math.min(desired, CATEGORIES.length)) break;
+    const options = getEligibleUpgrades(cat, level, freeShop).filter(upg => !usedKeys.has(upg.key));
+    if (!options.length) continue;
+    const pick = choice(options);
+    picks.push({ category: cat.id, upgrade: pick });
+    usedKeys.add(pick.key);
+  }
+
+  if (picks.length < desired) {
+    const fallbackPool = shuffle(ALL_UPGRADES.filter(upg => {
+      return !usedKeys.has(upg.key) && canAffordShopUpgrade(upg, level, freeShop);
+    }));
+    while (picks.length < desired && fallbackPool.length) {
+      const upg = fallbackPool.shift();
+      picks.push({ category: 'bonus', upgrade: upg });
+      usedKeys.add(upg.key);
+    }
+  }
+
+  return picks;
+}
+
+function rollChestItemCount() {
+  const luck = state.luck || 0;
+  const p1 = luck <= 0  ? 0.70 : luck <= 10 ? 0.45 : luck <= 20 ? 0.20 : 0.00;
+  const p5 = luck <= 0  ? 0.05 : luck <= 10 ? 0.15 : luck <= 20 ? 0.25 : 0.368;
+  const r = rand('chest');
+  if (r < p5) return 5;
+  if (r < p5 + (1 - p1 - p5)) return 3;
+  return 1;
+}
+
+function pickChestItems(count, chestTier) {
+  const tierCap = { standard: 2, rare: 4, epic: 5 }[chestTier] || 2;
+  const chestPool = [...ALL_UPGRADES, ...CHEST_ONLY_REWARDS];
+  const candidates = chestPool.filter(upg => {
+    const cur = getTier(upg.key);
+    return cur < upg.costs.length && (cur + 1) <= tierCap && meetsRequirement(upg) && isUpgradeAllowedForLoadout(upg);
+  });
+  if (!candidates.length) return [];
+
+  const weapons = shuffle(candidates.filter(upg => getUpgradeCategoryId(upg.key) === 'weapons'), 'chest');
+  const abilities = shuffle(candidates.filter(upg => getUpgradeCategoryId(upg.key) === 'abilities'), 'chest');
+  const others = shuffle(candidates.filter(upg => {
+    const categoryId = getUpgradeCategoryId(upg.key);
+    return categoryId !== 'weapons' && categoryId !== 'abilities';
+  }), 'chest');
+
+  return [...weapons, ...abilities, ...others].slice(0, Math.min(count, candidates.length));
+}
+
+
+// Rolls a chest of `tier`: the item count, then the items — a ready weapon
+// evolution always leads, on top of the rolled ones. An empty roll pays out
+// coins instead. → { items, evolution, payout }
+export function rollChestReward(tier = 'standard') {
+  const count = rollChestItemCount();
+  const evolutions = getEvolutionRewards().slice(0, 1);
+  const items = [...evolutions, ...pickChestItems(count, tier)];
+  let payout = 0;
+  if (!items.length) {
+    payout = count * 50;
+    state.coins += payout;
+    playSound('coin', 0.6, 1.0);
+  }
+  return { items, evolution: evolutions.length > 0, payout };
+}
+
+// State side of taking the next tier of `upg` from the shop or a chest: pays
+// `cost`, raises the tier and emits SHOP_PURCHASE. Returns the presentation
+// refreshes from applyUpgradeState().
+export function takeUpgradeTier(upg, cost, source) {
+  const tier = getTier(upg.key) + 1;
+  state.coins -= cost;
+  state.upg[upg.key] = tier;
+  const refresh = applyUpgradeState(upg.key, tier);
+  emit(GameEvent.SHOP_PURCHASE, { key: upg.key, tier, cost, source });
+  return refresh;
+}
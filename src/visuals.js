@@ -2,8 +2,8 @@
 import { state } from './state.js';
 import { renderer, setEnvironmentReflectionsEnabled } from './renderer.js';
 import { sunLight, orbitLights } from './lighting.js';
+import { defineStore } from './ui/storage.js';
 
-const KEY = 'capsuleHavoc.visuals.v1';
 const SHADOW_MAP = { off: 0, low: 512, medium: 1024, high: 2048 };
 const DEFAULTS = {
   shadows: 'high',
@@ -13,16 +13,24 @@ const DEFAULTS = {
 };
 
 function normalizeVisuals(input = {}) {
-  const merged = { ...DEFAULTS, ...(input || {}) };
-  if (!['off', 'low', 'medium', 'high'].includes(merged.shadows)) merged.shadows = 'high';
-  merged.bloom = !!merged.bloom;
-  merged.reflections = !!merged.reflections;
-  merged.accentLights = !!merged.accentLights;
-  return merged;
+  const v = { ...DEFAULTS, ...(input || {}) };
+  return {
+    shadows: ['off', 'low', 'medium', 'high'].includes(v.shadows) ? v.shadows : 'high',
+    bloom: !!v.bloom,
+    reflections: !!v.reflections,
+    accentLights: !!v.accentLights,
+  };
 }
 
+const store = defineStore('visuals', {
+  version: 1,
+  legacyKey: 'capsuleHavoc.visuals.v1',
+  validate: (v) => (v && typeof v === 'object') ? normalizeVisuals(v) : null,
+  fallback: () => ({ ...DEFAULTS }),
+});
+
 function persist() {
-  try { localStorage.setItem(KEY, JSON.stringify(state.visuals)); } catch {}
+  store.save(state.visuals);
 }
 
 function applyShadowQuality(quality) {
@@ -65,12 +73,7 @@ export function applyVisualSettings(partial = {}, { save = true } = {}) {
 }
 
 export function loadSavedVisualSettings() {
-  try {
-    const raw = localStorage.getItem(KEY);
-    return raw ? normalizeVisuals(JSON.parse(raw)) : { ...DEFAULTS };
-  } catch {
-    return { ...DEFAULTS };
-  }
+  return store.load();
 }
 
 export function applySavedVisualSettings() {
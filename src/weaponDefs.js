@@ -0,0 +1,391 @@
+// ─── weaponDefs.js ───────────────────────────────────────────────────────────
+// Player weapon registry. Each entry declares when the weapon is active, which
+// upgrade keys make up its tier, the fire pattern and projectile visual it
+// uses, its per-tier stats and what a hit does; weapons.js (scene) and
+// sim/headless.js (plain data) implement the patterns and loop over this list,
+// so a balance change is an edit to `stats` and a new weapon is an entry here
+// plus a pattern if none of the existing ones fit.
+// No scene or DOM access (the headless sim imports it).
+//
+// Entry fields:
+//   id          weapon id (also the KillSource / weaponStats key)
+//   tierKeys    upgrade keys; the weapon tier is the highest of them
+//   active()    whether the weapon fires this run (loadout / tier check)
+//   timer       state field holding the cooldown (null: always on, e.g. orbit)
+//   pattern     'wave' | 'orbit' | 'targeted' | 'strike' | 'spin' | 'ricochet'
+//   projectile  visual kind weapons.js builds (null: no projectile)
+//   hit         { radius, stagger }: contact radius and stagger seconds on hit
+//   damageType  DamageType its hits deal (damage.js: crits, resistances)
+//   retryEmpty  true: with nothing to shoot at the timer waits at zero
+//               instead of spending the cooldown
+//   stats(tier) per-tier numbers; `cooldown` is read by the fire loop, the
+//               rest by the pattern. An optional `status` is applied to
+//               every enemy the weapon hits (statusEffects.js)
+//
+// Evolutions are entries with two more fields:
+//   evolution   { requires: { upgKey: tier, ... }, desc }: once every listed
+//               tier is reached the next chest offers it (ui/upgrades.js)
+//   replaces    id of the base weapon it retires while owned
+// Owning one is `state.upg[id] = 1`, so saves, replays and run history carry
+// it like any other upgrade.
+
+import { state } from './state.js';
+import { BULLET_SPEED, BULLET_LIFETIME, SLASH_INTERVAL } from './constants.js';
+import { KillSource } from './events.js';
+import { getBulletDamage } from './progression.js';
+import { StatusId } from './statusEffects.js';
+import { DamageType } from './damage.js';
+
+const MAX_TIER = 5;
+
+// Table lookup by tier, clamped to the table.
+function byTier(table, tier) {
+  return table[Math.max(0, Math.min(table.length - 1, tier | 0))];
+}
+
+function upgTier(key) {
+  return Math.max(0, state.upg?.[key] || 0);
+}
+
+function scaledDamage(mult) {
+  return Math.max(1, Math.round(getBulletDamage() * mult));
+}
+
+// ── Laser wave ───────────────────────────────────────────────────────────────
+// Laser-primary characters start with it; others unlock it with a weapon tier.
+export function hasLaserLoadout() {
+  return state.characterPrimaryWeapon === 'laser' || (state.weaponTier || 0) >= 1;
+}
+
+const LASER_VOLLEY = [6, 7, 8, 9, 10, 10];
+
+export function getWaveBullets() {
+  if (!hasLaserLoadout()) return 0;
+  return byTier(LASER_VOLLEY, Math.min(MAX_TIER, upgTier('laserFire')));
+}
+
+export function getFireInterval() {
+  if (!hasLaserLoadout()) return 9999;
+  return Math.max(0.35, 1.0 * Math.pow(0.90, upgTier('fireRate')));
+}
+
+// ── On-hit statuses bought in the shop ───────────────────────────────────────
+// Ignite: lasers set enemies on fire (stacks). Chill: orbit rods slow them.
+// Venom: slash / disc hits poison (stacks). Shock: targeted shots jam the
+// enemy's attacks.
+function igniteStatus() {
+  const t = upgTier('ignite');
+  if (t <= 0) return null;
+  return { id: StatusId.BURN, duration: 2.5 + 0.25 * t, dps: getBulletDamage() * (0.10 + 0.05 * t) };
+}
+
+function chillStatus() {
+  const t = upgTier('chill');
+  if (t <= 0) return null;
+  return { id: StatusId.CHILL, duration: 1.5 + 0.25 * t, slow: 0.25 + 0.05 * t };
+}
+
+function venomStatus() {
+  const t = upgTier('venom');
+  if (t <= 0) return null;
+  return { id: StatusId.POISON, duration: 4 + 0.5 * t, dps: getBulletDamage() * (0.06 + 0.03 * t) };
+}
+
+function shockStatus() {
+  const t = upgTier('shock');
+  if (t <= 0) return null;
+  return { id: StatusId.SHOCK, duration: 2 + 0.25 * t, jam: 0.30 + 0.06 * t };
+}
+
+// ── Base stats shared with evolutions ────────────────────────────────────────
+function laserStats(tier) {
+  return {
+    cooldown: getFireInterval(),
+    count:    getWaveBullets(),
+    damage:   getBulletDamage(),
+    speed:    BULLET_SPEED * (1 + 0.20 * upgTier('projSpeed')),
+    life:     BULLET_LIFETIME * (1 + 0.22 * upgTier('laserRange')),
+    pierce:   upgTier('piercing'),
+    multishot: upgTier('multishot'),   // every 5th volley adds side lanes
+    rotating: state.characterPrimaryWeapon === 'laser' && tier >= MAX_TIER,
+    status:   igniteStatus(),
+  };
+}
+
+function orbitStats(tier) {
+  return {
+    count:  byTier([0, 2, 3, 4, 5, 6], tier),
+    radius: 1.9 + Math.max(0, tier - 1) * 0.35 + upgTier('orbitRange') * 0.22,
+    speed:  (1.7 * 2.0) * (1 + 0.15 * tier) + upgTier('orbitSpeed') * 0.20,
+    damage: scaledDamage(1 + 0.10 * upgTier('orbitDamage')),
+    color:  0x00eeff,
+    status: chillStatus(),
+  };
+}
+
+// Each throw targets the nearest enemy in `range`; on every hit the disc jumps
+// to the nearest enemy it has not hit yet within `bounceRange`, losing
+// `falloff` of its damage per jump.
+function discStats(tier) {
+  return {
+    cooldown:    byTier([1.20, 1.10, 1.00, 0.90, 0.80, 0.72], tier),
+    count:       tier >= MAX_TIER ? 2 : 1,
+    bounces:     3 + Math.min(MAX_TIER, tier),
+    damage:      scaledDamage(1.4 + 0.12 * Math.min(MAX_TIER, tier)),
+    falloff:     0.10,
+    speed:       BULLET_SPEED * 1.3,
+    range:       12,
+    bounceRange: 6 + 0.5 * Math.min(MAX_TIER, tier),
+    status:      venomStatus(),
+  };
+}
+
+// ── Registry ─────────────────────────────────────────────────────────────────
+// Order is firing order within a step.
+export const WEAPON_DEFS = Object.freeze([
+  {
+    id: KillSource.LASER,
+    tierKeys: ['laserFire'],
+    active: () => (state.weaponTier || 0) >= 1,
+    timer: 'shootTimer',
+    pattern: 'wave',
+    projectile: 'laser',
+    hit: { radius: 0.75, stagger: 0.12 },
+    damageType: DamageType.ENERGY,
+    stats: laserStats,
+  },
+  {
+    id: KillSource.ORBIT,
+    tierKeys: ['orbit'],
+    active: (tier) => tier > 0,
+    timer: null,
+    pattern: 'orbit',
+    projectile: 'orbitRod',
+    hit: { radius: 0.75, stagger: 0.12 },
+    damageType: DamageType.ENERGY,
+    stats: orbitStats,
+  },
+  {
+    id: KillSource.TARGETED,
+    tierKeys: ['targetedFire', 'targetedCooldown', 'targetedDamage', 'targetedRange'],
+    active: (tier) => tier > 0,
+    timer: 'targetedShotTimer',
+    pattern: 'targeted',
+    projectile: 'targetedLaser',
+    hit: { radius: 0.78 },
+    damageType: DamageType.ENERGY,
+    stats: (tier) => {
+      const bonus = byTier([0, 0.15, 0.20, 0.25, 0.30, 0.50], tier);
+      const speed = BULLET_SPEED * 2.2 * (1 + bonus);
+      return {
+        cooldown: Math.max(0.18, 1.4 * byTier([1.0, 1.0, 0.90, 0.80, 0.70, 0.60], tier) * Math.pow(0.85, tier)),
+        range:    10.0 * byTier([1.0, 1.0, 1.0, 1.10, 1.10, 1.20], tier) * (1 + bonus),
+        damage:   scaledDamage(1 + bonus),
+        speed,
+        status:   shockStatus(),
+      };
+    },
+  },
+  {
+    id: KillSource.LIGHTNING,
+    tierKeys: ['lightning', 'lightningDamage', 'lightningCooldown'],
+    active: (tier) => tier > 0,
+    timer: 'lightningTimer',
+    pattern: 'strike',
+    projectile: null,
+    hit: {},
+    damageType: DamageType.ELECTRIC,
+    stats: (tier) => {
+      const bonus = Math.max(0, tier - 1);
+      return {
+        cooldown: Math.max(0.25, 2.4 * Math.pow(0.90, bonus)),
+        count:    Math.min(MAX_TIER, tier),
+        damage:   scaledDamage((1 + 0.15 * bonus) * 1.15),
+        status:   { id: StatusId.STUN, duration: 0.5 + bonus * 0.25 },
+      };
+    },
+  },
+  {
+    id: KillSource.SLASH,
+    tierKeys: [],
+    active: () => state.characterPrimaryWeapon === 'slash',
+    timer: '_slashTimer',
+    pattern: 'spin',
+    projectile: null,
+    hit: { stagger: 0.12 },
+    damageType: DamageType.KINETIC,
+    // Same damage pipeline as projectiles, a bit stronger than one bullet.
+    stats: () => ({
+      cooldown: SLASH_INTERVAL,
+      range:    5.0,
+      damage:   Math.max(1, Math.round(Math.max(1, getBulletDamage()) * 1.8)),
+      status:   venomStatus(),
+    }),
+  },
+  {
+    id: KillSource.DISC,
+    tierKeys: ['disc'],
+    active: () => state.characterPrimaryWeapon === 'disc',
+    timer: '_discTimer',
+    retryEmpty: true,
+    pattern: 'ricochet',
+    projectile: 'disc',
+    hit: { radius: 0.8, stagger: 0.12 },
+    damageType: DamageType.KINETIC,
+    stats: discStats,
+  },
+
+  // ── Evolutions ──
+  {
+    // Rails keep flying through everything they hit.
+    id: KillSource.RAIL_LANCE,
+    name: 'Rail Lance',
+    replaces: KillSource.LASER,
+    evolution: {
+      requires: { laserFire: MAX_TIER, piercing: MAX_TIER },
+      desc: 'Laser volleys become heavy gold rails that pierce every enemy in their path',
+    },
+    tierKeys: ['laserFire'],
+    active: () => (state.weaponTier || 0) >= 1,
+    timer: 'shootTimer',
+    pattern: 'wave',
+    projectile: 'rail',
+    hit: { radius: 0.95, stagger: 0.2 },
+    damageType: DamageType.ENERGY,
+    stats: (tier) => {
+      const base = laserStats(tier);
+      return {
+        ...base,
+        damage: scaledDamage(1.25),
+        speed:  base.speed * 1.35,
+        life:   base.life * 1.2,
+        pierce: Infinity,
+      };
+    },
+  },
+  {
+    // Each rod contact also arcs to the `arcs` nearest other enemies within
+    // `arcRange`, at most once per `arcCooldown` per ring.
+    id: KillSource.STORM_HALO,
+    name: 'Storm Halo',
+    replaces: KillSource.ORBIT,
+    evolution: {
+      requires: { orbit: MAX_TIER, lightning: MAX_TIER },
+      desc: 'Orbit rods become storm cells that arc stunning lightning into nearby enemies',
+    },
+    tierKeys: ['orbit'],
+    active: (tier) => tier > 0,
+    timer: null,
+    pattern: 'orbit',
+    projectile: 'stormRod',
+    hit: { radius: 0.85, stagger: 0.12 },
+    damageType: DamageType.ELECTRIC,
+    stats: (tier) => {
+      const base = orbitStats(tier);
+      return {
+        ...base,
+        radius:      base.radius + 0.4,
+        speed:       base.speed * 1.15,
+        damage:      scaledDamage(1.3 * (1 + 0.10 * upgTier('orbitDamage'))),
+        color:       0xb388ff,
+        arcs:        2,
+        arcRange:    4.5,
+        arcDamage:   scaledDamage(0.8),
+        arcStatus:   { id: StatusId.STUN, duration: 0.6 },
+        arcCooldown: 0.25,
+      };
+    },
+  },
+  {
+    // After its last bounce the blade flies back to the player, cutting
+    // everything on the way.
+    id: KillSource.RAZOR_HALO,
+    name: 'Razor Halo',
+    replaces: KillSource.DISC,
+    evolution: {
+      requires: { disc: MAX_TIER, dmg: MAX_TIER },
+      desc: 'Discs become razor blades that keep full damage and return to you after their last ricochet',
+    },
+    tierKeys: ['disc'],
+    active: () => state.characterPrimaryWeapon === 'disc',
+    timer: '_discTimer',
+    retryEmpty: true,
+    pattern: 'ricochet',
+    projectile: 'razorDisc',
+    hit: { radius: 0.9, stagger: 0.15 },
+    damageType: DamageType.KINETIC,
+    stats: (tier) => {
+      const base = discStats(tier);
+      return { ...base, bounces: base.bounces + 2, falloff: 0, returns: true };
+    },
+  },
+]);
+
+const BY_ID = new Map(WEAPON_DEFS.map(d => [d.id, d]));
+const EVOLVED_BY = new Map(WEAPON_DEFS.filter(d => d.replaces).map(d => [d.replaces, d]));
+
+export function getWeaponDef(id) {
+  return BY_ID.get(id) || null;
+}
+
+export function getWeaponTier(def) {
+  let tier = 0;
+  for (const key of def.tierKeys) tier = Math.max(tier, upgTier(key));
+  return tier;
+}
+
+function isActiveAtTier(def, tier) {
+  if (def.evolution && upgTier(def.id) <= 0) return false;
+  const evolved = EVOLVED_BY.get(def.id);
+  if (evolved && upgTier(evolved.id) > 0) return false;
+  return !!def.active(tier);
+}
+
+export function isWeaponActive(def) {
+  return isActiveAtTier(def, getWeaponTier(def));
+}
+
+// The active weapon using `pattern` (at most one orbit ring at a time), or null.
+export function findActiveWeapon(pattern) {
+  return WEAPON_DEFS.find(d => d.pattern === pattern && isWeaponActive(d)) || null;
+}
+
+// ── Evolutions ───────────────────────────────────────────────────────────────
+export function isEvolutionKey(key) {
+  return !!BY_ID.get(key)?.evolution;
+}
+
+// Evolutions whose requirements are met, not owned yet, and whose base weapon
+// this character actually fires.
+export function getReadyEvolutions() {
+  return WEAPON_DEFS.filter(def => {
+    if (!def.evolution || upgTier(def.id) > 0) return false;
+    if (!Object.entries(def.evolution.requires).every(([key, tier]) => upgTier(key) >= tier)) return false;
+    const base = getWeaponDef(def.replaces);
+    return !base || isWeaponActive(base);
+  });
+}
+
+// Current stats for weapon `id`, or null when it is unknown or not active.
+export function getWeaponStats(id) {
+  const def = getWeaponDef(id);
+  if (!def || !isWeaponActive(def)) return null;
+  return def.stats(getWeaponTier(def));
+}
+
+// Shared fire loop: ticks each active weapon's cooldown and calls
+// fire(def, stats) when it runs out. fire returns false when there was
+// nothing to shoot at; `retryEmpty` weapons then try again next step.
+export function tickWeaponCooldowns(delta, fire) {
+  for (const def of WEAPON_DEFS) {
+    if (!def.timer) continue;
+    const tier = getWeaponTier(def);
+    if (!isActiveAtTier(def, tier)) continue;
+    state[def.timer] = Math.max(0, (state[def.timer] || 0) - delta);
+    if (state[def.timer] > 0) continue;
+    const stats = def.stats(tier);
+    const fired = fire(def, stats);
+    if (fired === false && def.retryEmpty) continue;
+    state[def.timer] = stats.cooldown;
+  }
+}
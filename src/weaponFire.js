@@ -0,0 +1,488 @@
+// ─── weaponFire.js ──────────────────────────────────────────────────────────
+// Player weapon fire patterns and projectile flight on plain data, shared by
+// weapons.js and the headless sim. Projectiles are { x, z, vx, vz, ... }
+// records in state.bullets / state.targetedShots / state.discs, and the orbit
+// ring's rods are plain { x, z } in ring.rods; weapons.js hangs a mesh on each
+// and moves it after the step. `pos` is the player position ({ x, z }).
+// Side effects go through hooks:
+//   kill(e, source)       an enemy died to a hit
+//   shot?(p, def)         a projectile was spawned (browser: acquire a visual)
+//   remove?(p)            a projectile is gone (release it)
+//   damaged?(e, dealt)    an enemy took a hit (damage number, elite bar)
+//   near?(x, z, r, out)   enemies around a point (spatial hash); default all
+//   blocked?(b)           a player bullet ran into terrain
+//   strike?(e)            a sky bolt landed on e
+//   arc?(x, z, e)         a Storm Halo arc jumps from (x, z) to e
+//   spin?(px, pz, s)      a spin slash starts; return false to skip it
+// Stats, cooldowns and hit behaviour come from weaponDefs.js.
+
+import { state } from './state.js';
+import { playSound } from './audio.js';
+import { rand } from './rng.js';
+import { applyEnemyDamage, DamageType } from './damage.js';
+import { applyStatus } from './statusEffects.js';
+import { getWeaponStats, findActiveWeapon, tickWeaponCooldowns } from './weaponDefs.js';
+
+// ── Shared helpers ───────────────────────────────────────────────────────────
+// Enemies to test against a point. With a spatial query the list can hold
+// enemies that already left state.enemies, so callers check _isLive().
+function _near(x, z, r, hooks) {
+  return hooks.near ? hooks.near(x, z, r, _nearOut) : state.enemies;
+}
+const _nearOut = [];
+
+function _isLive(e, hooks) {
+  return !!e && !e.dead && (!hooks.near || state.enemies.includes(e));
+}
+
+// Damage plus the on-hit stagger / status; returns applyEnemyDamage's result.
+function _hit(e, amount, source, damageType, stagger, status, hooks) {
+  const dealt = applyEnemyDamage(e, amount, source, damageType);
+  if (stagger) e.staggerTimer = stagger;
+  if (status) applyStatus(e, status, source);
+  hooks.damaged?.(e, dealt);
+  return dealt;
+}
+
+// Kill or hit cue for an enemy just damaged.
+function _hitCue(e, vol, pitch) {
+  if (e.hp <= 0) playSound(e.eliteType ? 'explodeElite' : 'explode', 0.7, 0.9 + rand('cosmetic') * 0.2);
+  else playSound(e.eliteType ? 'elite_hit' : 'standard_hit', vol, pitch + rand('cosmetic') * 0.1);
+}
+
+function _remove(list, i, hooks) {
+  hooks.remove?.(list[i]);
+  list.splice(i, 1);
+}
+
+// ── Aim ──────────────────────────────────────────────────────────────────────
+// Current manual-aim direction; before the first aim input, where the player
+// last moved.
+export function getAimAngle() {
+  return Number.isFinite(state.aimAngle) ? state.aimAngle : Math.atan2(state.lastMoveZ ?? 1, state.lastMoveX ?? 0);
+}
+
+// Manual aim: the enemy closest to the aim line within AIM_TARGET_CONE of it
+// (angle first, then distance), or null when the cone is empty.
+const AIM_TARGET_CONE = Math.PI / 6;
+
+function _getAimedEnemy(pos, maxRange) {
+  const aim = getAimAngle();
+  let best = null;
+  let bestScore = Infinity;
+  for (const e of state.enemies) {
+    if (!e || e.dead) continue;
+    const dx = e.grp.position.x - pos.x;
+    const dz = e.grp.position.z - pos.z;
+    const d = Math.hypot(dx, dz);
+    if (d > maxRange) continue;
+    const rel = Math.atan2(dz, dx) - aim;
+    const off = Math.abs(Math.atan2(Math.sin(rel), Math.cos(rel)));
+    if (off > AIM_TARGET_CONE) continue;
+    const score = off * 10 + d / maxRange;
+    if (score < bestScore) { bestScore = score; best = e; }
+  }
+  return best;
+}
+
+// Nearest live enemy to (x, z) within range that is not in `skip`.
+function _nearestEnemyFrom(x, z, range, skip) {
+  let best = null;
+  let bestD2 = range * range;
+  for (const e of state.enemies) {
+    if (!e || e.dead || skip?.has(e)) continue;
+    const dx = e.grp.position.x - x, dz = e.grp.position.z - z;
+    const d2 = dx * dx + dz * dz;
+    if (d2 < bestD2) { bestD2 = d2; best = e; }
+  }
+  return best;
+}
+
+// ── 'wave' pattern ───────────────────────────────────────────────────────────
+// `count` bullets in a ring (or an aimed cone), every 5th volley with
+// multishot side lanes.
+function _fireWave(def, s, pos, hooks) {
+  const dirs = s.count;
+  if (dirs <= 0) return;
+  const { damage: dmg, speed, pierce, life: bulletLife, rotating, status } = s;
+  const msTier = s.multishot;
+  const manualAim = state.aimMode === 'manual';
+  const volleyCount = (state.multiShotVolleyCount || 0) + 1;
+  state.multiShotVolleyCount = volleyCount;
+  const multishotActive = msTier > 0 && (volleyCount % 5 === 0);
+  const procIndex = Math.max(0, Math.floor(volleyCount / 5));
+  const spreadOffset = dirs >= 10 ? 0.055 : (dirs >= 8 ? 0.070 : 0.085);
+
+  playSound('shoot', 0.45, 0.92 + rand('cosmetic') * 0.16);
+
+  const spawnShot = (ang) => {
+    // Aimed lanes overlap, so each bullet punches one enemy further per tier.
+    const pierceLeft = manualAim && pierce > 0 ? pierce + 1 : pierce;
+    const b = {
+      x: pos.x, z: pos.z, vx: Math.cos(ang) * speed, vz: Math.sin(ang) * speed, life: bulletLife,
+      source: def.id, hit: def.hit, damageType: def.damageType, status, dmg, pierceLeft,
+    };
+    hooks.shot?.(b, def);
+    state.bullets.push(b);
+  };
+
+  if (manualAim) {
+    _shootAimedCone(spawnShot, dirs, multishotActive ? msTier : 0, procIndex, spreadOffset);
+    return;
+  }
+
+  for (let i = 0; i < dirs; i++) {
+    const baseAng = state.bulletWaveAngle + (i / Math.max(1, dirs)) * Math.PI * 2;
+    spawnShot(baseAng);
+
+    if (!multishotActive) continue;
+
+    if (msTier >= 2) {
+      spawnShot(baseAng - spreadOffset);
+      spawnShot(baseAng + spreadOffset);
+    } else {
+      const side = (procIndex % 2 === 0) ? -1 : 1;
+      spawnShot(baseAng + side * spreadOffset);
+    }
+  }
+  if (rotating) state.bulletWaveAngle = (state.bulletWaveAngle + (Math.PI / Math.max(1, dirs))) % (Math.PI * 2);
+}
+
+// Manual aim: the wave's bullets fan out in a focused cone around the aim
+// direction instead of a full ring. A multishot proc widens the fan with extra
+// lanes at its edges (tier 1 alternates sides, tier 2+ adds both).
+const AIM_CONE_BASE = 0.30;      // rad, total cone width before per-bullet growth
+const AIM_CONE_PER_BULLET = 0.035;
+
+function _shootAimedCone(spawnShot, dirs, msTier, procIndex, spreadOffset) {
+  const center = getAimAngle();
+  const width = AIM_CONE_BASE + AIM_CONE_PER_BULLET * dirs;
+  const step = dirs > 1 ? width / (dirs - 1) : 0;
+  const start = center - (dirs > 1 ? width / 2 : 0);
+  for (let i = 0; i < dirs; i++) spawnShot(start + i * step);
+  if (msTier <= 0) return;
+  const edge = width / 2 + Math.max(step, spreadOffset * 2);
+  if (msTier >= 2) {
+    spawnShot(center - edge);
+    spawnShot(center + edge);
+  } else {
+    spawnShot(center + ((procIndex % 2 === 0) ? -edge : edge));
+  }
+}
+
+// Player bullets: flight, terrain, then the first enemy in reach (pierce lets
+// a bullet carry on through).
+export function updatePlayerBullets(delta, hooks) {
+  for (let i = state.bullets.length - 1; i >= 0; i--) {
+    const b = state.bullets[i];
+    b.life -= delta;
+    b.x += b.vx * delta;
+    b.z += b.vz * delta;
+    if (b.life <= 0 || hooks.blocked?.(b)) { _remove(state.bullets, i, hooks); continue; }
+
+    const candidates = _near(b.x, b.z, 1.6, hooks);
+    for (let n = candidates.length - 1; n >= 0; n--) {
+      const e = candidates[n];
+      if (!_isLive(e, hooks)) continue;
+      const dx = b.x - e.grp.position.x;
+      const dz = b.z - e.grp.position.z;
+      if (dx * dx + dz * dz >= b.hit.radius * b.hit.radius) continue;
+      _hit(e, b.dmg, b.source, b.damageType, b.hit.stagger, b.status, hooks);
+      if ((b.pierceLeft || 0) > 0) b.pierceLeft--;
+      else _remove(state.bullets, i, hooks);
+      _hitCue(e, 0.4, 0.95);
+      if (e.hp <= 0) hooks.kill(e, b.source);
+      break;
+    }
+  }
+}
+
+// ── Orbit ────────────────────────────────────────────────────────────────────
+// Orbit is always on, so instead of firing, its ring is rebuilt whenever the
+// orbit tier changes or it evolves. Returns the new ring, or null without one.
+export function syncOrbitRing() {
+  state.orbitRings.length = 0;
+  state.orbitHitActive.clear();
+  const weapon = findActiveWeapon('orbit');
+  const stats = weapon && getWeaponStats(weapon.id);
+  if (!stats || stats.count <= 0) return null;
+  const def = { count: stats.count, radius: stats.radius, speed: stats.speed, color: stats.color };
+  const rods = [];
+  for (let i = 0; i < def.count; i++) rods.push({ x: 0, z: 0 });
+  const ring = { def, weapon, rods, angle: 0, arcTimer: 0 };
+  state.orbitRings.push(ring);
+  return ring;
+}
+
+// Spins the rods around `pos`; a rod hits an enemy once per contact (keyed by
+// ring, rod and enemy index in state.orbitHitActive). Storm Halo rods also arc
+// to nearby enemies, at most once per `arcCooldown`.
+export function updateOrbit(delta, pos, hooks) {
+  for (let ri = 0; ri < state.orbitRings.length; ri++) {
+    const ring = state.orbitRings[ri];
+    const orbit = ring.weapon;
+    const stats = getWeaponStats(orbit.id);
+    if (!stats) continue;
+    const hr2 = orbit.hit.radius * orbit.hit.radius;
+    ring.arcTimer = Math.max(0, (ring.arcTimer || 0) - delta);
+    ring.angle += ring.def.speed * delta;
+    const { count, radius } = ring.def;
+    for (let i = 0; i < ring.rods.length; i++) {
+      const angle = ring.angle + (i / count) * Math.PI * 2;
+      ring.rods[i].x = pos.x + Math.cos(angle) * radius;
+      ring.rods[i].z = pos.z + Math.sin(angle) * radius;
+    }
+    for (let k = 0; k < ring.rods.length; k++) {
+      const rod = ring.rods[k];
+      const candidates = _near(rod.x, rod.z, 1.5, hooks);
+      for (let c = candidates.length - 1; c >= 0; c--) {
+        const e = candidates[c];
+        if (!e || e.dead) continue;
+        const j = hooks.near ? state.enemies.indexOf(e) : c;
+        if (j < 0) continue;
+        const dx = rod.x - e.grp.position.x;
+        const dz = rod.z - e.grp.position.z;
+        const inContact = dx * dx + dz * dz < hr2;
+        const key = ri * 65536 + k * 512 + j;
+        const was = state.orbitHitActive.has(key);
+        if (inContact && !was) {
+          state.orbitHitActive.add(key);
+          _hit(e, stats.damage, orbit.id, orbit.damageType, orbit.hit.stagger, stats.status, hooks);
+          const ex = e.grp.position.x, ez = e.grp.position.z;
+          const arcNow = stats.arcs > 0 && ring.arcTimer <= 0;
+          if (arcNow) ring.arcTimer = stats.arcCooldown;
+          _hitCue(e, 0.4, 0.95);
+          if (e.hp <= 0) {
+            hooks.kill(e, orbit.id);
+            if (arcNow) _arcLightning(ex, ez, e, stats, orbit.id, hooks);
+            break;
+          }
+          if (arcNow) _arcLightning(ex, ez, e, stats, orbit.id, hooks);
+        } else if (!inContact && was) {
+          state.orbitHitActive.delete(key);
+        }
+      }
+    }
+  }
+}
+
+// Storm Halo: arc from the enemy a rod just hit at (x, z) to the `arcs`
+// nearest others within `arcRange`, applying `arcStatus` (a stun).
+function _arcLightning(x, z, from, s, killSource, hooks) {
+  const targets = [];
+  const r2 = s.arcRange * s.arcRange;
+  for (const e of state.enemies) {
+    if (!e || e.dead || e === from) continue;
+    const dx = e.grp.position.x - x, dz = e.grp.position.z - z;
+    const d2 = dx * dx + dz * dz;
+    if (d2 < r2) targets.push({ e, d2 });
+  }
+  if (!targets.length) return;
+  targets.sort((a, b) => a.d2 - b.d2);
+  playSound('lightning', 0.35, 1.25 + rand('cosmetic') * 0.1);
+  for (const { e } of targets.slice(0, s.arcs)) {
+    hooks.arc?.(x, z, e);
+    _hit(e, s.arcDamage, killSource, DamageType.ELECTRIC, 0, s.arcStatus, hooks);
+    if (e.hp <= 0 && state.enemies.includes(e)) hooks.kill(e, killSource);
+  }
+}
+
+// ── 'targeted' pattern ───────────────────────────────────────────────────────
+// One fast shot at the nearest enemy in `range`. Manual aim always fires: at
+// the enemy in the aim cone, else straight ahead.
+function _fireTargeted(def, s, pos, hooks) {
+  const manualAim = state.aimMode === 'manual';
+  const target = manualAim ? _getAimedEnemy(pos, s.range) : _nearestEnemyFrom(pos.x, pos.z, s.range);
+  if (!target && !manualAim) return;
+  const aim = getAimAngle();
+  const dx = target ? target.grp.position.x - pos.x : Math.cos(aim);
+  const dz = target ? target.grp.position.z - pos.z : Math.sin(aim);
+  const len = Math.hypot(dx, dz) || 1;
+  const b = {
+    x: pos.x, z: pos.z, vx: dx / len * s.speed, vz: dz / len * s.speed, life: s.range / s.speed + 0.15,
+    source: def.id, hit: def.hit, damageType: def.damageType, status: s.status, dmg: s.damage,
+  };
+  if (!Array.isArray(state.targetedShots)) state.targetedShots = [];
+  hooks.shot?.(b, def);
+  state.targetedShots.push(b);
+}
+
+function _updateTargetedShots(delta, hooks) {
+  if (!Array.isArray(state.targetedShots)) state.targetedShots = [];
+  for (let i = state.targetedShots.length - 1; i >= 0; i--) {
+    const b = state.targetedShots[i];
+    b.life -= delta;
+    b.x += b.vx * delta;
+    b.z += b.vz * delta;
+    if (b.life <= 0) { _remove(state.targetedShots, i, hooks); continue; }
+    const candidates = _near(b.x, b.z, 1.6, hooks);
+    for (let n = candidates.length - 1; n >= 0; n--) {
+      const e = candidates[n];
+      if (!_isLive(e, hooks)) continue;
+      const dx = b.x - e.grp.position.x;
+      const dz = b.z - e.grp.position.z;
+      if (dx * dx + dz * dz >= b.hit.radius * b.hit.radius) continue;
+      _hit(e, b.dmg, b.source, b.damageType, b.hit.stagger, b.status, hooks);
+      if (e.hp <= 0) hooks.kill(e, b.source);
+      _remove(state.targetedShots, i, hooks);
+      break;
+    }
+  }
+}
+
+// ── 'strike' pattern ─────────────────────────────────────────────────────────
+// Bolts from the sky on the `count` nearest enemies, each applying `status`
+// (a stun).
+function _fireStrike(def, s, pos, hooks) {
+  const pool = state.enemies.filter(e => e && !e.dead);
+  if (pool.length > 0) playSound('lightning', 0.78, 1.0);
+  pool.sort((a, b) => {
+    const adx = a.grp.position.x - pos.x, adz = a.grp.position.z - pos.z;
+    const bdx = b.grp.position.x - pos.x, bdz = b.grp.position.z - pos.z;
+    return (adx * adx + adz * adz) - (bdx * bdx + bdz * bdz);
+  });
+  for (const e of pool.slice(0, s.count)) {
+    _hit(e, s.damage, def.id, def.damageType, 0, s.status, hooks);
+    hooks.strike?.(e);
+    if (e.hp <= 0 && state.enemies.includes(e)) hooks.kill(e, def.id);
+  }
+}
+
+// ── 'spin' pattern ───────────────────────────────────────────────────────────
+// A full-circle blade sweep hitting everything in `range`.
+function _fireSpin(def, s, pos, hooks) {
+  if (hooks.spin?.(pos.x, pos.z, s) === false) return;
+  const r2 = s.range * s.range;
+  for (let j = state.enemies.length - 1; j >= 0; j--) {
+    const e = state.enemies[j];
+    if (!e || e.dead) continue;
+    const dx = e.grp.position.x - pos.x, dz = e.grp.position.z - pos.z;
+    if (dx * dx + dz * dz > r2) continue;
+    _hit(e, s.damage, def.id, def.damageType, def.hit.stagger, s.status, hooks);
+    _hitCue(e, 0.35, 0.95);
+    if (e.hp <= 0) hooks.kill(e, def.id);
+  }
+  playSound('laser_sword', 0.72, 0.93 + rand('cosmetic') * 0.14);
+}
+
+// ── 'ricochet' pattern ───────────────────────────────────────────────────────
+// Discs thrown at the nearest enemies that bounce on to the next one, losing
+// `falloff` damage per bounce. Returns false when there was nothing to throw
+// at, so the fire loop retries next step instead of wasting the cooldown.
+function _aimDisc(d, tx, tz) {
+  const dx = tx - d.x;
+  const dz = tz - d.z;
+  const len = Math.hypot(dx, dz) || 1;
+  d.vx = dx / len * d.speed;
+  d.vz = dz / len * d.speed;
+  d.life = len / d.speed + 0.35;
+}
+
+function _fireRicochet(def, cfg, pos, hooks) {
+  if (!Array.isArray(state.discs)) state.discs = [];
+  const manualAim = state.aimMode === 'manual';
+  const taken = new Set();
+  let thrown = 0;
+  for (let k = 0; k < cfg.count; k++) {
+    const target = manualAim ? _getAimedEnemy(pos, cfg.range) : _nearestEnemyFrom(pos.x, pos.z, cfg.range, taken);
+    if (!target && !manualAim) break;
+    if (target) taken.add(target);
+    const d = {
+      x: pos.x, z: pos.z, vx: 0, vz: 0, life: 0, speed: cfg.speed, returns: !!cfg.returns, returning: false,
+      source: def.id, hitR: def.hit.radius, stagger: def.hit.stagger, damageType: def.damageType, status: cfg.status,
+      dmg: cfg.damage, falloff: cfg.falloff, bouncesLeft: cfg.bounces, bounceRange: cfg.bounceRange, hit: new Set(),
+    };
+    if (target) {
+      _aimDisc(d, target.grp.position.x, target.grp.position.z);
+    } else {
+      // Manual aim with nothing in the cone: fly straight out to full range.
+      const a = getAimAngle() + (k ? 0.2 : 0);
+      _aimDisc(d, pos.x + Math.cos(a) * cfg.range, pos.z + Math.sin(a) * cfg.range);
+    }
+    hooks.shot?.(d, def);
+    state.discs.push(d);
+    thrown++;
+  }
+  if (thrown) playSound('shoot', 0.4, 0.7 + rand('cosmetic') * 0.1);
+  return thrown > 0;
+}
+
+const DISC_CATCH_R = 0.7;        // returning blades vanish this close to the player
+const DISC_RETURN_LIFE = 4.0;    // safety cap on the flight home
+
+// Returning blades (`cfg.returns`) head home after their last bounce or when
+// their throw runs out, and can hit every enemy once more on the way.
+function _startDiscReturn(d) {
+  d.returning = true;
+  d.hit.clear();
+  d.life = DISC_RETURN_LIFE;
+}
+
+function _updateDiscs(delta, pos, hooks) {
+  if (!Array.isArray(state.discs)) return;
+  for (let i = state.discs.length - 1; i >= 0; i--) {
+    const d = state.discs[i];
+    if (d.returning) {
+      const rx = pos.x - d.x;
+      const rz = pos.z - d.z;
+      const rl = Math.hypot(rx, rz);
+      if (rl < DISC_CATCH_R) { _remove(state.discs, i, hooks); continue; }
+      d.vx = rx / rl * d.speed;
+      d.vz = rz / rl * d.speed;
+    }
+    d.life -= delta;
+    d.x += d.vx * delta;
+    d.z += d.vz * delta;
+    if (d.life <= 0 && d.returns && !d.returning) _startDiscReturn(d);
+    if (d.life <= 0) { _remove(state.discs, i, hooks); continue; }
+
+    const candidates = _near(d.x, d.z, 1.6, hooks);
+    for (let n = candidates.length - 1; n >= 0; n--) {
+      const e = candidates[n];
+      if (!e || e.dead || d.hit.has(e)) continue;
+      const dx = d.x - e.grp.position.x;
+      const dz = d.z - e.grp.position.z;
+      if (dx * dx + dz * dz >= d.hitR * d.hitR) continue;
+
+      d.hit.add(e);
+      _hit(e, d.dmg, d.source, d.damageType, d.stagger, d.status, hooks);
+      const ex = e.grp.position.x, ez = e.grp.position.z;
+      _hitCue(e, 0.35, 1.1);
+      if (e.hp <= 0 && state.enemies.includes(e)) hooks.kill(e, d.source);
+      if (d.returning) continue;   // cuts through everything on the way home
+
+      const next = d.bouncesLeft > 0 ? _nearestEnemyFrom(ex, ez, d.bounceRange, d.hit) : null;
+      if (!next && d.returns) {
+        _startDiscReturn(d);
+        d.hit.add(e);
+      } else if (!next) {
+        _remove(state.discs, i, hooks);
+      } else {
+        d.bouncesLeft--;
+        d.dmg = Math.max(1, Math.round(d.dmg * (1 - d.falloff)));
+        _aimDisc(d, next.grp.position.x, next.grp.position.z);
+      }
+      break;
+    }
+  }
+}
+
+// ── Fire loop ────────────────────────────────────────────────────────────────
+const FIRE_PATTERNS = {
+  wave:     _fireWave,
+  targeted: _fireTargeted,
+  strike:   _fireStrike,
+  spin:     _fireSpin,
+  ricochet: _fireRicochet,
+};
+
+// Ticks every active weapon's cooldown and fires the ones that are ready.
+export function fireReadyWeapons(delta, pos, hooks) {
+  tickWeaponCooldowns(delta, (def, stats) => FIRE_PATTERNS[def.pattern](def, stats, pos, hooks));
+}
+
+// Moves in-flight targeted shots and discs.
+export function updatePlayerProjectiles(delta, pos, hooks) {
+  _updateTargetedShots(delta, hooks);
+  _updateDiscs(delta, pos, hooks);
+}
@@ -0,0 +1,87 @@
+// ─── weaponStats.js ──────────────────────────────────────────────────────────
+// Per-weapon damage / kill tracking for the current run, keyed by KillSource
+// (events.js). Damage is recorded where it is applied (damage.js, shared by
+// the game and the headless sim); kills come from state.killsBySource (killEnemy).
+// Pure state — the game-over screen and the shop stats panel render it.
+
+import { state } from './state.js';
+import { KillSource } from './events.js';
+
+export const WEAPON_LABELS = Object.freeze({
+  [KillSource.LASER]:      'Laser',
+  [KillSource.ORBIT]:      'Orbit',
+  [KillSource.SLASH]:      'Slash',
+  [KillSource.DISC]:       'Disc',
+  [KillSource.RAIL_LANCE]: 'Rail Lance',
+  [KillSource.STORM_HALO]: 'Storm Halo',
+  [KillSource.RAZOR_HALO]: 'Razor Halo',
+  [KillSource.TARGETED]:   'Targeted',
+  [KillSource.LIGHTNING]:  'Lightning',
+  [KillSource.BURST]:      'Burst',
+  [KillSource.BLACK_HOLE]: 'Black Hole',
+  [KillSource.CONTACT]:    'Contact',
+});
+
+// Peak DPS is the best total damage over any DPS_WINDOW_SEC-second window.
+const DPS_WINDOW_SEC = 5;
+
+function trackPeakDps(amount) {
+  const sec = Math.floor(state.elapsed || 0);
+  if (!Array.isArray(state.dpsWindow)) state.dpsWindow = [];
+  const w = state.dpsWindow;
+  const last = w[w.length - 1];
+  if (last && last.sec === sec) last.dmg += amount;
+  else w.push({ sec, dmg: amount });
+  while (w.length && w[0].sec <= sec - DPS_WINDOW_SEC) w.shift();
+  let sum = 0;
+  for (const b of w) sum += b.dmg;
+  state.peakDps = Math.max(state.peakDps || 0, sum / DPS_WINDOW_SEC);
+}
+
+// amount = HP (+ enemy shield) actually removed, not the raw hit.
+export function recordWeaponDamage(source, amount) {
+  if (!source || !(amount > 0)) return;
+  if (!state.weaponStats) state.weaponStats = {};
+  const s = state.weaponStats[source] || (state.weaponStats[source] = { damage: 0, hits: 0, since: state.elapsed || 0 });
+  s.damage += amount;
+  s.hits++;
+  trackPeakDps(amount);
+}
+
+// One row per weapon that dealt damage or scored a kill, most damage first.
+// DPS is over the time since that weapon's first hit, so a late pick-up isn't
+// diluted by the minutes before it was owned.
+export function getWeaponBreakdown() {
+  const stats = state.weaponStats || {};
+  const kills = state.killsBySource || {};
+  const now = state.elapsed || 0;
+  const keys = new Set([...Object.keys(stats), ...Object.keys(kills)]);
+  let total = 0;
+  for (const k of keys) total += stats[k]?.damage || 0;
+
+  const rows = [];
+  for (const source of keys) {
+    const s = stats[source];
+    const damage = Math.round(s?.damage || 0);
+    const active = s ? Math.max(1, now - s.since) : 0;
+    rows.push({
+      source,
+      label: WEAPON_LABELS[source] || source,
+      damage,
+      hits: s?.hits || 0,
+      kills: kills[source] || 0,
+      dps: s ? damage / active : 0,
+      share: total > 0 ? damage / total : 0,
+    });
+  }
+  rows.sort((a, b) => (b.damage - a.damage) || (b.kills - a.kills));
+  return rows;
+}
+
+// 950 → "950", 12345 → "12.3k", 2500000 → "2.5M"
+export function formatStat(n) {
+  const v = Math.round(n || 0);
+  if (v >= 1e6) return `${(v / 1e6).toFixed(1)}M`;
+  if (v >= 1e4) return `${(v / 1e3).toFixed(1)}k`;
+  return String(v);
+}
@@ -3,18 +3,20 @@ import * as THREE from 'three';
 import { scene } from './renderer.js';
 import { state } from './state.js';
 import {
-  BULLET_SPEED, BULLET_LIFETIME, ENEMY_BULLET_DMG,
+  ENEMY_BULLET_DMG,
 } from './constants.js';
 import { bulletGeo, bulletMat, bulletGeoParams, floorY } from './materials.js';
-import { playerGroup, updateHealthBar, hasShieldBubble, SHIELD_RADIUS, PLAYER_BODY_RADIUS } from './player.js';
+import { playerGroup, updateHealthBar } from './player.js';
 import { pushOutOfProps, queryNearbyPropColliders } from './terrain.js';
 import { spawnPlayerDamageNum, spawnEnemyDamageNum } from './damageNumbers.js';
 import { killEnemy, updateEliteBar, queryEnemiesNear, releaseEnemyBulletVisual } from './enemies.js';
-import { applyPlayerDamage } from './armor.js';
+import { KillSource } from './events.js';
+import { hitPlayer } from './armor.js';
+import { rand } from './rng.js';
+import { updateEnemyBulletFlight } from './enemyAI.js';
 import {
-  getFireInterval, getWaveBullets, getBulletDamage, getWeaponConfig,
-} from './xp.js';
-import { playSound } from './audio.js';
+  fireReadyWeapons, updatePlayerBullets, updateOrbit, updatePlayerProjectiles, syncOrbitRing,
+} from './weaponFire.js';
 
 // ── Orbit bullet helpers ──────────────────────────────────────────────────────
 function makeOrbitMat(color) {
@@ -50,14 +52,19 @@ function _makeOrbitVisual(color) {
   return g;
 }
 
-function getOrbitRingDefsFromTier(tier) {
-  const t = Math.max(0, tier | 0);
-  if (t <= 0) return [];
-  const count = [0, 2, 3, 4, 5, 6][Math.min(t, 5)] || 0;
-  const tierRadiusBonus = Math.max(0, t - 1) * 0.35;
-  const radius = 1.9 + tierRadiusBonus + Math.max(0, state.upg?.orbitRange || 0) * 0.22;
-  const speedBase = (1.7 * 2.0) * (1 + 0.15 * t) + Math.max(0, state.upg?.orbitSpeed || 0) * 0.20;
-  return [{ count, radius, speed: speedBase, color: 0x00eeff }];
+// Storm Halo (evolved orbit): same rod, fatter glow plus a spark shell.
+function _makeStormRodVisual(color) {
+  const g = _makeOrbitVisual(color);
+  g.children[1].scale.setScalar(1.8);
+  const shellMat = makeOrbitMat(0xe6dcff);
+  shellMat.transparent = true;
+  shellMat.opacity = 0.45;
+  shellMat.depthWrite = false;
+  const shell = new THREE.Mesh(bulletGeo, shellMat);
+  shell.layers.set(1);
+  shell.scale.set(2.6, 0.7, 2.6);
+  g.add(shell);
+  return g;
 }
 
 export function destroyOrbitBullets() {
@@ -75,21 +82,36 @@ export function destroyOrbitBullets() {
   state.orbitHitActive.clear();
 }
 
+// Orbit is always on, so instead of firing it rebuilds its ring whenever the
+// orbit tier changes or it evolves (shop, chest, run restore, panel).
 export function syncOrbitBullets() {
   destroyOrbitBullets();
-    const orbitTier = Math.max(0, state.upg?.orbit || 0);
-  for (const def of getOrbitRingDefsFromTier(orbitTier)) {
-    const meshes = [];
-    for (let i = 0; i < def.count; i++) {
-      const obj = _makeOrbitVisual(def.color);
-      scene.add(obj);
-      meshes.push(obj);
+  const ring = syncOrbitRing();
+  if (!ring) return;
+  const make = PROJECTILE_VISUALS[ring.weapon.projectile].make;
+  ring.meshes = ring.rods.map(() => {
+    const obj = make(ring.def.color);
+    scene.add(obj);
+    return obj;
+  });
+}
+
+// ── Update orbit bullets ──────────────────────────────────────────────────────
+export function updateOrbitBullets(delta) {
+  updateOrbit(delta, playerGroup.position, _weaponHooks);
+  const y = floorY(bulletGeoParams);
+  for (const ring of state.orbitRings) {
+    for (let i = 0; i < ring.meshes.length; i++) {
+      const m = ring.meshes[i];
+      m.visible = true;
+      m.traverse(obj => { obj.visible = true; });
+      m.position.set(ring.rods[i].x, y, ring.rods[i].z);
+      m.rotation.y += 5 * delta;
     }
-    state.orbitRings.push({ def, meshes, angle: 0 });
   }
 }
 
-// ── Shoot bullet wave ─────────────────────────────────────────────────────────
+// ── Player laser visuals ──────────────────────────────────────────────────────
 const _bulletUp  = new THREE.Vector3(0, 1, 0);
 const _bulletDir = new THREE.Vector3();
 const _bulletQ   = new THREE.Quaternion();
@@ -148,128 +170,61 @@ function _releasePlayerLaserVisual(g) {
   _playerBulletPool.push(g);
 }
 
-export function shootBulletWave() {
-  const dirs = getWaveBullets();
-  if (dirs <= 0) return;
-  const dmg  = getBulletDamage();
-  const psTier = Math.max(0, state.upg?.projSpeed || 0);
-  const speed  = BULLET_SPEED * (1 + 0.20 * psTier);
-  const pierce = Math.max(0, state.upg?.piercing || 0);
-  const msTier = Math.max(0, (state.upg?.multishot ?? 0));
-  const rangeTier = Math.max(0, state.upg?.laserRange || 0);
-  const bulletLife = BULLET_LIFETIME * (1 + 0.22 * rangeTier);
-  const laserTier = Math.max(0, state.upg?.laserFire || 0);
-  const rotating = (state.characterPrimaryWeapon === 'laser' || state.selectedCharacter === 'blue') && laserTier >= 5;
-  const volleyCount = (state.multiShotVolleyCount || 0) + 1;
-  state.multiShotVolleyCount = volleyCount;
-  const multishotActive = msTier > 0 && (volleyCount % 5 === 0);
-  const procIndex = Math.max(0, Math.floor(volleyCount / 5));
-  const spreadOffset = dirs >= 10 ? 0.055 : (dirs >= 8 ? 0.070 : 0.085);
-
-  playSound('shoot', 0.45, 0.92 + Math.random() * 0.16);
-
-  const spawnShot = (ang) => {
-    const vx = Math.cos(ang) * speed;
-    const vz = Math.sin(ang) * speed;
-    const obj = _acquirePlayerLaserVisual();
-    _bulletDir.set(vx, 0, vz).normalize();
-    _bulletQ.setFromUnitVectors(_bulletUp, _bulletDir);
-    obj.quaternion.copy(_bulletQ);
-    obj.position.copy(playerGroup.position);
-    obj.position.y = floorY(bulletGeoParams);
-    scene.add(obj);
-    state.bullets.push({ obj, vx, vz, life: bulletLife, dmg, pierceLeft: pierce });
-  };
-
-  for (let i = 0; i < dirs; i++) {
-    const baseAng = state.bulletWaveAngle + (i / Math.max(1, dirs)) * Math.PI * 2;
-    spawnShot(baseAng);
+// Rail Lance (evolved laser): a longer, heavier gold bolt.
+const _railGlowMat = new THREE.MeshStandardMaterial({
+  color: 0xffc400,
+  emissive: 0xffb000,
+  emissiveIntensity: 6.5,
+  metalness: 0.0,
+  roughness: 0.2,
+  transparent: true,
+  opacity: 0.7,
+  depthWrite: false,
+  blending: THREE.AdditiveBlending,
+});
 
-    if (!multishotActive) continue;
+function _makeRailVisual() {
+  const g = new THREE.Group();
+  const core = new THREE.Mesh(bulletGeo, _playerLaserCoreMat);
+  core.layers.set(0);
+  core.scale.set(1.3, 2.2, 1.3);
+  g.add(core);
+  const glow = new THREE.Mesh(bulletGeo, _railGlowMat);
+  glow.layers.set(1);
+  glow.scale.set(2.0, 2.6, 2.0);
+  g.add(glow);
+  return g;
+}
 
-    if (msTier >= 2) {
-      spawnShot(baseAng - spreadOffset);
-      spawnShot(baseAng + spreadOffset);
-    } else {
-      const side = (procIndex % 2 === 0) ? -1 : 1;
-      spawnShot(baseAng + side * spreadOffset);
-    }
-  }
-  if (rotating) state.bulletWaveAngle = (state.bulletWaveAngle + (Math.PI / Math.max(1, dirs))) % (Math.PI * 2);
+// Pooled projectile visual for the evolved weapons: acquire() reuses a
+// released group or builds one with make().
+function _pooledVisual(make) {
+  const pool = [];
+  return {
+    acquire() {
+      const g = pool.pop() || make();
+      g.visible = true;
+      g.traverse(obj => { obj.visible = true; });
+      return g;
+    },
+    release(g) {
+      if (!g) return;
+      scene.remove(g);
+      g.visible = false;
+      g.traverse(obj => { obj.visible = false; });
+      pool.push(g);
+    },
+  };
 }
 
 // ── Update player bullets ─────────────────────────────────────────────────────
 const _nearbyPropHits = [];
-const _nearbyEnemies = [];
-
-function applyEnemyDamage(e, amount) {
-  // Shield absorbs damage first (shielded enemies are effectively immune until broken).
-  if (e.shieldHp && e.shieldHp > 0) {
-    e.shieldHp -= amount;
-    if (e.shieldHp < 0) {
-      // carry overflow into HP
-      e.hp += e.shieldHp;
-      e.shieldHp = 0;
-    }
-  } else {
-    e.hp -= amount;
-  }
-}
 
+// Flight and hits run in weaponFire.js (shared with the sim); this moves the
+// meshes along.
 export function updateBullets(delta) {
-  for (let i = state.bullets.length - 1; i >= 0; i--) {
-    const b = state.bullets[i];
-    b.life -= delta;
-    b.obj.position.x += b.vx * delta;
-    b.obj.position.z += b.vz * delta;
-
-    // NOTE: bulletGeo is shared; do NOT dispose shared geometry here.
-    if (b.life <= 0) {
-      _releasePlayerLaserVisual(b.obj);
-      state.bullets.splice(i, 1);
-      continue;
-    }
-
-    // Prop collision
-    let dead = false;
-    for (const c of queryNearbyPropColliders(b.obj.position.x, b.obj.position.z, 1.25, _nearbyPropHits)) {
-      const dx = b.obj.position.x - c.wx, dz = b.obj.position.z - c.wz;
-      if (dx*dx + dz*dz < (c.radius + 0.045) * (c.radius + 0.045)) {
-        _releasePlayerLaserVisual(b.obj); state.bullets.splice(i, 1); dead = true; break;
-      }
-    }
-    if (dead) continue;
-
-    // Enemy collision
-    let hit = false;
-    const nearbyEnemies = queryEnemiesNear(b.obj.position.x, b.obj.position.z, 1.6, _nearbyEnemies);
-    for (let n = nearbyEnemies.length - 1; n >= 0; n--) {
-      const e = nearbyEnemies[n]; if (!e || e.dead) continue;
-      const j = state.enemies.indexOf(e); if (j < 0) continue;
-      const dx = b.obj.position.x - e.grp.position.x;
-      const dz = b.obj.position.z - e.grp.position.z;
-      if (dx*dx + dz*dz < 0.75*0.75) {
-        applyEnemyDamage(e, b.dmg);
-        spawnEnemyDamageNum(b.dmg, e);
-        e.staggerTimer = 0.12;
-        updateEliteBar(e);
-        if ((b.pierceLeft || 0) > 0) {
-          b.pierceLeft--;
-        } else {
-          _releasePlayerLaserVisual(b.obj); state.bullets.splice(i, 1);
-        }
-        hit = true;
-        if (e.hp <= 0) {
-          playSound(e.eliteType ? 'explodeElite' : 'explode', 0.7, 0.9 + Math.random() * 0.2);
-          killEnemy(j);
-        } else {
-          playSound(e.eliteType ? 'elite_hit' : 'standard_hit', 0.4, 0.95 + Math.random() * 0.1);
-        }
-        break;
-      }
-    }
-    if (hit) continue;
-  }
+  updatePlayerBullets(delta, _weaponHooks);
+  for (const b of state.bullets) { b.obj.position.x = b.x; b.obj.position.z = b.z; }
 }
 
 // ── Update enemy bullets ──────────────────────────────────────────────────────
@@ -279,119 +234,32 @@ function _removeEBullet(b) {
   if (b.obj && b.obj !== b.mesh && b.obj !== b.core) releaseEnemyBulletVisual(b.obj);
 }
 
-export function updateEnemyBullets(worldDelta) {
-  for (let i = state.enemyBullets.length - 1; i >= 0; i--) {
-    const b = state.enemyBullets[i];
-    b.life -= worldDelta;
-    const mx = b.vx * worldDelta;
-    const mz = b.vz * worldDelta;
-    // Move bullet visuals (support old {mesh} as well as newer {core+mesh})
-    if (b.core) { b.core.position.x += mx; b.core.position.z += mz; }
-    const vis = b.mesh || b.obj || b.core;
-    if (vis) { vis.position.x += mx; vis.position.z += mz; }
-    else { _removeEBullet(b); state.enemyBullets.splice(i, 1); continue; }
-    if (b.life <= 0) { _removeEBullet(b); state.enemyBullets.splice(i, 1); continue; }
-
-    const visPos = (b.mesh || b.obj || b.core).position;
-    const pdx = visPos.x - playerGroup.position.x;
-    const pdz = visPos.z - playerGroup.position.z;
-    const hitRadius = hasShieldBubble() ? SHIELD_RADIUS : PLAYER_BODY_RADIUS;
-    if (pdx*pdx + pdz*pdz < hitRadius * hitRadius) {
-      const dmg = (Number.isFinite(b.dmg) ? b.dmg : ENEMY_BULLET_DMG);
-      // Shield absorbs hits first (abilities tab)
-      if (!(state.invincible || state.dashInvincible) && (state.effects?.invincibility || 0) <= 0 && (state.reviveIFrames || 0) <= 0) {
-        if ((state.shieldCharges || 0) > 0) {
-          state.shieldCharges -= 1;
-          // Start recharge timer
-          if (state.shieldCharges <= 0) {
-            const tier = Math.max(0, state.upg?.shield || 0);
-            const base = 12.0;
-            const rt = tier >= 4 ? base * 0.45 : ((tier >= 2) ? base * 0.65 : base);
-            state.shieldRecharge = rt;
-          }
-          playSound('shield_break', 0.7, 1.0);
-        } else {
-          const res = applyPlayerDamage(dmg, 'enemyBullet');
-          if (res.applied > 0) spawnPlayerDamageNum(Math.round(res.applied));
-          if (res.died) return 'DEAD';
-        }
-      }
-      _removeEBullet(b); state.enemyBullets.splice(i, 1);
-      continue;
+// Flight and player hits are shared with the sim (enemyAI.js); this side
+// blocks bullets on props and moves the meshes along.
+const _enemyBulletHooks = {
+  hit: (b) => {
+    const dmg = (Number.isFinite(b.dmg) ? b.dmg : ENEMY_BULLET_DMG);
+    const res = hitPlayer(dmg, 'enemyBullet', b.enemyType, b.owner);
+    if (res.applied > 0) spawnPlayerDamageNum(Math.round(res.applied));
+    if (res.healed > 0) updateEliteBar(b.owner);
+    return res.died;
+  },
+  blocked: (b) => {
+    for (const c of queryNearbyPropColliders(b.x, b.z, 1.5, _nearbyPropHits)) {
+      const cdx = b.x - c.wx, cdz = b.z - c.wz;
+      if (cdx*cdx + cdz*cdz < (c.radius + 0.14) * (c.radius + 0.14)) return true;
     }
+    return false;
+  },
+  remove: _removeEBullet,
+};
 
-    let blocked = false;
-    for (const c of queryNearbyPropColliders(visPos.x, visPos.z, 1.5, _nearbyPropHits)) {
-      const cdx = visPos.x - c.wx, cdz = visPos.z - c.wz; // bullet visual = glow mesh, tracks bullet position
-      if (cdx*cdx + cdz*cdz < (c.radius + 0.14) * (c.radius + 0.14)) { blocked = true; break; }
-    }
-    if (blocked) { _removeEBullet(b); state.enemyBullets.splice(i, 1); }
-  }
-}
-
-// ── Update orbit bullets ──────────────────────────────────────────────────────
-export function updateOrbitBullets(delta) {
-  const y    = floorY(bulletGeoParams);
-  const orbitDmgTier = Math.max(0, state.upg?.orbitDamage || 0);
-  const dmg  = Math.max(1, Math.round(getBulletDamage() * (1 + 0.10 * orbitDmgTier)));
-  const hr2  = 0.75 * 0.75;
-
-  for (let ri = 0; ri < state.orbitRings.length; ri++) {
-    const ring = state.orbitRings[ri];
-    ring.angle += ring.def.speed * delta;
-    const { count, radius } = ring.def;
-    for (let i = 0; i < ring.meshes.length; i++) {
-      const angle = ring.angle + (i / count) * Math.PI * 2;
-      ring.meshes[i].visible = true;
-      ring.meshes[i].traverse(obj => { obj.visible = true; });
-      ring.meshes[i].position.set(
-        playerGroup.position.x + Math.cos(angle) * radius, y,
-        playerGroup.position.z + Math.sin(angle) * radius
-      );
-      ring.meshes[i].rotation.y += 5 * delta;
-    }
-    for (let k = 0; k < ring.meshes.length; k++) {
-      const candidates = queryEnemiesNear(ring.meshes[k].position.x, ring.meshes[k].position.z, 1.5, _nearbyEnemies);
-      for (let c = candidates.length - 1; c >= 0; c--) {
-        const e = candidates[c]; if (!e || e.dead) continue;
-        const j = state.enemies.indexOf(e); if (j < 0) continue;
-        const dx = ring.meshes[k].position.x - e.grp.position.x;
-        const dz = ring.meshes[k].position.z - e.grp.position.z;
-        const inContact = dx*dx + dz*dz < hr2;
-        const key = ri * 65536 + k * 512 + j;
-        const was = state.orbitHitActive.has(key);
-        if (inContact && !was) {
-          state.orbitHitActive.add(key);
-          applyEnemyDamage(e, dmg);
-          spawnEnemyDamageNum(dmg, e);
-          e.staggerTimer = 0.12;
-          updateEliteBar(e);
-          if (e.hp <= 0) {
-            playSound(e.eliteType ? 'explodeElite' : 'explode', 0.7, 0.9 + Math.random() * 0.2);
-            killEnemy(j); break;
-          } else {
-            playSound(e.eliteType ? 'elite_hit' : 'standard_hit', 0.4, 0.95 + Math.random() * 0.1);
-          }
-        } else if (!inContact && was) {
-          state.orbitHitActive.delete(key);
-        }
-      }
-    }
-  }
-}
-
-
-function _getNearestEnemy(maxRange = Infinity) {
-  let best = null;
-  let bestD2 = maxRange * maxRange;
-  for (const e of state.enemies) {
-    if (!e || e.dead) continue;
-    const dx = e.grp.position.x - playerGroup.position.x;
-    const dz = e.grp.position.z - playerGroup.position.z;
-    const d2 = dx * dx + dz * dz;
-    if (d2 < bestD2) { bestD2 = d2; best = e; }
+export function updateEnemyBullets(worldDelta) {
+  const died = updateEnemyBulletFlight(state.enemyBullets, worldDelta, playerGroup.position.x, playerGroup.position.z, _enemyBulletHooks);
+  for (const b of state.enemyBullets) {
+    if (b.mesh) { b.mesh.position.x = b.x; b.mesh.position.z = b.z; }
   }
-  return best;
+  return died ? 'DEAD' : undefined;
 }
 
 const _targetedLaserCoreMat = new THREE.MeshStandardMaterial({
@@ -471,8 +339,8 @@ function _buildLightningPath(start, end, segments, jitter, taper = 1.0) {
     const t = i / segments;
     const p = start.clone().lerp(end, t);
     const amp = jitter * (1.0 - t * 0.72) * taper;
-    const offA = (Math.random() * 2 - 1) * amp;
-    const offB = (Math.random() * 2 - 1) * amp * 0.55;
+    const offA = (rand('cosmetic') * 2 - 1) * amp;
+    const offB = (rand('cosmetic') * 2 - 1) * amp * 0.55;
     p.addScaledVector(side, offA);
     p.addScaledVector(side2, offB);
     pts.push(p);
@@ -504,7 +372,7 @@ function _spawnLightningFx(pos) {
   const mats = [coreMat, glowMat];
 
   const start = new THREE.Vector3(0, 11.2, 0);
-  const end = new THREE.Vector3((Math.random() * 2 - 1) * 0.06, 0.45, (Math.random() * 2 - 1) * 0.06);
+  const end = new THREE.Vector3((rand('cosmetic') * 2 - 1) * 0.06, 0.45, (rand('cosmetic') * 2 - 1) * 0.06);
   const mainPts = _buildLightningPath(start, end, 9, 0.48, 1.0);
 
   for (let i = 0; i < mainPts.length - 1; i++) {
@@ -515,12 +383,12 @@ function _spawnLightningFx(pos) {
     if (glowSeg) { root.add(glowSeg.mesh); geos.push(glowSeg.geo); }
     if (coreSeg) { root.add(coreSeg.mesh); geos.push(coreSeg.geo); }
 
-    if (i > 1 && i < mainPts.length - 2 && Math.random() < 0.72) {
+    if (i > 1 && i < mainPts.length - 2 && rand('cosmetic') < 0.72) {
       const branchStart = a.clone().lerp(b, 0.45);
       const branchEnd = branchStart.clone().add(new THREE.Vector3(
-        (Math.random() * 2 - 1) * 0.95,
-        -(0.5 + Math.random() * 1.1),
-        (Math.random() * 2 - 1) * 0.95,
+        (rand('cosmetic') * 2 - 1) * 0.95,
+        -(0.5 + rand('cosmetic') * 1.1),
+        (rand('cosmetic') * 2 - 1) * 0.95,
       ));
       const branchPts = _buildLightningPath(branchStart, branchEnd, 4, 0.18, 0.65);
       for (let j = 0; j < branchPts.length - 1; j++) {
@@ -546,34 +414,25 @@ function _spawnLightningFx(pos) {
   state.lightningFx.push({ root, geos, mats, life: 0.17, maxLife: 0.17 });
 }
 
-function _updateTargetedShots(worldDelta) {
-  if (!Array.isArray(state.targetedShots)) state.targetedShots = [];
-  for (let i = state.targetedShots.length - 1; i >= 0; i--) {
-    const b = state.targetedShots[i];
-    b.life -= worldDelta;
-    b.obj.position.x += b.vx * worldDelta;
-    b.obj.position.z += b.vz * worldDelta;
-    if (b.life <= 0) { _releaseTargetedShotVisual(b.obj); state.targetedShots.splice(i, 1); continue; }
-    let hit = false;
-    const candidates = queryEnemiesNear(b.obj.position.x, b.obj.position.z, 1.6, _nearbyEnemies);
-    for (let n = candidates.length - 1; n >= 0; n--) {
-      const e = candidates[n]; if (!e || e.dead) continue;
-      const j = state.enemies.indexOf(e); if (j < 0) continue;
-      const dx = b.obj.position.x - e.grp.position.x;
-      const dz = b.obj.position.z - e.grp.position.z;
-      if (dx*dx + dz*dz < 0.78 * 0.78) {
-        applyEnemyDamage(e, b.dmg);
-        spawnEnemyDamageNum(b.dmg, e);
-        updateEliteBar(e);
-        if (e.hp <= 0) killEnemy(j);
-        _releaseTargetedShotVisual(b.obj);
-        state.targetedShots.splice(i, 1);
-        hit = true;
-        break;
-      }
-    }
-    if (hit) continue;
+// Horizontal bolt between two points (Storm Halo arcs); fades with the
+// lightning strikes in _updateLightningFx.
+function _spawnArcFx(from, to) {
+  if (!state.lightningFx) state.lightningFx = [];
+  const root = new THREE.Group();
+  const coreMat = new THREE.MeshBasicMaterial({ color: 0xf7fcff, transparent: true, opacity: 0.98, depthWrite: false });
+  const glowMat = new THREE.MeshBasicMaterial({ color: 0x8fd8ff, transparent: true, opacity: 0.62, depthWrite: false });
+  const geos = [];
+  const a = new THREE.Vector3(from.x, 0.8, from.z);
+  const b = new THREE.Vector3(to.x, 0.8, to.z);
+  const pts = _buildLightningPath(a, b, 6, 0.32, 1.0);
+  for (let i = 0; i < pts.length - 1; i++) {
+    const glowSeg = _makeLightningSegment(pts[i], pts[i + 1], 0.03, glowMat, 1);
+    const coreSeg = _makeLightningSegment(pts[i], pts[i + 1], 0.01, coreMat, 0);
+    if (glowSeg) { root.add(glowSeg.mesh); geos.push(glowSeg.geo); }
+    if (coreSeg) { root.add(coreSeg.mesh); geos.push(coreSeg.geo); }
   }
+  scene.add(root);
+  state.lightningFx.push({ root, geos, mats: [coreMat, glowMat], life: 0.14, maxLife: 0.14 });
 }
 
 function _updateLightningFx(worldDelta) {
@@ -597,73 +456,59 @@ function _updateLightningFx(worldDelta) {
   }
 }
 
-export function updateSecondaryWeapons(worldDelta) {
-  _updateTargetedShots(worldDelta);
-  _updateLightningFx(worldDelta);
-
-  const tfTier = Math.max(0, state.upg?.targetedFire || 0, state.upg?.targetedCooldown || 0, state.upg?.targetedDamage || 0, state.upg?.targetedRange || 0);
-  if (tfTier > 0) {
-    state.targetedShotTimer = Math.max(0, (state.targetedShotTimer || 0) - worldDelta);
-    if (state.targetedShotTimer <= 0) {
-      const baseCdMult = [1.0, 1.0, 0.90, 0.80, 0.70, 0.60][Math.min(tfTier, 5)] || 1.0;
-      const targetedSystemsTier = Math.max(0, state.upg?.targetedFire || 0, state.upg?.targetedCooldown || 0, state.upg?.targetedDamage || 0, state.upg?.targetedRange || 0);
-      // Per-tier bonus: 0%, 15%, 20%, 25%, 30%, 50%
-      const _tsBonuses = [0, 0.15, 0.20, 0.25, 0.30, 0.50];
-      const tsBonus = _tsBonuses[Math.min(targetedSystemsTier, 5)] || 0;
-      const extraCdMult = Math.pow(0.85, targetedSystemsTier);
-      const baseRangeMult = [1.0, 1.0, 1.0, 1.10, 1.10, 1.20][Math.min(tfTier, 5)] || 1.0;
-      const extraRangeMult = 1 + tsBonus;
-      const maxRange = 10.0 * baseRangeMult * extraRangeMult;
-      const target = _getNearestEnemy(maxRange);
-      const cd = Math.max(0.18, 1.4 * baseCdMult * extraCdMult);
-      state.targetedShotTimer = cd;
-      if (target) {
-        const dmg = Math.max(1, Math.round(getBulletDamage() * (1 + tsBonus)));
-        const obj = _acquireTargetedShotVisual();
-        const dx = target.grp.position.x - playerGroup.position.x;
-        const dz = target.grp.position.z - playerGroup.position.z;
-        const dir = new THREE.Vector3(dx, 0, dz).normalize();
-        const speed = BULLET_SPEED * 2.2 * (1 + tsBonus);
-        _bulletQ.setFromUnitVectors(_bulletUp, dir);
-        obj.quaternion.copy(_bulletQ);
-        obj.position.copy(playerGroup.position);
-        obj.position.y = floorY(bulletGeoParams);
-        scene.add(obj);
-        state.targetedShots.push({ obj, vx: dir.x * speed, vz: dir.z * speed, life: maxRange / speed + 0.15, dmg });
-      }
-    }
-  }
+// ═══════════════════════════════════════════════════════════════════════════════
+//  RICOCHET DISC
+// ═══════════════════════════════════════════════════════════════════════════════
+// Primary weapon of disc characters (characters.js). Stats: weaponDefs.js;
+// throws, bounces and returns: weaponFire.js.
 
-  const ltTier = Math.max(0, state.upg?.lightning || 0, state.upg?.lightningDamage || 0, state.upg?.lightningCooldown || 0);
-  if (ltTier > 0) {
-    state.lightningTimer = Math.max(0, (state.lightningTimer || 0) - worldDelta);
-    if (state.lightningTimer <= 0) {
-      const lightningBonusTier = Math.max(0, ltTier - 1);
-      const cd = Math.max(0.25, 2.4 * Math.pow(0.90, lightningBonusTier));
-      state.lightningTimer = cd;
-      const strikes = Math.min(5, ltTier);
-      const lightningStun = 0.5 + (lightningBonusTier * 0.25);
-      const dmg = Math.max(1, Math.round(getBulletDamage() * (1 + 0.15 * lightningBonusTier) * 1.15));
-      const pool = state.enemies.filter(e => e && !e.dead).slice();
-      if (pool.length > 0) playSound('lightning', 0.78, 1.0);
-      pool.sort((a, b) => {
-        const adx = a.grp.position.x - playerGroup.position.x; const adz = a.grp.position.z - playerGroup.position.z;
-        const bdx = b.grp.position.x - playerGroup.position.x; const bdz = b.grp.position.z - playerGroup.position.z;
-        return (adx*adx + adz*adz) - (bdx*bdx + bdz*bdz);
-      });
-      for (const e of pool.slice(0, strikes)) {
-        applyEnemyDamage(e, dmg);
-        e.lightningStunTimer = Math.max(e.lightningStunTimer || 0, lightningStun);
-        spawnEnemyDamageNum(dmg, e);
-        _spawnLightningFx(e.grp.position);
-        updateEliteBar(e);
-        if (e.hp <= 0) {
-          const idx = state.enemies.indexOf(e);
-          if (idx >= 0) killEnemy(idx);
-        }
-      }
-    }
+const _discGeo = new THREE.CylinderGeometry(0.34, 0.34, 0.07, 20);
+const _discRimGeo = new THREE.TorusGeometry(0.34, 0.06, 6, 24);
+const _discMat = new THREE.MeshStandardMaterial({
+  color: 0x9dffc4, emissive: 0x2ee87a, emissiveIntensity: 1.6, metalness: 0.3, roughness: 0.3,
+});
+const _discPool = [];
+
+function _acquireDiscVisual() {
+  let g = _discPool.pop();
+  if (!g) {
+    g = new THREE.Group();
+    g.add(new THREE.Mesh(_discGeo, _discMat));
+    const rim = new THREE.Mesh(_discRimGeo, _discMat);
+    rim.rotation.x = Math.PI / 2;
+    rim.layers.enable(1);
+    g.add(rim);
   }
+  g.visible = true;
+  return g;
+}
+
+function _releaseDiscVisual(g) {
+  scene.remove(g);
+  _discPool.push(g);
+}
+
+// Razor Halo (evolved disc): red serrated blade.
+const _razorMat = new THREE.MeshStandardMaterial({
+  color: 0xffb199, emissive: 0xff3d1f, emissiveIntensity: 1.9, metalness: 0.6, roughness: 0.2,
+});
+const _razorTeethGeo = new THREE.TorusGeometry(0.42, 0.05, 3, 12);
+
+function _makeRazorVisual() {
+  const g = new THREE.Group();
+  g.add(new THREE.Mesh(_discGeo, _razorMat));
+  const teeth = new THREE.Mesh(_razorTeethGeo, _razorMat);
+  teeth.rotation.x = Math.PI / 2;
+  teeth.layers.enable(1);
+  g.add(teeth);
+  g.scale.setScalar(1.15);
+  return g;
+}
+
+export function clearDiscs() {
+  if (!Array.isArray(state.discs)) return;
+  state.discs.forEach(d => d.visual.release(d.obj));
+  state.discs.length = 0;
 }
 
 
@@ -671,7 +516,6 @@ export function updateSecondaryWeapons(worldDelta) {
 //  360° SPIN-SLASH
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const S_RANGE   = 5.0;
 const S_INNER   = 1.0;
 const S_RX      = 1.00;
 const S_RZ      = 1.00;
@@ -748,55 +592,27 @@ function _buildEllipseArc(innerR, outerR, rx, rz, startA, sweepA, segs = 120) {
   return g;
 }
 
-function _spinDamage(px, pz, range, dmg) {
-  for (let j = state.enemies.length - 1; j >= 0; j--) {
-    const e = state.enemies[j];
-    if (!e || e.dead) continue;
-    const dx = e.grp.position.x - px, dz = e.grp.position.z - pz;
-    if (dx*dx + dz*dz > range*range) continue;
-    applyEnemyDamage(e, dmg);
-    spawnEnemyDamageNum(dmg, e);
-    e.staggerTimer = 0.12;
-    updateEliteBar(e);
-    if (e.hp <= 0) {
-      playSound(e.eliteType ? 'explodeElite' : 'explode', 0.7, 0.9 + Math.random() * 0.2);
-      killEnemy(j);
-    } else {
-      playSound(e.eliteType ? 'elite_hit' : 'standard_hit', 0.35, 0.95 + Math.random() * 0.1);
-    }
-  }
-}
-
-export function performSlash() {
+// Spin hook: starts the sweep visual, or refuses (no damage either) while
+// too many are still on screen.
+function _startSpinSlash(px, pz, s) {
   if (!state.slashEffects) state.slashEffects = [];
-  if (state.slashEffects.length > 8) return;
+  if (state.slashEffects.length > 8) return false;
 
   state._sf    = ((state._sf | 0) + 1) & 1;
   const startA = Math.PI;
   const sweepA = state._sf ? S_SWEEP : -S_SWEEP;
-
-  const range = S_RANGE, inner = S_INNER;
-  const px = playerGroup.position.x;
-  const pz = playerGroup.position.z;
   const y  = playerGroup.position.y + S_Y;
 
-  const arcGeo  = _buildEllipseArc(inner, range, S_RX, S_RZ, startA, sweepA);
+  const arcGeo  = _buildEllipseArc(S_INNER, s.range, S_RX, S_RZ, startA, sweepA);
   const arcMat  = _mkArc();
   const arcMesh = new THREE.Mesh(arcGeo, arcMat);
   arcMesh.position.set(px, y - 0.02, pz);
   arcMesh.frustumCulled = false;
   arcMesh.layers.enable(1); arcMesh.layers.enable(2);
-scene.add(arcMesh);
-
-    // Slash damage uses the same damage pipeline as player projectiles
-  // (base level damage + dmg upgrades + weapon tier multiplier + Double Damage effect).
-  // Slash remains a bit stronger than a single projectile by design.
-  const slashBase = Math.max(1, getBulletDamage());
-  const dmg = Math.max(1, Math.round(slashBase * 1.8));
-  _spinDamage(px, pz, range, dmg);
-  playSound('laser_sword', 0.72, 0.93 + Math.random() * 0.14);
+  scene.add(arcMesh);
 
   state.slashEffects.push({ arcMesh, arcGeo, arcMat, t: 0, startA, sweepA });
+  return true;
 }
 
 export function updateSlashEffects(worldDelta) {
@@ -830,3 +646,77 @@ export function updateSlashEffects(worldDelta) {
     s.arcMat.uniforms.uTime.value     = (state.elapsed || 0) + s.t;
   }
 }
+
+
+// ═══════════════════════════════════════════════════════════════════════════════
+//  FIRE LOOP
+// ═══════════════════════════════════════════════════════════════════════════════
+// weaponDefs.js declares each weapon's pattern and projectile; weaponFire.js
+// fires and flies them on plain data (shared with the sim) and these hooks give
+// them meshes, damage numbers and effects. Orbit has no fire pattern: it is
+// always on and driven by syncOrbitBullets / updateOrbitBullets.
+
+// Pooled kinds have acquire/release; orbit kinds are built per ring by make(color).
+const PROJECTILE_VISUALS = {
+  laser:         { acquire: _acquirePlayerLaserVisual,  release: _releasePlayerLaserVisual },
+  rail:          _pooledVisual(_makeRailVisual),
+  targetedLaser: { acquire: _acquireTargetedShotVisual, release: _releaseTargetedShotVisual },
+  disc:          { acquire: _acquireDiscVisual,         release: _releaseDiscVisual },
+  razorDisc:     _pooledVisual(_makeRazorVisual),
+  orbitRod:      { make: _makeOrbitVisual },
+  stormRod:      { make: _makeStormRodVisual },
+};
+
+const _nearbyEnemies = [];
+
+const _weaponHooks = {
+  kill: (e, source) => {
+    const j = state.enemies.indexOf(e);
+    if (j >= 0) killEnemy(j, source);
+  },
+  shot: (p, def) => {
+    const visual = PROJECTILE_VISUALS[def.projectile];
+    p.visual = visual;
+    p.obj = visual.acquire();
+    if (def.pattern !== 'ricochet') {
+      _bulletDir.set(p.vx, 0, p.vz).normalize();
+      _bulletQ.setFromUnitVectors(_bulletUp, _bulletDir);
+      p.obj.quaternion.copy(_bulletQ);
+    }
+    p.obj.position.set(p.x, floorY(bulletGeoParams), p.z);
+    scene.add(p.obj);
+  },
+  remove: (p) => p.visual.release(p.obj),
+  damaged: (e, dealt) => {
+    spawnEnemyDamageNum(dealt.amount, e, dealt);
+    updateEliteBar(e);
+  },
+  near: (x, z, r, out) => queryEnemiesNear(x, z, r, out),
+  blocked: (b) => {
+    for (const c of queryNearbyPropColliders(b.x, b.z, 1.25, _nearbyPropHits)) {
+      const dx = b.x - c.wx, dz = b.z - c.wz;
+      if (dx*dx + dz*dz < (c.radius + 0.045) * (c.radius + 0.045)) return true;
+    }
+    return false;
+  },
+  strike: (e) => _spawnLightningFx(e.grp.position),
+  arc: (x, z, e) => _spawnArcFx({ x, z }, e.grp.position),
+  spin: _startSpinSlash,
+};
+
+// Ticks every active weapon's cooldown and fires the ones that are ready.
+export function fireWeapons(delta) {
+  fireReadyWeapons(delta, playerGroup.position, _weaponHooks);
+}
+
+// Moves in-flight targeted shots and discs and fades lightning bolts.
+export function updateWeaponProjectiles(delta) {
+  updatePlayerProjectiles(delta, playerGroup.position, _weaponHooks);
+  _updateLightningFx(delta);
+  for (const b of state.targetedShots) { b.obj.position.x = b.x; b.obj.position.z = b.z; }
+  if (!Array.isArray(state.discs)) return;
+  for (const d of state.discs) {
+    d.obj.position.x = d.x; d.obj.position.z = d.z;
+    d.obj.rotation.y += delta * 18;
+  }
+}